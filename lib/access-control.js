@@ -0,0 +1,92 @@
+"use strict";
+
+const { MoleculerClientError } = require("moleculer").Errors;
+
+/**
+ * Permissions granted by the roles.
+ *
+ * A permission is `<resource>.<operation>`. The `*` wildcard grants everything,
+ * `<resource>.*` grants every operation of the resource. The `:own` suffix
+ * grants the permission only for entities owned by the user (see the `owner`
+ * property of the actions).
+ */
+const ROLES = {
+	learner: [
+		"progress.read:own",
+		"profile.read:own",
+		"profile.update:own"
+	],
+	teacher: [
+		"progress.read",
+		"profile.read",
+		"classroom.manage"
+	],
+	"content-editor": [
+		"products.write",
+		"content.read",
+		"content.write"
+	],
+	reviewer: [
+		"content.read",
+		"content.review"
+	],
+	admin: [
+		"*"
+	]
+};
+
+/**
+ * Check whether any of the roles grants the permission.
+ *
+ * @param {Array<String>} roles
+ * @param {String} permission
+ * @returns {Boolean}
+ */
+function hasPermission(roles, permission) {
+	return (roles || []).some(role => (ROLES[role] || []).some(grant => {
+		if (grant == "*" || grant == permission) return true;
+		return grant.endsWith(".*") && permission.startsWith(grant.slice(0, -1));
+	}));
+}
+
+/**
+ * Check that the user is allowed to call the action, by the `roles` (any of them)
+ * and the `permissions` (all of them) declared in the action schema.
+ *
+ * @param {Object?} user - Resolved user (`ctx.meta.user`)
+ * @param {Object} action - Action definition
+ * @param {Object} params - Call parameters
+ * @throws {MoleculerClientError} 401 without user, 403 if a role or a permission is missing
+ */
+function checkAccess(user, action, params) {
+	if (!action || (!action.roles && !action.permissions)) return;
+
+	if (!user) {
+		throw new MoleculerClientError("Unauthorized", 401, "NO_TOKEN");
+	}
+
+	const roles = user.roles || [];
+
+	if (action.roles && !action.roles.some(role => roles.indexOf(role) !== -1)) {
+		throw new MoleculerClientError(`Forbidden, one of the roles is required: ${action.roles.join(", ")}`, 403, "MISSING_ROLE", { roles: action.roles });
+	}
+
+	(action.permissions || []).forEach(permission => {
+		if (hasPermission(roles, permission)) return;
+
+		if (hasPermission(roles, `${permission}:own`)) {
+			// The `owner` is the name of the parameter which holds the owner ID.
+			// It must be serializable, the gateway checks the rules of remote actions too.
+			const owner = action.owner && params ? params[action.owner] : null;
+			if (owner != null && String(owner) == String(user._id)) return;
+		}
+
+		throw new MoleculerClientError(`Forbidden, missing permission: ${permission}`, 403, "MISSING_PERMISSION", { permission });
+	});
+}
+
+module.exports = {
+	ROLES,
+	hasPermission,
+	checkAccess
+};
@@ -0,0 +1,159 @@
+"use strict";
+
+const { daysBetween } = require("./dates");
+
+/**
+ * Streaks & badges of a learner by their activities.
+ *
+ * The state is `{ stats, streak, badges }`. An activity is a completed
+ * session, a review or granted streak freezes, with its calendar date in
+ * the learner's time zone:
+ *  - `{ kind: "session", date, time, data: { xp, perfect } }`
+ *  - `{ kind: "review", date, time, data: { newlyMastered } }`
+ *  - `{ kind: "freeze", date, time, data: { count } }`
+ *
+ * The same activities in the same order always give the same state,
+ * so the badges can be re-evaluated by replaying the history.
+ *
+ * A badge is a declarative rule: it's awarded when a metric reaches the
+ * threshold, e.g. `{ id: "streak-7", metric: "streak", threshold: 7 }`.
+ */
+
+// Metrics of the badge rules
+const METRICS = ["sessions", "xp", "perfectSessions", "reviews", "mastered", "streak"];
+
+const DEFAULTS = {
+	// A freeze is earned by every this many days of a streak
+	freezeEvery: 7,
+
+	// Max count of the freezes of a learner
+	maxFreezes: 2
+};
+
+/**
+ * Create the state of a new learner.
+ *
+ * @returns {Object}
+ */
+function createState() {
+	return {
+		stats: { sessions: 0, xp: 0, perfectSessions: 0, reviews: 0, mastered: 0 },
+		streak: { current: 0, longest: 0, lastDate: null, freezes: 0 },
+		badges: []
+	};
+}
+
+/**
+ * Get the value of a metric.
+ *
+ * @param {Object} state
+ * @param {String} metric
+ * @returns {Number}
+ */
+function metricValue(state, metric) {
+	return metric == "streak" ? state.streak.longest : state.stats[metric] || 0;
+}
+
+/**
+ * Extend the streak by an active day. The missed days are bridged by the freezes
+ * if there are enough of them, otherwise a new streak is started.
+ *
+ * @param {Object} streak - It's changed
+ * @param {String} date - `YYYY-MM-DD`
+ * @param {Object} opts
+ */
+function extendStreak(streak, date, opts) {
+	const gap = streak.lastDate ? daysBetween(streak.lastDate, date) : null;
+	// The same day or an earlier one
+	if (gap != null && gap <= 0) return;
+
+	const missed = gap == null ? 0 : gap - 1;
+	if (gap != null && missed <= streak.freezes) {
+		streak.freezes -= missed;
+		streak.current++;
+	} else {
+		streak.current = 1;
+	}
+
+	streak.lastDate = date;
+	streak.longest = Math.max(streak.longest, streak.current);
+	if (streak.current % opts.freezeEvery == 0) {
+		streak.freezes = Math.min(opts.maxFreezes, streak.freezes + 1);
+	}
+}
+
+/**
+ * Apply an activity to the state & award the reached badges.
+ *
+ * @param {Object} state - It's changed
+ * @param {Object} activity
+ * @param {Array<Object>} badges - Badge rules
+ * @param {Object?} opts - Streak options, see `DEFAULTS`
+ * @returns {Array<Object>} The newly awarded badges, `{ id, awardedAt }`
+ */
+function applyActivity(state, activity, badges, opts) {
+	const options = Object.assign({}, DEFAULTS, opts);
+	const { stats, streak } = state;
+	const data = activity.data || {};
+
+	switch (activity.kind) {
+		case "session": {
+			stats.sessions++;
+			stats.xp += data.xp || 0;
+			if (data.perfect) stats.perfectSessions++;
+			extendStreak(streak, activity.date, options);
+			break;
+		}
+		case "review": {
+			stats.reviews++;
+			if (data.newlyMastered) stats.mastered++;
+			extendStreak(streak, activity.date, options);
+			break;
+		}
+		case "freeze": {
+			streak.freezes = Math.min(options.maxFreezes, streak.freezes + data.count);
+			break;
+		}
+	}
+
+	const awarded = badges
+		.filter(badge => !state.badges.some(item => item.id == badge.id) && metricValue(state, badge.metric) >= badge.threshold)
+		.map(badge => ({ id: badge.id, awardedAt: activity.time }));
+	state.badges.push(...awarded);
+	return awarded;
+}
+
+/**
+ * Get the progress toward a badge.
+ *
+ * @param {Object} state
+ * @param {Object} badge - Badge rule
+ * @returns {Object} `{ current, threshold, progress }`, the progress is 0-1
+ */
+function badgeProgress(state, badge) {
+	const current = metricValue(state, badge.metric);
+	return { current, threshold: badge.threshold, progress: Math.min(1, current / badge.threshold) };
+}
+
+/**
+ * Get the current length of a streak on a day. It's 0 if it's broken,
+ * i.e. the missed days can't be bridged by the freezes anymore.
+ *
+ * @param {Object} streak
+ * @param {String} today - `YYYY-MM-DD`
+ * @returns {Number}
+ */
+function currentStreak(streak, today) {
+	if (!streak.lastDate) return 0;
+	const missed = daysBetween(streak.lastDate, today) - 1;
+	return missed <= streak.freezes ? streak.current : 0;
+}
+
+module.exports = {
+	METRICS,
+	DEFAULTS,
+	createState,
+	applyActivity,
+	badgeProgress,
+	currentStreak
+};
@@ -0,0 +1,266 @@
+"use strict";
+
+const { addDays, isoWeek } = require("./dates");
+
+/**
+ * Progress analytics of a learner by the raw events of their activities.
+ *
+ * The events are aggregated into daily buckets by the learner's calendar date:
+ *  - `{ kind: "session", date, time, entity }` a finished game session
+ *  - `{ kind: "review", date, time, entity }` a version of a review card
+ *  - `{ kind: "rating", date, time, entity }` a skill rating after an answer
+ *
+ * A day is `{ skills: { <skill>: { answered, correct } }, timeSpent, seen, mastered, ratings }`,
+ * the ratings are the last ones of the day by `<language>:<skill>`.
+ *
+ * The aggregates are pure functions of the events, so they can be rebuilt
+ * by replaying them after the aggregation is changed.
+ */
+
+// Metrics of the series
+const METRICS = ["accuracy", "words", "time", "rating"];
+
+// Sizes of the buckets of the series
+const BUCKETS = ["day", "week", "month"];
+
+const DEFAULTS = {
+	// A word is mastered when its review interval reaches this many days
+	masteryInterval: 21
+};
+
+/**
+ * Create an empty day.
+ *
+ * @returns {Object}
+ */
+function createDay() {
+	return { skills: {}, timeSpent: 0, seen: 0, mastered: 0, ratings: {} };
+}
+
+/**
+ * Check that a review card is mastered.
+ *
+ * @param {Object} card
+ * @param {Object?} opts - See `DEFAULTS`
+ * @returns {Boolean}
+ */
+function isMastered(card, opts) {
+	const options = Object.assign({}, DEFAULTS, opts);
+	return card.interval >= options.masteryInterval;
+}
+
+/**
+ * Get the time spent in a session: from its start to the last answer.
+ * An abandoned session isn't counted until its expiry.
+ *
+ * @param {Object} session
+ * @returns {Number} Milliseconds
+ */
+function sessionDuration(session) {
+	const answered = (session.questions || []).map(question => question.answeredAt).filter(time => time != null);
+	return answered.length > 0 ? Math.max(0, Math.max(...answered) - session.startedAt) : 0;
+}
+
+/**
+ * Check that a rating is later than another one. The ratings of the
+ * same time are ordered by the attempts of the learner.
+ *
+ * @param {Object} rating - `{ time, attempts }`
+ * @param {Object?} other
+ * @returns {Boolean}
+ */
+function isLater(rating, other) {
+	if (!other) return true;
+	if (rating.time != other.time) return rating.time > other.time;
+	return (rating.attempts || 0) >= (other.attempts || 0);
+}
+
+/**
+ * Apply an event to a day.
+ *
+ * @param {Object} day - It's changed
+ * @param {Object} event
+ * @param {Object?} context - `{ newlySeen, newlyMastered }` of a review, by the earlier reviews of the word
+ * @returns {Object} The day
+ */
+function applyEvent(day, event, context = {}) {
+	const entity = event.entity;
+
+	switch (event.kind) {
+		case "session": {
+			const answered = (entity.questions || []).filter(question => question.answeredAt != null);
+			const skill = day.skills[entity.skill] || (day.skills[entity.skill] = { answered: 0, correct: 0 });
+			skill.answered += answered.length;
+			skill.correct += answered.filter(question => question.correct).length;
+			day.timeSpent += sessionDuration(entity);
+			break;
+		}
+		case "review": {
+			if (context.newlySeen) day.seen++;
+			if (context.newlyMastered) day.mastered++;
+			break;
+		}
+		case "rating": {
+			const key = `${entity.language}:${entity.skill}`;
+			const rating = { rating: entity.rating, deviation: entity.deviation, time: event.time, attempts: entity.attempts };
+			// The events may be delivered out of order
+			if (isLater(rating, day.ratings[key])) {
+				day.ratings[key] = rating;
+			}
+			break;
+		}
+	}
+	return day;
+}
+
+/**
+ * Aggregate the events of a learner into days.
+ *
+ * @param {Array<Object>} events - In order of their time
+ * @param {Object?} opts - See `DEFAULTS`
+ * @returns {Object} Days by their dates
+ */
+function replay(events, opts) {
+	const seen = new Set();
+	const mastered = new Set();
+	const days = {};
+
+	events.forEach(event => {
+		const day = days[event.date] || (days[event.date] = createDay());
+
+		let context = {};
+		if (event.kind == "review") {
+			const item = String(event.entity.item);
+			const mastering = isMastered(event.entity, opts);
+			context = { newlySeen: !seen.has(item), newlyMastered: mastering && !mastered.has(item) };
+			seen.add(item);
+			if (mastering) mastered.add(item);
+		}
+
+		applyEvent(day, event, context);
+	});
+	return days;
+}
+
+/**
+ * Get the bucket of a date.
+ *
+ * @param {String} date - `YYYY-MM-DD`
+ * @param {String} bucket - "day", "week" or "month"
+ * @returns {String} E.g. "2026-01-10", "2026-W02" or "2026-01"
+ */
+function bucketOf(date, bucket) {
+	switch (bucket) {
+		case "week": return isoWeek(Date.parse(`${date}T00:00:00Z`));
+		case "month": return date.slice(0, 7);
+		default: return date;
+	}
+}
+
+/**
+ * Get the ratio of the correct answers.
+ *
+ * @param {Object} stats - `{ answered, correct }`
+ * @returns {Number?} `null` without answers
+ */
+function accuracy(stats) {
+	return stats.answered > 0 ? stats.correct / stats.answered : null;
+}
+
+/**
+ * Get a time-bucketed series of a metric. Every bucket of the range is in the
+ * series, the empty ones too. The cumulative values (the total words & the
+ * ratings) are carried over from the days before the range.
+ *
+ * @param {Array<Object>} days - Days of the learner until the end of the range with their `date`
+ * @param {String} metric - One of `METRICS`
+ * @param {Object} range - `{ from, to, bucket }`, the dates are inclusive
+ * @returns {Array<Object>} The points, `{ period, ... }`
+ */
+function buildSeries(days, metric, range) {
+	const byDate = new Map(days.map(day => [day.date, day]));
+	const totals = { seen: 0, mastered: 0 };
+	const ratings = {};
+
+	const carry = day => {
+		totals.seen += day.seen;
+		totals.mastered += day.mastered;
+		Object.keys(day.ratings).forEach(key => {
+			if (isLater(day.ratings[key], ratings[key])) ratings[key] = day.ratings[key];
+		});
+	};
+	days.filter(day => day.date < range.from).forEach(carry);
+
+	const points = [];
+	let point = null;
+	for (let date = range.from; date <= range.to; date = addDays(date, 1)) {
+		const period = bucketOf(date, range.bucket);
+		if (!point || point.period != period) {
+			point = { period, skills: {}, answered: 0, correct: 0, timeSpent: 0, seen: 0, mastered: 0 };
+			points.push(point);
+		}
+
+		const day = byDate.get(date);
+		if (day) {
+			Object.keys(day.skills).forEach(skill => {
+				const stats = point.skills[skill] || (point.skills[skill] = { answered: 0, correct: 0 });
+				stats.answered += day.skills[skill].answered;
+				stats.correct += day.skills[skill].correct;
+				point.answered += day.skills[skill].answered;
+				point.correct += day.skills[skill].correct;
+			});
+			point.timeSpent += day.timeSpent;
+			point.seen += day.seen;
+			point.mastered += day.mastered;
+			carry(day);
+		}
+
+		// The cumulative values at the end of the bucket
+		point.totals = Object.assign({}, totals);
+		point.ratings = Object.assign({}, ratings);
+	}
+
+	return points.map(item => toPoint(item, metric));
+}
+
+/**
+ * Get the values of a metric of a bucket.
+ *
+ * @param {Object} point - Aggregated bucket with the cumulative `totals` & `ratings` at its end
+ * @param {String} metric
+ * @returns {Object}
+ */
+function toPoint(point, metric) {
+	switch (metric) {
+		case "accuracy": {
+			const skills = {};
+			Object.keys(point.skills).forEach(skill => {
+				skills[skill] = Object.assign({}, point.skills[skill], { accuracy: accuracy(point.skills[skill]) });
+			});
+			return { period: point.period, answered: point.answered, correct: point.correct, accuracy: accuracy(point), skills };
+		}
+		case "words":
+			return { period: point.period, seen: point.seen, mastered: point.mastered, totalSeen: point.totals.seen, totalMastered: point.totals.mastered };
+		case "time":
+			return { period: point.period, timeSpent: Math.round(point.timeSpent / 1000) };
+		case "rating": {
+			const ratings = {};
+			Object.keys(point.ratings).forEach(key => {
+				ratings[key] = { rating: point.ratings[key].rating, deviation: point.ratings[key].deviation };
+			});
+			return { period: point.period, ratings };
+		}
+	}
+}
+
+module.exports = {
+	METRICS,
+	BUCKETS,
+	DEFAULTS,
+	createDay,
+	isMastered,
+	applyEvent,
+	replay,
+	bucketOf,
+	buildSeries
+};
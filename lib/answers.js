@@ -0,0 +1,369 @@
+"use strict";
+
+/**
+ * Evaluation of the free-text answers of the exercises.
+ *
+ * The answers are compared after normalizing the Unicode forms, the
+ * apostrophes & the whitespaces. The verdict is:
+ *  - "correct": it matches an accepted answer, only by the ignored differences
+ *    (the case, the optional article or the diacritics in some languages)
+ *  - "almost": it's a near-miss, e.g. a missing accent, a wrong article or a typo.
+ *    It's accepted, only the score of the exercise can be less.
+ *  - "wrong"
+ *
+ * The accepted answers can have optional parts in parentheses, e.g. "(to) sound".
+ *
+ * The language rules are pluggable by `registerLanguageRules`:
+ *  - articles: Articles which can be omitted, e.g. "der Hund" is accepted as "Hund"
+ *  - ignoreDiacritics: The missing diacritics are accepted
+ *  - caseSensitive: The case is significant, e.g. the capitalized German nouns
+ *  - normalize(text): Equivalent spellings, applied to both texts
+ *  - corrections: `{ note, pattern, replace }` common mistakes of the answers,
+ *    e.g. a missing French elision. They're graded as "almost".
+ */
+
+// Vowels before which the French & Italian articles are elided
+const VOWELS = "aeiouyàâäéèêëîïôöùûüœæ";
+
+const LANGUAGE_RULES = {
+	en: {
+		articles: ["the", "a", "an"]
+	},
+	de: {
+		articles: ["der", "die", "das", "den", "dem", "des", "ein", "eine", "einen", "einem", "einer", "eines"],
+		caseSensitive: true,
+		// The umlauts may be transcribed on keyboards without them, the "ß" is "ss" in Switzerland
+		normalize: text => text
+			.replace(/ä/g, "ae").replace(/ö/g, "oe").replace(/ü/g, "ue")
+			.replace(/Ä/g, "Ae").replace(/Ö/g, "Oe").replace(/Ü/g, "Ue")
+			.replace(/ß/g, "ss")
+	},
+	fr: {
+		articles: ["le", "la", "les", "l'", "un", "une", "des", "du", "de la", "de l'"],
+		// "l' arbre" is "l'arbre"
+		normalize: text => text.replace(/\b(l|d|j|m|n|s|t|c|qu)' +/gi, "$1'"),
+		corrections: [
+			{ note: "elision", pattern: new RegExp(`\\b(l)[ae] +(?=[${VOWELS}])`, "gi"), replace: "$1'" },
+			{ note: "elision", pattern: new RegExp(`\\b(d|j|m|n|s|t|qu)e +(?=[${VOWELS}])`, "gi"), replace: "$1'" }
+		]
+	},
+	es: {
+		articles: ["el", "la", "los", "las", "un", "una", "unos", "unas"]
+	},
+	it: {
+		articles: ["il", "lo", "la", "i", "gli", "le", "l'", "un", "uno", "una", "un'"],
+		normalize: text => text.replace(/\b(l|un|dell|all|nell|sull)' +/gi, "$1'"),
+		corrections: [
+			{ note: "elision", pattern: new RegExp(`\\b(l)[oa] +(?=[${VOWELS}])`, "gi"), replace: "$1'" }
+		]
+	},
+	pt: {
+		articles: ["o", "a", "os", "as", "um", "uma", "uns", "umas"]
+	},
+	hu: {
+		articles: ["a", "az", "egy"]
+	}
+};
+
+// The notes which don't make an answer "almost"
+const IGNORED_NOTES = ["article-omitted"];
+
+/**
+ * Register the rules of a language. They're merged to the existing rules.
+ *
+ * @param {String} language - Language code, e.g. "de"
+ * @param {Object} rules
+ */
+function registerLanguageRules(language, rules) {
+	LANGUAGE_RULES[language] = Object.assign({}, LANGUAGE_RULES[language], rules);
+}
+
+/**
+ * Get the rules of a language. A regional language (e.g. "pt-BR")
+ * falls back to its base language.
+ *
+ * @param {String?} language
+ * @returns {Object}
+ */
+function getLanguageRules(language) {
+	if (!language) return {};
+	return LANGUAGE_RULES[language] || LANGUAGE_RULES[language.split("-")[0]] || {};
+}
+
+/**
+ * Normalize the Unicode form, the apostrophes, the whitespaces & the closing punctuation.
+ *
+ * @param {String} text
+ * @returns {String}
+ */
+function normalizeAnswer(text) {
+	if (text == null) return "";
+
+	return String(text)
+		.normalize("NFC")
+		.replace(/[‘’ʼ`´]/g, "'")
+		.replace(/\s+/g, " ")
+		.trim()
+		.replace(/ *[.!?]+$/, "");
+}
+
+/**
+ * Strip the diacritics.
+ *
+ * @param {String} text
+ * @returns {String}
+ */
+function stripDiacritics(text) {
+	return text.normalize("NFD").replace(/\p{M}/gu, "").normalize("NFC");
+}
+
+/**
+ * Expand the optional parts of an accepted answer, e.g. "(to) sound" is "to sound" & "sound".
+ *
+ * @param {String} accepted
+ * @returns {Array<String>}
+ */
+function expandAlternatives(accepted) {
+	const match = /\(([^()]*)\)/.exec(accepted);
+	if (!match) return [accepted];
+
+	const before = accepted.slice(0, match.index);
+	const after = accepted.slice(match.index + match[0].length);
+	return expandAlternatives(before + match[1] + after).concat(expandAlternatives(before + after));
+}
+
+/**
+ * Split the leading article of a text.
+ *
+ * @param {String} text - Normalized text
+ * @param {Array<String>} articles
+ * @returns {Object} `{ article, rest }`, the article is `null` without one
+ */
+function splitArticle(text, articles) {
+	const lower = text.toLowerCase();
+	// The longest one first, e.g. "de la" before "de"
+	const sorted = articles.slice().sort((a, b) => b.length - a.length);
+	for (const article of sorted) {
+		const elided = article.endsWith("'");
+		if (lower.startsWith(elided ? article : `${article} `) && lower.length > article.length + 1) {
+			return { article, rest: text.slice(article.length).trim() };
+		}
+	}
+	return { article: null, rest: text };
+}
+
+/**
+ * Get the edit distance of two texts: the count of the inserted, deleted,
+ * replaced & swapped adjacent characters (optimal string alignment).
+ *
+ * @param {String} a
+ * @param {String} b
+ * @returns {Number}
+ */
+function editDistance(a, b) {
+	const s = Array.from(a);
+	const t = Array.from(b);
+	const d = [];
+	for (let i = 0; i <= s.length; i++) {
+		d.push([i]);
+		for (let j = 1; j <= t.length; j++) {
+			if (i == 0) {
+				d[i][j] = j;
+				continue;
+			}
+			const cost = s[i - 1] == t[j - 1] ? 0 : 1;
+			d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+			if (i > 1 && j > 1 && s[i - 1] == t[j - 2] && s[i - 2] == t[j - 1]) {
+				d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+			}
+		}
+	}
+	return d[s.length][t.length];
+}
+
+/**
+ * Get the character diff of an answer to the expected answer.
+ * The parts are `{ type: "equal", text }`, `{ type: "missing", expected }`,
+ * `{ type: "extra", actual }` & `{ type: "wrong", expected, actual }`.
+ *
+ * @param {String} expected
+ * @param {String} actual
+ * @returns {Array<Object>}
+ */
+function diffAnswer(expected, actual) {
+	const s = Array.from(expected);
+	const t = Array.from(actual);
+
+	// Levenshtein table, backtracked from the end
+	const d = [];
+	for (let i = 0; i <= s.length; i++) {
+		d.push([]);
+		for (let j = 0; j <= t.length; j++) {
+			if (i == 0 || j == 0) d[i][j] = i + j;
+			else d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + (s[i - 1] == t[j - 1] ? 0 : 1));
+		}
+	}
+
+	const ops = [];
+	let i = s.length;
+	let j = t.length;
+	while (i > 0 || j > 0) {
+		if (i > 0 && j > 0 && d[i][j] == d[i - 1][j - 1] + (s[i - 1] == t[j - 1] ? 0 : 1)) {
+			ops.push(s[i - 1] == t[j - 1] ? { type: "equal", text: s[i - 1] } : { type: "wrong", expected: s[i - 1], actual: t[j - 1] });
+			i--;
+			j--;
+		} else if (i > 0 && d[i][j] == d[i - 1][j] + 1) {
+			ops.push({ type: "missing", expected: s[i - 1] });
+			i--;
+		} else {
+			ops.push({ type: "extra", actual: t[j - 1] });
+			j--;
+		}
+	}
+
+	// Merge the adjacent parts of the same type
+	return ops.reverse().reduce((parts, op) => {
+		const last = parts[parts.length - 1];
+		if (last && last.type == op.type) {
+			["text", "expected", "actual"].forEach(key => {
+				if (op[key] != null) last[key] += op[key];
+			});
+		} else {
+			parts.push(op);
+		}
+		return parts;
+	}, []);
+}
+
+/**
+ * Get the max count of the typos of an answer by its length.
+ *
+ * @param {Number} length
+ * @returns {Number}
+ */
+function maxTypos(length) {
+	if (length < 4) return 0;
+	if (length < 8) return 1;
+	return 2;
+}
+
+/**
+ * Compare an answer to an accepted answer.
+ *
+ * @param {String} expected - Normalized accepted answer
+ * @param {String} actual - Normalized answer
+ * @param {Object} rules - Language rules
+ * @param {Object} opts
+ * @returns {Object} `{ verdict, distance, notes }`
+ */
+function compareAnswer(expected, actual, rules, opts) {
+	const notes = [];
+	const normalize = rules.normalize || (text => text);
+
+	let answer = actual;
+	(rules.corrections || []).forEach(correction => {
+		// E.g. "la une" is correct without elision
+		if (correction.pattern.test(expected)) return;
+		correction.pattern.lastIndex = 0;
+
+		const corrected = answer.replace(correction.pattern, correction.replace);
+		if (corrected != answer && !notes.includes(correction.note)) notes.push(correction.note);
+		answer = corrected;
+	});
+
+	const articles = rules.articles || [];
+	const exp = splitArticle(expected, articles);
+	const act = splitArticle(answer, articles);
+
+	if (exp.article && !act.article) {
+		notes.push(opts.requireArticle ? "article-missing" : "article-omitted");
+	} else if (exp.article && act.article && exp.article != act.article.toLowerCase()) {
+		notes.push("article");
+	}
+
+	// Equal as written or by the equivalent spellings of the language
+	const same = fold => fold(exp.rest) == fold(act.rest) || fold(normalize(exp.rest)) == fold(normalize(act.rest));
+	const lower = text => text.toLowerCase();
+	const plain = text => stripDiacritics(text.toLowerCase());
+	const distance = Math.min(editDistance(plain(exp.rest), plain(act.rest)), editDistance(plain(normalize(exp.rest)), plain(normalize(act.rest))));
+
+	if (!same(rules.caseSensitive ? text => text : lower)) {
+		if (same(lower)) {
+			notes.push("capitalization");
+		} else if (same(plain)) {
+			if (!opts.ignoreDiacritics) notes.push("diacritics");
+		} else if (distance <= maxTypos(Array.from(exp.rest).length)) {
+			notes.push("typo");
+		} else {
+			return { verdict: "wrong", distance, notes };
+		}
+	}
+
+	const almost = notes.some(note => !IGNORED_NOTES.includes(note));
+	return { verdict: almost ? "almost" : "correct", distance, notes };
+}
+
+/**
+ * Evaluate an answer against the accepted answers of an exercise.
+ *
+ * @param {Array<String>} accepted - Accepted answers
+ * @param {String} answer
+ * @param {Object?} opts
+ * @param {String?} opts.language - Language of the answer, it selects the language rules
+ * @param {Boolean?} opts.ignoreDiacritics - Accept the missing diacritics, by the language rules by default
+ * @param {Boolean?} opts.requireArticle - A missing article is "almost", it's accepted by default
+ * @returns {Object} `{ verdict, correct, expected, distance, notes, diff }`, the `correct`
+ * 	is `true` unless it's "wrong", the `expected` is the closest accepted answer, the `diff`
+ * 	shows the differences of the answer to it
+ */
+function evaluateAnswer(accepted, answer, opts) {
+	const rules = getLanguageRules(opts && opts.language);
+	const options = Object.assign({ ignoreDiacritics: !!rules.ignoreDiacritics, requireArticle: false }, opts);
+	const actual = normalizeAnswer(answer);
+	const rank = { correct: 0, almost: 1, wrong: 2 };
+
+	let best = null;
+	accepted.forEach(original => {
+		expandAlternatives(original).forEach(variant => {
+			const expected = normalizeAnswer(variant);
+			const res = Object.assign({ expected }, compareAnswer(expected, actual, rules, options));
+			if (!best || rank[res.verdict] < rank[best.verdict] || (res.verdict == best.verdict && res.distance < best.distance)) {
+				best = res;
+			}
+		});
+	});
+
+	if (!best) {
+		return { verdict: "wrong", correct: false, expected: null, distance: null, notes: [], diff: [] };
+	}
+
+	return {
+		verdict: best.verdict,
+		correct: best.verdict != "wrong",
+		expected: best.expected,
+		distance: best.distance,
+		notes: best.notes,
+		diff: diffAnswer(best.expected, actual)
+	};
+}
+
+/**
+ * Check an answer against the accepted answers of an exercise.
+ *
+ * @param {Array<String>} accepted - Accepted answers
+ * @param {String} answer
+ * @param {Object?} opts - Options of `evaluateAnswer`
+ * @returns {Boolean}
+ */
+function isCorrectAnswer(accepted, answer, opts) {
+	return evaluateAnswer(accepted, answer, opts).correct;
+}
+
+module.exports = {
+	LANGUAGE_RULES,
+	registerLanguageRules,
+	evaluateAnswer,
+	isCorrectAnswer,
+	editDistance,
+	diffAnswer
+};
@@ -0,0 +1,73 @@
+"use strict";
+
+/**
+ * Calendar dates as `YYYY-MM-DD` strings. They're compared & sorted as
+ * strings, so they can be queried with `$lte` & co. on both adapters.
+ */
+
+const formatters = new Map();
+
+/**
+ * Get the calendar date of a time in a time zone.
+ *
+ * @param {Number} time - Timestamp in milliseconds
+ * @param {String?} timezone - IANA time zone, UTC by default
+ * @returns {String} `YYYY-MM-DD`
+ */
+function localDate(time, timezone) {
+	const zone = timezone || "UTC";
+	if (!formatters.has(zone)) {
+		// The "en-CA" locale formats the dates as `YYYY-MM-DD`
+		formatters.set(zone, new Intl.DateTimeFormat("en-CA", { timeZone: zone, year: "numeric", month: "2-digit", day: "2-digit" }));
+	}
+	return formatters.get(zone).format(new Date(time));
+}
+
+/**
+ * Add days to a calendar date.
+ *
+ * @param {String} date - `YYYY-MM-DD`
+ * @param {Number} days - Negative to subtract
+ * @returns {String} `YYYY-MM-DD`
+ */
+function addDays(date, days) {
+	const time = Date.parse(`${date}T00:00:00Z`) + days * 24 * 60 * 60 * 1000;
+	return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * Get the count of the days between two calendar dates.
+ *
+ * @param {String} from - `YYYY-MM-DD`
+ * @param {String} to - `YYYY-MM-DD`
+ * @returns {Number} Negative if `to` is earlier
+ */
+function daysBetween(from, to) {
+	return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Get the ISO 8601 week of a time in UTC. The weeks start on Monday,
+ * the first week of a year is the one with its first Thursday.
+ *
+ * @param {Number} time - Timestamp in milliseconds
+ * @returns {String} `YYYY-Www`, e.g. "2026-W02"
+ */
+function isoWeek(time) {
+	const date = new Date(time);
+	const day = date.getUTCDay() || 7;
+
+	// The year of the week is the year of its Thursday
+	const thursday = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 4 - day);
+	const year = new Date(thursday).getUTCFullYear();
+	const week = Math.floor((thursday - Date.UTC(year, 0, 1)) / (7 * 24 * 60 * 60 * 1000)) + 1;
+
+	return `${year}-W${String(week).padStart(2, "0")}`;
+}
+
+module.exports = {
+	localDate,
+	addDays,
+	daysBetween,
+	isoWeek
+};
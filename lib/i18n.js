@@ -0,0 +1,243 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Localization of the service messages & the errors by per-locale catalogs.
+ *
+ * The catalogs are the `locales/<locale>.json` files. Their nested keys are
+ * joined by dots, e.g. `errors.SESSION_CLOSED`. A message can have `{name}`
+ * placeholders, and plural forms by the `count` parameter:
+ *
+ * 	"items": { "one": "{count} item", "other": "{count} items" }
+ *
+ * The plural categories are selected by the CLDR rules of the locale,
+ * the missing ones fall back to "other".
+ *
+ * A message missing from a catalog is looked up by the fallback chain
+ * of the locale, e.g. "pt-BR" → "pt" → "en".
+ */
+
+const DEFAULT_LOCALE = "en";
+
+const CATALOGS_DIR = path.resolve(__dirname, "..", "locales");
+
+const PLURAL_CATEGORIES = ["zero", "one", "two", "few", "many", "other"];
+
+// Language with an optional region, the script subtags are skipped, e.g. "zh-Hant-TW" is "zh-TW"
+const LOCALE_TAG = /^([a-z]{2,3})(?:[-_][a-z]{4})?(?:[-_]([a-z]{2}))?$/i;
+
+/**
+ * Check a plural message.
+ *
+ * @param {any} value
+ * @returns {Boolean}
+ */
+function isPlural(value) {
+	return value != null && typeof value == "object"
+		&& value.other != null
+		&& Object.keys(value).every(key => PLURAL_CATEGORIES.includes(key));
+}
+
+/**
+ * Flatten the nested keys of a catalog.
+ *
+ * @param {Object} tree
+ * @param {String?} prefix
+ * @param {Object?} res
+ * @returns {Object} Messages by the dotted keys
+ */
+function flatten(tree, prefix = "", res = {}) {
+	Object.keys(tree).forEach(key => {
+		const value = tree[key];
+		if (typeof value == "string" || isPlural(value)) {
+			res[prefix + key] = value;
+		} else {
+			flatten(value, `${prefix}${key}.`, res);
+		}
+	});
+	return res;
+}
+
+/**
+ * Load the catalogs of a folder.
+ *
+ * @param {String} dir
+ * @returns {Object} Flattened catalogs by the locales
+ */
+function loadCatalogs(dir) {
+	const catalogs = {};
+	fs.readdirSync(dir)
+		.filter(file => file.endsWith(".json"))
+		.forEach(file => {
+			const locale = normalizeLocale(path.basename(file, ".json"));
+			if (locale) {
+				catalogs[locale] = flatten(JSON.parse(fs.readFileSync(path.join(dir, file), "utf8")));
+			}
+		});
+	return catalogs;
+}
+
+const CATALOGS = loadCatalogs(CATALOGS_DIR);
+
+/**
+ * Normalize a language tag, e.g. "pt_br" is "pt-BR".
+ *
+ * @param {String} tag
+ * @returns {String?} `null` if it's not a language tag
+ */
+function normalizeLocale(tag) {
+	const match = LOCALE_TAG.exec(String(tag || "").trim());
+	if (!match) return null;
+	return match[2] ? `${match[1].toLowerCase()}-${match[2].toUpperCase()}` : match[1].toLowerCase();
+}
+
+/**
+ * Get the fallback chain of a locale, ending with the default locale.
+ *
+ * @param {String?} locale - E.g. "pt-BR"
+ * @returns {Array<String>} E.g. `["pt-BR", "pt", "en"]`
+ */
+function fallbackChain(locale) {
+	const chain = languageChain(locale);
+	if (!chain.includes(DEFAULT_LOCALE)) chain.push(DEFAULT_LOCALE);
+	return chain;
+}
+
+/**
+ * Get a locale & its language.
+ *
+ * @param {String?} locale - E.g. "pt-BR"
+ * @returns {Array<String>} E.g. `["pt-BR", "pt"]`, empty for an invalid tag
+ */
+function languageChain(locale) {
+	const normalized = normalizeLocale(locale);
+	if (!normalized) return [];
+
+	const base = normalized.split("-")[0];
+	return base != normalized ? [normalized, base] : [normalized];
+}
+
+/**
+ * Parse an `Accept-Language` header. The languages rejected by `q=0` & the wildcard are skipped.
+ *
+ * @param {String?} header - E.g. "de-AT,de;q=0.9,en;q=0.5"
+ * @returns {Array<String>} Language tags in order of preference
+ */
+function parseAcceptLanguage(header) {
+	if (!header) return [];
+
+	return String(header).split(",")
+		.map((part, index) => {
+			const [tag, ...params] = part.trim().split(";");
+			const q = params.map(param => /^\s*q=([\d.]+)\s*$/.exec(param)).find(Boolean);
+			return { tag: tag.trim(), q: q ? Number(q[1]) : 1, index };
+		})
+		.filter(item => item.tag && item.tag != "*" && item.q > 0)
+		// Stable by the original order at the same quality
+		.sort((a, b) => b.q - a.q || a.index - b.index)
+		.map(item => item.tag);
+}
+
+/**
+ * Select the first supported locale of the candidates. A regional
+ * locale is supported by the catalog of its language, too.
+ *
+ * @param {Array<String?>} candidates - Language tags in order of preference
+ * @param {Object?} catalogs
+ * @returns {String?} The locale of the catalog, `null` if none of them is supported
+ */
+function matchLocale(candidates, catalogs = CATALOGS) {
+	for (const candidate of candidates) {
+		const locale = languageChain(candidate).find(item => catalogs[item]);
+		if (locale) return locale;
+	}
+	return null;
+}
+
+/**
+ * Select the first supported locale of the candidates, like `matchLocale`.
+ *
+ * @param {Array<String?>} candidates - Language tags in order of preference
+ * @param {Object?} catalogs
+ * @returns {String} The locale of the catalog, or the default locale
+ */
+function negotiateLocale(candidates, catalogs = CATALOGS) {
+	return matchLocale(candidates, catalogs) || DEFAULT_LOCALE;
+}
+
+/**
+ * Replace the `{name}` placeholders by the parameters. The lists are joined,
+ * the placeholders without parameter are kept.
+ *
+ * @param {String} message
+ * @param {Object} params
+ * @returns {String}
+ */
+function interpolate(message, params) {
+	return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+		const value = params[name];
+		if (value == null) return placeholder;
+		return Array.isArray(value) ? value.join(", ") : String(value);
+	});
+}
+
+/**
+ * Translate a message.
+ *
+ * @param {String?} locale
+ * @param {String} key - E.g. "greeter.hello"
+ * @param {Object?} params - Parameters of the placeholders, `count` selects the plural form
+ * @param {String?} fallback - Returned if the key is missing from every catalog of the chain. The key by default.
+ * @returns {String}
+ */
+function translate(locale, key, params = {}, fallback = key) {
+	for (const item of fallbackChain(locale)) {
+		const message = CATALOGS[item] && CATALOGS[item][key];
+		if (message == null) continue;
+
+		if (typeof message == "string") return interpolate(message, params);
+
+		const category = new Intl.PluralRules(item).select(Number(params.count) || 0);
+		return interpolate(message[category] || message.other, params);
+	}
+	return interpolate(fallback, params);
+}
+
+/**
+ * Translate the message of an error by its type (or its name if it has no type).
+ * The items of a validation error are translated by their validation rules.
+ * The untranslated messages are kept.
+ *
+ * @param {Error} err - It's changed
+ * @param {String?} locale
+ * @returns {Error}
+ */
+function localizeError(err, locale) {
+	const data = err.data;
+	if (err.type == "VALIDATION_ERROR" && Array.isArray(data)) {
+		data.forEach(item => {
+			const params = Object.assign({}, item, typeof item.expected == "number" ? { count: item.expected } : null);
+			item.message = translate(locale, `validation.${item.type}`, params, item.message);
+		});
+	}
+
+	const params = data != null && typeof data == "object" && !Array.isArray(data) ? data : {};
+	err.message = translate(locale, `errors.${err.type || err.name}`, params, err.message);
+	return err;
+}
+
+module.exports = {
+	DEFAULT_LOCALE,
+	CATALOGS,
+	PLURAL_CATEGORIES,
+	loadCatalogs,
+	normalizeLocale,
+	fallbackChain,
+	parseAcceptLanguage,
+	matchLocale,
+	negotiateLocale,
+	translate,
+	localizeError
+};
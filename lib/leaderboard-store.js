@@ -0,0 +1,283 @@
+"use strict";
+
+/**
+ * Stores of the leaderboards: scored members of sorted sets, plain sets
+ * & one-time claims, all of them with an optional TTL in seconds.
+ *
+ * The Redis store is shared by the replicas of the service. The memory
+ * store is for testing & for running without Redis, it's local to the node.
+ * The members of the same score are ordered like in Redis: in reverse
+ * lexicographical order.
+ */
+
+// Claim a key & increment a score in one step: KEYS = [set, claim], ARGV = [by, member, ttl, claimTTL]
+const INCREMENT_ONCE = `
+if not redis.call("SET", KEYS[2], "1", "EX", ARGV[4], "NX") then
+	return nil
+end
+local score = redis.call("ZINCRBY", KEYS[1], ARGV[1], ARGV[2])
+if tonumber(ARGV[3]) > 0 then
+	redis.call("EXPIRE", KEYS[1], ARGV[3])
+end
+return score
+`;
+
+/**
+ * Sorted sets in Redis.
+ */
+class RedisStore {
+	/**
+	 * @param {String} uri - Redis connection URI, e.g. "redis://localhost:6379"
+	 * @param {Object?} opts - ioredis options
+	 */
+	constructor(uri, opts) {
+		const Redis = require("ioredis");
+		this.client = new Redis(uri, opts);
+	}
+
+	/**
+	 * Increment the score of a member of a sorted set.
+	 *
+	 * @param {String} key
+	 * @param {String} member
+	 * @param {Number} by
+	 * @param {Number?} ttl - Seconds, the TTL of the set is renewed
+	 * @returns {Promise<Number>} The new score
+	 */
+	async increment(key, member, by, ttl) {
+		const multi = this.client.multi().zincrby(key, by, member);
+		if (ttl) multi.expire(key, ttl);
+
+		const [[err, score]] = await multi.exec();
+		if (err) throw err;
+		return Number(score);
+	}
+
+	/**
+	 * Increment the score of a member of a sorted set only once by a claim.
+	 * The claim & the increment are atomic, so a failed increment can be repeated.
+	 *
+	 * @param {String} key
+	 * @param {String} member
+	 * @param {Number} by
+	 * @param {Number?} ttl - Seconds, the TTL of the set is renewed
+	 * @param {String} claimKey
+	 * @param {Number} claimTTL - Seconds
+	 * @returns {Promise<Number?>} The new score, `null` if it's already claimed
+	 */
+	async incrementOnce(key, member, by, ttl, claimKey, claimTTL) {
+		const score = await this.client.eval(INCREMENT_ONCE, 2, key, claimKey, by, member, ttl || 0, claimTTL);
+		return score == null ? null : Number(score);
+	}
+
+	/**
+	 * Get the members of a sorted set by descending score.
+	 *
+	 * @param {String} key
+	 * @param {Number} start - 0-based index
+	 * @param {Number} stop - Inclusive index, -1 for the last one
+	 * @returns {Promise<Array<Object>>} `{ member, score }` items
+	 */
+	async range(key, start, stop) {
+		const res = await this.client.zrevrange(key, start, stop, "WITHSCORES");
+		const rows = [];
+		for (let i = 0; i < res.length; i += 2) {
+			rows.push({ member: res[i], score: Number(res[i + 1]) });
+		}
+		return rows;
+	}
+
+	/**
+	 * Get the 0-based rank of a member by descending score.
+	 *
+	 * @param {String} key
+	 * @param {String} member
+	 * @returns {Promise<Object?>} `{ rank, score }`, `null` if it isn't a member
+	 */
+	async rank(key, member) {
+		const [[err, rank], [err2, score]] = await this.client.pipeline().zrevrank(key, member).zscore(key, member).exec();
+		if (err || err2) throw err || err2;
+		return rank == null ? null : { rank, score: Number(score) };
+	}
+
+	/**
+	 * Get the scores of members, `null` for the missing ones.
+	 *
+	 * @param {String} key
+	 * @param {Array<String>} members
+	 * @returns {Promise<Array<Number?>>}
+	 */
+	async scores(key, members) {
+		if (members.length == 0) return [];
+
+		const pipeline = this.client.pipeline();
+		members.forEach(member => pipeline.zscore(key, member));
+		const res = await pipeline.exec();
+		return res.map(([err, score]) => {
+			if (err) throw err;
+			return score == null ? null : Number(score);
+		});
+	}
+
+	/**
+	 * Add a member to a set.
+	 *
+	 * @param {String} key
+	 * @param {String} member
+	 * @param {Number?} ttl - Seconds, the TTL of the set is renewed
+	 */
+	async addMember(key, member, ttl) {
+		const multi = this.client.multi().sadd(key, member);
+		if (ttl) multi.expire(key, ttl);
+		await multi.exec();
+	}
+
+	/**
+	 * Get the members of a set.
+	 *
+	 * @param {String} key
+	 * @returns {Promise<Array<String>>}
+	 */
+	async members(key) {
+		return this.client.smembers(key);
+	}
+
+	/**
+	 * Claim a key once until it expires, e.g. to do a job only on one node.
+	 *
+	 * @param {String} key
+	 * @param {Number} ttl - Seconds
+	 * @returns {Promise<Boolean>} `false` if it's already claimed
+	 */
+	async claim(key, ttl) {
+		return (await this.client.set(key, "1", "EX", ttl, "NX")) == "OK";
+	}
+
+	/**
+	 * Release a claim, e.g. to retry the failed job.
+	 *
+	 * @param {String} key
+	 */
+	async release(key) {
+		await this.client.del(key);
+	}
+
+	async close() {
+		await this.client.quit();
+	}
+}
+
+/**
+ * Sorted sets in the memory of the node, with the methods of `RedisStore`.
+ */
+class MemoryStore {
+	constructor() {
+		this.keys = new Map();
+	}
+
+	async increment(key, member, by, ttl) {
+		const entries = this.touch(key, () => new Map(), ttl);
+		const score = (entries.get(member) || 0) + by;
+		entries.set(member, score);
+		return score;
+	}
+
+	async incrementOnce(key, member, by, ttl, claimKey, claimTTL) {
+		if (!await this.claim(claimKey, claimTTL)) return null;
+		return this.increment(key, member, by, ttl);
+	}
+
+	async range(key, start, stop) {
+		return this.sorted(key).slice(start, stop < 0 ? undefined : stop + 1);
+	}
+
+	async rank(key, member) {
+		const rank = this.sorted(key).findIndex(row => row.member == member);
+		return rank == -1 ? null : { rank, score: this.get(key).get(member) };
+	}
+
+	async scores(key, members) {
+		const entries = this.get(key) || new Map();
+		return members.map(member => entries.has(member) ? entries.get(member) : null);
+	}
+
+	async addMember(key, member, ttl) {
+		this.touch(key, () => new Set(), ttl).add(member);
+	}
+
+	async members(key) {
+		return Array.from(this.get(key) || []);
+	}
+
+	async claim(key, ttl) {
+		if (this.get(key)) return false;
+		this.touch(key, () => true, ttl);
+		return true;
+	}
+
+	async release(key) {
+		this.keys.delete(key);
+	}
+
+	async close() {
+		this.keys.clear();
+	}
+
+	/**
+	 * Get the value of a key unless it's expired.
+	 *
+	 * @param {String} key
+	 * @returns {any}
+	 */
+	get(key) {
+		const item = this.keys.get(key);
+		if (!item) return null;
+		if (item.expiresAt != null && item.expiresAt <= Date.now()) {
+			this.keys.delete(key);
+			return null;
+		}
+		return item.value;
+	}
+
+	/**
+	 * Get the value of a key, created if it's missing. The TTL is renewed.
+	 *
+	 * @param {String} key
+	 * @param {Function} create
+	 * @param {Number?} ttl - Seconds
+	 * @returns {any}
+	 */
+	touch(key, create, ttl) {
+		let value = this.get(key);
+		if (value == null) value = create();
+		this.keys.set(key, { value, expiresAt: ttl ? Date.now() + ttl * 1000 : null });
+		return value;
+	}
+
+	/**
+	 * Get the members of a sorted set by descending score.
+	 *
+	 * @param {String} key
+	 * @returns {Array<Object>} `{ member, score }` items
+	 */
+	sorted(key) {
+		return Array.from(this.get(key) || [], ([member, score]) => ({ member, score }))
+			.sort((a, b) => b.score - a.score || (a.member < b.member ? 1 : a.member > b.member ? -1 : 0));
+	}
+}
+
+/**
+ * Create the store of the leaderboards, the memory store without Redis URI.
+ *
+ * @param {String?} uri - Redis connection URI
+ * @returns {RedisStore|MemoryStore}
+ */
+function createStore(uri) {
+	return uri ? new RedisStore(uri) : new MemoryStore();
+}
+
+module.exports = {
+	RedisStore,
+	MemoryStore,
+	createStore
+};
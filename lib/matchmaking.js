@@ -0,0 +1,172 @@
+"use strict";
+
+/**
+ * Matchmaking of the duels & the rules of a duel.
+ *
+ * The waiting learners are paired by their skill ratings. The acceptable rating
+ * gap of a learner widens by their waiting time, so a learner without a close
+ * opponent is matched eventually, too.
+ *
+ * The players of a duel answer the same questions by the same schedule:
+ * question `i` has to be answered until `startsAt + (i + 1) * timeLimit`.
+ * Every time is a server timestamp, the clocks of the clients don't count.
+ *
+ * A duel is won by more correct answers, the ties are broken by the earlier
+ * finish. A player who misses several deadlines in a row is disconnected &
+ * loses, as a player who forfeits.
+ */
+
+const DEFAULTS = {
+	// Acceptable rating gap of a new ticket
+	initialGap: 100,
+
+	// Widening of the gap by the waiting time, per second
+	gapPerSecond: 10,
+
+	// Max rating gap
+	maxGap: 800,
+
+	// Count of the missed deadlines in a row of a disconnected player
+	maxMissed: 3
+};
+
+/**
+ * Get the acceptable rating gap of a ticket.
+ *
+ * @param {Object} ticket - `{ queuedAt }`
+ * @param {Number} now
+ * @param {Object?} opts - See `DEFAULTS`
+ * @returns {Number}
+ */
+function ratingGap(ticket, now, opts) {
+	const { initialGap, gapPerSecond, maxGap } = Object.assign({}, DEFAULTS, opts);
+	const waited = Math.max(0, now - ticket.queuedAt) / 1000;
+	return Math.min(maxGap, initialGap + gapPerSecond * waited);
+}
+
+/**
+ * Find the opponent of a ticket. A pair is acceptable by the wider gap of the two,
+ * so the long waiting learner widens the gap for the new ones too. The closest
+ * rating is chosen, the ties by the longer waiting.
+ *
+ * @param {Object} ticket - `{ user, rating, queuedAt }`
+ * @param {Array<Object>} candidates - Waiting tickets of the same language & skill
+ * @param {Number} now
+ * @param {Object?} opts - See `DEFAULTS`
+ * @returns {Object?} The ticket of the opponent
+ */
+function findOpponent(ticket, candidates, now, opts) {
+	const gap = ratingGap(ticket, now, opts);
+	const distance = candidate => Math.abs(candidate.rating - ticket.rating);
+
+	return candidates
+		.filter(candidate => candidate.user != ticket.user)
+		.filter(candidate => distance(candidate) <= Math.max(gap, ratingGap(candidate, now, opts)))
+		.sort((a, b) => distance(a) - distance(b) || a.queuedAt - b.queuedAt)[0] || null;
+}
+
+/**
+ * Get the deadline of a question of a duel.
+ *
+ * @param {Object} duel - `{ startsAt, timeLimit }`
+ * @param {Number} question - Index of the question
+ * @returns {Number} Timestamp
+ */
+function deadlineOf(duel, question) {
+	return duel.startsAt + (question + 1) * duel.timeLimit * 1000;
+}
+
+/**
+ * Get the count of the questions whose deadlines have passed.
+ *
+ * @param {Object} duel
+ * @param {Number} now
+ * @returns {Number}
+ */
+function closedQuestions(duel, now) {
+	const count = Math.floor((now - duel.startsAt) / (duel.timeLimit * 1000));
+	return Math.max(0, Math.min(duel.questions.length, count));
+}
+
+/**
+ * Check that a player is disconnected: they've missed the deadlines
+ * of `maxMissed` questions in a row before the end of the duel.
+ *
+ * @param {Object} duel
+ * @param {Object} player - `{ status, current }`
+ * @param {Number} now
+ * @param {Object?} opts - See `DEFAULTS`
+ * @returns {Boolean}
+ */
+function isDisconnected(duel, player, now, opts) {
+	const { maxMissed } = Object.assign({}, DEFAULTS, opts);
+	const closed = closedQuestions(duel, now);
+	return player.status == "playing" && closed < duel.questions.length && closed - player.current >= maxMissed;
+}
+
+/**
+ * Compare the results of the players. The finish time of a player who
+ * hasn't answered every question is the end of the duel.
+ *
+ * @param {Object} duel
+ * @param {Object} a - Player
+ * @param {Object} b - Player
+ * @returns {Number} Negative if `a` is better, zero at a draw
+ */
+function compareResults(duel, a, b) {
+	const end = deadlineOf(duel, duel.questions.length - 1);
+	return b.correctCount - a.correctCount || (a.finishedAt || end) - (b.finishedAt || end);
+}
+
+/**
+ * Decide the result of a duel if it's over.
+ *
+ * @param {Object} duel - `{ status, startsAt, timeLimit, questions, players }`
+ * @param {Number} now
+ * @param {Object?} opts - See `DEFAULTS`
+ * @returns {Object?} `{ winner, outcome, players }` with the final statuses of the players, `null` if the duel goes on.
+ * 	The outcome is "score", "time", "draw", "forfeit", "disconnect" or "abandoned".
+ */
+function settle(duel, now, opts) {
+	if (duel.status != "active") return null;
+
+	const players = duel.players;
+	const statuses = players.map(player => isDisconnected(duel, player, now, opts) ? "disconnected" : player.status);
+	// The players still playing at the end are finished
+	const result = (winner, outcome) => ({
+		winner: winner ? winner.user : null,
+		outcome,
+		players: statuses.map(status => status == "playing" ? "finished" : status)
+	});
+
+	const forfeited = statuses.indexOf("forfeited");
+	if (forfeited >= 0) {
+		return result(players[1 - forfeited], "forfeit");
+	}
+
+	const over = now > deadlineOf(duel, duel.questions.length - 1) || statuses.every(status => status == "finished");
+	if (over) {
+		const order = compareResults(duel, players[0], players[1]);
+		if (order == 0) return result(null, "draw");
+
+		const winner = order < 0 ? players[0] : players[1];
+		const loser = order < 0 ? players[1] : players[0];
+		return result(winner, winner.correctCount != loser.correctCount ? "score" : "time");
+	}
+
+	const disconnected = statuses.filter(status => status == "disconnected").length;
+	if (disconnected == players.length) return result(null, "abandoned");
+	if (disconnected > 0) {
+		return result(players[statuses.indexOf("disconnected") == 0 ? 1 : 0], "disconnect");
+	}
+	return null;
+}
+
+module.exports = {
+	DEFAULTS,
+	ratingGap,
+	findOpponent,
+	deadlineOf,
+	isDisconnected,
+	settle
+};
@@ -0,0 +1,107 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { pipeline } = require("stream");
+const { promisify } = require("util");
+
+/**
+ * Storages of the media files by their keys.
+ *
+ * A storage has the `write(key, ...streams)`, `read(key, range)`, `remove(key)`
+ * & `close()` methods. The local storage keeps the files in a folder of the
+ * node, so it's for a single node or a shared volume. An S3-compatible
+ * storage can be added by the same interface.
+ */
+
+/**
+ * Files in a local folder.
+ */
+class LocalStorage {
+	/**
+	 * @param {String} dir - Folder of the files
+	 */
+	constructor(dir) {
+		this.dir = dir;
+	}
+
+	/**
+	 * Get the path of a file. The files are sharded by
+	 * the first characters of their keys.
+	 *
+	 * @param {String} key
+	 * @returns {String}
+	 */
+	filePath(key) {
+		return path.join(this.dir, key.slice(0, 2), key);
+	}
+
+	/**
+	 * Write a file from a stream. The file is written to a temporary file first,
+	 * so a failed upload doesn't leave a partial file. The streams are piped
+	 * only when the file is ready, so an early error of a transform (e.g. a too
+	 * large file) fails the same pipeline.
+	 *
+	 * @param {String} key
+	 * @param {...Stream} streams - The source & the transforms of the content
+	 * @returns {Promise<void>}
+	 */
+	async write(key, ...streams) {
+		const file = this.filePath(key);
+		const temp = `${file}.part`;
+		await fs.promises.mkdir(path.dirname(file), { recursive: true });
+
+		try {
+			await promisify(pipeline)(...streams, fs.createWriteStream(temp));
+			await fs.promises.rename(temp, file);
+		} catch(err) {
+			await fs.promises.unlink(temp).catch(() => {});
+			throw err;
+		}
+	}
+
+	/**
+	 * Read a file or a part of it.
+	 *
+	 * @param {String} key
+	 * @param {Object?} range - `{ start, end }` inclusive positions
+	 * @returns {ReadableStream}
+	 */
+	read(key, range) {
+		return fs.createReadStream(this.filePath(key), range || {});
+	}
+
+	/**
+	 * Remove a file. A missing file is skipped.
+	 *
+	 * @param {String} key
+	 * @returns {Promise<void>}
+	 */
+	async remove(key) {
+		await fs.promises.unlink(this.filePath(key)).catch(err => {
+			if (err.code != "ENOENT") throw err;
+		});
+	}
+
+	async close() {}
+}
+
+/**
+ * Create the storage of the media files.
+ *
+ * @param {Object} opts
+ * @param {String} opts.type - "local"
+ * @param {String} opts.dir - Folder of the local storage
+ * @returns {LocalStorage}
+ */
+function createStorage(opts) {
+	switch (opts.type) {
+		case "local": return new LocalStorage(opts.dir);
+		default: throw new Error(`Unknown media storage type '${opts.type}'!`);
+	}
+}
+
+module.exports = {
+	LocalStorage,
+	createStorage
+};
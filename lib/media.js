@@ -0,0 +1,173 @@
+"use strict";
+
+const crypto = require("crypto");
+const { Transform } = require("stream");
+const { MoleculerClientError } = require("moleculer").Errors;
+
+/**
+ * Validation of the uploaded media files & the byte ranges of the downloads.
+ *
+ * The type of a file is detected by its signature ("magic bytes"), the content
+ * type declared by the client is only checked against it. So a renamed
+ * executable can't be served as a picture.
+ */
+
+// Bytes of the head of a file needed to detect its type
+const HEAD_SIZE = 12;
+
+// Signatures of the supported types
+const SIGNATURES = [
+	{ type: "image/png", test: head => head.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) },
+	{ type: "image/jpeg", test: head => head[0] == 0xFF && head[1] == 0xD8 && head[2] == 0xFF },
+	{ type: "image/gif", test: head => ["GIF87a", "GIF89a"].includes(head.toString("latin1", 0, 6)) },
+	{ type: "image/webp", test: head => head.toString("latin1", 0, 4) == "RIFF" && head.toString("latin1", 8, 12) == "WEBP" },
+	{ type: "audio/wav", test: head => head.toString("latin1", 0, 4) == "RIFF" && head.toString("latin1", 8, 12) == "WAVE" },
+	{ type: "audio/ogg", test: head => head.toString("latin1", 0, 4) == "OggS" },
+	{ type: "audio/flac", test: head => head.toString("latin1", 0, 4) == "fLaC" },
+	{ type: "audio/webm", test: head => head.slice(0, 4).equals(Buffer.from([0x1A, 0x45, 0xDF, 0xA3])) },
+	{ type: "audio/mp4", test: head => head.toString("latin1", 4, 8) == "ftyp" },
+	// ID3 tag or the sync word of an MPEG audio frame
+	{ type: "audio/mpeg", test: head => head.toString("latin1", 0, 3) == "ID3" || (head[0] == 0xFF && (head[1] & 0xE0) == 0xE0) }
+];
+
+/**
+ * Detect the type of a file by its head.
+ *
+ * @param {Buffer} head - The first bytes of the file
+ * @returns {String?} MIME type, `null` if it's unknown
+ */
+function detectType(head) {
+	const signature = SIGNATURES.find(item => item.test(head));
+	return signature ? signature.type : null;
+}
+
+/**
+ * Get the kind of a MIME type.
+ *
+ * @param {String?} type - E.g. "audio/mpeg; codecs=mp3"
+ * @returns {String?} E.g. "audio"
+ */
+function kindOf(type) {
+	return type ? type.split(";")[0].trim().split("/")[0].toLowerCase() : null;
+}
+
+/**
+ * Pass-through stream of an upload. It detects the type of the file, checks the
+ * size limit of its kind & calculates the checksum. The stream fails if the type
+ * isn't allowed or the file is too large, the result is read after its end.
+ */
+class MediaInspector extends Transform {
+	/**
+	 * @param {Object} opts
+	 * @param {Object} opts.types - Allowed MIME types by their kinds, e.g. `{ "audio/mpeg": "audio" }`
+	 * @param {Object} opts.maxSize - Max sizes by the kinds in bytes, e.g. `{ audio: 10485760 }`
+	 * @param {String?} opts.declared - Content type declared by the client
+	 */
+	constructor(opts) {
+		super();
+		this.opts = opts;
+		this.head = Buffer.alloc(0);
+		this.hash = crypto.createHash("sha256");
+		this.size = 0;
+		this.type = null;
+		this.kind = null;
+	}
+
+	_transform(chunk, encoding, done) {
+		this.size += chunk.length;
+		this.hash.update(chunk);
+
+		if (!this.type) {
+			this.head = Buffer.concat([this.head, chunk]).slice(0, HEAD_SIZE);
+			if (this.head.length >= HEAD_SIZE) {
+				const err = this.detect();
+				if (err) return done(err);
+			}
+		}
+
+		const err = this.checkSize();
+		if (err) return done(err);
+		done(null, chunk);
+	}
+
+	_flush(done) {
+		done(this.type ? null : this.detect());
+	}
+
+	/**
+	 * Detect the type by the head & check it.
+	 *
+	 * @returns {Error?}
+	 */
+	detect() {
+		const type = detectType(this.head);
+		const declared = kindOf(this.opts.declared);
+		const kind = type ? this.opts.types[type] : null;
+
+		// A generic declared type is accepted, the content decides
+		if (!kind || (declared && declared != "application" && declared != kind)) {
+			return new MoleculerClientError("Unsupported media type!", 415, "UNSUPPORTED_MEDIA_TYPE", { type: type || this.opts.declared || null });
+		}
+		this.type = type;
+		this.kind = kind;
+		return null;
+	}
+
+	/**
+	 * Check the size limit, the largest one until the kind is detected.
+	 *
+	 * @returns {Error?}
+	 */
+	checkSize() {
+		const maxSize = this.kind ? this.opts.maxSize[this.kind] : Math.max(...Object.values(this.opts.maxSize));
+		if (this.size > maxSize) {
+			return new MoleculerClientError("The file is too large!", 413, "MEDIA_TOO_LARGE", { maxSize });
+		}
+		return null;
+	}
+
+	/**
+	 * Get the result of the inspection after the end of the stream.
+	 *
+	 * @returns {Object} `{ mimeType, kind, size, checksum }`, the checksum is a hex SHA-256 hash
+	 */
+	result() {
+		return { mimeType: this.type, kind: this.kind, size: this.size, checksum: this.hash.digest("hex") };
+	}
+}
+
+/**
+ * Parse the `Range` header of a download. Only a single byte range is supported,
+ * the whole file is sent for the others, as it's allowed by RFC 7233.
+ *
+ * @param {String?} header - E.g. "bytes=0-1023", "bytes=1024-" or "bytes=-512"
+ * @param {Number} size - Size of the file
+ * @returns {Object?} `{ start, end }` inclusive positions, `null` for the whole file
+ * @throws {MoleculerClientError} 416 if the range is out of the file
+ */
+function parseRange(header, size) {
+	const match = /^bytes=(\d*)-(\d*)$/.exec((header || "").trim());
+	if (!match || (match[1] == "" && match[2] == "")) return null;
+
+	let start, end;
+	if (match[1] == "") {
+		// Suffix range: the last bytes
+		start = Math.max(0, size - Number(match[2]));
+		end = size - 1;
+	} else {
+		start = Number(match[1]);
+		end = match[2] == "" ? size - 1 : Math.min(Number(match[2]), size - 1);
+	}
+
+	if (start > end || start >= size) {
+		throw new MoleculerClientError("The range is not satisfiable!", 416, "RANGE_NOT_SATISFIABLE", { size });
+	}
+	return { start, end };
+}
+
+module.exports = {
+	detectType,
+	kindOf,
+	MediaInspector,
+	parseRange
+};
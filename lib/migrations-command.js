@@ -0,0 +1,53 @@
+"use strict";
+
+/**
+ * REPL command to list, apply or roll back the DB migrations of a service.
+ *
+ * Usage:
+ *  mol $ migrations products
+ *  mol $ migrations products migrate --to 2
+ *  mol $ migrations products rollback
+ */
+module.exports = {
+	command: "migrations <service> [command]",
+	description: "List (default), apply ('migrate') or roll back ('rollback') the DB migrations of a service",
+	options: [
+		{ option: "--to <version>", description: "Target version of 'migrate' & 'rollback'" }
+	],
+	async action(broker, args, { table, kleur }) {
+		const service = args.service;
+		const command = args.command || "list";
+		const params = args.options.to != null ? { to: Number(args.options.to) } : {};
+
+		try {
+			if (command == "list") {
+				const list = await broker.call(`${service}.migrations`);
+				if (list.length == 0) {
+					console.log(kleur.yellow(`The '${service}' service has no migrations.`));
+					return;
+				}
+				const rows = list.map(item => [
+					item.version,
+					item.name,
+					item.status == "applied" ? kleur.green(item.status) : kleur.yellow(item.status),
+					item.appliedAt ? new Date(item.appliedAt).toISOString() : ""
+				]);
+				console.log(table([[kleur.bold("Version"), kleur.bold("Name"), kleur.bold("Status"), kleur.bold("Applied at")]].concat(rows)));
+
+			} else if (command == "migrate" || command == "rollback") {
+				const action = command == "migrate" ? "migrate" : "rollbackMigrations";
+				const names = await broker.call(`${service}.${action}`, params);
+				if (names.length == 0) {
+					console.log(kleur.yellow("Nothing to do."));
+				} else {
+					names.forEach(name => console.log(kleur.green(`${command == "migrate" ? "Applied" : "Rolled back"}: ${name}`)));
+				}
+
+			} else {
+				console.log(kleur.red(`Unknown command '${command}'. Use 'list', 'migrate' or 'rollback'.`));
+			}
+		} catch(err) {
+			console.error(kleur.red(err.message));
+		}
+	}
+};
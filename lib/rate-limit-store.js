@@ -0,0 +1,123 @@
+"use strict";
+
+/**
+ * Stores of the rate limit counters. The requests are counted in fixed
+ * windows: the counter of a key is reset at the end of every window.
+ *
+ * The Redis store is shared by the replicas of the gateway. The memory
+ * store is for testing & for running without Redis, it's local to the node.
+ * The Redis store falls back to the memory store while Redis is unavailable,
+ * so an outage of Redis doesn't take down the API.
+ */
+
+/**
+ * Get the end of the window of a time.
+ *
+ * @param {Number} now
+ * @param {Number} window - Milliseconds
+ * @returns {Number} Timestamp
+ */
+function windowEnd(now, window) {
+	return (Math.floor(now / window) + 1) * window;
+}
+
+/**
+ * Counters in Redis.
+ */
+class RedisStore {
+	/**
+	 * @param {String} uri - Redis connection URI, e.g. "redis://localhost:6379"
+	 * @param {Object?} opts - ioredis options
+	 */
+	constructor(uri, opts) {
+		const Redis = require("ioredis");
+		// The commands fail instead of waiting for the reconnection
+		this.client = new Redis(uri, Object.assign({ enableOfflineQueue: false, maxRetriesPerRequest: 1 }, opts));
+		this.fallback = new MemoryStore();
+	}
+
+	/**
+	 * Count a request.
+	 *
+	 * @param {String} key
+	 * @param {Number} window - Milliseconds
+	 * @returns {Promise<Object>} `{ count, reset }`, the count in the window & the end of the window
+	 */
+	async hit(key, window) {
+		const reset = windowEnd(Date.now(), window);
+		const windowKey = `${key}:${reset}`;
+
+		try {
+			const [[err, count]] = await this.client.multi().incr(windowKey).pexpireat(windowKey, reset).exec();
+			if (err) throw err;
+			return { count, reset };
+		} catch(err) {
+			return this.fallback.hit(key, window);
+		}
+	}
+
+	async close() {
+		await this.client.quit();
+	}
+}
+
+/**
+ * Counters in memory.
+ */
+class MemoryStore {
+	constructor() {
+		// Counters by the keys: `{ count, reset }`
+		this.counters = new Map();
+	}
+
+	/**
+	 * Count a request.
+	 *
+	 * @param {String} key
+	 * @param {Number} window - Milliseconds
+	 * @returns {Promise<Object>} `{ count, reset }`
+	 */
+	async hit(key, window) {
+		const now = Date.now();
+		this.prune(now);
+
+		let counter = this.counters.get(key);
+		if (!counter || counter.reset <= now) {
+			counter = { count: 0, reset: windowEnd(now, window) };
+			this.counters.set(key, counter);
+		}
+		counter.count++;
+		return { count: counter.count, reset: counter.reset };
+	}
+
+	/**
+	 * Remove the counters of the ended windows, at most once a second.
+	 *
+	 * @param {Number} now
+	 */
+	prune(now) {
+		if (this.prunedAt && now - this.prunedAt < 1000) return;
+		this.prunedAt = now;
+		this.counters.forEach((counter, key) => {
+			if (counter.reset <= now) this.counters.delete(key);
+		});
+	}
+
+	async close() {}
+}
+
+/**
+ * Create the store of the counters, the memory store without Redis URI.
+ *
+ * @param {String?} uri - Redis connection URI
+ * @returns {RedisStore|MemoryStore}
+ */
+function createStore(uri) {
+	return uri ? new RedisStore(uri) : new MemoryStore();
+}
+
+module.exports = {
+	RedisStore,
+	MemoryStore,
+	createStore
+};
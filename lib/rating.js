@@ -0,0 +1,78 @@
+"use strict";
+
+/**
+ * Skill ratings of the learners & the exercise items by the Glicko rating system.
+ * An answer is a game between the learner and the item: the learner wins by
+ * a correct answer, the item wins by a wrong one. The update is a pure function
+ * of the ratings & the score, so the same answers always give the same ratings.
+ *
+ * A rating is `{ rating, deviation }`. The deviation is the uncertainty of the
+ * rating, a new player starts with a high one, so its rating moves fast first.
+ *
+ * @see http://www.glicko.net/glicko/glicko.pdf
+ */
+
+const Q = Math.log(10) / 400;
+
+const DEFAULTS = {
+	// Rating of an unknown player
+	rating: 1500,
+
+	// Deviation of an unknown player, it's the max deviation too
+	deviation: 350,
+
+	// Min deviation. It's kept above zero, so the ratings can follow the changing skills.
+	minDeviation: 50
+};
+
+/**
+ * Weight of an opponent by its deviation. An uncertain rating counts less.
+ *
+ * @param {Number} deviation
+ * @returns {Number}
+ */
+function weight(deviation) {
+	return 1 / Math.sqrt(1 + 3 * Q * Q * deviation * deviation / (Math.PI * Math.PI));
+}
+
+/**
+ * Expected score of a player against an opponent, i.e. the predicted
+ * probability of a correct answer if the player is a learner & the opponent an item.
+ *
+ * @param {Object} player - `{ rating, deviation }`
+ * @param {Object} opponent - `{ rating, deviation }`
+ * @returns {Number} Between 0 & 1
+ */
+function expectedScore(player, opponent) {
+	return 1 / (1 + Math.pow(10, -weight(opponent.deviation) * (player.rating - opponent.rating) / 400));
+}
+
+/**
+ * Rate a player after a game.
+ *
+ * @param {Object} player - `{ rating, deviation }`
+ * @param {Object} opponent - `{ rating, deviation }`
+ * @param {Number} score - Score of the player between 0 (lost) & 1 (won)
+ * @param {Object?} opts
+ * @param {Number?} opts.minDeviation
+ * @returns {Object} The new `{ rating, deviation }` of the player
+ */
+function rate(player, opponent, score, opts) {
+	const { minDeviation } = Object.assign({}, DEFAULTS, opts);
+
+	const g = weight(opponent.deviation);
+	const expected = expectedScore(player, opponent);
+	const d2 = 1 / (Q * Q * g * g * expected * (1 - expected));
+	const precision = 1 / (player.deviation * player.deviation) + 1 / d2;
+
+	return {
+		rating: player.rating + Q / precision * g * (score - expected),
+		deviation: Math.max(Math.sqrt(1 / precision), minDeviation)
+	};
+}
+
+module.exports = {
+	DEFAULTS,
+	expectedScore,
+	rate
+};
@@ -0,0 +1,66 @@
+"use strict";
+
+/**
+ * Spaced repetition scheduling by the SuperMemo 2 algorithm.
+ *
+ * A card is `{ repetitions, interval, ease, lapses }`: the count of the
+ * successful reviews in a row, the days until the next review, the growth
+ * factor of the interval and the count of the forgotten reviews.
+ * The recall grades are 0-5, a grade below 3 means the card is forgotten.
+ *
+ * @see https://www.supermemo.com/en/archives1990-2015/english/ol/sm2
+ */
+
+const DEFAULTS = {
+	// Ease of a new card
+	ease: 2.5,
+
+	// Min ease, a harder card would be shown too often
+	minEase: 1.3,
+
+	// Min grade of a successful recall
+	passingGrade: 3
+};
+
+/**
+ * Create the state of a new card.
+ *
+ * @returns {Object}
+ */
+function createCard() {
+	return { repetitions: 0, interval: 0, ease: DEFAULTS.ease, lapses: 0 };
+}
+
+/**
+ * Schedule a card by a recall grade.
+ *
+ * @param {Object} card - `{ repetitions, interval, ease, lapses }`
+ * @param {Number} grade - Recall grade 0-5
+ * @returns {Object} The new state of the card, `interval` is the days until the next review
+ */
+function schedule(card, grade) {
+	// The ease is changed by every review, the perfect recalls make the card easier
+	const ease = Math.max(DEFAULTS.minEase, card.ease + 0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02));
+
+	if (grade < DEFAULTS.passingGrade) {
+		// Forgotten, it's learned again from the beginning
+		return { repetitions: 0, interval: 1, ease, lapses: card.lapses + 1 };
+	}
+
+	let interval;
+	if (card.repetitions == 0) {
+		interval = 1;
+	} else if (card.repetitions == 1) {
+		interval = 6;
+	} else {
+		interval = Math.round(card.interval * card.ease);
+	}
+
+	return { repetitions: card.repetitions + 1, interval, ease, lapses: card.lapses };
+}
+
+module.exports = {
+	DEFAULTS,
+	createCard,
+	schedule
+};
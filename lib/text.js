@@ -0,0 +1,35 @@
+"use strict";
+
+/**
+ * Normalize a text for case- & accent-insensitive matching:
+ * decomposes the characters, strips the combining marks,
+ * lower-cases it and collapses the whitespaces.
+ *
+ * @param {String} text
+ * @returns {String}
+ */
+function normalizeText(text) {
+	if (text == null) return "";
+
+	return String(text)
+		.normalize("NFKD")
+		.replace(/\p{M}/gu, "")
+		.toLowerCase()
+		.replace(/\s+/g, " ")
+		.trim();
+}
+
+/**
+ * Escape the special characters of a regular expression.
+ *
+ * @param {String} text
+ * @returns {String}
+ */
+function escapeRegExp(text) {
+	return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+module.exports = {
+	normalizeText,
+	escapeRegExp
+};
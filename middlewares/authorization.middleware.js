@@ -0,0 +1,57 @@
+"use strict";
+
+const { checkAccess } = require("../lib/access-control");
+
+/**
+ * @typedef {import('moleculer').Context} Context Moleculer's Context
+ * @typedef {import('moleculer').Service} Service Moleculer's Service
+ */
+
+/**
+ * Enforce the `roles`, `permissions` & `owner` rules of the actions for every call,
+ * not only for the ones coming through the API gateway.
+ *
+ * The calls are made on behalf of `ctx.meta.user`. The gateway always sets it
+ * (`null` for anonymous requests), so a call without `user` in the meta is an
+ * internal call of a service (e.g. from an event handler or a timer) and it is trusted.
+ */
+module.exports = {
+	name: "Authorization",
+
+	/**
+	 * The cacher middleware wraps this one, so a cached response would skip
+	 * the check. Put the user into the cache key of the protected actions
+	 * to never share their cached responses between users.
+	 *
+	 * @param {Service} service
+	 * @param {Object} schema
+	 */
+	serviceCreating(service, schema) {
+		Object.keys(schema.actions || {}).forEach(name => {
+			const action = schema.actions[name];
+			if (!action || !action.cache || (!action.roles && !action.permissions)) return;
+
+			const cache = action.cache === true ? {} : Object.assign({}, action.cache);
+			const keys = cache.keys || Object.keys(action.params || {});
+			cache.keys = keys.concat(["#user._id"]);
+			action.cache = cache;
+		});
+	},
+
+	/**
+	 * Wrap the protected local actions with the access check.
+	 *
+	 * @param {Function} handler
+	 * @param {Object} action
+	 */
+	localAction(handler, action) {
+		if (!action.roles && !action.permissions) return handler;
+
+		return async function authorizationMiddleware(/** @type {Context} */ ctx) {
+			if (ctx.meta.user !== undefined) {
+				checkAccess(ctx.meta.user, action, ctx.params);
+			}
+			return handler(ctx);
+		};
+	}
+};
@@ -0,0 +1,32 @@
+"use strict";
+
+const { promisify } = require("util");
+
+/**
+ * Create the unique indexes of the usernames & the emails, they reject the
+ * concurrent registrations of the same account. NeDB persists its indexes
+ * in the data file, so they're created on both adapters.
+ */
+module.exports = {
+	async up({ adapter }) {
+		if (adapter.collection) {
+			await adapter.collection.createIndex({ username: 1 }, { unique: true });
+			await adapter.collection.createIndex({ email: 1 }, { unique: true });
+		} else {
+			const ensureIndex = promisify(adapter.db.ensureIndex.bind(adapter.db));
+			await ensureIndex({ fieldName: "username", unique: true });
+			await ensureIndex({ fieldName: "email", unique: true });
+		}
+	},
+
+	async down({ adapter }) {
+		if (adapter.collection) {
+			await adapter.collection.dropIndex({ username: 1 });
+			await adapter.collection.dropIndex({ email: 1 });
+		} else {
+			const removeIndex = promisify(adapter.db.removeIndex.bind(adapter.db));
+			await removeIndex("username");
+			await removeIndex("email");
+		}
+	}
+};
@@ -0,0 +1,27 @@
+"use strict";
+
+/**
+ * Trim the emails & convert them to lower case, the registration & the login
+ * compare them so. The accounts of the same email in different cases are
+ * reported & kept, they have to be merged manually.
+ */
+module.exports = {
+	async up({ service, adapter }) {
+		const docs = await adapter.find({});
+		for (const doc of docs) {
+			const email = typeof doc.email == "string" ? doc.email.trim().toLowerCase() : doc.email;
+			if (email === doc.email) continue;
+
+			try {
+				await adapter.updateById(doc._id, { $set: { email } });
+			} catch(err) {
+				if (err.errorType != "uniqueViolated" && err.code != 11000) throw err;
+				service.logger.warn(`The email of the '${doc._id}' account is registered in another case, it's kept: ${doc.email}`);
+			}
+		}
+	},
+
+	async down() {
+		// The original cases aren't kept, the normalized emails work with the earlier code
+	}
+};
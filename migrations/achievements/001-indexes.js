@@ -0,0 +1,27 @@
+"use strict";
+
+/**
+ * Create the unique index of the achievements & the index of the activity history.
+ * Only the Mongo adapter has persistent indexes, it's a no-op on NeDB.
+ */
+module.exports = {
+	async up({ service, adapter }) {
+		if (!adapter.collection) return;
+
+		await adapter.collection.createIndex({ user: 1 }, { unique: true });
+
+		const activities = await service.getCollection(service.settings.activitiesCollection);
+		await activities.collection.createIndex({ user: 1, time: 1 });
+		await activities.collection.createIndex({ user: 1, "data.item": 1 });
+	},
+
+	async down({ service, adapter }) {
+		if (!adapter.collection) return;
+
+		await adapter.collection.dropIndex({ user: 1 });
+
+		const activities = await service.getCollection(service.settings.activitiesCollection);
+		await activities.collection.dropIndex({ user: 1, time: 1 });
+		await activities.collection.dropIndex({ user: 1, "data.item": 1 });
+	}
+};
@@ -0,0 +1,27 @@
+"use strict";
+
+/**
+ * Create the unique index of the daily aggregates & the indexes of the raw events.
+ * Only the Mongo adapter has persistent indexes, it's a no-op on NeDB.
+ */
+module.exports = {
+	async up({ service, adapter }) {
+		if (!adapter.collection) return;
+
+		await adapter.collection.createIndex({ user: 1, date: 1 }, { unique: true });
+
+		const events = await service.getCollection(service.settings.eventsCollection);
+		await events.collection.createIndex({ user: 1, time: 1 });
+		await events.collection.createIndex({ user: 1, kind: 1, "entity.item": 1 });
+	},
+
+	async down({ service, adapter }) {
+		if (!adapter.collection) return;
+
+		await adapter.collection.dropIndex({ user: 1, date: 1 });
+
+		const events = await service.getCollection(service.settings.eventsCollection);
+		await events.collection.dropIndex({ user: 1, time: 1 });
+		await events.collection.dropIndex({ user: 1, kind: 1, "entity.item": 1 });
+	}
+};
@@ -0,0 +1,25 @@
+"use strict";
+
+/**
+ * Create the indexes of the challenge selection & the unique index of the learner ratings.
+ * Only the Mongo adapter has persistent indexes, it's a no-op on NeDB.
+ */
+module.exports = {
+	async up({ service, adapter }) {
+		if (!adapter.collection) return;
+
+		await adapter.collection.createIndex({ skill: 1, language: 1, rating: 1 });
+
+		const ratings = await service.getCollection(service.settings.ratingsCollection);
+		await ratings.collection.createIndex({ user: 1, language: 1, skill: 1 }, { unique: true });
+	},
+
+	async down({ service, adapter }) {
+		if (!adapter.collection) return;
+
+		await adapter.collection.dropIndex({ skill: 1, language: 1, rating: 1 });
+
+		const ratings = await service.getCollection(service.settings.ratingsCollection);
+		await ratings.collection.dropIndex({ user: 1, language: 1, skill: 1 });
+	}
+};
@@ -0,0 +1,55 @@
+"use strict";
+
+/**
+ * Publish the items stored before the workflow was introduced as their first revision
+ * and create the indexes of the live items & the revisions. It can be re-run after a
+ * failure, the revisions of an interrupted run are kept.
+ */
+module.exports = {
+	async up({ service, adapter }) {
+		const revisions = await service.getCollection("challenges-revisions");
+		const now = Date.now();
+
+		const docs = await adapter.find({ query: { status: { $exists: false } } });
+		for (const doc of docs) {
+			const data = service.pickContent(doc);
+			try {
+				await revisions.insert({
+					_id: `${doc._id}:1`,
+					entity: String(doc._id),
+					revision: 1,
+					status: "published",
+					data,
+					diff: [],
+					author: null,
+					createdAt: now,
+					updatedAt: now,
+					submittedAt: null,
+					reviewer: null,
+					reviewedAt: null,
+					publishedAt: now,
+					comment: null
+				});
+			} catch(err) {
+				// The revision is created by an interrupted run
+				if (err.errorType != "uniqueViolated" && err.code != 11000) throw err;
+			}
+			await adapter.updateById(doc._id, { $set: { status: "published", live: true, revision: 1, latestRevision: 1, publishedAt: now } });
+		}
+
+		if (!adapter.collection) return;
+
+		await adapter.collection.createIndex({ live: 1, skill: 1, language: 1, rating: 1 });
+		await revisions.collection.createIndex({ entity: 1, revision: 1 }, { unique: true });
+	},
+
+	async down({ service, adapter }) {
+		// The statuses & the revisions are kept, they're harmless for the earlier code
+		if (!adapter.collection) return;
+
+		await adapter.collection.dropIndex({ live: 1, skill: 1, language: 1, rating: 1 });
+
+		const revisions = await service.getCollection("challenges-revisions");
+		await revisions.collection.dropIndex({ entity: 1, revision: 1 });
+	}
+};
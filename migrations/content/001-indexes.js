@@ -0,0 +1,21 @@
+"use strict";
+
+/**
+ * Create the unique index of the natural keys & the index of the lemma lookups.
+ * Only the Mongo adapter has persistent indexes, it's a no-op on NeDB.
+ */
+module.exports = {
+	async up({ adapter }) {
+		if (!adapter.collection) return;
+
+		await adapter.collection.createIndex({ key: 1 }, { unique: true });
+		await adapter.collection.createIndex({ language: 1, lemma: 1 });
+	},
+
+	async down({ adapter }) {
+		if (!adapter.collection) return;
+
+		await adapter.collection.dropIndex({ key: 1 });
+		await adapter.collection.dropIndex({ language: 1, lemma: 1 });
+	}
+};
@@ -0,0 +1,31 @@
+"use strict";
+
+/**
+ * Create the indexes of the duels & the matchmaking queue.
+ * Only the Mongo adapter has persistent indexes, it's a no-op on NeDB.
+ */
+module.exports = {
+	async up({ service, adapter }) {
+		if (!adapter.collection) return;
+
+		await adapter.collection.createIndex({ users: 1, status: 1 });
+		await adapter.collection.createIndex({ status: 1, startsAt: 1 });
+		await adapter.collection.createIndex({ match: 1 }, { unique: true });
+
+		const queue = await service.getCollection(service.settings.queueCollection);
+		await queue.collection.createIndex({ status: 1, language: 1, skill: 1 });
+		await queue.collection.createIndex({ match: 1 });
+	},
+
+	async down({ service, adapter }) {
+		if (!adapter.collection) return;
+
+		await adapter.collection.dropIndex({ users: 1, status: 1 });
+		await adapter.collection.dropIndex({ status: 1, startsAt: 1 });
+		await adapter.collection.dropIndex({ match: 1 });
+
+		const queue = await service.getCollection(service.settings.queueCollection);
+		await queue.collection.dropIndex({ status: 1, language: 1, skill: 1 });
+		await queue.collection.dropIndex({ match: 1 });
+	}
+};
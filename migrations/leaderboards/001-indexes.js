@@ -0,0 +1,19 @@
+"use strict";
+
+/**
+ * Create the unique index of the archived boards, a period is archived once.
+ * Only the Mongo adapter has persistent indexes, it's a no-op on NeDB.
+ */
+module.exports = {
+	async up({ adapter }) {
+		if (!adapter.collection) return;
+
+		await adapter.collection.createIndex({ period: 1, scope: 1, key: -1 }, { unique: true });
+	},
+
+	async down({ adapter }) {
+		if (!adapter.collection) return;
+
+		await adapter.collection.dropIndex({ period: 1, scope: 1, key: -1 });
+	}
+};
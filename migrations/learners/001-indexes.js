@@ -0,0 +1,19 @@
+"use strict";
+
+/**
+ * Create the unique index of the profile owners, a user has only one profile.
+ * Only the Mongo adapter has persistent indexes, it's a no-op on NeDB.
+ */
+module.exports = {
+	async up({ adapter }) {
+		if (!adapter.collection) return;
+
+		await adapter.collection.createIndex({ user: 1 }, { unique: true });
+	},
+
+	async down({ adapter }) {
+		if (!adapter.collection) return;
+
+		await adapter.collection.dropIndex({ user: 1 });
+	}
+};
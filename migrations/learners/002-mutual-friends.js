@@ -0,0 +1,22 @@
+"use strict";
+
+/**
+ * Keep only the mutual friends of the profiles stored before the friend requests
+ * were introduced. The friends were set by the learners themselves, one-sided.
+ */
+module.exports = {
+	async up({ adapter }) {
+		const docs = await adapter.find({});
+		const friends = new Map(docs.map(doc => [doc.user, doc.friends || []]));
+
+		for (const doc of docs) {
+			const mutual = (doc.friends || []).filter(friend => (friends.get(friend) || []).includes(doc.user));
+			await adapter.updateById(doc._id, { $set: { friends: mutual, friendRequests: doc.friendRequests || [] } });
+		}
+	},
+
+	async down({ adapter }) {
+		// The removed one-sided friends are not restored
+		await adapter.updateMany({}, { $unset: { friendRequests: true } });
+	}
+};
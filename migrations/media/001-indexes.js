@@ -0,0 +1,21 @@
+"use strict";
+
+/**
+ * Create the indexes of the media listings.
+ * Only the Mongo adapter has persistent indexes, it's a no-op on NeDB.
+ */
+module.exports = {
+	async up({ adapter }) {
+		if (!adapter.collection) return;
+
+		await adapter.collection.createIndex({ kind: 1, createdAt: -1 });
+		await adapter.collection.createIndex({ checksum: 1 });
+	},
+
+	async down({ adapter }) {
+		if (!adapter.collection) return;
+
+		await adapter.collection.dropIndex({ kind: 1, createdAt: -1 });
+		await adapter.collection.dropIndex({ checksum: 1 });
+	}
+};
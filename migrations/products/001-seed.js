@@ -0,0 +1,15 @@
+"use strict";
+
+/**
+ * Seed the sample products into an empty collection.
+ * It can't be rolled back, the seeded products may have been changed since.
+ */
+module.exports = {
+	async up({ service, adapter, logger }) {
+		if (!service.seedDB || await adapter.count() > 0) return;
+
+		logger.info("The 'products' collection is empty. Seeding the collection...");
+		await service.seedDB();
+		logger.info("Seeding is done. Number of records:", await adapter.count());
+	}
+};
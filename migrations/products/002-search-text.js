@@ -0,0 +1,14 @@
+"use strict";
+
+/**
+ * Set the normalized search text of the products stored before the search was introduced.
+ */
+module.exports = {
+	async up({ service }) {
+		await service.indexMissingSearchTexts();
+	},
+
+	async down({ adapter }) {
+		await adapter.updateMany({}, { $unset: { searchText: true } });
+	}
+};
@@ -0,0 +1,29 @@
+"use strict";
+
+/**
+ * Create the indexes of the search & the movement ledger.
+ * Only the Mongo adapter has persistent indexes, it's a no-op on NeDB.
+ */
+module.exports = {
+	async up({ service, adapter }) {
+		if (!adapter.collection) return;
+
+		await adapter.collection.createIndex({ searchText: 1 });
+		await adapter.collection.createIndex({ price: 1 });
+		await adapter.collection.createIndex({ quantity: 1 });
+
+		const movements = await service.getCollection(service.settings.movementsCollection);
+		await movements.collection.createIndex({ product: 1, createdAt: -1 });
+	},
+
+	async down({ service, adapter }) {
+		if (!adapter.collection) return;
+
+		await adapter.collection.dropIndex({ searchText: 1 });
+		await adapter.collection.dropIndex({ price: 1 });
+		await adapter.collection.dropIndex({ quantity: 1 });
+
+		const movements = await service.getCollection(service.settings.movementsCollection);
+		await movements.collection.dropIndex({ product: 1, createdAt: -1 });
+	}
+};
@@ -0,0 +1,14 @@
+"use strict";
+
+/**
+ * Set the initial version of the products stored before the versioning was introduced.
+ */
+module.exports = {
+	async up({ adapter }) {
+		await adapter.updateMany({ version: { $exists: false } }, { $set: { version: 1 } });
+	},
+
+	async down() {
+		// The versions are kept, they're harmless for the earlier code
+	}
+};
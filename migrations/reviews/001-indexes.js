@@ -0,0 +1,21 @@
+"use strict";
+
+/**
+ * Create the unique index of the cards & the index of the review queues.
+ * Only the Mongo adapter has persistent indexes, it's a no-op on NeDB.
+ */
+module.exports = {
+	async up({ adapter }) {
+		if (!adapter.collection) return;
+
+		await adapter.collection.createIndex({ user: 1, item: 1 }, { unique: true });
+		await adapter.collection.createIndex({ user: 1, dueDate: 1 });
+	},
+
+	async down({ adapter }) {
+		if (!adapter.collection) return;
+
+		await adapter.collection.dropIndex({ user: 1, item: 1 });
+		await adapter.collection.dropIndex({ user: 1, dueDate: 1 });
+	}
+};
@@ -0,0 +1,21 @@
+"use strict";
+
+/**
+ * Create the indexes of the sessions of a learner & of the expiry sweep.
+ * Only the Mongo adapter has persistent indexes, it's a no-op on NeDB.
+ */
+module.exports = {
+	async up({ adapter }) {
+		if (!adapter.collection) return;
+
+		await adapter.collection.createIndex({ user: 1, startedAt: -1 });
+		await adapter.collection.createIndex({ status: 1, expiresAt: 1 });
+	},
+
+	async down({ adapter }) {
+		if (!adapter.collection) return;
+
+		await adapter.collection.dropIndex({ user: 1, startedAt: -1 });
+		await adapter.collection.dropIndex({ status: 1, expiresAt: 1 });
+	}
+};
@@ -0,0 +1,33 @@
+"use strict";
+
+/**
+ * Move the item IDs of the questions of the stored sessions to the item key,
+ * which never leaves the service.
+ */
+module.exports = {
+	async up({ adapter }) {
+		const docs = await adapter.find({ query: { itemKey: { $exists: false } } });
+		for (const doc of docs) {
+			await adapter.updateById(doc._id, {
+				$set: {
+					itemKey: doc.questions.map(question => question.item),
+					questions: doc.questions.map(question => {
+						const hidden = Object.assign({}, question);
+						delete hidden.item;
+						return hidden;
+					})
+				}
+			});
+		}
+	},
+
+	async down({ adapter }) {
+		const docs = await adapter.find({ query: { itemKey: { $exists: true } } });
+		for (const doc of docs) {
+			await adapter.updateById(doc._id, {
+				$set: { questions: doc.questions.map((question, i) => Object.assign({ item: doc.itemKey[i] }, question)) },
+				$unset: { itemKey: true }
+			});
+		}
+	}
+};
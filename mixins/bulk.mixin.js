@@ -0,0 +1,333 @@
+"use strict";
+
+const readline = require("readline");
+const { Readable, Transform } = require("stream");
+const parseCSV = require("csv-parse");
+const stringifyCSV = require("csv-stringify");
+const { MoleculerClientError } = require("moleculer").Errors;
+
+/**
+ * @typedef {import('moleculer').Context} Context Moleculer's Context
+ */
+
+const CONTENT_TYPES = {
+	csv: "text/csv; charset=utf-8",
+	tsv: "text/tab-separated-values; charset=utf-8",
+	ndjson: "application/x-ndjson; charset=utf-8"
+};
+
+/**
+ * Bulk import & export of the entities of a DbMixin-based service
+ * as CSV, TSV or NDJSON streams.
+ *
+ * @param {Object} opts
+ * @param {String} opts.key - Natural key of the entities, the imported rows are upserted by it
+ * @param {Object?} opts.types - Casts of the text columns, e.g. `{ price: "number", quantity: "integer" }`
+ * @param {Array<String>?} opts.permissions - Permissions required to import
+ * @param {Number?} opts.maxErrors - Max count of the row errors in the import report
+ */
+module.exports = function(opts) {
+	const options = Object.assign({ types: {}, permissions: undefined, maxErrors: 100 }, opts);
+
+	return {
+		actions: {
+			/**
+			 * Import entities from the request body stream. The rows are validated
+			 * by the `entityValidator` and upserted by the natural key.
+			 * The options are read from `ctx.meta.$params` (query string):
+			 *  - format: "csv" (default), "tsv" or "ndjson"
+			 *  - dryRun: validate only, don't write anything
+			 *
+			 * The content type of the request must not be JSON, otherwise the
+			 * body parser of the gateway consumes the stream.
+			 *
+			 * @returns {Object} Import report with the row errors
+			 */
+			import: {
+				rest: {
+					method: "POST",
+					path: "/import",
+					type: "stream"
+				},
+				permissions: options.permissions,
+				/** @param {Context} ctx  */
+				handler(ctx) {
+					const params = ctx.meta.$params || {};
+					return this.importRecords(ctx, ctx.params, params.format, params);
+				}
+			},
+
+			/**
+			 * Export the entities as a streamed download.
+			 *
+			 * @param {String?} format - "csv" (default), "tsv" or "ndjson"
+			 * @param {Object|String?} query - Filter, like at the `find` action
+			 */
+			export: {
+				rest: "GET /export",
+				params: {
+					format: { type: "enum", values: Object.keys(CONTENT_TYPES), optional: true },
+					query: [
+						{ type: "object", optional: true },
+						{ type: "string", optional: true }
+					]
+				},
+				/** @param {Context} ctx  */
+				async handler(ctx) {
+					const format = this.resolveBulkFormat(ctx.params.format);
+					const { query } = this.sanitizeParams(ctx, ctx.params);
+
+					ctx.meta.$responseType = CONTENT_TYPES[format];
+					ctx.meta.$responseHeaders = {
+						"Content-Disposition": `attachment; filename="${this.name}.${format}"`
+					};
+
+					const stream = this.createExportStream(ctx, query || {});
+					if (format == "ndjson") {
+						return stream.pipe(new Transform({
+							writableObjectMode: true,
+							transform(entity, encoding, done) {
+								done(null, JSON.stringify(entity) + "\n");
+							}
+						}));
+					}
+
+					return stream.pipe(stringifyCSV({
+						header: true,
+						columns: this.settings.fields || undefined,
+						delimiter: format == "tsv" ? "\t" : ","
+					}));
+				}
+			}
+		},
+
+		methods: {
+			/**
+			 * Check the requested format.
+			 *
+			 * @param {String?} format
+			 * @returns {String}
+			 */
+			resolveBulkFormat(format) {
+				if (!format) return "csv";
+				if (!CONTENT_TYPES[format]) {
+					throw new MoleculerClientError(`Unsupported format '${format}'!`, 422, "UNSUPPORTED_FORMAT", { format });
+				}
+				return format;
+			},
+
+			/**
+			 * Import the records of a stream. A row error doesn't stop the import.
+			 *
+			 * @param {Context?} ctx
+			 * @param {ReadableStream} stream
+			 * @param {String?} format - "csv" (default), "tsv" or "ndjson"
+			 * @param {Object?} params - Import options, they're passed to the `castBulkRecord`
+			 * @param {Boolean?} params.dryRun - Validate only, don't write anything
+			 * @returns {Promise<Object>} Import report with the row errors
+			 */
+			async importRecords(ctx, stream, format, params = {}) {
+				format = this.resolveBulkFormat(format);
+				const dryRun = params.dryRun === true || params.dryRun === "true";
+
+				const report = { dryRun, total: 0, created: 0, updated: 0, failed: 0, errors: [] };
+				const seen = new Set();
+
+				const addError = (row, record, err) => {
+					report.failed++;
+					if (report.errors.length < options.maxErrors) {
+						report.errors.push({
+							row,
+							key: record ? record[options.key] : undefined,
+							message: err.message,
+							data: err.data
+						});
+					}
+				};
+
+				try {
+					for await (const { row, record, error } of this.parseBulkRecords(stream, format)) {
+						report.total++;
+						try {
+							if (error) throw error;
+
+							const result = await this.importRecord(ctx, this.castBulkRecord(record, params), dryRun, seen);
+							report[result]++;
+						} catch(err) {
+							addError(row, record, err);
+						}
+					}
+				} catch(err) {
+					// Unparsable file. The rows before it are already imported.
+					report.aborted = true;
+					report.total++;
+					addError(report.total, null, err);
+				}
+
+				return report;
+			},
+
+			/**
+			 * Parse the records of an import stream.
+			 * A broken NDJSON line doesn't stop the import, it's reported as a row error.
+			 *
+			 * @param {ReadableStream} stream
+			 * @param {String} format
+			 * @returns {AsyncIterable<Object>} `{ row, record, error }` items
+			 */
+			async *parseBulkRecords(stream, format) {
+				let row = 0;
+
+				if (format == "ndjson") {
+					const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+					for await (const line of lines) {
+						if (!line.trim()) continue;
+						row++;
+						try {
+							yield { row, record: JSON.parse(line) };
+						} catch(err) {
+							yield { row, error: new MoleculerClientError("Invalid JSON line!", 422, "INVALID_RECORD") };
+						}
+					}
+					return;
+				}
+
+				const parser = stream.pipe(parseCSV({
+					columns: true,
+					trim: true,
+					skip_empty_lines: true,
+					relax_column_count: true,
+					delimiter: format == "tsv" ? "\t" : ","
+				}));
+				for await (const record of parser) {
+					row++;
+					yield { row, record };
+				}
+			},
+
+			/**
+			 * Keep the known fields of an imported record and cast the text values.
+			 * Override it for custom columns, the import options are passed
+			 * as the second argument.
+			 *
+			 * @param {Object} record
+			 * @returns {Object}
+			 */
+			castBulkRecord(record) {
+				// The ID & the version are managed by the DB mixin
+				const fields = (this.settings.fields || Object.keys(record)).filter(f => f != this.settings.idField && f != "version");
+				const entity = {};
+
+				fields.forEach(field => {
+					let value = record[field];
+					if (value === undefined || value === "") return;
+
+					const type = options.types[field];
+					if (typeof value == "string" && (type == "number" || type == "integer")) {
+						value = Number(value);
+					} else if (typeof value == "string" && type == "boolean") {
+						value = value == "true" || value == "1";
+					}
+					entity[field] = value;
+				});
+
+				return entity;
+			},
+
+			/**
+			 * Validate & upsert an imported entity by the natural key.
+			 *
+			 * @param {Context?} ctx
+			 * @param {Object} entity - Cast record
+			 * @param {Boolean} dryRun
+			 * @param {Set} seen - Keys of the already imported records
+			 * @returns {Promise<String>} "created" or "updated"
+			 */
+			async importRecord(ctx, entity, dryRun, seen) {
+				const key = entity[options.key];
+				if (key == null) {
+					throw new MoleculerClientError(`The '${options.key}' field is required!`, 422, "MISSING_KEY", { field: options.key });
+				}
+
+				const doc = await this.adapter.findOne({ [options.key]: key });
+				await this.validateEntity(Object.assign({}, doc ? this.filterFields(doc, this.settings.fields) : {}, entity));
+
+				const result = doc || seen.has(key) ? "updated" : "created";
+				seen.add(key);
+
+				if (!dryRun) {
+					if (doc) {
+						await this.importUpdate(ctx, doc, entity);
+					} else {
+						await this.importCreate(ctx, entity);
+					}
+				}
+				return result;
+			},
+
+			/**
+			 * Create an imported entity. Override it for custom logic.
+			 *
+			 * @param {Context} ctx
+			 * @param {Object} entity
+			 */
+			async importCreate(ctx, entity) {
+				const event = this.pendingEvent("created", ctx);
+				const doc = await this.adapter.insert(this.markEntity(entity, event));
+				const json = await this.transformDocuments(ctx, {}, doc);
+				await this.entityChanged(event, json, ctx);
+			},
+
+			/**
+			 * Update an existing entity by an imported one. Override it for custom logic.
+			 *
+			 * @param {Context} ctx
+			 * @param {Object} doc - Existing entity
+			 * @param {Object} entity - Imported entity
+			 */
+			async importUpdate(ctx, doc, entity) {
+				const event = this.pendingEvent("updated", ctx, Object.keys(entity));
+				const updated = await this.adapter.updateById(doc._id, this.markUpdate({ $set: entity }, event));
+				const json = await this.transformDocuments(ctx, {}, updated);
+				await this.entityChanged(event, json, ctx);
+			},
+
+			/**
+			 * Create an object stream of the entities matched by the query.
+			 * The entities are fetched in batches, on demand of the consumer.
+			 *
+			 * @param {Context} ctx
+			 * @param {Object} query
+			 * @returns {Readable}
+			 */
+			createExportStream(ctx, query) {
+				const batchSize = this.settings.maxPageSize || 100;
+				let offset = 0;
+				let reading = false;
+				let done = false;
+
+				const stream = new Readable({
+					objectMode: true,
+					read: () => {
+						if (reading || done) return;
+						reading = true;
+
+						this.adapter.find({ query, sort: [this.settings.idField], offset, limit: batchSize })
+							.then(docs => this.transformDocuments(ctx, {}, docs))
+							.then(docs => {
+								offset += docs.length;
+								done = docs.length < batchSize;
+								reading = false;
+
+								docs.forEach(doc => stream.push(doc));
+								if (done) stream.push(null);
+							})
+							.catch(err => stream.destroy(err));
+					}
+				});
+
+				return stream;
+			}
+		}
+	};
+};
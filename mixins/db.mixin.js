@@ -1,18 +1,157 @@
 "use strict";
 
 const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
 const DbService	= require("moleculer-db");
+const { flatten } = require("flat");
+const { MoleculerClientError, MoleculerError } = require("moleculer").Errors;
+const { EntityNotFoundError } = require("moleculer-db/src/errors");
 
 /**
  * @typedef {import('moleculer').Context} Context Moleculer's Context
  */
 
-module.exports = function(collection) {
+const MIGRATION_FILE = /^(\d+)-.+\.js$/;
+
+/**
+ * DB mixin of the services.
+ *
+ * @param {String} collection - Collection name
+ * @param {Object?} opts
+ * @param {Boolean?} opts.softDelete - Move the removed entities to a restorable trash collection
+ */
+module.exports = function(collection, opts) {
+	const options = Object.assign({ softDelete: false }, opts);
 	const cacheCleanEventName = `cache.clean.${collection}`;
+	const migrationsCollection = `${collection}-migrations`;
+	const outboxCollection = `${collection}-outbox`;
 
 	const schema = {
 		mixins: [DbService],
 
+		settings: {
+			migrations: {
+				// Folder of the migration files: `<version>-<name>.js` modules with `up` & `down` functions
+				dir: path.resolve(__dirname, "..", "migrations", collection),
+
+				// Apply the pending migrations at service start
+				migrateOnStart: true,
+
+				// Lifetime of the migration lock in milliseconds. A crashed replica's lock expires after it.
+				lockTTL: 5 * 60 * 1000,
+
+				// Interval of extending the lock while the migrations run in milliseconds, shorter than its lifetime
+				lockRefreshInterval: 60 * 1000,
+
+				// Waiting time for a lock held by another replica in milliseconds
+				lockTimeout: 10 * 60 * 1000,
+
+				// Retry interval of acquiring the lock in milliseconds
+				lockRetryInterval: 1000
+			},
+
+			outbox: {
+				// Interval of relaying the unpublished events in milliseconds
+				relayInterval: 10 * 1000,
+
+				// Age of the unpublished events before the relay takes them over in milliseconds
+				relayDelay: 5 * 1000,
+
+				// Max count of the events relayed at once
+				relayBatchSize: 100,
+
+				// Retention of the published events in seconds, they can be replayed until it
+				retention: 7 * 24 * 60 * 60
+			}
+		},
+
+		actions: {
+			/**
+			 * Replay the domain events of the collection from an offset, in offset order.
+			 * A consumer stores the offset of the last processed event and continues
+			 * from it. The events are delivered at least once, so the consumers should
+			 * skip the already processed offsets. The replay stops before an offset
+			 * which is still being stored, so no event is skipped by a consumer.
+			 *
+			 * @param {Number?} after - Offset of the last processed event
+			 * @param {Number?} limit - Max count of the returned events
+			 * @returns {Array<Object>} Events
+			 */
+			events: {
+				visibility: "public",
+				params: {
+					after: { type: "number", integer: true, min: 0, optional: true, convert: true },
+					limit: { type: "number", integer: true, min: 1, max: 1000, optional: true, convert: true }
+				},
+				async handler(ctx) {
+					const outbox = await this.getCollection(outboxCollection);
+					const records = await outbox.find({
+						query: { offset: { $gt: ctx.params.after || 0 } },
+						sort: ["offset"],
+						limit: ctx.params.limit || 100
+					});
+
+					// The offsets are taken before the records are stored, so a missing offset
+					// ends the page until its writer stores it. An offset before a record older
+					// than the relay delay is skipped: its writer stopped or discarded it.
+					// An unconfirmed removal ends the page too, it's returned after the relay checks it.
+					const settled = Date.now() - this.settings.outbox.relayDelay;
+					let next = (ctx.params.after || 0) + 1;
+					const end = records.findIndex(record => {
+						if (record.offset != next && record.createdAt > settled) return true;
+						if (record.removal && !record.publishedAt) return true;
+						next = record.offset + 1;
+						return false;
+					});
+					return (end < 0 ? records : records.slice(0, end)).map(toEventPayload);
+				}
+			},
+
+			/**
+			 * List the migrations of the collection with their status.
+			 * It is called by the `migrations` REPL command.
+			 */
+			migrations: {
+				visibility: "public",
+				handler() {
+					return this.getMigrationStatus();
+				}
+			},
+
+			/**
+			 * Apply the pending migrations.
+			 *
+			 * @param {Number?} to - Apply the migrations up to this version (inclusive)
+			 * @returns {Array<String>} Names of the applied migrations
+			 */
+			migrate: {
+				visibility: "public",
+				params: {
+					to: { type: "number", integer: true, min: 0, optional: true, convert: true }
+				},
+				handler(ctx) {
+					return this.applyMigrations(ctx.params.to);
+				}
+			},
+
+			/**
+			 * Roll back applied migrations, the last one by default.
+			 *
+			 * @param {Number?} to - Roll back the migrations above this version
+			 * @returns {Array<String>} Names of the rolled back migrations
+			 */
+			rollbackMigrations: {
+				visibility: "public",
+				params: {
+					to: { type: "number", integer: true, min: 0, optional: true, convert: true }
+				},
+				handler(ctx) {
+					return this.revertMigrations(ctx.params.to);
+				}
+			}
+		},
+
 		events: {
 			/**
 			 * Subscribe to the cache clean event. If it's triggered
@@ -29,40 +168,950 @@ module.exports = function(collection) {
 
 		methods: {
 			/**
-			 * Send a cache clearing event when an entity changed.
+			 * Send a cache clearing event when an entity changed and publish
+			 * the domain event of the change (e.g. `products.updated`) via the outbox.
+			 * The event of a write marked by `markUpdate` or `markEntity` is moved
+			 * from the entity to the outbox.
+			 *
+			 * @param {String|Object} type - "created", "updated", ... or the pending event of a marked write
+			 * @param {any} json - Changed entity or entities. No domain event is published without it.
+			 * @param {Context?} ctx - Missing if the change isn't made by an action (e.g. by a timer)
+			 * @param {Array<String>?} changes - Names of the changed fields at updates, they're in the pending event of a marked write
+			 */
+			async entityChanged(type, json, ctx, changes) {
+				(ctx || this.broker).broadcast(cacheCleanEventName);
+
+				if (json == null) return;
+
+				const marked = typeof type == "object";
+				const event = marked ? type : this.pendingEvent(type, ctx, changes);
+				for (const entity of Array.isArray(json) ? json : [json]) {
+					await this.flushEvent(event, entity, marked);
+				}
+			},
+
+			/**
+			 * Create the domain event of a change before writing the entity. The write
+			 * stores it in the entity (see `markUpdate` & `markEntity`), so it's saved
+			 * atomically with the change. If the writer stops before moving it to the
+			 * outbox by `entityChanged`, the relay moves it.
+			 *
+			 * @param {String} type - "created", "updated", ...
+			 * @param {Context?} ctx
+			 * @param {Array<String>?} changes - Names of the changed fields at updates
+			 * @returns {Object} Pending event: `{ id, type, changes, actor, at }`
+			 */
+			pendingEvent(type, ctx, changes) {
+				// Internal fields (e.g. the search text) are not published
+				const fields = this.settings.fields;
+				if (changes && fields) {
+					changes = changes.filter(field => fields.includes(field));
+				}
+
+				const user = ctx && ctx.meta.user;
+				return {
+					id: crypto.randomBytes(8).toString("hex"),
+					type,
+					changes: changes || null,
+					actor: user ? user._id : null,
+					at: Date.now()
+				};
+			},
+
+			/**
+			 * Add pending events to the update operators of an entity.
+			 *
+			 * @param {Object} update - Update operators
+			 * @param {Object|Array<Object>} events - Pending event(s)
+			 * @returns {Object}
+			 */
+			markUpdate(update, events) {
+				return Object.assign({}, update, { $push: Object.assign({}, update.$push, { pendingEvents: { $each: [].concat(events) } }) });
+			},
+
+			/**
+			 * Add pending events to a new entity.
+			 *
+			 * @param {Object} entity
+			 * @param {Object|Array<Object>} events - Pending event(s)
+			 * @returns {Object}
+			 */
+			markEntity(entity, events) {
+				return Object.assign({}, entity, { pendingEvents: [].concat(events) });
+			},
+
+			/**
+			 * Store the event of a change in the outbox & publish it. The outbox record
+			 * has a unique ID by the event, so it's stored only once, even if the relay
+			 * moves the pending event of the same write concurrently.
+			 *
+			 * @param {Object} event - Pending event
+			 * @param {Object} entity - Changed entity
+			 * @param {Boolean} marked - The event is stored in the entity
+			 */
+			async flushEvent(event, entity, marked) {
+				const id = entity[this.settings.idField];
+				let record = null;
+				try {
+					record = await this.recordEvent(this.outboxRecord(event, entity));
+				} catch(err) {
+					// NeDB & Mongo duplicate key errors
+					if (err.errorType != "uniqueViolated" && err.code != 11000) throw err;
+				}
+
+				if (marked) {
+					await this.adapter.releaseEvent(this.decodeID(id), event.id);
+				}
+				if (record) {
+					await this.publishEvent(record);
+				}
+			},
+
+			/**
+			 * Get the outbox record of a domain event.
+			 *
+			 * @param {Object} event - Pending event
+			 * @param {Object} entity - Changed entity
+			 * @returns {Object} `{ _id, event, type, id, entity, changes, actor }`
+			 */
+			outboxRecord(event, entity) {
+				const id = entity[this.settings.idField];
+				return {
+					_id: `${event.id}:${id}`,
+					event: `${this.fullName}.${event.type}`,
+					type: event.type,
+					id,
+					entity,
+					changes: event.changes,
+					actor: event.actor
+				};
+			},
+
+			/**
+			 * Store the event of a removal in the outbox before removing the entity.
+			 * It's unconfirmed until it's published: if the writer stops before,
+			 * the relay publishes it only if the entity is removed.
 			 *
-			 * @param {String} type
-			 * @param {any} json
 			 * @param {Context} ctx
+			 * @param {Object} json - Entity to remove
+			 * @returns {Promise<Object>} Outbox record
 			 */
-			async entityChanged(type, json, ctx) {
+			recordRemoval(ctx, json) {
+				return this.recordEvent(Object.assign(this.outboxRecord(this.pendingEvent("removed", ctx), json), { removal: true }));
+			},
+
+			/**
+			 * Publish the event of a removal, or discard it if the removal failed.
+			 *
+			 * @param {Object} record - Outbox record of the removal
+			 * @param {Context} ctx
+			 * @param {Boolean} removed
+			 */
+			async removalChanged(record, ctx, removed) {
+				if (!removed) {
+					const outbox = await this.getCollection(outboxCollection);
+					await outbox.removeMany({ _id: record._id });
+					return;
+				}
+
 				ctx.broadcast(cacheCleanEventName);
+				await this.publishEvent(record);
+			},
+
+			/**
+			 * Update an entity atomically, only if it still matches the `condition`.
+			 * It works on both the NeDB and the Mongo adapters.
+			 *
+			 * @param {any} id
+			 * @param {Object} condition - Query which must match the entity
+			 * @param {Object} update - Update operators
+			 * @returns {Promise<Object?>} The updated entity or `null` if it doesn't match
+			 */
+			async conditionalUpdate(id, condition, update) {
+				if (this.adapter.stringToObjectID) {
+					// Mongo counts only the modified documents at `updateMany`, a no-op update wouldn't match
+					const query = Object.assign({}, condition, { _id: this.adapter.stringToObjectID(id) });
+					const res = await this.adapter.collection.findOneAndUpdate(query, incrementVersion(update), { returnOriginal: false });
+					return res.value;
+				}
+
+				const count = await this.adapter.updateMany(Object.assign({}, condition, { _id: id }), update);
+				if (count == 0) return null;
+
+				return this.adapter.findById(id);
+			},
+
+			/**
+			 * Update an entity. If the `version` param is set (e.g. by an `If-Match` header),
+			 * the update is applied only if the entity still has this version.
+			 *
+			 * @param {Context} ctx
+			 * @param {Object} params - ID, expected version & the changed fields
+			 * @returns {Promise<Object>} The updated entity
+			 * @throws {MoleculerClientError} 409 if the entity has a different version
+			 */
+			async _update(ctx, params) {
+				const id = this.decodeID(params.id != null ? params.id : params[this.settings.idField]);
+				let sets = Object.assign({}, params);
+				delete sets.id;
+				delete sets[this.settings.idField];
+				delete sets.version;
+
+				const event = this.pendingEvent("updated", ctx, Object.keys(sets));
+				if (this.settings.useDotNotation) {
+					sets = flatten(sets, { safe: true });
+				}
+
+				let doc;
+				if (params.version == null) {
+					doc = await this.adapter.updateById(id, this.markUpdate({ $set: sets }, event));
+					if (!doc) {
+						throw new EntityNotFoundError(id);
+					}
+				} else {
+					const expected = Number(params.version);
+					doc = Number.isInteger(expected) ? await this.conditionalUpdate(id, { version: expected }, this.markUpdate({ $set: sets }, event)) : null;
+					if (!doc) {
+						await this.rejectVersionConflict(id, params.version);
+					}
+				}
+
+				const json = await this.transformDocuments(ctx, {}, doc);
+				await this.entityChanged(event, json, ctx);
+
+				return json;
+			},
+
+			/**
+			 * Create an entity.
+			 *
+			 * @param {Context} ctx
+			 * @param {Object} params - Entity
+			 * @returns {Promise<Object>} The created entity
+			 */
+			async _create(ctx, params) {
+				const entity = await this.validateEntity(params);
+				const event = this.pendingEvent("created", ctx);
+
+				const doc = await this.adapter.insert(this.markEntity(this.adapter.beforeSaveTransformID(entity, this.settings.idField), event));
+				const json = await this.transformDocuments(ctx, {}, doc);
+				await this.entityChanged(event, json, ctx);
+
+				return json;
+			},
+
+			/**
+			 * Create one or more entities.
+			 *
+			 * @param {Context} ctx
+			 * @param {Object} params - `entity` or `entities`
+			 * @returns {Promise<Object|Array<Object>>} The created entity or entities
+			 */
+			async _insert(ctx, params) {
+				const event = this.pendingEvent("created", ctx);
+
+				let docs;
+				if (Array.isArray(params.entities)) {
+					const entities = await this.validateEntity(params.entities);
+					docs = await this.adapter.insertMany(entities.map(entity => this.markEntity(this.adapter.beforeSaveTransformID(entity, this.settings.idField), event)));
+				} else if (params.entity) {
+					const entity = await this.validateEntity(params.entity);
+					docs = await this.adapter.insert(this.markEntity(this.adapter.beforeSaveTransformID(entity, this.settings.idField), event));
+				} else {
+					throw new MoleculerClientError("Invalid request! The 'params' must contain 'entity' or 'entities'!", 400);
+				}
+
+				const json = await this.transformDocuments(ctx, {}, docs);
+				await this.entityChanged(event, json, ctx);
+
+				return json;
+			},
+
+			/**
+			 * Throw the proper error for a write with a stale version.
+			 *
+			 * @param {any} id
+			 * @param {any} expected - Expected version
+			 * @throws {EntityNotFoundError|MoleculerClientError}
+			 */
+			async rejectVersionConflict(id, expected) {
+				const doc = await this.adapter.findById(id);
+				if (!doc) {
+					throw new EntityNotFoundError(id);
+				}
+				throw new MoleculerClientError("The entity has been changed in the meantime!", 409, "VERSION_CONFLICT", { id, expected, actual: doc.version });
+			},
+
+			/**
+			 * Get a connected adapter for an additional collection of the service
+			 * (e.g. a history or a ledger). It is connected on the first use.
+			 *
+			 * @param {String} name - Collection name
+			 * @returns {Promise<Object>} Adapter
+			 */
+			getCollection(name) {
+				if (!this.collections) this.collections = {};
+
+				if (!this.collections[name]) {
+					const adapter = createAdapter(name);
+					adapter.init(this.broker, { schema: { collection: name }, broker: this.broker, logger: this.logger });
+					this.collections[name] = adapter.connect().then(() => adapter, err => {
+						delete this.collections[name];
+						throw err;
+					});
+				}
+
+				return this.collections[name];
+			},
+
+			/**
+			 * Store a domain event in the outbox collection with the next offset.
+			 *
+			 * @param {Object} event - `{ event, type, id, entity, changes, actor }`
+			 * @returns {Promise<Object>} The stored outbox record
+			 */
+			async recordEvent(event) {
+				const outbox = await this.getCollection(outboxCollection);
+				const offset = await nextEventOffset(outbox);
+
+				return outbox.insert(Object.assign({ offset }, event, { createdAt: Date.now(), publishedAt: null }));
+			},
+
+			/**
+			 * Broadcast an outbox record and mark it as published.
+			 * If the broadcast fails, the record stays in the outbox and the relay retries it.
+			 *
+			 * @param {Object} record - Outbox record
+			 * @returns {Promise<Boolean>} `true` if it's published
+			 */
+			async publishEvent(record) {
+				try {
+					await this.broker.broadcast(record.event, toEventPayload(record));
+				} catch(err) {
+					this.logger.warn(`Unable to publish the '${record.event}' event #${record.offset}. The relay retries it.`, err);
+					return false;
+				}
+
+				const outbox = await this.getCollection(outboxCollection);
+				await outbox.updateMany({ _id: record._id }, { $set: { publishedAt: Date.now() } });
+				return true;
+			},
+
+			/**
+			 * Publish the events left in the outbox (e.g. because the transporter was down)
+			 * in offset order and purge the published events after the retention period.
+			 * The pending events left in the entities by a stopped writer are moved to
+			 * the outbox first. The recent ones are skipped, they're being published by their writer.
+			 *
+			 * @returns {Promise<Number>} Count of the published events
+			 */
+			async relayEvents() {
+				const { relayDelay, relayBatchSize, retention } = this.settings.outbox;
+				const outbox = await this.getCollection(outboxCollection);
+				const now = Date.now();
+
+				const docs = await this.adapter.find({ query: { "pendingEvents.at": { $lte: now - relayDelay } }, limit: relayBatchSize });
+				for (const doc of docs) {
+					const events = doc.pendingEvents.filter(event => event.at <= now - relayDelay);
+					const json = await this.transformDocuments(null, {}, doc);
+					for (const event of events) {
+						await this.flushEvent(event, json, true);
+					}
+				}
+
+				const records = await outbox.find({
+					query: { offset: { $gt: 0 }, publishedAt: null, createdAt: { $lte: now - relayDelay } },
+					sort: ["offset"],
+					limit: relayBatchSize
+				});
+
+				let published = 0;
+				for (const record of records) {
+					// The removal of a stopped writer is published only if the entity is removed
+					if (record.removal && await this.adapter.findById(this.decodeID(record.id))) {
+						await outbox.removeMany({ _id: record._id });
+						continue;
+					}
+
+					// Keep the order, the next ones are retried later
+					if (!(await this.publishEvent(record))) break;
+					published++;
+				}
+				if (published > 0) {
+					this.logger.info(`Relayed ${published} event(s) of the '${collection}' collection.`);
+				}
+
+				await outbox.removeMany({ publishedAt: { $lte: now - retention * 1000 } });
+
+				return published;
+			},
+
+			/**
+			 * Load the migration files of the collection, ordered by version.
+			 *
+			 * @returns {Array<Object>} `{ version, name, up, down }` items
+			 */
+			loadMigrations() {
+				const dir = this.settings.migrations.dir;
+				if (!dir || !fs.existsSync(dir)) return [];
+
+				const migrations = fs.readdirSync(dir)
+					.filter(file => MIGRATION_FILE.test(file))
+					.map(file => Object.assign({}, require(path.join(dir, file)), {
+						version: Number(MIGRATION_FILE.exec(file)[1]),
+						name: path.basename(file, ".js")
+					}))
+					.sort((a, b) => a.version - b.version);
+
+				migrations.forEach((migration, i) => {
+					if (i > 0 && migrations[i - 1].version == migration.version) {
+						throw new MoleculerError(`Duplicated migration version: ${migration.version}`, 500, "DUPLICATED_MIGRATION", { collection, version: migration.version });
+					}
+				});
+
+				return migrations;
+			},
+
+			/**
+			 * List the migrations with their status: "applied", "pending" or
+			 * "missing" (applied, but its file doesn't exist anymore).
+			 *
+			 * @returns {Promise<Array<Object>>}
+			 */
+			async getMigrationStatus() {
+				const adapter = await this.getCollection(migrationsCollection);
+				const records = await adapter.find({ query: { version: { $exists: true } } });
+				const migrations = this.loadMigrations();
+
+				const list = migrations.map(migration => {
+					const record = records.find(record => record.version == migration.version);
+					return {
+						version: migration.version,
+						name: migration.name,
+						status: record ? "applied" : "pending",
+						appliedAt: record ? record.appliedAt : null
+					};
+				});
+				records
+					.filter(record => !migrations.some(migration => migration.version == record.version))
+					.forEach(record => list.push({ version: record.version, name: record.name, status: "missing", appliedAt: record.appliedAt }));
+
+				return list.sort((a, b) => a.version - b.version);
+			},
+
+			/**
+			 * Apply the pending migrations in version order, under the migration lock.
+			 *
+			 * @param {Number?} to - Apply the migrations up to this version (inclusive)
+			 * @returns {Promise<Array<String>>} Names of the applied migrations
+			 */
+			applyMigrations(to) {
+				return this.withMigrationLock(async adapter => {
+					const records = await adapter.find({ query: { version: { $exists: true } } });
+					const pending = this.loadMigrations().filter(migration =>
+						!records.some(record => record.version == migration.version) && (to == null || migration.version <= to));
+
+					const applied = [];
+					for (const migration of pending) {
+						this.logger.info(`Applying the '${migration.name}' migration of the '${collection}' collection...`);
+						await migration.up(this.getMigrationContext());
+						await adapter.insert({ version: migration.version, name: migration.name, appliedAt: Date.now() });
+						applied.push(migration.name);
+					}
+					return applied;
+				});
+			},
+
+			/**
+			 * Roll back the applied migrations in reverse version order, under the migration lock.
+			 * Nothing is rolled back if any of them can't be.
+			 *
+			 * @param {Number?} to - Roll back the migrations above this version. Only the last one if it's missing.
+			 * @returns {Promise<Array<String>>} Names of the rolled back migrations
+			 */
+			revertMigrations(to) {
+				return this.withMigrationLock(async adapter => {
+					const records = await adapter.find({ query: { version: { $exists: true } }, sort: ["-version"] });
+					const migrations = this.loadMigrations();
+
+					const steps = (to == null ? records.slice(0, 1) : records.filter(record => record.version > to)).map(record => {
+						const migration = migrations.find(migration => migration.version == record.version);
+						if (!migration) {
+							throw new MoleculerClientError(`The file of the '${record.name}' migration is missing!`, 404, "MIGRATION_NOT_FOUND", { collection, version: record.version });
+						}
+						if (typeof migration.down != "function") {
+							throw new MoleculerClientError(`The '${record.name}' migration can't be rolled back!`, 422, "IRREVERSIBLE_MIGRATION", { collection, version: record.version });
+						}
+						return migration;
+					});
+
+					const reverted = [];
+					for (const migration of steps) {
+						this.logger.info(`Rolling back the '${migration.name}' migration of the '${collection}' collection...`);
+						await migration.down(this.getMigrationContext());
+						await adapter.removeMany({ version: migration.version });
+						reverted.push(migration.name);
+					}
+					return reverted;
+				});
+			},
+
+			/**
+			 * Argument of the `up` & `down` functions of the migrations.
+			 *
+			 * @returns {Object}
+			 */
+			getMigrationContext() {
+				return { service: this, broker: this.broker, logger: this.logger, adapter: this.adapter };
+			},
+
+			/**
+			 * Run a function while holding the migration lock of the collection.
+			 * The lock is a document in the migrations collection, so it's shared
+			 * by the replicas using the same Mongo database. Waits for the lock
+			 * of another replica until it's released or expired. The lock is
+			 * extended periodically, so it doesn't expire during a long migration.
+			 *
+			 * @param {Function} fn - Called with the migrations adapter
+			 * @returns {Promise<any>} Result of the function
+			 */
+			async withMigrationLock(fn) {
+				const { lockTTL, lockTimeout, lockRetryInterval, lockRefreshInterval } = this.settings.migrations;
+				const adapter = await this.getCollection(migrationsCollection);
+				const owner = `${this.broker.nodeID}:${crypto.randomBytes(8).toString("hex")}`;
+				const deadline = Date.now() + lockTimeout;
+
+				while (!(await acquireLock(adapter, owner, lockTTL))) {
+					if (Date.now() >= deadline) {
+						throw new MoleculerError(`The migrations of the '${collection}' collection are locked by another process!`, 503, "MIGRATION_LOCKED", { collection });
+					}
+					this.logger.info(`Waiting for the migration lock of the '${collection}' collection...`);
+					await this.Promise.delay(lockRetryInterval);
+				}
+
+				const timer = setInterval(() => {
+					adapter.updateMany({ _id: "lock", owner }, { $set: { expiresAt: Date.now() + lockTTL } })
+						.then(count => {
+							if (count == 0) this.logger.warn(`The migration lock of the '${collection}' collection is taken over by another process!`);
+						})
+						.catch(err => this.logger.warn(`Unable to extend the migration lock of the '${collection}' collection.`, err));
+				}, lockRefreshInterval);
+
+				try {
+					return await fn(adapter);
+				} finally {
+					clearInterval(timer);
+					await adapter.removeMany({ _id: "lock", owner });
+				}
 			}
 		},
 
 		async started() {
-			// Check the count of items in the DB. If it's empty,
-			// call the `seedDB` method of the service.
-			if (this.seedDB) {
-				const count = await this.adapter.count();
-				if (count == 0) {
-					this.logger.info(`The '${collection}' collection is empty. Seeding the collection...`);
-					await this.seedDB();
-					this.logger.info("Seeding is done. Number of records:", await this.adapter.count());
+			// The relay looks for the pending events in every collection
+			if (this.adapter.collection) {
+				await this.adapter.collection.createIndex({ "pendingEvents.at": 1 }, { sparse: true });
+			}
+
+			if (this.settings.migrations.migrateOnStart) {
+				const applied = await this.applyMigrations();
+				if (applied.length > 0) {
+					this.logger.info(`Applied ${applied.length} migration(s) of the '${collection}' collection.`);
 				}
 			}
+
+			this.relayTimer = setInterval(() => {
+				this.relayEvents().catch(err => this.logger.error("Unable to relay the outbox events.", err));
+			}, this.settings.outbox.relayInterval);
+		},
+
+		async stopped() {
+			clearInterval(this.relayTimer);
+
+			// Disconnect the additional collections
+			if (this.collections) {
+				const adapters = await Promise.all(Object.values(this.collections));
+				await Promise.all(adapters.map(adapter => adapter.disconnect()));
+				this.collections = null;
+			}
 		}
 	};
 
-	if (process.env.MONGO_URI) {
-		// Mongo adapter
-		const MongoAdapter = require("moleculer-db-adapter-mongo");
+	if (options.softDelete) {
+		schema.mixins = [createSoftDeleteMixin(collection), DbService];
+	} else {
+		/**
+		 * Delete an entity. The NeDB adapter returns only the count of the
+		 * removed entities, so it's read first for the event of the change.
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} params - ID & the optional expected version
+		 * @returns {Promise<Object>} The removed entity
+		 */
+		schema.methods._remove = async function(ctx, params) {
+			const doc = await this.adapter.findById(this.decodeID(params.id));
+			if (!doc) {
+				throw new EntityNotFoundError(params.id);
+			}
+
+			if (params.version != null && Number(params.version) !== doc.version) {
+				await this.rejectVersionConflict(doc._id, params.version);
+			}
+
+			const json = await this.transformDocuments(ctx, {}, doc);
+			const record = await this.recordRemoval(ctx, json);
+
+			const query = doc.version != null ? { _id: doc._id, version: doc.version } : { _id: doc._id };
+			const removed = await this.adapter.removeMany(query) > 0;
+			await this.removalChanged(record, ctx, removed);
+			if (!removed) {
+				await this.rejectVersionConflict(doc._id, doc.version);
+			}
+
+			return json;
+		};
+	}
 
-		schema.adapter = new MongoAdapter(process.env.MONGO_URI);
+	schema.adapter = createAdapter(collection, true);
+	if (process.env.MONGO_URI) {
 		schema.collection = collection;
-	} else if (process.env.NODE_ENV === 'test') {
+	}
+
+	return schema;
+};
+
+/**
+ * Create the soft delete mixin of a collection.
+ *
+ * The removed entities are moved to the `<collection>-deleted` trash collection
+ * with a `deletedAt` & `deletedBy` marker. So they're excluded from every
+ * query of the service (`list`, `find`, `get` & the custom ones) without
+ * changing them. They can be restored with the same ID until they're purged
+ * after the retention period.
+ *
+ * @param {String} collection
+ * @returns {Object} Schema
+ */
+function createSoftDeleteMixin(collection) {
+	const trashCollection = `${collection}-deleted`;
+
+	return {
+		settings: {
+			softDelete: {
+				// Retention of the deleted entities in seconds, they're purged after it
+				retention: 30 * 24 * 60 * 60,
+
+				// Interval of purging the expired deleted entities in milliseconds
+				purgeInterval: 60 * 60 * 1000
+			}
+		},
+
+		actions: {
+			/**
+			 * Restore a deleted entity. It requires the roles & permissions
+			 * of the `remove` action, unless the service sets its own.
+			 *
+			 * @param {String} id - Entity ID
+			 */
+			restore: {
+				rest: "POST /:id/restore",
+				params: {
+					id: { type: "any" }
+				},
+				/** @param {Context} ctx  */
+				async handler(ctx) {
+					const trash = await this.getCollection(trashCollection);
+					const deleted = await trash.findById(this.decodeID(ctx.params.id));
+					if (!deleted) {
+						throw new EntityNotFoundError(ctx.params.id);
+					}
+
+					// A restore is a write, the versions read before the delete become stale
+					const event = this.pendingEvent("restored", ctx);
+					const entity = Object.assign({}, deleted, { version: (deleted.version || 0) + 1, pendingEvents: [event] });
+					delete entity.deletedAt;
+					delete entity.deletedBy;
+
+					const doc = await this.adapter.insert(entity);
+					await trash.removeById(deleted._id);
+
+					const json = await this.transformDocuments(ctx, {}, doc);
+					await this.entityChanged(event, json, ctx);
+
+					return json;
+				}
+			},
+
+			/**
+			 * List the deleted entities, the last deleted first.
+			 *
+			 * @param {Number?} page
+			 * @param {Number?} pageSize
+			 */
+			listDeleted: {
+				rest: "GET /deleted",
+				roles: ["admin"],
+				params: {
+					page: { type: "number", integer: true, min: 1, optional: true, convert: true },
+					pageSize: { type: "number", integer: true, min: 1, optional: true, convert: true }
+				},
+				/** @param {Context} ctx  */
+				async handler(ctx) {
+					const page = ctx.params.page || 1;
+					const pageSize = Math.min(ctx.params.pageSize || this.settings.pageSize, this.settings.maxPageSize);
+
+					const trash = await this.getCollection(trashCollection);
+					const [docs, total] = await Promise.all([
+						trash.find({ sort: ["-deletedAt"], limit: pageSize, offset: (page - 1) * pageSize }),
+						trash.count()
+					]);
+
+					// The marker isn't in the `fields` of the service, it's added after the transformation
+					const rows = await this.transformDocuments(ctx, {}, docs);
+					rows.forEach((row, i) => Object.assign(row, { deletedAt: docs[i].deletedAt, deletedBy: docs[i].deletedBy }));
+
+					return {
+						rows,
+						total,
+						page,
+						pageSize,
+						totalPages: Math.floor((total + pageSize - 1) / pageSize)
+					};
+				}
+			}
+		},
+
+		/**
+		 * Copy the access rules of the `remove` action to the `restore` action.
+		 *
+		 * @param {Object} schema - Merged schema of the service
+		 */
+		merged(schema) {
+			const { remove, restore } = schema.actions;
+			if (typeof restore != "object" || typeof remove != "object" || !restore || !remove) return;
+
+			["roles", "permissions"].forEach(key => {
+				if (restore[key] === undefined && remove[key] !== undefined) {
+					restore[key] = remove[key];
+				}
+			});
+		},
+
+		methods: {
+			/**
+			 * Move the entity to the trash collection instead of deleting it.
+			 * It's copied first, so it can't be lost. A concurrent removal of the
+			 * same entity fails on the duplicated ID in the trash, a concurrent
+			 * update on the changed version.
+			 *
+			 * @param {Context} ctx
+			 * @param {Object} params - ID & the optional expected version
+			 * @returns {Promise<Object>} The removed entity
+			 */
+			async _remove(ctx, params) {
+				const doc = await this.adapter.findById(this.decodeID(params.id));
+				if (!doc) {
+					throw new EntityNotFoundError(params.id);
+				}
+				if (params.version != null && Number(params.version) !== doc.version) {
+					await this.rejectVersionConflict(doc._id, params.version);
+				}
+
+				const json = await this.transformDocuments(ctx, {}, doc);
+				const record = await this.recordRemoval(ctx, json);
+
+				const trash = await this.getCollection(trashCollection);
+				const user = ctx.meta.user;
+				const deleted = Object.assign({}, doc, { deletedAt: Date.now(), deletedBy: user ? user._id : null });
+				delete deleted.pendingEvents;
+				try {
+					await trash.insert(deleted);
+				} catch(err) {
+					await this.removalChanged(record, ctx, false);
+					if (err.errorType != "uniqueViolated" && err.code != 11000) throw err;
+					throw new EntityNotFoundError(params.id);
+				}
+
+				const query = doc.version != null ? { _id: doc._id, version: doc.version } : { _id: doc._id };
+				const removed = await this.adapter.removeMany(query) > 0;
+				await this.removalChanged(record, ctx, removed);
+				if (!removed) {
+					await trash.removeById(doc._id);
+					await this.rejectVersionConflict(doc._id, doc.version);
+				}
+
+				return json;
+			},
+
+			/**
+			 * Delete permanently the entities which were deleted before the retention period.
+			 *
+			 * @returns {Promise<Number>} Count of the purged entities
+			 */
+			async purgeDeleted() {
+				const trash = await this.getCollection(trashCollection);
+				const count = await trash.removeMany({ deletedAt: { $lte: Date.now() - this.settings.softDelete.retention * 1000 } });
+				if (count > 0) {
+					this.logger.info(`Purged ${count} deleted entities of the '${collection}' collection.`);
+				}
+				return count;
+			}
+		},
+
+		started() {
+			this.purgeTimer = setInterval(() => {
+				this.purgeDeleted().catch(err => this.logger.error("Unable to purge the deleted entities.", err));
+			}, this.settings.softDelete.purgeInterval);
+		},
+
+		stopped() {
+			clearInterval(this.purgeTimer);
+		}
+	};
+}
+
+/**
+ * Try to acquire the migration lock. The lock document is inserted with
+ * a fixed ID, so only one of the concurrent inserts succeeds.
+ * An expired lock is taken over atomically.
+ *
+ * @param {Object} adapter - Adapter of the migrations collection
+ * @param {String} owner - Unique ID of the lock holder
+ * @param {Number} ttl - Lifetime of the lock in milliseconds
+ * @returns {Promise<Boolean>}
+ */
+async function acquireLock(adapter, owner, ttl) {
+	const now = Date.now();
+	try {
+		await adapter.insert({ _id: "lock", owner, expiresAt: now + ttl });
+		return true;
+	} catch(err) {
+		// NeDB & Mongo duplicate key errors
+		if (err.errorType != "uniqueViolated" && err.code != 11000) throw err;
+	}
+
+	const count = await adapter.updateMany({ _id: "lock", expiresAt: { $lte: now } }, { $set: { owner, expiresAt: now + ttl } });
+	return count > 0;
+}
+
+/**
+ * Get the next offset of the outbox. The counter is a document of the
+ * outbox collection, it's incremented atomically on both adapters.
+ *
+ * @param {Object} outbox - Adapter of the outbox collection
+ * @returns {Promise<Number>}
+ */
+async function nextEventOffset(outbox) {
+	for (;;) {
+		const counter = await outbox.updateById("offset", { $inc: { value: 1 } });
+		if (counter) return counter.value;
+
+		try {
+			await outbox.insert({ _id: "offset", value: 0 });
+		} catch(err) {
+			// Created by a concurrent writer
+			if (err.errorType != "uniqueViolated" && err.code != 11000) throw err;
+		}
+	}
+}
+
+/**
+ * Convert an outbox record to the payload of its event.
+ *
+ * @param {Object} record - Outbox record
+ * @returns {Object}
+ */
+function toEventPayload(record) {
+	const { offset, event, type, id, entity, changes, actor, createdAt } = record;
+	return { offset, event, type, id, entity, changes, actor, createdAt };
+}
+
+/**
+ * Add the `version` update to an update unless it changes the version itself.
+ *
+ * @param {Object} update - Update operators
+ * @returns {Object}
+ */
+function incrementVersion(update) {
+	const changed = ["$set", "$inc", "$unset"].some(op => update[op] && update[op].version !== undefined);
+	if (changed) return update;
+
+	return Object.assign({}, update, { $inc: Object.assign({}, update.$inc, { version: 1 }) });
+}
+
+/**
+ * Extend an adapter class to keep the `version` field of the entities:
+ * it's 1 for the new entities & incremented by every update. It keeps
+ * the pending domain events of the writes too, see `pendingEvent`.
+ *
+ * @param {Function} Adapter - Adapter class
+ * @returns {Function}
+ */
+function versioned(Adapter) {
+	return class VersionedAdapter extends Adapter {
+		insert(entity) {
+			return super.insert(Object.assign({ version: 1 }, entity));
+		}
+
+		insertMany(entities) {
+			return super.insertMany(entities.map(entity => Object.assign({ version: 1 }, entity)));
+		}
+
+		updateById(id, update) {
+			return super.updateById(id, incrementVersion(update));
+		}
+
+		updateMany(query, update) {
+			return super.updateMany(query, incrementVersion(update));
+		}
+
+		/**
+		 * Remove a pending domain event from an entity. It isn't a change of the entity,
+		 * so the version is kept. The field is removed with the last event.
+		 *
+		 * @param {any} id
+		 * @param {String} eventId
+		 * @returns {Promise<void>}
+		 */
+		async releaseEvent(id, eventId) {
+			const _id = this.stringToObjectID ? this.stringToObjectID(id) : id;
+			const count = await super.updateMany({ _id, pendingEvents: { $size: 1 }, "pendingEvents.id": eventId }, { $unset: { pendingEvents: 1 } });
+			if (count == 0) {
+				await super.updateMany({ _id }, { $pull: { pendingEvents: { id: eventId } } });
+			}
+		}
+
+		/**
+		 * The pending domain events are internal, they're not in the responses.
+		 *
+		 * @param {Object} entity
+		 * @returns {Object}
+		 */
+		entityToObject(entity) {
+			const json = Object.assign({}, super.entityToObject(entity));
+			delete json.pendingEvents;
+			return json;
+		}
+	};
+}
+
+/**
+ * Create the DB adapter of a collection by the environment.
+ *
+ * @param {String} collection
+ * @param {Boolean?} versioning - Keep the versions of the entities
+ * @returns {Object} Adapter instance
+ */
+function createAdapter(collection, versioning) {
+	let Adapter;
+	let opts;
+
+	if (process.env.MONGO_URI) {
+		// Mongo adapter
+		Adapter = require("moleculer-db-adapter-mongo");
+		opts = process.env.MONGO_URI;
+	} else if (process.env.NODE_ENV === "test") {
 		// NeDB memory adapter for testing
-		schema.adapter = new DbService.MemoryAdapter();
+		Adapter = DbService.MemoryAdapter;
 	} else {
 		// NeDB file DB adapter
 
@@ -71,8 +1120,12 @@ module.exports = function(collection) {
 			fs.mkdirSync("./data");
 		}
 
-		schema.adapter = new DbService.MemoryAdapter({ filename: `./data/${collection}.db` });
+		Adapter = DbService.MemoryAdapter;
+		opts = { filename: `./data/${collection}.db` };
 	}
 
-	return schema;
-};
+	if (versioning) {
+		Adapter = versioned(Adapter);
+	}
+	return new Adapter(opts);
+}
@@ -0,0 +1,53 @@
+"use strict";
+
+const { evaluateAnswer } = require("../lib/answers");
+
+/**
+ * @typedef {import('moleculer').Context} Context Moleculer's Context
+ */
+
+/**
+ * Answering the questions of a game by the items of the `challenges` service,
+ * e.g. a session or a duel. The game keeps the answers & the IDs of the items
+ * in its `answerKey` & `itemKey` fields. They must never leave the service:
+ * with the item IDs, the answers could be checked by `challenges.answer`
+ * before answering.
+ */
+module.exports = function() {
+	return {
+		methods: {
+			/**
+			 * Check the answer of a question. A timed out answer is wrong,
+			 * an "almost" correct one is accepted.
+			 *
+			 * @param {Object} doc - Game with the `answerKey` & the `language`
+			 * @param {Number} question - Index of the question
+			 * @param {String} answer
+			 * @param {Boolean} timedOut
+			 * @returns {Object} `{ verdict, correct, diff }`
+			 */
+			checkAnswer(doc, question, answer, timedOut) {
+				const result = evaluateAnswer(doc.answerKey[question], answer, { language: doc.language });
+				const verdict = timedOut ? "wrong" : result.verdict;
+				return { verdict, correct: verdict != "wrong", diff: result.diff };
+			},
+
+			/**
+			 * Update the skill ratings by the answer of a question. A failure doesn't fail the answer.
+			 *
+			 * @param {Context} ctx
+			 * @param {Object} doc - Game with the `itemKey`
+			 * @param {Number} question - Index of the question
+			 * @param {Boolean} correct
+			 */
+			async recordAnswerRating(ctx, doc, question, correct) {
+				const item = doc.itemKey[question];
+				try {
+					await ctx.call("challenges.recordAnswer", { id: String(item), correct });
+				} catch(err) {
+					this.logger.warn(`Unable to update the ratings by the answer of the '${item}' item.`, err);
+				}
+			}
+		}
+	};
+};
@@ -0,0 +1,373 @@
+"use strict";
+
+const { URL } = require("url");
+const WebSocket = require("ws");
+const { Context } = require("moleculer");
+
+/**
+ * WebSocket endpoint of the API gateway on the same port as the HTTP server.
+ *
+ * The clients subscribe to topics, e.g. `session:<id>`, and the broker events
+ * of the topics are pushed to them. The events are received from every node
+ * (they're broadcasted), so the emitting services can run anywhere.
+ *
+ * The token is passed in the `Authorization` header or in the `token` query
+ * parameter (the browsers can't set headers). Every subscription is authorized
+ * by its topic with the user of the connection.
+ *
+ * The messages of the topics are buffered for a while, a reconnected client
+ * resumes a topic by the cursor of the last received message. If the missed
+ * messages are not available anymore (e.g. it's reconnected to another node),
+ * a `reset` message tells the client to reload the state.
+ *
+ * Client messages:
+ *  - `{ type: "subscribe", topic, after? }` - `after` is the cursor to resume from
+ *  - `{ type: "unsubscribe", topic }`
+ *  - `{ type: "ping" }`
+ *
+ * Server messages:
+ *  - `{ type: "subscribed", topic, cursor }`, `{ type: "unsubscribed", topic }`
+ *  - `{ type: "event", topic, cursor, event, data }`
+ *  - `{ type: "reset", topic }`
+ *  - `{ type: "error", code, message, topic? }`
+ *  - `{ type: "pong" }`
+ *
+ * @param {Object} opts
+ * @param {String?} opts.path - Path of the endpoint, "/ws" by default
+ * @param {Object} opts.topics - Topic definitions by name: `{ events, ids(payload, eventName), authorize(ctx, id) }`.
+ * 	`ids` returns the topic IDs of an event, `authorize` throws if the user of the `ctx` can't subscribe.
+ * @param {Number?} opts.bufferSize - Max count of the buffered messages of a topic
+ * @param {Number?} opts.bufferTTL - Max age of the buffered messages in milliseconds
+ * @param {Number?} opts.maxSubscriptions - Max count of the topics of a connection
+ * @param {Number?} opts.heartbeatInterval - Interval of the pings in milliseconds, the dead connections are closed
+ */
+module.exports = function(opts) {
+	const options = Object.assign({
+		path: "/ws",
+		topics: {},
+		bufferSize: 100,
+		bufferTTL: 5 * 60 * 1000,
+		maxSubscriptions: 50,
+		heartbeatInterval: 30 * 1000
+	}, opts);
+	const topics = options.topics;
+
+	// Handlers of the events of the topics
+	const events = {};
+	Object.keys(topics).forEach(name => topics[name].events.forEach(event => {
+		events[event] = {
+			/** @param {Context} ctx  */
+			handler(ctx) {
+				this.pushEvent(ctx.eventName, ctx.params);
+			}
+		};
+	}));
+
+	return {
+		settings: {
+			socket: {
+				path: options.path,
+				bufferSize: options.bufferSize,
+				bufferTTL: options.bufferTTL,
+				maxSubscriptions: options.maxSubscriptions,
+				heartbeatInterval: options.heartbeatInterval
+			}
+		},
+
+		events,
+
+		methods: {
+			/**
+			 * Authenticate & upgrade a request of the endpoint.
+			 *
+			 * @param {import('http').IncomingMessage} req
+			 * @param {import('net').Socket} socket
+			 * @param {Buffer} head
+			 */
+			async handleUpgrade(req, socket, head) {
+				const url = new URL(req.url, "http://localhost");
+				if (url.pathname != this.settings.socket.path) {
+					return this.rejectUpgrade(socket, 404, "Not Found");
+				}
+
+				let user = null;
+				const auth = req.headers["authorization"];
+				const token = auth && auth.startsWith("Bearer") ? auth.slice(7) : url.searchParams.get("token");
+				if (token) {
+					user = await this.broker.call("accounts.resolveToken", { token });
+				}
+				if (!user) {
+					return this.rejectUpgrade(socket, 401, "Unauthorized");
+				}
+
+				this.wss.handleUpgrade(req, socket, head, ws => this.onSocketConnected(ws, user));
+			},
+
+			/**
+			 * Answer a rejected upgrade request & close the socket.
+			 *
+			 * @param {import('net').Socket} socket
+			 * @param {Number} code - HTTP status code
+			 * @param {String} message
+			 */
+			rejectUpgrade(socket, code, message) {
+				socket.end(`HTTP/1.1 ${code} ${message}\r\nConnection: close\r\n\r\n`);
+			},
+
+			/**
+			 * Set up a new connection.
+			 *
+			 * @param {WebSocket} ws
+			 * @param {Object} user - Resolved user
+			 */
+			onSocketConnected(ws, user) {
+				ws.user = user;
+				ws.topics = new Set();
+				ws.isAlive = true;
+
+				ws.on("pong", () => ws.isAlive = true);
+				ws.on("message", data => {
+					this.onSocketMessage(ws, data).catch(err => {
+						this.logger.error("Unable to handle the WebSocket message.", err);
+						this.sendMessage(ws, { type: "error", code: 500, message: "Internal error" });
+					});
+				});
+				ws.on("close", () => ws.topics.forEach(topic => this.removeSubscriber(topic, ws)));
+			},
+
+			/**
+			 * Handle a message of a client.
+			 *
+			 * @param {WebSocket} ws
+			 * @param {String} data - JSON message
+			 */
+			async onSocketMessage(ws, data) {
+				let msg;
+				try {
+					msg = JSON.parse(data);
+				} catch(err) {
+					return this.sendMessage(ws, { type: "error", code: 400, message: "Invalid JSON message" });
+				}
+
+				switch (msg && msg.type) {
+					case "subscribe": return this.subscribe(ws, msg.topic, msg.after);
+					case "unsubscribe": {
+						this.removeSubscriber(msg.topic, ws);
+						return this.sendMessage(ws, { type: "unsubscribed", topic: msg.topic });
+					}
+					case "ping": return this.sendMessage(ws, { type: "pong" });
+					default: return this.sendMessage(ws, { type: "error", code: 400, message: "Unknown message type" });
+				}
+			},
+
+			/**
+			 * Subscribe a client to a topic after authorizing it, and replay
+			 * the missed messages after a cursor.
+			 *
+			 * @param {WebSocket} ws
+			 * @param {String} topic - `<name>:<id>`
+			 * @param {String?} after - Cursor of the last received message
+			 */
+			async subscribe(ws, topic, after) {
+				const [name, id] = this.parseTopic(topic);
+				const def = name && topics[name];
+				if (!def || !id) {
+					return this.sendMessage(ws, { type: "error", code: 404, message: "Unknown topic", topic });
+				}
+				if (!ws.topics.has(topic) && ws.topics.size >= this.settings.socket.maxSubscriptions) {
+					return this.sendMessage(ws, { type: "error", code: 429, message: "Too many subscriptions", topic });
+				}
+
+				try {
+					const ctx = Context.create(this.broker, null, {}, { meta: { user: ws.user } });
+					await def.authorize.call(this, ctx, id);
+				} catch(err) {
+					return this.sendMessage(ws, { type: "error", code: err.code || 403, message: err.message, topic });
+				}
+				if (ws.readyState != WebSocket.OPEN) return;
+
+				ws.topics.add(topic);
+				if (!this.subscribers.has(topic)) this.subscribers.set(topic, new Set());
+				this.subscribers.get(topic).add(ws);
+
+				const buffer = this.buffers.get(topic);
+				this.sendMessage(ws, { type: "subscribed", topic, cursor: this.cursorOf(buffer ? buffer.seq : 0) });
+
+				if (after != null) {
+					this.replay(ws, topic, after);
+				}
+			},
+
+			/**
+			 * Send the buffered messages of a topic after a cursor.
+			 *
+			 * @param {WebSocket} ws
+			 * @param {String} topic
+			 * @param {String} after - Cursor
+			 */
+			replay(ws, topic, after) {
+				const [epoch, seq] = String(after).split(".");
+				const last = Number(seq);
+				const buffer = this.buffers.get(topic) || { seq: 0, messages: [] };
+
+				const first = buffer.messages.length > 0 ? buffer.messages[0].seq : buffer.seq + 1;
+				if (epoch != this.socketEpoch || !(last >= first - 1 && last <= buffer.seq)) {
+					return this.sendMessage(ws, { type: "reset", topic });
+				}
+
+				buffer.messages.filter(item => item.seq > last).forEach(item => this.sendMessage(ws, item.message));
+			},
+
+			/**
+			 * Remove a client from the subscribers of a topic.
+			 *
+			 * @param {String} topic
+			 * @param {WebSocket} ws
+			 */
+			removeSubscriber(topic, ws) {
+				ws.topics.delete(topic);
+				const subscribers = this.subscribers.get(topic);
+				if (subscribers) {
+					subscribers.delete(ws);
+					if (subscribers.size == 0) this.subscribers.delete(topic);
+				}
+			},
+
+			/**
+			 * Push an event to the subscribers of its topics & buffer it.
+			 *
+			 * @param {String} eventName
+			 * @param {any} payload
+			 */
+			pushEvent(eventName, payload) {
+				Object.keys(topics).forEach(name => {
+					const def = topics[name];
+					if (!def.events.includes(eventName)) return;
+
+					(def.ids(payload, eventName) || []).forEach(id => {
+						const topic = `${name}:${id}`;
+						const message = this.bufferMessage(topic, { type: "event", topic, event: eventName, data: payload });
+
+						const subscribers = this.subscribers.get(topic);
+						if (subscribers) {
+							subscribers.forEach(ws => this.sendMessage(ws, message));
+						}
+					});
+				});
+			},
+
+			/**
+			 * Add a message to the buffer of a topic. The old messages are dropped.
+			 *
+			 * @param {String} topic
+			 * @param {Object} message
+			 * @returns {Object} Message with its cursor
+			 */
+			bufferMessage(topic, message) {
+				let buffer = this.buffers.get(topic);
+				if (!buffer) {
+					buffer = { seq: 0, messages: [] };
+					this.buffers.set(topic, buffer);
+				}
+
+				buffer.seq++;
+				const item = { seq: buffer.seq, time: Date.now(), message: Object.assign({ cursor: this.cursorOf(buffer.seq) }, message) };
+				buffer.messages.push(item);
+				if (buffer.messages.length > this.settings.socket.bufferSize) {
+					buffer.messages.shift();
+				}
+				return item.message;
+			},
+
+			/**
+			 * Drop the expired buffered messages & ping the clients.
+			 * The clients which haven't answered the previous ping are closed.
+			 */
+			checkSockets() {
+				const limit = Date.now() - this.settings.socket.bufferTTL;
+				this.buffers.forEach((buffer, topic) => {
+					while (buffer.messages.length > 0 && buffer.messages[0].time < limit) {
+						buffer.messages.shift();
+					}
+					// The sequence of a topic is kept while it has subscribers
+					if (buffer.messages.length == 0 && !this.subscribers.has(topic)) {
+						this.buffers.delete(topic);
+					}
+				});
+
+				this.wss.clients.forEach(ws => {
+					if (!ws.isAlive) return ws.terminate();
+					ws.isAlive = false;
+					ws.ping();
+				});
+			},
+
+			/**
+			 * Send a message to a client if it's connected.
+			 *
+			 * @param {WebSocket} ws
+			 * @param {Object} message
+			 */
+			sendMessage(ws, message) {
+				if (ws.readyState == WebSocket.OPEN) {
+					ws.send(JSON.stringify(message));
+				}
+			},
+
+			/**
+			 * Split a topic to its name & ID.
+			 *
+			 * @param {String} topic - `<name>:<id>`, the ID can contain colons
+			 * @returns {Array<String>}
+			 */
+			parseTopic(topic) {
+				const index = typeof topic == "string" ? topic.indexOf(":") : -1;
+				return index > 0 ? [topic.slice(0, index), topic.slice(index + 1)] : [];
+			},
+
+			/**
+			 * Get the cursor of a message. The cursors are valid only on
+			 * the node where the message is buffered, until it's restarted.
+			 *
+			 * @param {Number} seq - Sequence of the message in its topic
+			 * @returns {String}
+			 */
+			cursorOf(seq) {
+				return `${this.socketEpoch}.${seq}`;
+			}
+		},
+
+		/**
+		 * Service created lifecycle event handler
+		 */
+		created() {
+			this.wss = new WebSocket.Server({ noServer: true });
+			this.subscribers = new Map();
+			this.buffers = new Map();
+			this.socketEpoch = `${this.broker.nodeID}-${Date.now().toString(36)}`;
+		},
+
+		/**
+		 * Service started lifecycle event handler
+		 */
+		started() {
+			this.server.on("upgrade", (req, socket, head) => {
+				this.handleUpgrade(req, socket, head).catch(err => {
+					this.logger.error("Unable to upgrade the WebSocket request.", err);
+					this.rejectUpgrade(socket, err.code >= 400 && err.code < 600 ? err.code : 500, err.message);
+				});
+			});
+
+			this.socketTimer = setInterval(() => this.checkSockets(), this.settings.socket.heartbeatInterval);
+		},
+
+		/**
+		 * Service stopped lifecycle event handler
+		 */
+		stopped() {
+			clearInterval(this.socketTimer);
+			this.wss.clients.forEach(ws => ws.terminate());
+			this.wss.close();
+		}
+	};
+};
@@ -0,0 +1,452 @@
+"use strict";
+
+const { MoleculerClientError } = require("moleculer").Errors;
+const { EntityNotFoundError } = require("moleculer-db/src/errors");
+
+/**
+ * @typedef {import('moleculer').Context} Context Moleculer's Context
+ */
+
+/**
+ * Draft, review & publish workflow of the entities of a DbMixin-based service.
+ *
+ * The entities go through the "draft" → "review" → "published" → "archived"
+ * statuses. Every change is a revision in the `<collection>-revisions` collection
+ * with its diff. The editors change only the last revision while it's a draft,
+ * a change of a published entity starts a new draft. A reviewer publishes or
+ * rejects the submitted revision, but not the author of the revision. The
+ * published revisions are immutable.
+ *
+ * The entity holds the content of its live (last published) revision, so the
+ * readers (e.g. the games) see only the published content. The `live` flag
+ * marks the entities with a published & not archived revision. Before its first
+ * publication, an entity holds the content of its draft.
+ *
+ * The content fields are the `settings.workflow.fields`, the other fields of the
+ * entities (e.g. statistics) aren't versioned. The entities are validated by the
+ * `entityValidator` at every change of a draft.
+ *
+ * It overrides the `_create` & the `_update` methods of the DB mixin, so it must
+ * precede it in the mixins of the service, e.g.
+ *
+ * 	mixins: [WorkflowMixin("challenges", { ... }), DbMixin("challenges")]
+ *
+ * @param {String} collection - Collection name, the same as the DB mixin's
+ * @param {Object} opts
+ * @param {Array<String>} opts.permissions - Permissions of the editors to submit the drafts
+ * @param {Array<String>} opts.reviewPermissions - Permissions of the reviewers to publish, reject & archive
+ * @param {Array<String>} opts.readPermissions - Permissions to read the revisions
+ * @returns {Object} Schema
+ */
+module.exports = function(collection, opts) {
+	const revisionsCollection = `${collection}-revisions`;
+
+	// Allowed statuses of the entities by the transitions
+	const TRANSITIONS = {
+		update: ["draft", "published"],
+		submit: ["draft"],
+		publish: ["review"],
+		reject: ["review"],
+		archive: ["draft", "review", "published"]
+	};
+
+	// Types of the domain events of the transitions
+	const EVENTS = {
+		submit: "submitted",
+		publish: "published",
+		reject: "rejected",
+		archive: "archived"
+	};
+
+	return {
+		settings: {
+			workflow: {
+				// Versioned content fields of the entities
+				fields: []
+			}
+		},
+
+		actions: {
+			/**
+			 * Submit the draft of an entity for review.
+			 *
+			 * @param {String} id - Entity ID
+			 * @param {Number?} version - Expected version of the entity
+			 */
+			submit: {
+				rest: "POST /:id/submit",
+				permissions: opts.permissions,
+				params: {
+					id: { type: "any" },
+					version: { type: "number", integer: true, optional: true, convert: true }
+				},
+				/** @param {Context} ctx  */
+				handler(ctx) {
+					return this.changeStatus(ctx, ctx.params, "submit", () => ({
+						entity: { status: "review" },
+						revision: { status: "review", submittedAt: Date.now() }
+					}));
+				}
+			},
+
+			/**
+			 * Publish the submitted revision of an entity. Its content becomes live.
+			 *
+			 * @param {String} id - Entity ID
+			 * @param {Number?} version - Expected version of the entity
+			 */
+			publish: {
+				rest: "POST /:id/publish",
+				permissions: opts.reviewPermissions,
+				params: {
+					id: { type: "any" },
+					version: { type: "number", integer: true, optional: true, convert: true }
+				},
+				/** @param {Context} ctx  */
+				handler(ctx) {
+					return this.changeStatus(ctx, ctx.params, "publish", (doc, revision) => {
+						this.checkReviewer(ctx, revision);
+						const now = Date.now();
+						return {
+							entity: Object.assign({}, revision.data, { status: "published", live: true, revision: revision.revision, publishedAt: now }),
+							revision: { status: "published", reviewer: ctx.meta.user ? ctx.meta.user._id : null, reviewedAt: now, publishedAt: now },
+							changes: this.settings.workflow.fields.concat(["status", "revision", "publishedAt"])
+						};
+					});
+				}
+			},
+
+			/**
+			 * Send back the submitted revision of an entity to its editors.
+			 *
+			 * @param {String} id - Entity ID
+			 * @param {String?} comment - Reason of the rejection
+			 * @param {Number?} version - Expected version of the entity
+			 */
+			reject: {
+				rest: "POST /:id/reject",
+				permissions: opts.reviewPermissions,
+				params: {
+					id: { type: "any" },
+					comment: { type: "string", max: 1000, optional: true },
+					version: { type: "number", integer: true, optional: true, convert: true }
+				},
+				/** @param {Context} ctx  */
+				handler(ctx) {
+					return this.changeStatus(ctx, ctx.params, "reject", (doc, revision) => {
+						this.checkReviewer(ctx, revision);
+						return {
+							entity: { status: "draft" },
+							revision: { status: "draft", reviewer: ctx.meta.user ? ctx.meta.user._id : null, reviewedAt: Date.now(), comment: ctx.params.comment || null }
+						};
+					});
+				}
+			},
+
+			/**
+			 * Archive an entity. It's not live anymore, its revisions are kept.
+			 *
+			 * @param {String} id - Entity ID
+			 * @param {Number?} version - Expected version of the entity
+			 */
+			archive: {
+				rest: "POST /:id/archive",
+				permissions: opts.reviewPermissions,
+				params: {
+					id: { type: "any" },
+					version: { type: "number", integer: true, optional: true, convert: true }
+				},
+				/** @param {Context} ctx  */
+				handler(ctx) {
+					return this.changeStatus(ctx, ctx.params, "archive", () => ({
+						entity: { status: "archived", live: false }
+					}));
+				}
+			},
+
+			/**
+			 * List the revisions of an entity with their diffs, the first one first.
+			 *
+			 * @param {String} id - Entity ID
+			 */
+			revisions: {
+				rest: "GET /:id/revisions",
+				permissions: opts.readPermissions,
+				params: {
+					id: { type: "any" }
+				},
+				/** @param {Context} ctx  */
+				async handler(ctx) {
+					const doc = await this.getWorkflowEntity(ctx.params.id);
+					const revisions = await this.getCollection(revisionsCollection);
+					const records = await revisions.find({ query: { entity: String(doc._id) }, sort: ["revision"] });
+
+					return records.map(record => {
+						const json = toRevision(record, doc);
+						delete json.data;
+						return json;
+					});
+				}
+			},
+
+			/**
+			 * Get a revision of an entity with its content.
+			 *
+			 * @param {String} id - Entity ID
+			 * @param {Number} revision
+			 */
+			getRevision: {
+				rest: "GET /:id/revisions/:revision",
+				permissions: opts.readPermissions,
+				params: {
+					id: { type: "any" },
+					revision: { type: "number", integer: true, min: 1, convert: true }
+				},
+				/** @param {Context} ctx  */
+				async handler(ctx) {
+					const doc = await this.getWorkflowEntity(ctx.params.id);
+					const record = await this.getRevisionRecord(doc, ctx.params.revision);
+					if (!record) {
+						throw new EntityNotFoundError(`${ctx.params.id}:${ctx.params.revision}`);
+					}
+					return toRevision(record, doc);
+				}
+			}
+		},
+
+		methods: {
+			/**
+			 * Create a new entity with its first draft.
+			 *
+			 * @param {Context} ctx
+			 * @param {Object} params - The entity
+			 * @returns {Promise<Object>} The created entity
+			 */
+			async _create(ctx, params) {
+				await this.validateEntity(params);
+
+				const entity = Object.assign({}, params, { status: "draft", live: false, revision: null, latestRevision: 1, publishedAt: null });
+				const event = this.pendingEvent("created", ctx);
+				const doc = await this.adapter.insert(this.markEntity(this.adapter.beforeSaveTransformID(entity, this.settings.idField), event));
+
+				const data = this.pickContent(params);
+				await this.saveRevision(ctx, doc, 1, data, diffFields({}, data, this.settings.workflow.fields));
+
+				const json = await this.transformDocuments(ctx, {}, doc);
+				await this.entityChanged(event, json, ctx);
+
+				return json;
+			},
+
+			/**
+			 * Change the draft of an entity. The change of a published entity starts
+			 * a new draft from the published content, the live content isn't changed.
+			 * If the `version` param is set, it's applied only if the entity still has this version.
+			 *
+			 * @param {Context} ctx
+			 * @param {Object} params - ID, expected version & the changed fields
+			 * @returns {Promise<Object>} The updated entity
+			 * @throws {MoleculerClientError} 409 if the entity is in review or archived, or it has a different version
+			 */
+			async _update(ctx, params) {
+				const doc = await this.getWorkflowEntity(params.id != null ? params.id : params[this.settings.idField]);
+				this.checkTransition(doc, "update");
+				if (params.version != null && Number(params.version) !== doc.version) {
+					await this.rejectVersionConflict(doc._id, params.version);
+				}
+
+				const latest = await this.getRevisionRecord(doc, doc.latestRevision);
+				const draft = latest.status == "draft";
+				const number = draft ? latest.revision : latest.revision + 1;
+				const base = draft ? await this.getRevisionRecord(doc, latest.revision - 1) : latest;
+
+				const changes = this.pickContent(params);
+				const data = Object.assign({}, latest.data, changes);
+				await this.validateEntity(data);
+
+				// A never published entity holds the content of its draft
+				const sets = Object.assign(doc.revision == null ? Object.assign({}, data) : {}, { status: "draft", latestRevision: number });
+				const event = this.pendingEvent("updated", ctx, Object.keys(sets));
+				const updated = await this.conditionalUpdate(doc._id, { version: doc.version }, this.markUpdate({ $set: sets }, event));
+				if (!updated) {
+					await this.rejectVersionConflict(doc._id, doc.version);
+				}
+
+				await this.saveRevision(ctx, doc, number, data, diffFields(base ? base.data : {}, data, this.settings.workflow.fields));
+
+				const json = await this.transformDocuments(ctx, {}, updated);
+				await this.entityChanged(event, json, ctx);
+
+				return json;
+			},
+
+			/**
+			 * Change the status of an entity & its last revision by a transition.
+			 *
+			 * @param {Context} ctx
+			 * @param {Object} params - `{ id, version? }`
+			 * @param {String} action - Name of the transition
+			 * @param {Function} fn - `(doc, revision) => { entity, revision?, changes? }`, the changes of the entity & the revision
+			 * @returns {Promise<Object>} The updated entity
+			 * @throws {MoleculerClientError} 409 if the transition is not allowed or the entity has a different version
+			 */
+			async changeStatus(ctx, params, action, fn) {
+				const doc = await this.getWorkflowEntity(params.id);
+				this.checkTransition(doc, action);
+				if (params.version != null && Number(params.version) !== doc.version) {
+					await this.rejectVersionConflict(doc._id, params.version);
+				}
+
+				const revision = await this.getRevisionRecord(doc, doc.latestRevision);
+				const change = fn(doc, revision);
+
+				const event = this.pendingEvent(EVENTS[action], ctx, change.changes || Object.keys(change.entity));
+				const updated = await this.conditionalUpdate(doc._id, { version: doc.version }, this.markUpdate({ $set: change.entity }, event));
+				if (!updated) {
+					await this.rejectVersionConflict(doc._id, doc.version);
+				}
+
+				if (change.revision) {
+					const revisions = await this.getCollection(revisionsCollection);
+					await revisions.updateMany({ _id: revision._id }, { $set: change.revision });
+				}
+
+				const json = await this.transformDocuments(ctx, {}, updated);
+				await this.entityChanged(event, json, ctx);
+
+				return json;
+			},
+
+			/**
+			 * Check that a transition is allowed in the status of an entity.
+			 *
+			 * @param {Object} doc
+			 * @param {String} action
+			 * @throws {MoleculerClientError} 409
+			 */
+			checkTransition(doc, action) {
+				if (!TRANSITIONS[action].includes(doc.status)) {
+					throw new MoleculerClientError(`The '${action}' action is not allowed in the '${doc.status}' status!`, 409, "INVALID_TRANSITION", { id: doc._id, action, status: doc.status });
+				}
+			},
+
+			/**
+			 * Check that the reviewer isn't the author of the revision.
+			 *
+			 * @param {Context} ctx
+			 * @param {Object} revision - Revision record
+			 * @throws {MoleculerClientError} 403
+			 */
+			checkReviewer(ctx, revision) {
+				const user = ctx.meta.user;
+				if (user && revision.author != null && String(revision.author) == String(user._id)) {
+					throw new MoleculerClientError("The revision can't be reviewed by its author!", 403, "SELF_REVIEW", { id: revision._id });
+				}
+			},
+
+			/**
+			 * Get an entity of the workflow.
+			 *
+			 * @param {any} id
+			 * @returns {Promise<Object>}
+			 * @throws {EntityNotFoundError}
+			 */
+			async getWorkflowEntity(id) {
+				const doc = await this.adapter.findById(this.decodeID(id));
+				if (!doc) {
+					throw new EntityNotFoundError(id);
+				}
+				return doc;
+			},
+
+			/**
+			 * Get a revision of an entity.
+			 *
+			 * @param {Object} doc - Entity
+			 * @param {Number} revision
+			 * @returns {Promise<Object?>}
+			 */
+			async getRevisionRecord(doc, revision) {
+				const revisions = await this.getCollection(revisionsCollection);
+				return revisions.findOne({ _id: `${doc._id}:${revision}` });
+			},
+
+			/**
+			 * Create or change a draft revision. A new revision has a fixed ID
+			 * by its number, so a concurrent insert of the same one fails.
+			 *
+			 * @param {Context} ctx
+			 * @param {Object} doc - Entity
+			 * @param {Number} number - Revision number
+			 * @param {Object} data - Content
+			 * @param {Array<Object>} diff - Changes from the previous revision
+			 * @returns {Promise<void>}
+			 */
+			async saveRevision(ctx, doc, number, data, diff) {
+				const revisions = await this.getCollection(revisionsCollection);
+				const user = ctx.meta.user;
+				const now = Date.now();
+
+				const count = await revisions.updateMany({ _id: `${doc._id}:${number}`, status: "draft" }, { $set: { data, diff, author: user ? user._id : null, updatedAt: now } });
+				if (count > 0) return;
+
+				await revisions.insert({
+					_id: `${doc._id}:${number}`,
+					entity: String(doc._id),
+					revision: number,
+					status: "draft",
+					data,
+					diff,
+					author: user ? user._id : null,
+					createdAt: now,
+					updatedAt: now,
+					submittedAt: null,
+					reviewer: null,
+					reviewedAt: null,
+					publishedAt: null,
+					comment: null
+				});
+			},
+
+			/**
+			 * Get the versioned content fields of the params.
+			 *
+			 * @param {Object} params
+			 * @returns {Object}
+			 */
+			pickContent(params) {
+				const data = {};
+				this.settings.workflow.fields.forEach(field => {
+					if (params[field] !== undefined) data[field] = params[field];
+				});
+				return data;
+			}
+		}
+	};
+};
+
+/**
+ * Get the changed fields between two contents.
+ *
+ * @param {Object} before
+ * @param {Object} after
+ * @param {Array<String>} fields
+ * @returns {Array<Object>} `{ field, from, to }` items, `null` for the missing values
+ */
+function diffFields(before, after, fields) {
+	return fields
+		.filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+		.map(field => ({ field, from: before[field] !== undefined ? before[field] : null, to: after[field] !== undefined ? after[field] : null }));
+}
+
+/**
+ * Convert a revision record to its response.
+ *
+ * @param {Object} record
+ * @param {Object} doc - Entity of the revision
+ * @returns {Object}
+ */
+function toRevision(record, doc) {
+	const { revision, status, data, diff, author, createdAt, updatedAt, submittedAt, reviewer, reviewedAt, publishedAt, comment } = record;
+	return { revision, status, live: doc.live && doc.revision == revision, data, diff, author, createdAt, updatedAt, submittedAt, reviewer, reviewedAt, publishedAt, comment };
+}
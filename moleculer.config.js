@@ -1,5 +1,8 @@
 "use strict";
 
+const AuthorizationMiddleware = require("./middlewares/authorization.middleware");
+const MigrationsCommand = require("./lib/migrations-command");
+
 /**
  * Moleculer ServiceBroker configuration file
  *
@@ -190,10 +193,10 @@ module.exports = {
 	},
 
 	// Register custom middlewares
-	middlewares: [],
+	middlewares: [AuthorizationMiddleware],
 
 	// Register custom REPL commands.
-	replCommands: null,
+	replCommands: [MigrationsCommand],
 
 	// Called after broker created.
 	created(broker) {
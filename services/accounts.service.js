@@ -0,0 +1,444 @@
+"use strict";
+
+const crypto = require("crypto");
+const { promisify } = require("util");
+const jwt = require("jsonwebtoken");
+const { MoleculerClientError } = require("moleculer").Errors;
+const { EntityNotFoundError } = require("moleculer-db/src/errors");
+const DbMixin = require("../mixins/db.mixin");
+const { ROLES } = require("../lib/access-control");
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * @typedef {import('moleculer').Context} Context Moleculer's Context
+ */
+
+module.exports = {
+	name: "accounts",
+
+	/**
+	 * Mixins
+	 */
+	mixins: [DbMixin("accounts")],
+
+	/**
+	 * Settings
+	 */
+	settings: {
+		// Available fields in the responses. The password hash & sessions never leave the service.
+		fields: [
+			"_id",
+			"username",
+			"email",
+			"roles",
+			"createdAt"
+		],
+
+		// Secret for signing the JWT tokens. It's required, except in the tests.
+		jwtSecret: process.env.JWT_SECRET || (process.env.NODE_ENV === "test" ? "alphabox-test-secret" : null),
+
+		// Lifetime of the access tokens in seconds
+		accessTokenTTL: 15 * 60,
+
+		// Lifetime of the refresh tokens (and the login session) in seconds
+		refreshTokenTTL: 30 * 24 * 60 * 60,
+
+		// Roles of the newly registered accounts
+		defaultRoles: ["learner"]
+	},
+
+	/**
+	 * Actions
+	 */
+	actions: {
+		/**
+		 * The generic CRUD actions of "moleculer-db" are disabled,
+		 * accounts can only be changed via the actions below.
+		 */
+		create: false,
+		insert: false,
+		update: false,
+		remove: false,
+		list: false,
+		find: false,
+		count: false,
+
+		get: {
+			visibility: "public"
+		},
+
+		/**
+		 * Register a new account. The email is stored trimmed & in lower case.
+		 *
+		 * @param {String} username
+		 * @param {String} email
+		 * @param {String} password
+		 */
+		register: {
+			rest: "POST /register",
+			params: {
+				username: "string|min:3|max:32|trim",
+				email: { type: "email", normalize: true },
+				password: "string|min:8"
+			},
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				const { username, email, password } = ctx.params;
+
+				if (await this.adapter.findOne({ username })) {
+					throw new MoleculerClientError("Username is already taken!", 422, "USERNAME_EXISTS", { field: "username" });
+				}
+				if (await this.adapter.findOne({ email })) {
+					throw new MoleculerClientError("Email is already registered!", 422, "EMAIL_EXISTS", { field: "email" });
+				}
+
+				const event = this.pendingEvent("created", ctx);
+				let doc;
+				try {
+					doc = await this.adapter.insert(this.markEntity({
+						username,
+						email,
+						password: await this.hashPassword(password),
+						roles: this.settings.defaultRoles.slice(),
+						sessions: [],
+						createdAt: Date.now()
+					}, event));
+				} catch(err) {
+					// Registered concurrently, the unique indexes reject the second one
+					if (err.errorType != "uniqueViolated" && err.code != 11000) throw err;
+					if (await this.adapter.findOne({ username })) {
+						throw new MoleculerClientError("Username is already taken!", 422, "USERNAME_EXISTS", { field: "username" });
+					}
+					throw new MoleculerClientError("Email is already registered!", 422, "EMAIL_EXISTS", { field: "email" });
+				}
+				const json = await this.transformDocuments(ctx, {}, doc);
+				await this.entityChanged(event, json, ctx);
+
+				return json;
+			}
+		},
+
+		/**
+		 * Login with username (or email) & password. The email is case-insensitive.
+		 * Opens a new session and returns an access & a refresh token for it.
+		 *
+		 * @param {String} username - Username or email
+		 * @param {String} password
+		 */
+		login: {
+			rest: "POST /login",
+			// Against guessing the passwords, from an address or of an account from many addresses
+			// by its username & email together
+			throttle: [
+				{ window: 15 * 60 * 1000, limit: 10 },
+				{ window: 15 * 60 * 1000, limit: 20, by: "username", resolve: "accounts.loginKey" }
+			],
+			params: {
+				username: "string",
+				password: "string"
+			},
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				const { username, password } = ctx.params;
+
+				const doc = await this.findByLogin(username);
+				if (!doc || !(await this.verifyPassword(password, doc.password))) {
+					throw new MoleculerClientError("Invalid username or password!", 422, "INVALID_CREDENTIALS");
+				}
+
+				return this.openSession(doc);
+			}
+		},
+
+		/**
+		 * Exchange a refresh token to a new token pair.
+		 * The used refresh token is revoked (rotation).
+		 *
+		 * @param {String} refreshToken
+		 */
+		refresh: {
+			rest: "POST /refresh",
+			params: {
+				refreshToken: "string"
+			},
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				const found = await this.findSession(ctx.params.refreshToken, "refresh");
+				if (!found) {
+					throw new MoleculerClientError("Invalid refresh token!", 401, "INVALID_TOKEN");
+				}
+
+				// A refresh token can be used only once
+				if (!(await this.closeSessions(found.doc, [found.session.id]))) {
+					throw new MoleculerClientError("Invalid refresh token!", 401, "INVALID_TOKEN");
+				}
+
+				return this.openSession(found.doc);
+			}
+		},
+
+		/**
+		 * Logout. Revokes the session of the current access token.
+		 */
+		logout: {
+			rest: "POST /logout",
+			auth: "required",
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				const doc = await this.getById(ctx.meta.user._id);
+				if (doc) {
+					await this.closeSessions(doc, [ctx.meta.user.sid]);
+				}
+				return true;
+			}
+		},
+
+		/**
+		 * Get the account of the logged in user.
+		 */
+		me: {
+			rest: "GET /me",
+			auth: "required",
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				return this._get(ctx, { id: ctx.meta.user._id });
+			}
+		},
+
+		/**
+		 * Change the password of the logged in user.
+		 * All sessions of the account are revoked.
+		 *
+		 * @param {String} oldPassword
+		 * @param {String} newPassword
+		 */
+		changePassword: {
+			rest: "PUT /password",
+			auth: "required",
+			params: {
+				oldPassword: "string",
+				newPassword: "string|min:8"
+			},
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				const doc = await this.getById(ctx.meta.user._id);
+				if (!doc || !(await this.verifyPassword(ctx.params.oldPassword, doc.password))) {
+					throw new MoleculerClientError("Invalid password!", 422, "INVALID_CREDENTIALS", { field: "oldPassword" });
+				}
+
+				const event = this.pendingEvent("updated", ctx, ["password"]);
+				const updated = await this.adapter.updateById(doc._id, this.markUpdate({
+					$set: {
+						password: await this.hashPassword(ctx.params.newPassword),
+						sessions: []
+					}
+				}, event));
+				const json = await this.transformDocuments(ctx, {}, updated);
+				await this.entityChanged(event, json, ctx);
+
+				return json;
+			}
+		},
+
+		/**
+		 * Set the roles of an account.
+		 *
+		 * @param {String} id - Account ID
+		 * @param {Array<String>} roles
+		 */
+		setRoles: {
+			rest: "PUT /:id/roles",
+			permissions: ["accounts.manage"],
+			params: {
+				id: "string",
+				roles: { type: "array", items: { type: "enum", values: Object.keys(ROLES) } }
+			},
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				const event = this.pendingEvent("updated", ctx, ["roles"]);
+				const doc = await this.adapter.updateById(this.decodeID(ctx.params.id), this.markUpdate({ $set: { roles: ctx.params.roles } }, event));
+				if (!doc) {
+					throw new EntityNotFoundError(ctx.params.id);
+				}
+				const json = await this.transformDocuments(ctx, {}, doc);
+				await this.entityChanged(event, json, ctx);
+
+				return json;
+			}
+		},
+
+		/**
+		 * Get the key of the login attempts of an account for the rate limit of the
+		 * API gateway. It's the ID of the account by its username or email, the
+		 * normalized username or email if the account doesn't exist.
+		 *
+		 * @param {String} username - Username or email
+		 * @returns {String}
+		 */
+		loginKey: {
+			visibility: "public",
+			params: {
+				username: "string"
+			},
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				const doc = await this.findByLogin(ctx.params.username);
+				return doc ? `account:${doc._id}` : `login:${ctx.params.username.trim().toLowerCase()}`;
+			}
+		},
+
+		/**
+		 * Resolve the user by an access token. It is called by the API gateway.
+		 * Returns `null` if the token is invalid, expired or revoked.
+		 * The session is checked in the DB, so a revocation is effective on all nodes.
+		 *
+		 * @param {String} token - Access token
+		 */
+		resolveToken: {
+			visibility: "public",
+			params: {
+				token: "string"
+			},
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				const found = await this.findSession(ctx.params.token, "access");
+				if (!found) return null;
+
+				const user = await this.transformDocuments(ctx, { fields: ["_id", "username", "roles"] }, found.doc);
+				user.sid = found.session.id;
+
+				return user;
+			}
+		}
+	},
+
+	/**
+	 * Methods
+	 */
+	methods: {
+		/**
+		 * Hash a password with a random salt.
+		 *
+		 * @param {String} password
+		 * @returns {Promise<String>} `scrypt$<salt>$<hash>`
+		 */
+		async hashPassword(password) {
+			const salt = crypto.randomBytes(16).toString("hex");
+			const hash = await scrypt(password, salt, 64);
+			return `scrypt$${salt}$${hash.toString("hex")}`;
+		},
+
+		/**
+		 * Find an account by its username or its email.
+		 *
+		 * @param {String} username - Username or email
+		 * @returns {Promise<Object?>}
+		 */
+		findByLogin(username) {
+			return this.adapter.findOne({ $or: [{ username }, { email: username.trim().toLowerCase() }] });
+		},
+
+		/**
+		 * Check a password against a stored hash.
+		 *
+		 * @param {String} password
+		 * @param {String} stored
+		 * @returns {Promise<Boolean>}
+		 */
+		async verifyPassword(password, stored) {
+			const [algorithm, salt, hash] = (stored || "").split("$");
+			if (algorithm != "scrypt" || !salt || !hash) return false;
+
+			const expected = Buffer.from(hash, "hex");
+			const actual = await scrypt(password, salt, expected.length);
+			return crypto.timingSafeEqual(expected, actual);
+		},
+
+		/**
+		 * Sign a token for a session.
+		 *
+		 * @param {Object} doc - Account
+		 * @param {String} sid - Session ID
+		 * @param {String} type - "access" or "refresh"
+		 * @param {Number} ttl - Lifetime in seconds
+		 * @returns {String}
+		 */
+		signToken(doc, sid, type, ttl) {
+			return jwt.sign({ id: String(doc._id), sid, type }, this.settings.jwtSecret, { expiresIn: ttl });
+		},
+
+		/**
+		 * Open a new session for the account and issue its tokens.
+		 * Expired sessions are pruned at the same time.
+		 *
+		 * @param {Object} doc - Account
+		 * @returns {Promise<Object>}
+		 */
+		async openSession(doc) {
+			const now = Date.now();
+			const session = {
+				id: crypto.randomBytes(12).toString("hex"),
+				expiresAt: now + this.settings.refreshTokenTTL * 1000
+			};
+
+			await this.adapter.updateById(doc._id, { $pull: { sessions: { expiresAt: { $lte: now } } } });
+			await this.adapter.updateById(doc._id, { $push: { sessions: session } });
+
+			return {
+				accessToken: this.signToken(doc, session.id, "access", this.settings.accessTokenTTL),
+				refreshToken: this.signToken(doc, session.id, "refresh", this.settings.refreshTokenTTL),
+				expiresIn: this.settings.accessTokenTTL
+			};
+		},
+
+		/**
+		 * Revoke sessions of the account.
+		 *
+		 * @param {Object} doc - Account
+		 * @param {Array<String>} ids - Session IDs
+		 * @returns {Promise<Boolean>} `false` if none of the sessions was open
+		 */
+		async closeSessions(doc, ids) {
+			const count = await this.adapter.updateMany(
+				{ _id: doc._id, "sessions.id": { $in: ids } },
+				{ $pull: { sessions: { id: { $in: ids } } } }
+			);
+			return count > 0;
+		},
+
+		/**
+		 * Verify a token and find its live session.
+		 *
+		 * @param {String} token
+		 * @param {String} type - Expected token type
+		 * @returns {Promise<Object?>} `{ doc, session }` or `null`
+		 */
+		async findSession(token, type) {
+			let payload;
+			try {
+				payload = jwt.verify(token, this.settings.jwtSecret);
+			} catch(err) {
+				return null;
+			}
+			if (payload.type != type) return null;
+
+			const doc = await this.getById(payload.id, true);
+			if (!doc) return null;
+
+			const session = (doc.sessions || []).find(s => s.id == payload.sid && s.expiresAt > Date.now());
+			if (!session) return null;
+
+			return { doc, session };
+		}
+	},
+
+	/**
+	 * Service created lifecycle event handler
+	 */
+	created() {
+		if (!this.settings.jwtSecret) {
+			throw new Error("The JWT_SECRET environment variable is required to sign the tokens!");
+		}
+	}
+};
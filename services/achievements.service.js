@@ -0,0 +1,422 @@
+"use strict";
+
+const { MoleculerClientError } = require("moleculer").Errors;
+const { EntityNotFoundError } = require("moleculer-db/src/errors");
+const DbMixin = require("../mixins/db.mixin");
+const Achievements = require("../lib/achievements");
+const { localDate } = require("../lib/dates");
+
+/**
+ * @typedef {import('moleculer').Context} Context Moleculer's Context
+ */
+
+module.exports = {
+	name: "achievements",
+
+	/**
+	 * Mixins
+	 */
+	mixins: [DbMixin("achievements")],
+
+	/**
+	 * Settings
+	 */
+	settings: {
+		// Available fields in the responses
+		fields: [
+			"_id",
+			"user",
+			"stats",
+			"streak",
+			"badges",
+			"createdAt",
+			"version"
+		],
+
+		// Badge rules. A badge is awarded when the metric reaches the threshold.
+		// The metrics: sessions, xp, perfectSessions, reviews, mastered, streak (the longest one).
+		// A new rule is awarded for the past activities by the `reevaluate` action.
+		badges: [
+			{ id: "first-session", name: "First steps", description: "Complete a game session", metric: "sessions", threshold: 1 },
+			{ id: "sessions-50", name: "Regular", description: "Complete 50 game sessions", metric: "sessions", threshold: 50 },
+			{ id: "perfect-10", name: "Flawless", description: "Complete 10 sessions without mistakes", metric: "perfectSessions", threshold: 10 },
+			{ id: "xp-1000", name: "Rising star", description: "Earn 1000 XP", metric: "xp", threshold: 1000 },
+			{ id: "reviews-500", name: "Diligent", description: "Review 500 cards", metric: "reviews", threshold: 500 },
+			{ id: "words-100", name: "Wordsmith", description: "Master 100 words", metric: "mastered", threshold: 100 },
+			{ id: "streak-7", name: "On fire", description: "Keep a 7-day streak", metric: "streak", threshold: 7 },
+			{ id: "streak-30", name: "Unstoppable", description: "Keep a 30-day streak", metric: "streak", threshold: 30 }
+		],
+
+		// Streak freezes, see the Achievements lib
+		streak: {
+			freezeEvery: 7,
+			maxFreezes: 2
+		},
+
+		// A word is mastered when its review interval reaches this many days
+		masteryInterval: 21,
+
+		// Log of the activities of the learners. It's the history of the re-evaluation.
+		activitiesCollection: "achievements-activities",
+
+		// Retries of an update on concurrent activities of the same learner
+		maxRetries: 5
+	},
+
+	/**
+	 * Actions
+	 */
+	actions: {
+		/**
+		 * The generic CRUD actions of "moleculer-db" are disabled,
+		 * the achievements are updated by the game & review events.
+		 */
+		create: false,
+		insert: false,
+		update: false,
+		remove: false,
+		list: false,
+		find: false,
+		count: false,
+		get: false,
+
+		/**
+		 * Get the achievements of the logged in learner.
+		 *
+		 * @returns {Object} `{ user, stats, streak, badges, locked }`
+		 */
+		me: {
+			rest: "GET /me",
+			auth: "required",
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				return this.getAchievements(ctx, ctx.meta.user._id);
+			}
+		},
+
+		/**
+		 * Get the achievements of a learner. A learner can read only their own.
+		 *
+		 * @param {String} user - User ID
+		 */
+		getByUser: {
+			rest: "GET /users/:user",
+			permissions: ["progress.read"],
+			owner: "user",
+			params: {
+				user: "string"
+			},
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				return this.getAchievements(ctx, ctx.params.user);
+			}
+		},
+
+		/**
+		 * List the badges.
+		 */
+		badges: {
+			rest: "GET /badges",
+			handler() {
+				return this.settings.badges.map(badge => this.toBadge(badge));
+			}
+		},
+
+		/**
+		 * Grant streak freezes to a learner, e.g. bought in the shop.
+		 *
+		 * @param {String} user - User ID
+		 * @param {Number} count
+		 * @param {String} reference - Unique ID of the grant, it's granted only once
+		 */
+		grantFreezes: {
+			visibility: "public",
+			params: {
+				user: "string",
+				count: { type: "number", integer: true, min: 1, max: 10 },
+				reference: "string"
+			},
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				const { user, count, reference } = ctx.params;
+				const json = await this.recordActivity(ctx, {
+					_id: `freezes:${reference}`,
+					user,
+					kind: "freeze",
+					time: Date.now(),
+					data: { count }
+				});
+				if (!json) {
+					throw new MoleculerClientError("The freezes are already granted!", 409, "ALREADY_GRANTED", { reference });
+				}
+				return json;
+			}
+		},
+
+		/**
+		 * Re-evaluate the badges by replaying the activities, e.g. after a new badge
+		 * is added. The badges are awarded at the time of the activity which reached
+		 * them. The awarded badges are never revoked.
+		 *
+		 * @param {String?} user - User ID, every learner without it
+		 * @returns {Object} `{ learners, awarded }`
+		 */
+		reevaluate: {
+			rest: "POST /reevaluate",
+			permissions: ["achievements.write"],
+			params: {
+				user: { type: "string", optional: true }
+			},
+			// It replays the whole history, it can run longer than the request timeout
+			timeout: 0,
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				const users = ctx.params.user
+					? [ctx.params.user]
+					: (await this.adapter.find({})).map(doc => doc.user);
+
+				let awarded = 0;
+				for (const user of users) {
+					awarded += await this.reevaluateLearner(ctx, user);
+				}
+
+				this.logger.info(`Re-evaluated the badges of ${users.length} learner(s), ${awarded} badge(s) awarded.`);
+				return { learners: users.length, awarded };
+			}
+		}
+	},
+
+	/**
+	 * Events
+	 */
+	events: {
+		/**
+		 * Record a completed game session.
+		 *
+		 * @param {Context} ctx
+		 */
+		"sessions.completed": {
+			async handler(ctx) {
+				const session = ctx.params.entity;
+				await this.recordActivity(ctx, {
+					_id: `sessions:${ctx.params.id}`,
+					user: session.user,
+					kind: "session",
+					time: session.finishedAt,
+					data: {
+						xp: session.xp,
+						perfect: session.questions.every(question => question.verdict == "correct")
+					}
+				});
+			}
+		},
+
+		/**
+		 * Record a review. Every version of a card is a review.
+		 *
+		 * @param {Context} ctx
+		 */
+		"reviews.created": {
+			async handler(ctx) {
+				await this.recordReview(ctx, ctx.params.entity);
+			}
+		},
+		"reviews.updated": {
+			async handler(ctx) {
+				await this.recordReview(ctx, ctx.params.entity);
+			}
+		}
+	},
+
+	/**
+	 * Methods
+	 */
+	methods: {
+		/**
+		 * Record a review. The word is mastered when its interval reaches
+		 * the mastery interval for the first time.
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} card - Review card
+		 * @returns {Promise<Object?>}
+		 */
+		async recordReview(ctx, card) {
+			const mastered = card.interval >= this.settings.masteryInterval;
+			let newlyMastered = false;
+			if (mastered) {
+				const activities = await this.getCollection(this.settings.activitiesCollection);
+				newlyMastered = await activities.count({ query: { user: card.user, kind: "review", "data.item": card.item, "data.mastered": true } }) == 0;
+			}
+
+			return this.recordActivity(ctx, {
+				_id: `reviews:${card._id}:${card.version}`,
+				user: card.user,
+				kind: "review",
+				time: card.reviewedAt,
+				data: { item: card.item, grade: card.lastGrade, mastered, newlyMastered }
+			});
+		},
+
+		/**
+		 * Log an activity & apply it to the achievements of the learner.
+		 * A redelivered event is skipped by the ID of the activity.
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} activity - `{ _id, user, kind, time, data }`
+		 * @returns {Promise<Object?>} The achievements, `null` if the activity is already recorded
+		 */
+		async recordActivity(ctx, activity) {
+			activity.date = localDate(activity.time, await this.getTimeZone(ctx, activity.user));
+
+			const activities = await this.getCollection(this.settings.activitiesCollection);
+			try {
+				await activities.insert(activity);
+			} catch(err) {
+				if (err.errorType != "uniqueViolated" && err.code != 11000) throw err;
+				return null;
+			}
+
+			return this.updateAchievements(ctx, activity.user, state => Achievements.applyActivity(state, activity, this.settings.badges, this.settings.streak));
+		},
+
+		/**
+		 * Replay the activities of a learner & award the reached badges.
+		 *
+		 * @param {Context} ctx
+		 * @param {String} user
+		 * @returns {Promise<Number>} Count of the newly awarded badges
+		 */
+		async reevaluateLearner(ctx, user) {
+			const activities = await this.getCollection(this.settings.activitiesCollection);
+			const history = await activities.find({ query: { user }, sort: ["time", "_id"] });
+
+			let awarded = [];
+			await this.updateAchievements(ctx, user, state => {
+				const replayed = Achievements.createState();
+				// The awarded badges are kept with their original time
+				replayed.badges = state.badges.slice();
+
+				awarded = [];
+				history.forEach(activity => awarded.push(...Achievements.applyActivity(replayed, activity, this.settings.badges, this.settings.streak)));
+				Object.assign(state, replayed);
+				return awarded;
+			});
+			return awarded.length;
+		},
+
+		/**
+		 * Update the achievements of a learner with optimistic locking.
+		 *
+		 * @param {Context} ctx
+		 * @param {String} user
+		 * @param {Function} change - `state => awardedBadges`, it changes the state
+		 * @returns {Promise<Object>} The achievements
+		 */
+		async updateAchievements(ctx, user, change) {
+			for (let i = 0; i < this.settings.maxRetries; i++) {
+				const doc = await this.adapter.findOne({ user });
+				const state = doc
+					? { stats: Object.assign({}, doc.stats), streak: Object.assign({}, doc.streak), badges: doc.badges.slice() }
+					: Achievements.createState();
+				const awarded = change(state);
+
+				const events = [doc ? this.pendingEvent("updated", ctx, ["stats", "streak", "badges"]) : this.pendingEvent("created", ctx)];
+				if (awarded.length > 0) {
+					events.push(this.pendingEvent("awarded", ctx, ["badges"]));
+				}
+
+				let saved;
+				if (doc) {
+					saved = await this.conditionalUpdate(doc._id, { version: doc.version }, this.markUpdate({ $set: state }, events));
+				} else {
+					saved = await this.insertAchievements(this.markEntity(Object.assign({ user, createdAt: Date.now() }, state), events));
+				}
+				if (!saved) continue;
+
+				const json = await this.transformDocuments(ctx, {}, saved);
+				for (const event of events) {
+					await this.entityChanged(event, json, ctx);
+				}
+				return json;
+			}
+			throw new MoleculerClientError("The achievements have been changed in the meantime!", 409, "ACHIEVEMENTS_CONFLICT", { user });
+		},
+
+		/**
+		 * Insert the achievements of a new learner.
+		 *
+		 * @param {Object} doc
+		 * @returns {Promise<Object?>} `null` if they're created by a concurrent activity.
+		 */
+		async insertAchievements(doc) {
+			try {
+				return await this.adapter.insert(doc);
+			} catch(err) {
+				// Only the Mongo adapter has the unique index
+				if (err.code != 11000) throw err;
+				return null;
+			}
+		},
+
+		/**
+		 * Get the achievements of a learner with the progress toward the locked badges.
+		 *
+		 * @param {Context} ctx
+		 * @param {String} user
+		 * @returns {Promise<Object>}
+		 */
+		async getAchievements(ctx, user) {
+			const doc = await this.adapter.findOne({ user });
+			if (!doc) {
+				throw new EntityNotFoundError(user);
+			}
+
+			const today = localDate(Date.now(), await this.getTimeZone(ctx, user));
+			const json = await this.transformDocuments(ctx, {}, doc);
+			json.streak.current = Achievements.currentStreak(doc.streak, today);
+
+			const awarded = new Map(doc.badges.map(item => [item.id, item.awardedAt]));
+			json.badges = this.settings.badges
+				.filter(badge => awarded.has(badge.id))
+				.map(badge => Object.assign(this.toBadge(badge), { awardedAt: awarded.get(badge.id) }));
+			json.locked = this.settings.badges
+				.filter(badge => !awarded.has(badge.id))
+				.map(badge => Object.assign(this.toBadge(badge), Achievements.badgeProgress(doc, badge)));
+
+			return json;
+		},
+
+		/**
+		 * Get the public fields of a badge.
+		 *
+		 * @param {Object} badge
+		 * @returns {Object}
+		 */
+		toBadge(badge) {
+			return { id: badge.id, name: badge.name, description: badge.description };
+		},
+
+		/**
+		 * Get the time zone of a learner's profile, UTC without profile.
+		 *
+		 * @param {Context} ctx
+		 * @param {String} user
+		 * @returns {Promise<String>}
+		 */
+		async getTimeZone(ctx, user) {
+			const profile = await ctx.call("learners.findByUser", { user });
+			return profile ? profile.timezone : "UTC";
+		}
+	},
+
+	/**
+	 * Service created lifecycle event handler
+	 */
+	created() {
+		this.settings.badges.forEach(badge => {
+			if (!Achievements.METRICS.includes(badge.metric)) {
+				throw new Error(`Unknown metric '${badge.metric}' of the '${badge.id}' badge.`);
+			}
+		});
+	}
+};
@@ -0,0 +1,449 @@
+"use strict";
+
+const { MoleculerClientError } = require("moleculer").Errors;
+const DbMixin = require("../mixins/db.mixin");
+const Analytics = require("../lib/analytics");
+const { localDate, addDays, daysBetween } = require("../lib/dates");
+
+/**
+ * @typedef {import('moleculer').Context} Context Moleculer's Context
+ */
+
+// Calendar date of the ranges
+const DATE = { type: "string", pattern: /^\d{4}-\d{2}-\d{2}$/, optional: true };
+
+/**
+ * Get the ID of the aggregate of a learner's day. It's unique by
+ * the learner & the date, so a day is created only once by any adapter.
+ *
+ * @param {String} user
+ * @param {String} date - `YYYY-MM-DD`
+ * @returns {String}
+ */
+function dayId(user, date) {
+	return `${user}:${date}`;
+}
+
+module.exports = {
+	name: "analytics",
+
+	/**
+	 * Mixins
+	 */
+	mixins: [DbMixin("analytics")],
+
+	/**
+	 * Settings
+	 */
+	settings: {
+		// Available fields of the daily aggregates
+		fields: [
+			"_id",
+			"user",
+			"date",
+			"skills",
+			"timeSpent",
+			"seen",
+			"mastered",
+			"ratings",
+			"version"
+		],
+
+		// A word is mastered when its review interval reaches this many days
+		masteryInterval: 21,
+
+		// Raw events of the learners. The aggregates are rebuilt from them.
+		eventsCollection: "analytics-events",
+
+		// Length of the default range of the series in days
+		defaultDays: 30,
+
+		// Max length of the range of the series in days
+		maxDays: 366,
+
+		// Retries of an update on concurrent events of the same learner
+		maxRetries: 5
+	},
+
+	/**
+	 * Actions
+	 */
+	actions: {
+		/**
+		 * The generic CRUD actions of "moleculer-db" are disabled,
+		 * the aggregates are updated by the events.
+		 */
+		create: false,
+		insert: false,
+		update: false,
+		remove: false,
+		list: false,
+		find: false,
+		count: false,
+		get: false,
+
+		/**
+		 * Get a time-bucketed series of the logged in learner.
+		 *
+		 * @param {String} metric - "accuracy", "words", "time" or "rating"
+		 * @param {String?} bucket - "day", "week" or "month". Day by default.
+		 * @param {String?} from - First date of the range, `YYYY-MM-DD`
+		 * @param {String?} to - Last date of the range, today in the learner's time zone by default
+		 * @returns {Object} `{ user, metric, bucket, from, to, points }`
+		 */
+		me: {
+			rest: "GET /me/:metric",
+			auth: "required",
+			params: {
+				metric: { type: "enum", values: Analytics.METRICS },
+				bucket: { type: "enum", values: Analytics.BUCKETS, optional: true },
+				from: DATE,
+				to: DATE
+			},
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				return this.getSeries(ctx, ctx.meta.user._id, ctx.params);
+			}
+		},
+
+		/**
+		 * Get a time-bucketed series of a learner. A learner can read only their own.
+		 *
+		 * @param {String} user - User ID
+		 * @param {String} metric - See `me`
+		 */
+		getByUser: {
+			rest: "GET /users/:user/:metric",
+			permissions: ["progress.read"],
+			owner: "user",
+			params: {
+				user: "string",
+				metric: { type: "enum", values: Analytics.METRICS },
+				bucket: { type: "enum", values: Analytics.BUCKETS, optional: true },
+				from: DATE,
+				to: DATE
+			},
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				return this.getSeries(ctx, ctx.params.user, ctx.params);
+			}
+		},
+
+		/**
+		 * Rebuild the aggregates by replaying the raw events,
+		 * e.g. after the aggregation is changed.
+		 *
+		 * @param {String?} user - User ID, every learner without it
+		 * @returns {Object} `{ learners, days }`
+		 */
+		rebuild: {
+			rest: "POST /rebuild",
+			permissions: ["analytics.write"],
+			params: {
+				user: { type: "string", optional: true }
+			},
+			// It replays the whole history, it can run longer than the request timeout
+			timeout: 0,
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				return this.rebuildAggregates(ctx, ctx.params.user);
+			}
+		}
+	},
+
+	/**
+	 * Events
+	 */
+	events: {
+		/**
+		 * Record a finished game session. The answers of an
+		 * abandoned session are recorded when it's expired.
+		 *
+		 * @param {Context} ctx
+		 */
+		"sessions.completed": {
+			async handler(ctx) {
+				await this.recordSession(ctx, ctx.params.entity);
+			}
+		},
+		"sessions.expired": {
+			async handler(ctx) {
+				await this.recordSession(ctx, ctx.params.entity);
+			}
+		},
+
+		/**
+		 * Record a review. Every version of a card is a review.
+		 *
+		 * @param {Context} ctx
+		 */
+		"reviews.created": {
+			async handler(ctx) {
+				await this.recordReview(ctx, ctx.params.entity);
+			}
+		},
+		"reviews.updated": {
+			async handler(ctx) {
+				await this.recordReview(ctx, ctx.params.entity);
+			}
+		},
+
+		/**
+		 * Record the skill rating of a learner after an answer.
+		 *
+		 * @param {Context} ctx
+		 */
+		"challenges.rated": {
+			async handler(ctx) {
+				const rating = ctx.params.entity;
+				await this.recordEvent(ctx, {
+					_id: `ratings:${rating._id}:${rating.attempts}`,
+					user: rating.user,
+					kind: "rating",
+					time: rating.ratedAt,
+					entity: rating
+				});
+			}
+		}
+	},
+
+	/**
+	 * Methods
+	 */
+	methods: {
+		/**
+		 * Record a finished game session.
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} session
+		 * @returns {Promise<Object?>}
+		 */
+		recordSession(ctx, session) {
+			return this.recordEvent(ctx, {
+				_id: `sessions:${session._id}`,
+				user: session.user,
+				kind: "session",
+				time: session.finishedAt,
+				entity: session
+			});
+		},
+
+		/**
+		 * Record a review. The word is seen at its first review & it's mastered
+		 * when its interval reaches the mastery interval for the first time.
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} card - Review card
+		 * @returns {Promise<Object?>}
+		 */
+		async recordReview(ctx, card) {
+			const id = `reviews:${card._id}:${card.version}`;
+			const events = await this.getCollection(this.settings.eventsCollection);
+			// A redelivered event is stored already, it's not counted
+			const query = { _id: { $ne: id }, user: card.user, kind: "review", "entity.item": card.item };
+			const mastered = Analytics.isMastered(card, this.settings);
+
+			const context = {
+				newlySeen: await events.count({ query }) == 0,
+				newlyMastered: mastered && await events.count({ query: Object.assign({ "entity.interval": { $gte: this.settings.masteryInterval } }, query) }) == 0
+			};
+
+			return this.recordEvent(ctx, {
+				_id: id,
+				user: card.user,
+				kind: "review",
+				time: card.reviewedAt,
+				entity: card
+			}, context);
+		},
+
+		/**
+		 * Store a raw event & apply it to the aggregate of its day.
+		 * A redelivered event is applied only if it isn't applied yet,
+		 * e.g. the update of the day failed at the first delivery.
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} event - `{ _id, user, kind, time, entity }`
+		 * @param {Object?} context - See `Analytics.applyEvent`
+		 * @returns {Promise<Object?>} The day, `null` if the event is already applied
+		 */
+		async recordEvent(ctx, event, context) {
+			event.date = localDate(event.time, await this.getTimeZone(ctx, event.user));
+
+			const events = await this.getCollection(this.settings.eventsCollection);
+			try {
+				await events.insert(event);
+			} catch(err) {
+				if (err.errorType != "uniqueViolated" && err.code != 11000) throw err;
+				// The day of the event may be changed by the time zone since the first delivery
+				if (await this.adapter.findOne({ user: event.user, events: event._id })) return null;
+			}
+
+			return this.updateDay(event.user, event.date, event._id, day => Analytics.applyEvent(day, event, context));
+		},
+
+		/**
+		 * Apply an event to the aggregate of a day with optimistic locking.
+		 * The IDs of the applied events are stored by the day, in the same write.
+		 *
+		 * @param {String} user
+		 * @param {String} date - `YYYY-MM-DD`
+		 * @param {String} event - Event ID
+		 * @param {Function} change - `day => void`, it changes the day
+		 * @returns {Promise<Object?>} The day, `null` if the event is already applied
+		 */
+		async updateDay(user, date, event, change) {
+			for (let i = 0; i < this.settings.maxRetries; i++) {
+				const doc = await this.adapter.findOne({ user, date });
+				if (doc && doc.events && doc.events.includes(event)) return null;
+
+				const day = doc
+					? { skills: JSON.parse(JSON.stringify(doc.skills)), timeSpent: doc.timeSpent, seen: doc.seen, mastered: doc.mastered, ratings: Object.assign({}, doc.ratings) }
+					: Analytics.createDay();
+				change(day);
+
+				const saved = doc
+					? await this.conditionalUpdate(doc._id, { version: doc.version }, { $set: day, $push: { events: event } })
+					: await this.insertDay(Object.assign({ _id: dayId(user, date), user, date, events: [event] }, day));
+				if (saved) return saved;
+			}
+			throw new MoleculerClientError("The analytics have been changed in the meantime!", 409, "ANALYTICS_CONFLICT", { user, date });
+		},
+
+		/**
+		 * Insert the aggregate of a new day.
+		 *
+		 * @param {Object} doc
+		 * @returns {Promise<Object?>} `null` if it's created by a concurrent event.
+		 */
+		async insertDay(doc) {
+			try {
+				return await this.adapter.insert(doc);
+			} catch(err) {
+				// The ID is unique by the learner & the date
+				if (err.errorType != "uniqueViolated" && err.code != 11000) throw err;
+				return null;
+			}
+		},
+
+		/**
+		 * Replace the aggregate of a day, or insert it if it's missing.
+		 *
+		 * @param {String} id
+		 * @param {Object} day - Fields of the day without the ID
+		 * @returns {Promise<Object>}
+		 */
+		async replaceDay(id, day) {
+			const doc = await this.adapter.updateById(id, { $set: day });
+			if (doc) return doc;
+
+			// Created by a concurrent event in the meantime
+			return await this.insertDay(Object.assign({ _id: id }, day)) || this.adapter.updateById(id, { $set: day });
+		},
+
+		/**
+		 * Rebuild the aggregates of the learners by their raw events.
+		 *
+		 * @param {Context} ctx
+		 * @param {String?} user - Every learner without it
+		 * @returns {Promise<Object>} `{ learners, days }`
+		 */
+		async rebuildAggregates(ctx, user) {
+			const users = user ? [user] : await this.listLearners();
+
+			let days = 0;
+			for (const item of users) {
+				days += await this.rebuildLearner(ctx, item);
+			}
+
+			this.logger.info(`Rebuilt the analytics of ${users.length} learner(s), ${days} day(s).`);
+			return { learners: users.length, days };
+		},
+
+		/**
+		 * Replace the aggregates of a learner by replaying their events. The dates
+		 * are recalculated by the current time zone of the learner. It's repeated
+		 * if an event is recorded in the meantime. The days are upserted one by one
+		 * & only the stale ones are removed, so they can be read during the rebuild.
+		 *
+		 * @param {Context} ctx
+		 * @param {String} user
+		 * @returns {Promise<Number>} Count of the days
+		 */
+		async rebuildLearner(ctx, user) {
+			const events = await this.getCollection(this.settings.eventsCollection);
+			const timezone = await this.getTimeZone(ctx, user);
+
+			for (let i = 0; i < this.settings.maxRetries; i++) {
+				const history = await events.find({ query: { user }, sort: ["time", "_id"] });
+				history.forEach(event => event.date = localDate(event.time, timezone));
+				const days = Analytics.replay(history, this.settings);
+
+				const dates = Object.keys(days);
+				for (const date of dates) {
+					const day = Object.assign({
+						user,
+						date,
+						events: history.filter(event => event.date == date).map(event => event._id)
+					}, days[date]);
+					await this.replaceDay(dayId(user, date), day);
+				}
+				await this.adapter.removeMany({ user, date: { $nin: dates } });
+
+				if (await events.count({ query: { user } }) == history.length) {
+					return dates.length;
+				}
+			}
+			throw new MoleculerClientError("The analytics have been changed in the meantime!", 409, "ANALYTICS_CONFLICT", { user });
+		},
+
+		/**
+		 * Get the IDs of the learners with events.
+		 *
+		 * @returns {Promise<Array<String>>}
+		 */
+		async listLearners() {
+			const events = await this.getCollection(this.settings.eventsCollection);
+			if (events.collection) {
+				return events.collection.distinct("user");
+			}
+			return Array.from(new Set((await events.find({})).map(event => event.user)));
+		},
+
+		/**
+		 * Get a series of a learner.
+		 *
+		 * @param {Context} ctx
+		 * @param {String} user
+		 * @param {Object} params - `{ metric, bucket, from, to }`
+		 * @returns {Promise<Object>}
+		 * @throws {MoleculerClientError} 422 for an invalid range
+		 */
+		async getSeries(ctx, user, params) {
+			const { metric } = params;
+			const bucket = params.bucket || "day";
+			const to = params.to || localDate(Date.now(), await this.getTimeZone(ctx, user));
+			const from = params.from || addDays(to, 1 - this.settings.defaultDays);
+
+			const length = daysBetween(from, to) + 1;
+			if (!(length >= 1 && length <= this.settings.maxDays)) {
+				throw new MoleculerClientError("Invalid date range!", 422, "INVALID_RANGE", { from, to, maxDays: this.settings.maxDays });
+			}
+
+			const days = await this.adapter.find({ query: { user, date: { $lte: to } }, sort: ["date"] });
+			return { user, metric, bucket, from, to, points: Analytics.buildSeries(days, metric, { from, to, bucket }) };
+		},
+
+		/**
+		 * Get the time zone of a learner's profile, UTC without profile.
+		 *
+		 * @param {Context} ctx
+		 * @param {String} user
+		 * @returns {Promise<String>}
+		 */
+		async getTimeZone(ctx, user) {
+			const profile = await ctx.call("learners.findByUser", { user });
+			return profile ? profile.timezone : "UTC";
+		}
+	}
+};
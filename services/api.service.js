@@ -1,6 +1,11 @@
 "use strict";
 
 const ApiGateway = require("moleculer-web");
+const { MoleculerClientError } = require("moleculer").Errors;
+const SocketMixin = require("../mixins/socket.mixin");
+const { checkAccess, hasPermission } = require("../lib/access-control");
+const { DEFAULT_LOCALE, matchLocale, parseAcceptLanguage, localizeError } = require("../lib/i18n");
+const { createStore } = require("../lib/rate-limit-store");
 
 /**
  * @typedef {import('moleculer').Context} Context Moleculer's Context
@@ -8,9 +13,73 @@ const ApiGateway = require("moleculer-web");
  * @typedef {import('http').ServerResponse} ServerResponse HTTP Server Response
  */
 
+/**
+ * Check that the user of the context can see a classroom: its learners & the teachers.
+ *
+ * @param {Context} ctx
+ * @param {String} classroom
+ */
+async function authorizeClassroom(ctx, classroom) {
+	const user = ctx.meta.user;
+	if (hasPermission(user.roles, "progress.read")) return;
+
+	const profile = await ctx.call("learners.findByUser", { user: user._id });
+	if (!profile || profile.classroom != classroom) {
+		throw new MoleculerClientError("Forbidden, the board of other classrooms is not available!", 403, "FORBIDDEN_CLASSROOM", { classroom });
+	}
+}
+
+/**
+ * Topics of the WebSocket endpoint, see the Socket mixin.
+ */
+const SOCKET_TOPICS = {
+	// Changes of a game session, e.g. `session:5f8e...`
+	session: {
+		events: ["sessions.updated", "sessions.completed", "sessions.expired"],
+		ids: event => [event.id],
+		authorize: (ctx, id) => ctx.call("sessions.get", { id })
+	},
+
+	// Changes of a duel, e.g. `duel:5f8e...`
+	duel: {
+		events: ["matchmaking.matched", "matchmaking.updated", "matchmaking.completed"],
+		ids: event => [event.id],
+		authorize: (ctx, id) => ctx.call("matchmaking.getDuel", { id })
+	},
+
+	// Changes of the logged in user's own entities, e.g. `user:u1`. The new duels are pushed to both players.
+	user: {
+		events: ["sessions.completed", "sessions.expired", "achievements.awarded", "matchmaking.matched"],
+		ids: event => event.entity.players ? event.entity.players.map(player => player.user) : [event.entity.user],
+		authorize(ctx, id) {
+			if (id != ctx.meta.user._id) {
+				throw new MoleculerClientError("Forbidden, the topic of another user is not available!", 403, "FORBIDDEN_TOPIC", { user: id });
+			}
+		}
+	},
+
+	// Changes of the boards of a classroom, e.g. `classroom:7b`
+	classroom: {
+		events: ["leaderboards.changed"],
+		ids: event => event.classroom ? [event.classroom] : [],
+		authorize: authorizeClassroom
+	},
+
+	// Changes of a leaderboard by its scope, e.g. `leaderboard:global` or `leaderboard:language:de`
+	leaderboard: {
+		events: ["leaderboards.changed"],
+		ids: event => event.scopes,
+		async authorize(ctx, scope) {
+			if (scope.startsWith("classroom:")) {
+				await authorizeClassroom(ctx, scope.slice("classroom:".length));
+			}
+		}
+	}
+};
+
 module.exports = {
 	name: "api",
-	mixins: [ApiGateway],
+	mixins: [ApiGateway, SocketMixin({ path: "/ws", topics: SOCKET_TOPICS })],
 
 	// More info about settings: https://moleculer.services/docs/0.14/moleculer-web.html
 	settings: {
@@ -38,10 +107,17 @@ module.exports = {
 				mergeParams: true,
 
 				// Enable authentication. Implement the logic into `authenticate` method. More info: https://moleculer.services/docs/0.14/moleculer-web.html#Authentication
-				authentication: false,
+				authentication: true,
 
 				// Enable authorization. Implement the logic into `authorize` method. More info: https://moleculer.services/docs/0.14/moleculer-web.html#Authorization
-				authorization: false,
+				authorization: true,
+
+				// Rate limit of the route by user or client IP. The actions can have stricter
+				// limits by their `throttle` property, e.g. the login. See the `throttle` method.
+				throttle: {
+					window: 60 * 1000,
+					limit: 600
+				},
 
 				// The auto-alias feature allows you to declare your route alias directly in your services.
 				// The gateway will dynamically build the full routes from service schema.
@@ -51,30 +127,55 @@ module.exports = {
 
 				},
 
-				/** 
+				/**
 				 * Before call hook. You can check the request.
-				 * @param {Context} ctx 
-				 * @param {Object} route 
-				 * @param {IncomingRequest} req 
-				 * @param {ServerResponse} res 
-				 * @param {Object} data
-				 * 
-				onBeforeCall(ctx, route, req, res) {
-					// Set request headers to context meta
-					ctx.meta.userAgent = req.headers["user-agent"];
-				}, */
+				 * @param {Context} ctx
+				 * @param {Object} route
+				 * @param {IncomingRequest} req
+				 */
+				async onBeforeCall(ctx, route, req) {
+					// The language of the response is resolved by the `authorize` method, after the authentication
+					delete req.$params.lang;
+
+					// The stream aliases receive the request body as `ctx.params`,
+					// pass the query & path parameters in the meta.
+					if (req.$alias && req.$alias.type == "stream") {
+						ctx.meta.$params = req.$params;
+					}
+
+					// Partial & conditional downloads of the files, e.g. the media
+					if (req.method == "GET") {
+						ctx.meta.range = req.headers["range"];
+						ctx.meta.ifRange = req.headers["if-range"];
+						ctx.meta.ifNoneMatch = req.headers["if-none-match"];
+					}
+
+					// Conditional write. The expected entity version is checked by the DB mixin.
+					const ifMatch = req.headers["if-match"];
+					if (ifMatch && ifMatch.trim() != "*" && req.method != "GET" && req.method != "HEAD") {
+						req.$params.version = this.parseETag(ifMatch);
+					}
+				},
 
 				/**
 				 * After call hook. You can modify the data.
-				 * @param {Context} ctx 
-				 * @param {Object} route 
-				 * @param {IncomingRequest} req 
-				 * @param {ServerResponse} res 
+				 * @param {Context} ctx
+				 * @param {Object} route
+				 * @param {IncomingRequest} req
+				 * @param {ServerResponse} res
 				 * @param {Object} data
+				 */
 				onAfterCall(ctx, route, req, res, data) {
-					// Async function which return with Promise
-					return doSomething(ctx, res, data);
-				}, */
+					// Expose the version of a single entity as ETag. The gateway answers
+					// `304 Not Modified` to a matching `If-None-Match` by it.
+					if (data && data._id != null && data.version != null) {
+						ctx.meta.$responseHeaders = Object.assign({ ETag: `"${data.version}"` }, ctx.meta.$responseHeaders);
+					}
+					if (ctx.meta.locale) {
+						ctx.meta.$responseHeaders = Object.assign({ "Content-Language": ctx.meta.locale }, ctx.meta.$responseHeaders);
+					}
+					return data;
+				},
 
 				// Calling options. More info: https://moleculer.services/docs/0.14/moleculer-web.html#Calling-options
 				callingOptions: {},
@@ -106,6 +207,20 @@ module.exports = {
 		logResponseData: null,
 
 
+		// Counters of the rate limits
+		throttling: {
+			// Redis connection URI of the counters shared by the replicas, they're kept in memory without it
+			redis: process.env.REDIS_URI || null,
+
+			// Prefix of the store keys
+			keyPrefix: "throttle",
+
+			// Count of the reverse proxies in front of the gateway, e.g. 1 behind a load balancer.
+			// The client IP is read from `X-Forwarded-For` by it, the entries added by the client are skipped.
+			// Without proxies (`false`), the header can be forged, the client IP is the socket's address.
+			trustProxy: Number(process.env.TRUSTED_PROXIES) || false
+		},
+
 		// Serve assets from "public" folder. More info: https://moleculer.services/docs/0.14/moleculer-web.html#Serve-static-files
 		assets: {
 			folder: "public",
@@ -119,11 +234,9 @@ module.exports = {
 
 		/**
 		 * Authenticate the request. It check the `Authorization` token value in the request header.
-		 * Check the token value & resolve the user by the token.
+		 * The token is verified by the `accounts.resolveToken` action.
 		 * The resolved user will be available in `ctx.meta.user`
 		 *
-		 * PLEASE NOTE, IT'S JUST AN EXAMPLE IMPLEMENTATION. DO NOT USE IN PRODUCTION!
-		 *
 		 * @param {Context} ctx
 		 * @param {Object} route
 		 * @param {IncomingRequest} req
@@ -136,42 +249,211 @@ module.exports = {
 			if (auth && auth.startsWith("Bearer")) {
 				const token = auth.slice(7);
 
-				// Check the token. Tip: call a service which verify the token. E.g. `accounts.resolveToken`
-				if (token == "123456") {
-					// Returns the resolved user. It will be set to the `ctx.meta.user`
-					return { id: 1, name: "John Doe" };
-
-				} else {
-					// Invalid token
-					throw new ApiGateway.Errors.UnAuthorizedError(ApiGateway.Errors.ERR_INVALID_TOKEN);
+				// Check the token & resolve the user. It will be set to the `ctx.meta.user`
+				const user = await ctx.call("accounts.resolveToken", { token });
+				if (user) {
+					return user;
 				}
 
+				// Invalid, expired or revoked token
+				throw new ApiGateway.Errors.UnAuthorizedError(ApiGateway.Errors.ERR_INVALID_TOKEN);
+
 			} else {
-				// No token. Throw an error or do nothing if anonymous access is allowed.
-				// throw new E.UnAuthorizedError(E.ERR_NO_TOKEN);
+				// No token. Anonymous access, the `authorize` method rejects it if the action requires a user.
 				return null;
 			}
 		},
 
 		/**
-		 * Authorize the request. Check that the authenticated user has right to access the resource.
-		 *
-		 * PLEASE NOTE, IT'S JUST AN EXAMPLE IMPLEMENTATION. DO NOT USE IN PRODUCTION!
+		 * Authorize the request. Check that the authenticated user has right to access the resource
+		 * by the `auth`, `roles`, `permissions` & `owner` properties of the action schema.
+		 * The same rules are enforced for internal calls by the `Authorization` middleware.
+		 * The request is counted by the rate limits first, the rejected ones too. Then the
+		 * language of the response is resolved by the authenticated user.
 		 *
 		 * @param {Context} ctx
 		 * @param {Object} route
 		 * @param {IncomingRequest} req
+		 * @param {ServerResponse} res
 		 * @returns {Promise}
 		 */
-		async authorize(ctx, route, req) {
+		async authorize(ctx, route, req, res) {
+			await this.throttle(ctx, route, req, res);
+
+			// Language of the messages & the errors of the response
+			ctx.meta.locale = await this.resolveLocale(ctx, req);
+
 			// Get the authenticated user.
 			const user = ctx.meta.user;
+			const action = req.$action;
+
+			if (!action) return;
 
 			// It check the `auth` property in action schema.
-			if (req.$action.auth == "required" && !user) {
-				throw new ApiGateway.Errors.UnAuthorizedError("NO_RIGHTS");
+			if (action.auth == "required" && !user) {
+				throw new ApiGateway.Errors.UnAuthorizedError(ApiGateway.Errors.ERR_NO_TOKEN);
+			}
+
+			checkAccess(user, action, req.$params);
+		},
+
+		/**
+		 * Count a request by the rate limits of its route & its action (`throttle: { window, limit, by?, resolve? }`,
+		 * the window in milliseconds, an action can have more limits in an array). The client is the
+		 * logged in user or the IP address, or the value of the `by` parameter, e.g. the username of
+		 * the login attempts from many addresses. The `resolve` action maps the value to the key,
+		 * e.g. the username & the email of the same account. The state of the strictest limit is
+		 * sent in the `RateLimit-*` headers.
+		 *
+		 * The `rateLimit` of moleculer-web isn't used: its store is synchronous, so the counters
+		 * can't be shared by the replicas in Redis, it's set only for the whole gateway & it counts
+		 * before the authentication, so neither the users nor the params can be the key.
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} route
+		 * @param {IncomingRequest} req
+		 * @param {ServerResponse} res
+		 * @returns {Promise}
+		 * @throws {RateLimitExceeded} 429 with the seconds until the reset of the exceeded limits
+		 */
+		async throttle(ctx, route, req, res) {
+			const action = req.$action;
+			const limits = [];
+			if (route.opts && route.opts.throttle) {
+				limits.push(Object.assign({ scope: `route:${route.path}` }, route.opts.throttle));
 			}
+			if (action && action.throttle) {
+				[].concat(action.throttle).forEach(opts => limits.push(Object.assign({ scope: `action:${action.name}` }, opts)));
+			}
+			if (limits.length == 0) return;
+
+			const user = ctx.meta.user;
+			const client = user ? `user:${user._id}` : `ip:${this.clientAddress(req)}`;
+			const states = await Promise.all(limits.map(async ({ scope, window, limit, by, resolve }) => {
+				let value = by && req.$params && req.$params[by];
+				if (value != null && resolve) {
+					value = await ctx.call(resolve, { [by]: value });
+				}
+				const key = value != null ? `${by}:${value}` : client;
+				const { count, reset } = await this.rateLimitStore.hit(`${this.settings.throttling.keyPrefix}:${scope}:${key}`, window);
+				return { limit, remaining: limit - count, reset };
+			}));
+
+			const now = Date.now();
+			const seconds = time => Math.max(0, Math.ceil((time - now) / 1000));
+			const strictest = states.slice().sort((a, b) => a.remaining - b.remaining || b.reset - a.reset)[0];
+			res.setHeader("RateLimit-Limit", strictest.limit);
+			res.setHeader("RateLimit-Remaining", Math.max(0, strictest.remaining));
+			res.setHeader("RateLimit-Reset", seconds(strictest.reset));
+
+			const exceeded = states.filter(state => state.remaining < 0);
+			if (exceeded.length > 0) {
+				const retryAfter = seconds(Math.max(...exceeded.map(state => state.reset)));
+				res.setHeader("Retry-After", retryAfter);
+				throw new ApiGateway.Errors.RateLimitExceeded("RATE_LIMIT_EXCEEDED", { retryAfter });
+			}
+		},
+
+		/**
+		 * Get the IP address of the client of a request. Behind the trusted proxies, it's the
+		 * address added by the outermost one: each proxy appends its peer to `X-Forwarded-For`,
+		 * so the entries on the left are sent by the client & they can be forged.
+		 *
+		 * @param {IncomingRequest} req
+		 * @returns {String}
+		 */
+		clientAddress(req) {
+			const proxies = Number(this.settings.throttling.trustProxy) || 0;
+			const forwarded = proxies > 0 && req.headers["x-forwarded-for"];
+			if (!forwarded) return req.socket.remoteAddress;
+
+			const chain = forwarded.split(",").map(address => address.trim()).filter(Boolean).concat(req.socket.remoteAddress);
+			return chain[Math.max(0, chain.length - 1 - proxies)];
+		},
+
+		/**
+		 * Resolve the language of a request by
+		 *  1. the `lang` query parameter,
+		 *  2. the interface language of the logged in user's profile,
+		 *  3. the `Accept-Language` header.
+		 * The first supported one is selected. Without it, the services have their own
+		 * fallback, e.g. the greeter falls back to the profile, then to English.
+		 *
+		 * @param {Context} ctx
+		 * @param {IncomingRequest} req
+		 * @returns {Promise<String?>}
+		 */
+		async resolveLocale(ctx, req) {
+			const user = ctx.meta.user;
+			let profileLocale = null;
+			if (user) {
+				// The profile language is optional, the request doesn't fail without it
+				profileLocale = await ctx.call("learners.getLocale", { user: user._id }).catch(err => {
+					this.logger.warn(`Unable to get the language of the '${user._id}' user.`, err);
+					return null;
+				});
+			}
+			return this.requestLocale(req, profileLocale);
+		},
+
+		/**
+		 * Select the language of a request by the `lang` query parameter,
+		 * the language of the profile & the `Accept-Language` header.
+		 *
+		 * @param {IncomingRequest} req
+		 * @param {String?} profileLocale
+		 * @returns {String?} `null` if none of them is supported
+		 */
+		requestLocale(req, profileLocale) {
+			const candidates = [req.query && req.query.lang, profileLocale, ...parseAcceptLanguage(req.headers["accept-language"])];
+			return matchLocale(candidates.filter(Boolean));
+		},
+
+		/**
+		 * Send an error response with the message translated to the language of the request.
+		 * If the request fails before the authorization (e.g. by an invalid token), the
+		 * language is selected without the profile. English is the fallback.
+		 *
+		 * @param {IncomingRequest} req
+		 * @param {ServerResponse} res
+		 * @param {Error} err
+		 */
+		sendError(req, res, err) {
+			const ctx = req.$ctx;
+			const locale = ctx && ctx.meta.locale || this.requestLocale(req) || DEFAULT_LOCALE;
+			if (err instanceof Error) {
+				localizeError(err, locale);
+			}
+			if (!res.headersSent) {
+				res.setHeader("Content-Language", locale);
+			}
+			return ApiGateway.methods.sendError.call(this, req, res, err);
+		},
+
+		/**
+		 * Get the entity version from the first entity tag of an `If-Match` header.
+		 *
+		 * @param {String} header - E.g. `"3"` or `W/"3"`
+		 * @returns {String} The opaque tag, it's checked by the DB mixin
+		 */
+		parseETag(header) {
+			const match = /^\s*(?:W\/)?"([^"]*)"/.exec(header);
+			return match ? match[1] : header.trim();
 		}
 
+	},
+
+	/**
+	 * Service created lifecycle event handler
+	 */
+	created() {
+		this.rateLimitStore = createStore(this.settings.throttling.redis);
+	},
+
+	/**
+	 * Service stopped lifecycle event handler
+	 */
+	async stopped() {
+		await this.rateLimitStore.close();
 	}
 };
@@ -0,0 +1,495 @@
+"use strict";
+
+const { MoleculerClientError } = require("moleculer").Errors;
+const { EntityNotFoundError } = require("moleculer-db/src/errors");
+const DbMixin = require("../mixins/db.mixin");
+const WorkflowMixin = require("../mixins/workflow.mixin");
+const { evaluateAnswer } = require("../lib/answers");
+const Rating = require("../lib/rating");
+
+/**
+ * @typedef {import('moleculer').Context} Context Moleculer's Context
+ */
+
+const SKILLS = ["vocabulary", "grammar", "listening"];
+
+const CEFR_LEVELS = ["A1", "A2", "B1", "B2", "C1", "C2"];
+
+module.exports = {
+	name: "challenges",
+
+	/**
+	 * Mixins
+	 */
+	mixins: [
+		WorkflowMixin("challenges", {
+			permissions: ["content.write"],
+			reviewPermissions: ["content.review"],
+			readPermissions: ["content.read"]
+		}),
+		DbMixin("challenges")
+	],
+
+	/**
+	 * Settings
+	 */
+	settings: {
+		// Available fields in the responses
+		fields: [
+			"_id",
+			"skill",
+			"language",
+			"level",
+			"prompt",
+			"answers",
+			"rating",
+			"deviation",
+			"attempts",
+			"status",
+			"revision",
+			"latestRevision",
+			"publishedAt",
+			"version"
+		],
+
+		// Versioned content of the items. The learners get only the published revisions.
+		workflow: {
+			fields: ["skill", "language", "level", "prompt", "answers"]
+		},
+
+		// Fields of the items served to the learners. The answers are checked by the server.
+		challengeFields: ["_id", "skill", "language", "level", "prompt"],
+
+		// Validator parameter schema
+		entityValidator: {
+			skill: { type: "enum", values: SKILLS },
+			language: { type: "string", pattern: /^[a-z]{2,3}(-[A-Z]{2})?$/ },
+			level: { type: "enum", values: CEFR_LEVELS, optional: true },
+			prompt: "string|min:1",
+			answers: { type: "array", items: "string|min:1", min: 1 }
+		},
+
+		// Collection of the skill ratings of the learners
+		ratingsCollection: "challenges-ratings",
+
+		// Initial ratings by the CEFR level of a learner or an item
+		levelRatings: {
+			A1: 1000,
+			A2: 1200,
+			B1: 1400,
+			B2: 1600,
+			C1: 1800,
+			C2: 2000
+		},
+
+		// Band of the predicted success probability of the next challenge
+		targetBand: {
+			min: 0.7,
+			max: 0.85
+		},
+
+		// Rating distance of the candidate items from the learner
+		candidateWindow: 400,
+
+		// Count of the last answered items which are not served again
+		recentItems: 20,
+
+		// Retries of a rating update on concurrent answers
+		maxRetries: 5
+	},
+
+	/**
+	 * Action Hooks
+	 */
+	hooks: {
+		before: {
+			/**
+			 * Set the initial rating of the new items by their level.
+			 *
+			 * @param {Context} ctx
+			 */
+			create(ctx) {
+				const levelRating = this.settings.levelRatings[ctx.params.level];
+				ctx.params.rating = levelRating || Rating.DEFAULTS.rating;
+				ctx.params.deviation = Rating.DEFAULTS.deviation;
+				ctx.params.attempts = 0;
+			},
+
+			/**
+			 * The ratings are changed only by the answers.
+			 *
+			 * @param {Context} ctx
+			 */
+			update(ctx) {
+				["rating", "deviation", "attempts"].forEach(field => {
+					if (ctx.params[field] !== undefined) {
+						throw new MoleculerClientError(`The '${field}' field is read-only!`, 422, "RATING_READONLY", { field });
+					}
+				});
+			}
+		}
+	},
+
+	/**
+	 * Actions
+	 */
+	actions: {
+		/**
+		 * The "moleculer-db" actions are used by the content editors to manage
+		 * the items. The learners get them only via the `next` action.
+		 */
+		create: {
+			permissions: ["content.write"]
+		},
+		insert: false,
+		update: {
+			permissions: ["content.write"]
+		},
+		remove: {
+			permissions: ["content.write"]
+		},
+		list: {
+			permissions: ["content.write"]
+		},
+		find: {
+			permissions: ["content.write"]
+		},
+		count: {
+			permissions: ["content.write"]
+		},
+		get: {
+			permissions: ["content.write"]
+		},
+
+		/**
+		 * Pick the next challenge of the logged in learner in a skill.
+		 * It's the item whose predicted success probability is the closest to
+		 * the middle of the target band. The recently answered items are skipped.
+		 *
+		 * @param {String} skill
+		 * @param {String} language - Target language
+		 * @returns {Object} `{ item, probability, inBand }`
+		 */
+		next: {
+			rest: "GET /next",
+			auth: "required",
+			params: {
+				skill: { type: "enum", values: SKILLS },
+				language: "string"
+			},
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				const { skill, language } = ctx.params;
+				const learner = await this.getLearnerRating(ctx, ctx.meta.user._id, language, skill);
+
+				const [doc] = await this.findChallenges(learner, skill, language, 1);
+				if (!doc) {
+					throw new MoleculerClientError("No challenge is available!", 404, "NO_CHALLENGE", { skill, language });
+				}
+
+				const probability = Rating.expectedScore(learner, doc);
+				const { min, max } = this.settings.targetBand;
+				return {
+					item: await this.transformDocuments(ctx, { fields: this.settings.challengeFields }, doc),
+					probability,
+					inBand: probability >= min && probability <= max
+				};
+			}
+		},
+
+		/**
+		 * Answer a challenge. The answer is checked by the server and
+		 * both the learner's & the item's ratings are updated by the result.
+		 * An "almost" correct answer (e.g. a typo) is accepted.
+		 * The accepted answer is returned only for an accepted answer,
+		 * otherwise the action could be used to look up the answers.
+		 *
+		 * @param {String} id - Item ID
+		 * @param {String} answer
+		 * @returns {Object} `{ correct, verdict, expected, notes, diff, probability, rating }`,
+		 * 	`expected` is `null` & `diff` is empty for a wrong answer
+		 */
+		answer: {
+			rest: "POST /:id/answers",
+			auth: "required",
+			params: {
+				id: "string",
+				answer: { type: "string", max: 500 }
+			},
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				const item = await this.adapter.findById(this.decodeID(ctx.params.id));
+				if (!item || !item.live) {
+					throw new EntityNotFoundError(ctx.params.id);
+				}
+
+				const { correct, verdict, expected, notes, diff } = evaluateAnswer(item.answers, ctx.params.answer, { language: item.language });
+				const feedback = correct ? { expected, notes, diff } : { expected: null, notes: [], diff: [] };
+				return Object.assign({ correct, verdict }, feedback, await this.rateAnswer(ctx, item, correct));
+			}
+		},
+
+		/**
+		 * Pick the next challenges of the logged in learner in a skill for
+		 * a game session, in the order of the `next` action.
+		 * The items are returned with their answers, it's not published.
+		 *
+		 * @param {String} skill
+		 * @param {String} language - Target language
+		 * @param {Number} count - Max count of the items
+		 * @param {Number?} rating - Picks for this rating instead of the logged in learner's, e.g. for the players of a duel
+		 * @returns {Array<Object>} Items
+		 */
+		pick: {
+			visibility: "public",
+			params: {
+				skill: { type: "enum", values: SKILLS },
+				language: "string",
+				count: { type: "number", integer: true, min: 1, max: 100 },
+				rating: { type: "number", optional: true }
+			},
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				const { skill, language, count, rating } = ctx.params;
+				const learner = rating != null
+					? { rating, deviation: Rating.DEFAULTS.deviation, recent: [] }
+					: await this.getLearnerRating(ctx, ctx.meta.user._id, language, skill);
+
+				const docs = await this.findChallenges(learner, skill, language, count);
+				return this.transformDocuments(ctx, {}, docs);
+			}
+		},
+
+		/**
+		 * Record the result of an answer checked by another service (e.g. a game session)
+		 * and update the ratings of the logged in learner & the item. The item may
+		 * be archived since the session has started, it's rated anyway.
+		 *
+		 * @param {String} id - Item ID
+		 * @param {Boolean} correct
+		 * @returns {Object} `{ probability, rating }`
+		 */
+		recordAnswer: {
+			visibility: "public",
+			params: {
+				id: "string",
+				correct: "boolean"
+			},
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				const item = await this.adapter.findById(this.decodeID(ctx.params.id));
+				if (!item) {
+					throw new EntityNotFoundError(ctx.params.id);
+				}
+				return this.rateAnswer(ctx, item, ctx.params.correct);
+			}
+		},
+
+		/**
+		 * Get the skill rating of a learner. A new rating starts
+		 * from the self-declared level of the learner's profile.
+		 *
+		 * @param {String} user - User ID
+		 * @param {String} skill
+		 * @param {String} language
+		 * @returns {Object} `{ rating, deviation, attempts }`
+		 */
+		getRating: {
+			visibility: "public",
+			params: {
+				user: "string",
+				skill: { type: "enum", values: SKILLS },
+				language: "string"
+			},
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				const { rating, deviation, attempts } = await this.getLearnerRating(ctx, ctx.params.user, ctx.params.language, ctx.params.skill);
+				return { rating, deviation, attempts };
+			}
+		},
+
+		/**
+		 * List the skill ratings of the logged in learner.
+		 */
+		ratings: {
+			rest: "GET /ratings",
+			auth: "required",
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				const ratings = await this.getCollection(this.settings.ratingsCollection);
+				const docs = await ratings.find({ query: { user: ctx.meta.user._id }, sort: ["language", "skill"] });
+				return docs.map(({ language, skill, rating, deviation, attempts }) => ({ language, skill, rating, deviation, attempts }));
+			}
+		}
+	},
+
+	/**
+	 * Methods
+	 */
+	methods: {
+		/**
+		 * Update the ratings of the logged in learner & the item by an answer.
+		 * The new rating of the learner is published as a `challenges.rated` event.
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} item
+		 * @param {Boolean} correct
+		 * @returns {Promise<Object>} `{ probability, rating }`
+		 */
+		async rateAnswer(ctx, item, correct) {
+			const learner = await this.getLearnerRating(ctx, ctx.meta.user._id, item.language, item.skill);
+			const probability = Rating.expectedScore(learner, item);
+
+			const rating = await this.rateLearner(learner, item, correct ? 1 : 0);
+			await this.rateItem(ctx, item, learner, correct ? 0 : 1);
+
+			await this.entityChanged("rated", {
+				_id: String(learner._id),
+				user: learner.user,
+				language: learner.language,
+				skill: learner.skill,
+				rating: rating.rating,
+				deviation: rating.deviation,
+				attempts: rating.attempts,
+				ratedAt: Date.now()
+			}, ctx, ["rating", "deviation"]);
+
+			return {
+				probability,
+				rating: { rating: rating.rating, deviation: rating.deviation }
+			};
+		},
+
+		/**
+		 * Get the skill rating of a learner. A new rating starts from
+		 * the self-declared level of the learner's profile.
+		 *
+		 * @param {Context} ctx
+		 * @param {String} user - User ID
+		 * @param {String} language
+		 * @param {String} skill
+		 * @returns {Promise<Object>} Rating document
+		 */
+		async getLearnerRating(ctx, user, language, skill) {
+			const ratings = await this.getCollection(this.settings.ratingsCollection);
+			const found = await ratings.findOne({ user, language, skill });
+			if (found) return found;
+
+			const profile = await ctx.call("learners.findByUser", { user });
+			const levelRating = profile && this.settings.levelRatings[profile.level];
+
+			try {
+				return await ratings.insert({
+					user,
+					language,
+					skill,
+					rating: levelRating || Rating.DEFAULTS.rating,
+					deviation: Rating.DEFAULTS.deviation,
+					attempts: 0,
+					recent: []
+				});
+			} catch(err) {
+				// Created by a concurrent answer. Only the Mongo adapter has the unique index.
+				if (err.code != 11000) throw err;
+				return ratings.findOne({ user, language, skill });
+			}
+		},
+
+		/**
+		 * Find the items of the skill whose predicted success probabilities
+		 * are the closest to the middle of the target band, the closest first.
+		 * The ties are broken by the ID, so the choice is deterministic.
+		 *
+		 * @param {Object} learner - Rating of the learner
+		 * @param {String} skill
+		 * @param {String} language
+		 * @param {Number} count - Max count of the items
+		 * @returns {Promise<Array<Object>>}
+		 */
+		async findChallenges(learner, skill, language, count) {
+			const window = this.settings.candidateWindow;
+			const queries = [
+				{ skill, language, live: true, _id: { $nin: learner.recent }, rating: { $gte: learner.rating - window, $lte: learner.rating + window } },
+				{ skill, language, live: true, _id: { $nin: learner.recent } },
+				// Every item is answered recently
+				{ skill, language, live: true }
+			];
+
+			const { min, max } = this.settings.targetBand;
+			const target = (min + max) / 2;
+			const distance = doc => Math.abs(Rating.expectedScore(learner, doc) - target);
+
+			const found = [];
+			for (const query of queries) {
+				const docs = await this.adapter.find({ query });
+				docs
+					.filter(doc => !found.some(item => String(item._id) == String(doc._id)))
+					.sort((a, b) => distance(a) - distance(b) || String(a._id).localeCompare(String(b._id)))
+					.slice(0, count - found.length)
+					.forEach(doc => found.push(doc));
+
+				if (found.length >= count) break;
+			}
+			return found;
+		},
+
+		/**
+		 * Update the rating of a learner by an answer. A concurrent update of the
+		 * same rating is detected by the attempt counter, then it's retried.
+		 *
+		 * @param {Object} learner - Rating of the learner before the answer
+		 * @param {Object} item - Answered item
+		 * @param {Number} score - 1 for a correct answer, 0 for a wrong one
+		 * @returns {Promise<Object>} The new rating with the count of the attempts
+		 */
+		async rateLearner(learner, item, score) {
+			const ratings = await this.getCollection(this.settings.ratingsCollection);
+
+			for (let i = 0; i < this.settings.maxRetries; i++) {
+				const updated = Rating.rate(learner, item, score);
+				const recent = [item._id].concat(learner.recent.filter(id => String(id) != String(item._id))).slice(0, this.settings.recentItems);
+
+				const count = await ratings.updateMany({ _id: learner._id, attempts: learner.attempts }, {
+					$set: { rating: updated.rating, deviation: updated.deviation, recent },
+					$inc: { attempts: 1 }
+				});
+				if (count > 0) return Object.assign({ attempts: learner.attempts + 1 }, updated);
+
+				learner = await ratings.findById(learner._id);
+			}
+			throw new MoleculerClientError("The rating has been changed in the meantime!", 409, "RATING_CONFLICT", { id: learner._id });
+		},
+
+		/**
+		 * Update the rating of an item by an answer of a learner.
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} item - Answered item
+		 * @param {Object} learner - Rating of the learner before the answer
+		 * @param {Number} score - 1 for a wrong answer, 0 for a correct one
+		 * @returns {Promise<Object>} The updated item
+		 */
+		async rateItem(ctx, item, learner, score) {
+			const id = item._id;
+			for (let i = 0; i < this.settings.maxRetries; i++) {
+				const updated = Rating.rate(item, learner, score);
+				const event = this.pendingEvent("updated", ctx, ["rating", "deviation", "attempts"]);
+				const doc = await this.conditionalUpdate(item._id, { version: item.version }, this.markUpdate({
+					$set: { rating: updated.rating, deviation: updated.deviation },
+					$inc: { attempts: 1 }
+				}, event));
+				if (doc) {
+					const json = await this.transformDocuments(ctx, {}, doc);
+					await this.entityChanged(event, json, ctx);
+					return json;
+				}
+
+				item = await this.adapter.findById(id);
+				if (!item) {
+					throw new EntityNotFoundError(String(id));
+				}
+			}
+			throw new MoleculerClientError("The item has been changed in the meantime!", 409, "RATING_CONFLICT", { id: String(id) });
+		}
+	}
+};
@@ -0,0 +1,469 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { MoleculerClientError } = require("moleculer").Errors;
+const DbMixin = require("../mixins/db.mixin");
+const BulkMixin = require("../mixins/bulk.mixin");
+const { normalizeText } = require("../lib/text");
+
+/**
+ * @typedef {import('moleculer').Context} Context Moleculer's Context
+ */
+
+// ISO 639 language code with an optional region, e.g. "en" or "pt-BR"
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[A-Z]{2})?$/;
+
+const PARTS_OF_SPEECH = ["noun", "verb", "adjective", "adverb", "pronoun", "preposition", "conjunction", "interjection", "determiner", "numeral", "phrase"];
+
+const CEFR_LEVELS = ["A1", "A2", "B1", "B2", "C1", "C2"];
+
+// Separators of the Anki exports by the `#separator` header
+const ANKI_SEPARATORS = { tab: "\t", comma: ",", semicolon: ";", pipe: "|", space: " " };
+
+const bulk = BulkMixin({
+	key: "key",
+	permissions: ["content.write"]
+});
+
+module.exports = {
+	name: "content",
+
+	/**
+	 * Mixins
+	 */
+	mixins: [DbMixin("content"), bulk],
+
+	/**
+	 * Settings
+	 */
+	settings: {
+		// Available fields in the responses
+		fields: [
+			"_id",
+			"language",
+			"lemma",
+			"partOfSpeech",
+			"translations",
+			"examples",
+			"tags",
+			"difficulty",
+			"audio",
+			"pack",
+			"version"
+		],
+
+		// Validator parameter schema
+		entityValidator: {
+			language: { type: "string", pattern: LANGUAGE_PATTERN },
+			lemma: "string|min:1|max:200",
+			partOfSpeech: { type: "enum", values: PARTS_OF_SPEECH, optional: true },
+			translations: { type: "object" },
+			examples: {
+				type: "array",
+				optional: true,
+				items: {
+					type: "object",
+					props: {
+						text: "string|min:1",
+						translations: { type: "object", optional: true }
+					}
+				}
+			},
+			tags: { type: "array", items: "string|min:1", optional: true },
+			difficulty: { type: "enum", values: CEFR_LEVELS, optional: true },
+			audio: { type: "string", optional: true },
+			pack: { type: "string", optional: true }
+		},
+
+		packs: {
+			// Folder of the content packs: a `pack.json` manifest & an `entries.tsv` word list per pack
+			dir: path.resolve(__dirname, "..", "packs"),
+
+			// Packs loaded at start. A pack is loaded again when its version is increased.
+			autoload: ["de-en", "es-en"]
+		},
+
+		// The loaded versions of the content packs
+		packsCollection: "content-packs"
+	},
+
+	/**
+	 * Action Hooks
+	 */
+	hooks: {
+		before: {
+			/**
+			 * Set the natural key of the new entries.
+			 *
+			 * @param {Context} ctx
+			 */
+			create(ctx) {
+				this.validateTranslations(ctx.params);
+				ctx.params.key = this.entryKey(ctx.params);
+			},
+
+			/**
+			 * Keep the natural key of the changed entries up to date.
+			 *
+			 * @param {Context} ctx
+			 */
+			async update(ctx) {
+				this.validateTranslations(ctx.params);
+				if (ctx.params.lemma === undefined && ctx.params.partOfSpeech === undefined && ctx.params.language === undefined) return;
+
+				const doc = await this.getById(ctx.params.id, true);
+				if (doc) {
+					ctx.params.key = this.entryKey(Object.assign({}, doc, ctx.params));
+				}
+			},
+
+			/**
+			 * Check the language pair of an imported word list.
+			 *
+			 * @param {Context} ctx
+			 */
+			import(ctx) {
+				const params = ctx.meta.$params || {};
+				["language", "translation"].forEach(field => {
+					if (!LANGUAGE_PATTERN.test(params[field] || "")) {
+						throw new MoleculerClientError(`The '${field}' language code is required!`, 422, "INVALID_LANGUAGE", { field });
+					}
+				});
+			}
+		}
+	},
+
+	/**
+	 * Actions
+	 */
+	actions: {
+		/**
+		 * The "moleculer-db" mixin registers the following actions:
+		 *  - list
+		 *  - find
+		 *  - count
+		 *  - create
+		 *  - insert
+		 *  - update
+		 *  - remove
+		 *
+		 * The bulk mixin registers the `import` & `export` actions. The word lists
+		 * are imported as CSV, TSV or Anki (`format=anki`) with the query string:
+		 *  - language: language of the lemmas
+		 *  - translation: language of the translations
+		 *
+		 * The modifying actions require permissions, the reading ones are public.
+		 */
+		create: {
+			permissions: ["content.write"]
+		},
+		insert: false,
+		update: {
+			permissions: ["content.write"]
+		},
+		remove: {
+			permissions: ["content.write"]
+		},
+
+		/**
+		 * List the available content packs with their loaded version.
+		 */
+		packs: {
+			rest: "GET /packs",
+			async handler() {
+				const loaded = await this.getCollection(this.settings.packsCollection);
+				const records = await loaded.find({});
+
+				return this.readPackManifests().map(manifest => {
+					const record = records.find(record => record._id == manifest.name);
+					return Object.assign({}, manifest, {
+						loadedVersion: record ? record.version : null,
+						loadedAt: record ? record.loadedAt : null
+					});
+				});
+			}
+		},
+
+		/**
+		 * Load a content pack. The entries are upserted by their natural key,
+		 * so a pack can be loaded again.
+		 *
+		 * @param {String} name - Pack name, e.g. "de-en"
+		 * @returns {Object} Import report
+		 */
+		loadPack: {
+			rest: "POST /packs/:name/load",
+			permissions: ["content.write"],
+			params: {
+				name: "string"
+			},
+			/** @param {Context} ctx  */
+			handler(ctx) {
+				return this.loadPack(ctx, ctx.params.name);
+			}
+		}
+	},
+
+	/**
+	 * Methods
+	 */
+	methods: {
+		/**
+		 * Get the natural key of an entry. The same lemma can be
+		 * a different entry by the part of speech (e.g. "run" noun & verb).
+		 *
+		 * @param {Object} entry
+		 * @returns {String}
+		 */
+		entryKey(entry) {
+			return [entry.language, normalizeText(entry.lemma), entry.partOfSpeech || ""].join(":");
+		},
+
+		/**
+		 * Check the keys & the values of the translations.
+		 *
+		 * @param {Object} entry
+		 * @throws {MoleculerClientError} 422
+		 */
+		validateTranslations(entry) {
+			const translations = entry.translations;
+			if (translations == null || typeof translations != "object") return;
+
+			Object.keys(translations).forEach(language => {
+				const values = translations[language];
+				if (!LANGUAGE_PATTERN.test(language) || !Array.isArray(values) || values.some(value => typeof value != "string" || !value)) {
+					throw new MoleculerClientError(`Invalid translations of the '${language}' language!`, 422, "INVALID_TRANSLATION", { field: `translations.${language}` });
+				}
+			});
+		},
+
+		/**
+		 * Convert a row of a word list to an entry.
+		 *
+		 * Columns: lemma, translation, partOfSpeech, example, exampleTranslation,
+		 * tags, difficulty & audio. The translations are separated by `;`,
+		 * the tags by `,` or whitespace.
+		 *
+		 * @param {Object} record
+		 * @param {Object} params - Import options with the language pair
+		 * @returns {Object}
+		 */
+		castBulkRecord(record, params) {
+			const text = value => value == null ? "" : String(value).trim();
+			const list = (value, separator) => text(value).split(separator).map(item => item.trim()).filter(Boolean);
+
+			const lemma = text(record.lemma);
+			if (!lemma) {
+				throw new MoleculerClientError("The 'lemma' field is required!", 422, "MISSING_KEY", { field: "lemma" });
+			}
+
+			const entry = {
+				language: params.language,
+				lemma,
+				translations: { [params.translation]: list(record.translation, ";") }
+			};
+			if (text(record.partOfSpeech)) entry.partOfSpeech = text(record.partOfSpeech).toLowerCase();
+			if (text(record.example)) {
+				const example = { text: text(record.example) };
+				if (text(record.exampleTranslation)) example.translations = { [params.translation]: text(record.exampleTranslation) };
+				entry.examples = [example];
+			}
+			if (text(record.tags)) entry.tags = list(record.tags, /[,\s]+/);
+			if (text(record.difficulty)) entry.difficulty = text(record.difficulty).toUpperCase();
+			if (text(record.audio)) entry.audio = text(record.audio);
+			if (params.pack) entry.pack = params.pack;
+
+			this.validateTranslations(entry);
+			entry.key = this.entryKey(entry);
+			return entry;
+		},
+
+		/**
+		 * Update an entry by an imported one. The translations of the
+		 * other languages are kept.
+		 *
+		 * @param {Context?} ctx
+		 * @param {Object} doc - Existing entry
+		 * @param {Object} entry - Imported entry
+		 */
+		async importUpdate(ctx, doc, entry) {
+			const sets = Object.assign({}, entry);
+			delete sets.translations;
+			Object.keys(entry.translations).forEach(language => sets[`translations.${language}`] = entry.translations[language]);
+
+			const event = this.pendingEvent("updated", ctx, Object.keys(entry).filter(field => field != "key"));
+			const updated = await this.adapter.updateById(doc._id, this.markUpdate({ $set: sets }, event));
+			const json = await this.transformDocuments(ctx, {}, updated);
+			await this.entityChanged(event, json, ctx);
+		},
+
+		/**
+		 * Allow the Anki format at imports.
+		 *
+		 * @param {String?} format
+		 * @returns {String}
+		 */
+		resolveBulkFormat(format) {
+			if (format == "anki") return format;
+			return bulk.methods.resolveBulkFormat.call(this, format);
+		},
+
+		/**
+		 * Parse the records of an import stream, the Anki exports too.
+		 *
+		 * @param {ReadableStream} stream
+		 * @param {String} format
+		 * @returns {AsyncIterable<Object>} `{ row, record, error }` items
+		 */
+		async *parseBulkRecords(stream, format) {
+			if (format == "anki") {
+				yield* this.parseAnkiRecords(stream);
+			} else {
+				yield* bulk.methods.parseBulkRecords.call(this, stream, format);
+			}
+		},
+
+		/**
+		 * Parse an Anki "Notes in Plain Text" export. The `#` header lines set
+		 * the separator & the special columns. The first field is the lemma,
+		 * the second one is the translation with comma-separated alternatives.
+		 * The HTML is stripped and the `[sound:...]` reference becomes the audio
+		 * of the entry.
+		 *
+		 * @param {ReadableStream} stream
+		 * @returns {AsyncIterable<Object>} `{ row, record }` items
+		 */
+		async *parseAnkiRecords(stream) {
+			let separator = "\t";
+			const special = {};
+			let row = 0;
+
+			const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+			for await (const line of lines) {
+				if (line.startsWith("#")) {
+					const match = /^#([a-z ]+):(.*)$/.exec(line.trim());
+					if (match && match[1] == "separator") {
+						separator = ANKI_SEPARATORS[match[2].toLowerCase()] || match[2];
+					} else if (match && match[1].endsWith(" column")) {
+						special[Number(match[2]) - 1] = match[1].slice(0, -" column".length);
+					}
+					continue;
+				}
+				if (!line.trim()) continue;
+				row++;
+
+				const fields = line.split(separator).map(field => /^".*"$/s.test(field) ? field.slice(1, -1).replace(/""/g, "\"") : field);
+				const content = fields.filter((field, i) => !special[i]);
+				const tagsIndex = Object.keys(special).find(i => special[i] == "tags");
+
+				let audio;
+				const clean = value => stripHTML((value || "").replace(/\[sound:([^\]]+)\]/g, (all, file) => {
+					audio = audio || file;
+					return "";
+				}));
+
+				yield {
+					row,
+					record: {
+						lemma: clean(content[0]),
+						translation: clean(content[1]).replace(/\s*,\s*/g, "; "),
+						tags: tagsIndex != null ? fields[tagsIndex] : undefined,
+						audio
+					}
+				};
+			}
+		},
+
+		/**
+		 * Read the manifests of the available content packs.
+		 *
+		 * @returns {Array<Object>}
+		 */
+		readPackManifests() {
+			const dir = this.settings.packs.dir;
+			if (!dir || !fs.existsSync(dir)) return [];
+
+			return fs.readdirSync(dir)
+				.filter(name => fs.existsSync(path.join(dir, name, "pack.json")))
+				.map(name => Object.assign({ name }, JSON.parse(fs.readFileSync(path.join(dir, name, "pack.json"), "utf8"))));
+		},
+
+		/**
+		 * Load a content pack & record its loaded version.
+		 *
+		 * @param {Context?} ctx
+		 * @param {String} name - Pack name
+		 * @returns {Promise<Object>} Import report
+		 */
+		async loadPack(ctx, name) {
+			const manifest = this.readPackManifests().find(manifest => manifest.name == name);
+			if (!manifest) {
+				throw new MoleculerClientError(`Content pack '${name}' not found!`, 404, "PACK_NOT_FOUND", { name });
+			}
+
+			const stream = fs.createReadStream(path.join(this.settings.packs.dir, name, "entries.tsv"));
+			const report = await this.importRecords(ctx, stream, "tsv", {
+				language: manifest.language,
+				translation: manifest.translation,
+				pack: manifest.name
+			});
+
+			const loaded = await this.getCollection(this.settings.packsCollection);
+			const record = { version: manifest.version, loadedAt: Date.now(), total: report.total, failed: report.failed };
+			if (await loaded.updateMany({ _id: name }, { $set: record }) == 0) {
+				await loaded.insert(Object.assign({ _id: name }, record));
+			}
+			this.logger.info(`Loaded the '${name}' content pack v${manifest.version}: ${report.created} created, ${report.updated} updated, ${report.failed} failed.`);
+
+			return report;
+		},
+
+		/**
+		 * Load the autoloaded packs which are new or have a new version.
+		 * It runs under the migration lock, so only one replica loads them.
+		 *
+		 * @returns {Promise<Array<String>>} Names of the loaded packs
+		 */
+		autoloadPacks() {
+			return this.withMigrationLock(async () => {
+				const loaded = await this.getCollection(this.settings.packsCollection);
+				const names = [];
+				for (const manifest of this.readPackManifests()) {
+					if (!this.settings.packs.autoload.includes(manifest.name)) continue;
+
+					const record = await loaded.findById(manifest.name);
+					if (record && record.version >= manifest.version) continue;
+
+					await this.loadPack(null, manifest.name);
+					names.push(manifest.name);
+				}
+				return names;
+			});
+		}
+	},
+
+	/**
+	 * Service started lifecycle event handler
+	 */
+	async started() {
+		await this.autoloadPacks();
+	}
+};
+
+/**
+ * Strip the HTML tags & entities of an Anki field.
+ *
+ * @param {String} html
+ * @returns {String}
+ */
+function stripHTML(html) {
+	const entities = { nbsp: " ", amp: "&", lt: "<", gt: ">", quot: "\"", "#39": "'" };
+	return html
+		.replace(/<br\s*\/?>/gi, " ")
+		.replace(/<[^>]*>/g, "")
+		.replace(/&(nbsp|amp|lt|gt|quot|#39);/g, (all, name) => entities[name])
+		.replace(/\s+/g, " ")
+		.trim();
+}
@@ -1,5 +1,8 @@
 "use strict";
 
+const { MoleculerClientError } = require("moleculer").Errors;
+const { translate } = require("../lib/i18n");
+
 /**
  * @typedef {import('moleculer').Context} Context Moleculer's Context
  */
@@ -25,7 +28,7 @@ module.exports = {
 	actions: {
 
 		/**
-		 * Say a 'Hello' action.
+		 * Say a 'Hello' action in the language of the request.
 		 *
 		 * @returns
 		 */
@@ -34,24 +37,31 @@ module.exports = {
 				method: "GET",
 				path: "/hello"
 			},
-			async handler() {
-				return "Hello Moleculer";
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				return translate(ctx.meta.locale, "greeter.hello");
 			}
 		},
 
 		/**
-		 * Welcome, a username
-		 *
-		 * @param {String} name - User name
+		 * Welcome the logged in learner by the profile name in the language of the request.
+		 * Without it, in the interface language of the profile. Without a profile the user
+		 * is welcomed by the username in English.
 		 */
 		welcome: {
 			rest: "/welcome",
-			params: {
-				name: "string"
-			},
+			auth: "required",
 			/** @param {Context} ctx  */
 			async handler(ctx) {
-				return `Welcome, ${ctx.params.name}`;
+				const user = ctx.meta.user;
+				if (!user) {
+					throw new MoleculerClientError("Unauthorized", 401, "NO_TOKEN");
+				}
+
+				const profile = await ctx.call("learners.findByUser", { user: user._id });
+
+				const locale = ctx.meta.locale || (profile && (profile.locale || profile.nativeLanguage));
+				return translate(locale, "greeter.welcome", { name: profile ? profile.name : user.username });
 			}
 		}
 	},
@@ -0,0 +1,472 @@
+"use strict";
+
+const { MoleculerClientError } = require("moleculer").Errors;
+const DbMixin = require("../mixins/db.mixin");
+const { createStore } = require("../lib/leaderboard-store");
+const { hasPermission } = require("../lib/access-control");
+const { localDate, isoWeek } = require("../lib/dates");
+
+/**
+ * @typedef {import('moleculer').Context} Context Moleculer's Context
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const PERIODS = ["daily", "weekly", "alltime"];
+
+// The periods which are rolled over & archived
+const ROLLING_PERIODS = ["daily", "weekly"];
+
+/**
+ * Compare the rows of a board like the sorted sets: by descending score,
+ * the ties in reverse lexicographical order.
+ */
+const byScore = (a, b) => b.score - a.score || (a.member < b.member ? 1 : a.member > b.member ? -1 : 0);
+
+const SCOPE_PARAMS = {
+	language: { type: "string", optional: true },
+	classroom: { type: "string", optional: true }
+};
+
+module.exports = {
+	name: "leaderboards",
+
+	/**
+	 * Mixins. The collection is the archive of the past periods,
+	 * the live rankings are in the sorted sets of the store.
+	 */
+	mixins: [DbMixin("leaderboards")],
+
+	/**
+	 * Settings
+	 */
+	settings: {
+		// Available fields in the responses
+		fields: [
+			"_id",
+			"period",
+			"key",
+			"scope",
+			"winners",
+			"archivedAt"
+		],
+
+		// Redis connection URI of the sorted sets, they're kept in memory without it
+		redis: process.env.REDIS_URI || null,
+
+		// Prefix of the store keys
+		keyPrefix: "leaderboards",
+
+		// Retention of the boards of the rolling periods in seconds.
+		// They're kept a bit longer than their period to archive them.
+		retention: {
+			daily: 3 * 24 * 60 * 60,
+			weekly: 15 * 24 * 60 * 60
+		},
+
+		// Count of the archived winners of a period
+		archiveSize: 3,
+
+		// Max count of the rows of a board
+		maxLimit: 100,
+
+		// Retention of the handled session IDs in seconds, the events are published at least once
+		dedupeRetention: 7 * 24 * 60 * 60,
+
+		// Interval of checking the rollover of the periods in milliseconds
+		rolloverInterval: 60 * 1000
+	},
+
+	/**
+	 * Actions
+	 */
+	actions: {
+		/**
+		 * The generic CRUD actions of "moleculer-db" are disabled,
+		 * the boards are updated by the completed game sessions.
+		 */
+		create: false,
+		insert: false,
+		update: false,
+		remove: false,
+		list: false,
+		find: false,
+		count: false,
+		get: false,
+
+		/**
+		 * Get the top of a board of the current period. The board is the
+		 * global one without language & classroom.
+		 *
+		 * @param {String} period - "daily", "weekly" or "alltime"
+		 * @param {String?} language - Target language
+		 * @param {String?} classroom - Classroom code
+		 * @param {Number?} limit - Count of the rows, 10 by default
+		 * @returns {Object} `{ period, key, scope, rows }`
+		 */
+		top: {
+			rest: "GET /:period",
+			auth: "required",
+			params: Object.assign({
+				period: { type: "enum", values: PERIODS },
+				limit: { type: "number", integer: true, min: 1, optional: true, convert: true }
+			}, SCOPE_PARAMS),
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				const board = await this.resolveBoard(ctx);
+				const limit = Math.min(ctx.params.limit || 10, this.settings.maxLimit);
+
+				const rows = await this.store.range(board.storeKey, 0, limit - 1);
+				return this.boardResponse(board, rows.map((row, i) => this.toRow(row, i)));
+			}
+		},
+
+		/**
+		 * Get the rank of the logged in learner in a board of the current
+		 * period with their neighbours.
+		 *
+		 * @param {String} period - "daily", "weekly" or "alltime"
+		 * @param {String?} language - Target language
+		 * @param {String?} classroom - Classroom code
+		 * @param {Number?} neighbours - Count of the rows above & below, 2 by default
+		 * @returns {Object} `{ period, key, scope, rank, xp, rows }`, the rank is `null` without XP
+		 */
+		me: {
+			rest: "GET /:period/me",
+			auth: "required",
+			params: Object.assign({
+				period: { type: "enum", values: PERIODS },
+				neighbours: { type: "number", integer: true, min: 0, max: 10, optional: true, convert: true }
+			}, SCOPE_PARAMS),
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				const board = await this.resolveBoard(ctx);
+				const neighbours = ctx.params.neighbours != null ? ctx.params.neighbours : 2;
+
+				const own = await this.store.rank(board.storeKey, ctx.meta.user._id);
+				if (!own) {
+					return this.boardResponse(board, [], { rank: null, xp: 0 });
+				}
+
+				const start = Math.max(0, own.rank - neighbours);
+				const rows = await this.store.range(board.storeKey, start, own.rank + neighbours);
+				return this.boardResponse(board, rows.map((row, i) => this.toRow(row, start + i)), { rank: own.rank + 1, xp: own.score });
+			}
+		},
+
+		/**
+		 * Get the board of the logged in learner & their friends of the current period.
+		 * The friends without XP are the last ones.
+		 *
+		 * @param {String} period - "daily", "weekly" or "alltime"
+		 * @param {String?} language - Target language
+		 * @param {String?} classroom - Classroom code
+		 * @returns {Object} `{ period, key, scope, rows }`
+		 */
+		friends: {
+			rest: "GET /:period/friends",
+			auth: "required",
+			params: Object.assign({
+				period: { type: "enum", values: PERIODS }
+			}, SCOPE_PARAMS),
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				const board = await this.resolveBoard(ctx);
+				const users = [ctx.meta.user._id].concat(board.profile ? board.profile.friends || [] : []);
+
+				const scores = await this.store.scores(board.storeKey, users);
+				const rows = users
+					.map((member, i) => ({ member, score: scores[i] || 0 }))
+					.sort(byScore);
+				return this.boardResponse(board, rows.map((row, i) => this.toRow(row, i)));
+			}
+		},
+
+		/**
+		 * Get the winners of the past periods, the latest first.
+		 *
+		 * @param {String} period - "daily" or "weekly"
+		 * @param {String?} language - Target language
+		 * @param {String?} classroom - Classroom code
+		 * @param {Number?} limit - Count of the periods, 10 by default
+		 */
+		archive: {
+			rest: "GET /archive/:period",
+			auth: "required",
+			params: Object.assign({
+				period: { type: "enum", values: ROLLING_PERIODS },
+				limit: { type: "number", integer: true, min: 1, optional: true, convert: true }
+			}, SCOPE_PARAMS),
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				const board = await this.resolveBoard(ctx);
+				const docs = await this.adapter.find({
+					query: { period: board.period, scope: board.scope },
+					sort: ["-key"],
+					limit: Math.min(ctx.params.limit || 10, this.settings.maxLimit)
+				});
+				return this.transformDocuments(ctx, {}, docs);
+			}
+		}
+	},
+
+	/**
+	 * Events
+	 */
+	events: {
+		/**
+		 * Add the XP of a completed game session to the boards of the learner.
+		 *
+		 * @param {Context} ctx
+		 */
+		"sessions.completed": {
+			async handler(ctx) {
+				await this.addSessionXp(ctx, ctx.params);
+			}
+		}
+	},
+
+	/**
+	 * Methods
+	 */
+	methods: {
+		/**
+		 * Add the XP of a completed session to the global, the language &
+		 * the classroom boards of every period. The event is broadcasted to
+		 * every replica & it can be redelivered, so it's added to every board
+		 * only once. A failed event can be redelivered, the boards without
+		 * the XP get it then.
+		 * The change is broadcasted as `leaderboards.changed` for the live views.
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} event - Domain event of the session
+		 * @returns {Promise<Boolean>} `false` if it's already added
+		 */
+		async addSessionXp(ctx, event) {
+			const session = event.entity;
+			if (!session.xp) return false;
+
+			const profile = await this.getLearner(ctx, session.user);
+			const scopes = this.getScopes(session.language, profile && profile.classroom);
+			const time = session.finishedAt || Date.now();
+
+			let added = false;
+			for (const period of PERIODS) {
+				const key = this.periodKey(period, time);
+				const ttl = this.settings.retention[period];
+				for (const scope of scopes) {
+					const storeKey = this.storeKey(period, key, scope);
+					const claimKey = this.storeKey("sessions", event.id, period, key, scope);
+					if (await this.store.incrementOnce(storeKey, session.user, session.xp, ttl, claimKey, this.settings.dedupeRetention) != null) {
+						added = true;
+					}
+					if (ttl) {
+						// The scopes of a period are archived by the rollover
+						await this.store.addMember(this.storeKey(period, key, "scopes"), scope, ttl);
+					}
+				}
+			}
+			if (!added) return false;
+
+			const classroom = profile && profile.classroom || null;
+			ctx.broadcast("leaderboards.changed", { user: session.user, xp: session.xp, language: session.language, classroom, scopes });
+			return true;
+		},
+
+		/**
+		 * Archive the winners of the finished periods. It runs periodically on
+		 * every replica, the claim of the period guarantees that only one of them
+		 * archives it with a shared store. The unique index of the archive
+		 * prevents the duplicates on the other ones. The claim is released if
+		 * the archive fails, the already archived scopes are skipped by the retry.
+		 * Every finished period in the retention is checked, so the periods
+		 * missed during a downtime are archived too.
+		 *
+		 * @returns {Promise<Number>} Count of the archived boards
+		 */
+		async rollover() {
+			const now = Date.now();
+			let archived = 0;
+
+			for (const period of ROLLING_PERIODS) {
+				const length = period == "daily" ? DAY : 7 * DAY;
+				const ttl = this.settings.retention[period];
+
+				// The oldest period first
+				for (let age = Math.floor(ttl * 1000 / length); age >= 1; age--) {
+					const key = this.periodKey(period, now - age * length);
+					const claim = this.storeKey(period, key, "archived");
+					if (!await this.store.claim(claim, ttl)) continue;
+
+					try {
+						const scopes = await this.store.members(this.storeKey(period, key, "scopes"));
+						for (const scope of scopes) {
+							const rows = await this.store.range(this.storeKey(period, key, scope), 0, this.settings.archiveSize - 1);
+							if (rows.length == 0) continue;
+
+							if (await this.archiveBoard(period, key, scope, rows.map((row, i) => this.toRow(row, i)))) {
+								archived++;
+							}
+						}
+					} catch(err) {
+						// The period is retried by the next rollover
+						await this.store.release(claim);
+						throw err;
+					}
+				}
+			}
+
+			if (archived > 0) {
+				this.logger.info(`Archived ${archived} leaderboard(s).`);
+			}
+			return archived;
+		},
+
+		/**
+		 * Insert the winners of a finished period into the archive.
+		 *
+		 * @param {String} period
+		 * @param {String} key - Key of the period
+		 * @param {String} scope
+		 * @param {Array<Object>} winners
+		 * @returns {Promise<Boolean>} `false` if it's already archived
+		 */
+		async archiveBoard(period, key, scope, winners) {
+			if (await this.adapter.findOne({ period, key, scope })) return false;
+
+			const event = this.pendingEvent("created", null);
+			let doc;
+			try {
+				doc = await this.adapter.insert(this.markEntity({ period, key, scope, winners, archivedAt: Date.now() }, event));
+			} catch(err) {
+				// Only the Mongo adapter has the unique index
+				if (err.code != 11000) throw err;
+				return false;
+			}
+
+			await this.entityChanged(event, await this.transformDocuments(null, {}, doc), null);
+			return true;
+		},
+
+		/**
+		 * Resolve the board of the request. A learner can see only the board
+		 * of their own classroom, the teachers can see any of them.
+		 *
+		 * @param {Context} ctx
+		 * @returns {Promise<Object>} `{ period, key, scope, storeKey, profile }`
+		 * @throws {MoleculerClientError} 403 for the classroom of other learners
+		 */
+		async resolveBoard(ctx) {
+			const { period, language, classroom } = ctx.params;
+			const profile = await this.getLearner(ctx, ctx.meta.user._id);
+
+			if (classroom && !hasPermission(ctx.meta.user.roles, "progress.read") && (!profile || profile.classroom != classroom)) {
+				throw new MoleculerClientError("Forbidden, the board of other classrooms is not available!", 403, "FORBIDDEN_CLASSROOM", { classroom });
+			}
+
+			let scope = "global";
+			if (classroom) scope = `classroom:${classroom}`;
+			else if (language) scope = `language:${language}`;
+
+			const key = this.periodKey(period, Date.now());
+			return { period, key, scope, storeKey: this.storeKey(period, key, scope), profile };
+		},
+
+		/**
+		 * Get the boards of a session.
+		 *
+		 * @param {String} language
+		 * @param {String?} classroom
+		 * @returns {Array<String>} Scopes
+		 */
+		getScopes(language, classroom) {
+			const scopes = ["global", `language:${language}`];
+			if (classroom) scopes.push(`classroom:${classroom}`);
+			return scopes;
+		},
+
+		/**
+		 * Get the key of the period of a time. The days & the weeks are in UTC,
+		 * so every learner is on the same board.
+		 *
+		 * @param {String} period
+		 * @param {Number} time
+		 * @returns {String} E.g. "2026-01-10", "2026-W02" or "all"
+		 */
+		periodKey(period, time) {
+			switch (period) {
+				case "daily": return localDate(time, "UTC");
+				case "weekly": return isoWeek(time);
+				default: return "all";
+			}
+		},
+
+		/**
+		 * Get a key of the store.
+		 *
+		 * @param {...String} parts
+		 * @returns {String}
+		 */
+		storeKey(...parts) {
+			return [this.settings.keyPrefix].concat(parts).join(":");
+		},
+
+		/**
+		 * Get the profile of a learner.
+		 *
+		 * @param {Context} ctx
+		 * @param {String} user
+		 * @returns {Promise<Object?>} `null` without profile
+		 */
+		async getLearner(ctx, user) {
+			return ctx.call("learners.findByUser", { user });
+		},
+
+		/**
+		 * Convert a member of a sorted set to a row of a board.
+		 *
+		 * @param {Object} row - `{ member, score }`
+		 * @param {Number} index - 0-based rank
+		 * @returns {Object} `{ rank, user, xp }`
+		 */
+		toRow(row, index) {
+			return { rank: index + 1, user: row.member, xp: row.score };
+		},
+
+		/**
+		 * Create the response of a board.
+		 *
+		 * @param {Object} board
+		 * @param {Array<Object>} rows
+		 * @param {Object?} extra - Extra fields
+		 * @returns {Object}
+		 */
+		boardResponse(board, rows, extra) {
+			return Object.assign({ period: board.period, key: board.key, scope: board.scope }, extra, { rows });
+		}
+	},
+
+	/**
+	 * Service created lifecycle event handler
+	 */
+	created() {
+		this.store = createStore(this.settings.redis);
+	},
+
+	/**
+	 * Service started lifecycle event handler
+	 */
+	async started() {
+		this.rolloverTimer = setInterval(() => {
+			this.rollover().catch(err => this.logger.error("Unable to roll over the leaderboards.", err));
+		}, this.settings.rolloverInterval);
+	},
+
+	/**
+	 * Service stopped lifecycle event handler
+	 */
+	async stopped() {
+		clearInterval(this.rolloverTimer);
+		await this.store.close();
+	}
+};
@@ -0,0 +1,404 @@
+"use strict";
+
+const { MoleculerClientError } = require("moleculer").Errors;
+const { EntityNotFoundError } = require("moleculer-db/src/errors");
+const DbMixin = require("../mixins/db.mixin");
+
+/**
+ * @typedef {import('moleculer').Context} Context Moleculer's Context
+ */
+
+// ISO 639 language code with an optional region, e.g. "en" or "pt-BR"
+const LANGUAGE = { type: "string", pattern: /^[a-z]{2,3}(-[A-Z]{2})?$/ };
+
+const CEFR_LEVELS = ["A1", "A2", "B1", "B2", "C1", "C2"];
+
+module.exports = {
+	name: "learners",
+
+	/**
+	 * Mixins
+	 */
+	mixins: [DbMixin("learners")],
+
+	/**
+	 * Settings
+	 */
+	settings: {
+		// Available fields in the responses
+		fields: [
+			"_id",
+			"user",
+			"name",
+			"nativeLanguage",
+			"locale",
+			"targetLanguages",
+			"level",
+			"dailyGoal",
+			"timezone",
+			"classroom",
+			"friends",
+			"friendRequests",
+			"createdAt",
+			"version"
+		],
+
+		// Default values of the new profiles
+		defaults: {
+			locale: null,
+			level: "A1",
+			dailyGoal: 10,
+			timezone: "UTC",
+			classroom: null,
+			friends: [],
+			friendRequests: []
+		},
+
+		// Max count of the friends & the pending friend requests of a learner
+		maxFriends: 500
+	},
+
+	/**
+	 * Actions
+	 */
+	actions: {
+		/**
+		 * The generic CRUD actions of "moleculer-db" are disabled,
+		 * a profile is managed by its user via the actions below.
+		 */
+		create: false,
+		insert: false,
+		update: false,
+		remove: false,
+		list: false,
+		find: false,
+		count: false,
+		get: false,
+
+		/**
+		 * Get the profile of the logged in user.
+		 */
+		me: {
+			rest: "GET /me",
+			auth: "required",
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				return this.getProfile(ctx, ctx.meta.user._id);
+			}
+		},
+
+		/**
+		 * Create or update the profile of the logged in user.
+		 * The languages are required when the profile is created.
+		 *
+		 * @param {String?} name - Display name, the username by default
+		 * @param {String?} nativeLanguage - Language code, e.g. "en" or "pt-BR"
+		 * @param {String?} locale - Language of the interface, the native language by default. `null` to reset it.
+		 * @param {Array<String>?} targetLanguages - Learned languages
+		 * @param {String?} level - Self-declared CEFR level
+		 * @param {Number?} dailyGoal - Daily goal in minutes
+		 * @param {String?} timezone - IANA time zone, e.g. "Europe/Budapest"
+		 */
+		updateMe: {
+			rest: "PUT /me",
+			auth: "required",
+			params: {
+				name: { type: "string", min: 1, max: 64, trim: true, optional: true },
+				nativeLanguage: Object.assign({ optional: true }, LANGUAGE),
+				locale: Object.assign({ optional: true, nullable: true }, LANGUAGE),
+				targetLanguages: { type: "array", items: LANGUAGE, min: 1, max: 10, unique: true, optional: true },
+				level: { type: "enum", values: CEFR_LEVELS, optional: true },
+				dailyGoal: { type: "number", integer: true, min: 1, max: 24 * 60, optional: true, convert: true },
+				timezone: { type: "string", optional: true }
+			},
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				const user = ctx.meta.user;
+				const changes = {};
+				["name", "nativeLanguage", "locale", "targetLanguages", "level", "dailyGoal", "timezone"].forEach(field => {
+					if (ctx.params[field] !== undefined) changes[field] = ctx.params[field];
+				});
+
+				const doc = await this.adapter.findOne({ user: user._id });
+				if (doc) {
+					this.validateProfile(Object.assign({}, doc, changes));
+					return this._update(ctx, Object.assign({ id: doc._id, version: ctx.params.version }, changes));
+				}
+
+				const profile = Object.assign({ user: user._id, name: user.username }, this.settings.defaults, changes, { createdAt: Date.now() });
+				const missing = ["nativeLanguage", "targetLanguages"].filter(field => profile[field] == null);
+				if (missing.length > 0) {
+					throw new MoleculerClientError("The native & the target languages are required for a new profile!", 422, "INCOMPLETE_PROFILE", { fields: missing });
+				}
+				this.validateProfile(profile);
+
+				const event = this.pendingEvent("created", ctx);
+				const json = await this.transformDocuments(ctx, {}, await this.adapter.insert(this.markEntity(profile, event)));
+				await this.entityChanged(event, json, ctx);
+
+				return json;
+			}
+		},
+
+		/**
+		 * Assign a learner to a classroom. The classroom decides which boards
+		 * the learner can see, so it's assigned by the teachers.
+		 *
+		 * @param {String} user - User ID
+		 * @param {String?} classroom - Code of the classroom, `null` to remove the learner from it
+		 */
+		setClassroom: {
+			rest: "PUT /users/:user/classroom",
+			permissions: ["classroom.manage"],
+			params: {
+				user: "string",
+				classroom: { type: "string", min: 1, max: 64, trim: true, nullable: true }
+			},
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				const doc = await this.adapter.findOne({ user: ctx.params.user });
+				if (!doc) {
+					throw new EntityNotFoundError(ctx.params.user);
+				}
+				return this._update(ctx, { id: doc._id, classroom: ctx.params.classroom });
+			}
+		},
+
+		/**
+		 * Ask a learner to be a friend of the logged in user, or accept their
+		 * request. The learners are friends only if both of them asked for it.
+		 *
+		 * @param {String} user - User ID of the friend
+		 * @returns {Object} The own profile
+		 */
+		addFriend: {
+			rest: "POST /me/friends",
+			auth: "required",
+			params: {
+				user: "string"
+			},
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				const user = ctx.meta.user._id;
+				const friend = ctx.params.user;
+				if (friend == user) {
+					throw new MoleculerClientError("You can't be your own friend!", 422, "INVALID_FRIEND", { user: friend });
+				}
+
+				const [doc, other] = await Promise.all([this.adapter.findOne({ user }), this.adapter.findOne({ user: friend })]);
+				if (!doc) {
+					throw new EntityNotFoundError(user);
+				}
+				if (!other) {
+					throw new EntityNotFoundError(friend);
+				}
+				if (doc.friends.includes(friend)) {
+					return this.transformDocuments(ctx, {}, doc);
+				}
+
+				if (doc.friendRequests.includes(friend)) {
+					this.checkFriendLimit(doc.friends, friend);
+					this.checkFriendLimit(other.friends, friend);
+					// The requester is the first, a failed accept can be repeated
+					await this.changeProfile(ctx, other, { $addToSet: { friends: user } }, ["friends"]);
+					return this.changeProfile(ctx, doc, { $addToSet: { friends: friend }, $pull: { friendRequests: friend } }, ["friends", "friendRequests"]);
+				}
+
+				if (!other.friendRequests.includes(user)) {
+					this.checkFriendLimit(other.friendRequests, friend);
+					await this.changeProfile(ctx, other, { $addToSet: { friendRequests: user } }, ["friendRequests"]);
+				}
+				return this.transformDocuments(ctx, {}, doc);
+			}
+		},
+
+		/**
+		 * Remove a friend of the logged in user. It declines or cancels
+		 * the friend requests too.
+		 *
+		 * @param {String} user - User ID of the friend
+		 * @returns {Object} The own profile
+		 */
+		removeFriend: {
+			rest: "DELETE /me/friends/:user",
+			auth: "required",
+			params: {
+				user: "string"
+			},
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				const user = ctx.meta.user._id;
+				const friend = ctx.params.user;
+
+				const [doc, other] = await Promise.all([this.adapter.findOne({ user }), this.adapter.findOne({ user: friend })]);
+				if (!doc) {
+					throw new EntityNotFoundError(user);
+				}
+				if (other) {
+					await this.unfriend(ctx, other, user);
+				}
+				return this.unfriend(ctx, doc, friend);
+			}
+		},
+
+		/**
+		 * Get the profile of a user. A learner can read only their own profile.
+		 *
+		 * @param {String} user - User ID
+		 */
+		getByUser: {
+			rest: "GET /users/:user",
+			permissions: ["profile.read"],
+			owner: "user",
+			params: {
+				user: "string"
+			},
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				return this.getProfile(ctx, ctx.params.user);
+			}
+		},
+
+		/**
+		 * Get the profile of a user for the other services. It's not checked
+		 * by the access rules of the caller, e.g. the services need the time
+		 * zone of the learner at the requests of a content editor too.
+		 *
+		 * @param {String} user - User ID
+		 * @returns {Object?} `null` without profile
+		 */
+		findByUser: {
+			visibility: "public",
+			params: {
+				user: "string"
+			},
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				const doc = await this.adapter.findOne({ user: ctx.params.user });
+				return doc ? this.transformDocuments(ctx, {}, doc) : null;
+			}
+		},
+
+		/**
+		 * Get the interface language of a user. It's resolved by the
+		 * API gateway at every request, so it's cached.
+		 *
+		 * @param {String} user - User ID
+		 * @returns {String?} `null` without profile
+		 */
+		getLocale: {
+			visibility: "public",
+			cache: {
+				keys: ["user"]
+			},
+			params: {
+				user: "string"
+			},
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				const doc = await this.adapter.findOne({ user: ctx.params.user });
+				return doc ? doc.locale || doc.nativeLanguage : null;
+			}
+		}
+	},
+
+	/**
+	 * Methods
+	 */
+	methods: {
+		/**
+		 * Get the transformed profile of a user.
+		 *
+		 * @param {Context} ctx
+		 * @param {String} user - User ID
+		 * @returns {Promise<Object>}
+		 * @throws {EntityNotFoundError} If the user has no profile
+		 */
+		async getProfile(ctx, user) {
+			const doc = await this.adapter.findOne({ user });
+			if (!doc) {
+				throw new EntityNotFoundError(user);
+			}
+			return this.transformDocuments(ctx, {}, doc);
+		},
+
+		/**
+		 * Update a profile & publish the change.
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} doc - Profile
+		 * @param {Object} update - Update operators
+		 * @param {Array<String>} changes - Changed fields
+		 * @returns {Promise<Object>} The updated profile
+		 */
+		async changeProfile(ctx, doc, update, changes) {
+			const event = this.pendingEvent("updated", ctx, changes);
+			const updated = await this.adapter.updateById(doc._id, this.markUpdate(update, event));
+			const json = await this.transformDocuments(ctx, {}, updated);
+			await this.entityChanged(event, json, ctx);
+			return json;
+		},
+
+		/**
+		 * Remove a user from the friends & the friend requests of a profile.
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} doc - Profile
+		 * @param {String} user - User ID of the friend
+		 * @returns {Promise<Object>} The profile
+		 */
+		async unfriend(ctx, doc, user) {
+			const changes = ["friends", "friendRequests"].filter(field => doc[field].includes(user));
+			if (changes.length == 0) {
+				return this.transformDocuments(ctx, {}, doc);
+			}
+
+			const pulls = {};
+			changes.forEach(field => pulls[field] = user);
+			return this.changeProfile(ctx, doc, { $pull: pulls }, changes);
+		},
+
+		/**
+		 * Check the limit of the friends or the friend requests.
+		 *
+		 * @param {Array<String>} list - Friends or friend requests
+		 * @param {String} user - User ID of the friend
+		 * @throws {MoleculerClientError} 422 if the list is full
+		 */
+		checkFriendLimit(list, user) {
+			if (list.length >= this.settings.maxFriends) {
+				throw new MoleculerClientError("Too many friends!", 422, "TOO_MANY_FRIENDS", { user, max: this.settings.maxFriends });
+			}
+		},
+
+		/**
+		 * Check the rules of the profile fields which the validator can't.
+		 *
+		 * @param {Object} profile - Profile with the changes
+		 * @throws {MoleculerClientError} 422
+		 */
+		validateProfile(profile) {
+			if (profile.timezone !== undefined && !this.isValidTimeZone(profile.timezone)) {
+				throw new MoleculerClientError(`Unknown time zone '${profile.timezone}'!`, 422, "INVALID_TIMEZONE", { field: "timezone" });
+			}
+			if (profile.nativeLanguage && profile.targetLanguages && profile.targetLanguages.includes(profile.nativeLanguage)) {
+				throw new MoleculerClientError("The native language can't be a target language!", 422, "INVALID_TARGET_LANGUAGE", { field: "targetLanguages" });
+			}
+		},
+
+		/**
+		 * Check an IANA time zone name.
+		 *
+		 * @param {String} timezone
+		 * @returns {Boolean}
+		 */
+		isValidTimeZone(timezone) {
+			try {
+				new Intl.DateTimeFormat("en", { timeZone: timezone });
+				return true;
+			} catch(err) {
+				return false;
+			}
+		}
+	}
+};
@@ -0,0 +1,631 @@
+"use strict";
+
+const crypto = require("crypto");
+const { MoleculerClientError } = require("moleculer").Errors;
+const { EntityNotFoundError } = require("moleculer-db/src/errors");
+const DbMixin = require("../mixins/db.mixin");
+const QuizMixin = require("../mixins/quiz.mixin");
+const Matchmaking = require("../lib/matchmaking");
+
+/**
+ * @typedef {import('moleculer').Context} Context Moleculer's Context
+ */
+
+module.exports = {
+	name: "matchmaking",
+
+	/**
+	 * Mixins
+	 */
+	mixins: [DbMixin("duels"), QuizMixin()],
+
+	/**
+	 * Settings
+	 */
+	settings: {
+		// Available fields of the duels. The answer key & the item key never leave the service, see the quiz mixin.
+		fields: [
+			"_id",
+			"language",
+			"skill",
+			"players",
+			"questions",
+			"status",
+			"winner",
+			"outcome",
+			"timeLimit",
+			"createdAt",
+			"startsAt",
+			"finishedAt",
+			"version"
+		],
+
+		// Tickets of the waiting learners, shared by the replicas. A ticket's ID is its user.
+		queueCollection: "matchmaking-queue",
+
+		// Rating gap of the pairs, see `Matchmaking.DEFAULTS`
+		initialGap: 100,
+		gapPerSecond: 10,
+		maxGap: 800,
+
+		// Count of the questions of a duel
+		questionCount: 5,
+
+		// Time limit of a question in seconds. The deadlines are the same for both players.
+		timeLimit: 15,
+
+		// Delay of the first question in seconds, the players get the duel before it
+		countdown: 3,
+
+		// A player is disconnected after missing this many deadlines in a row
+		maxMissed: 3,
+
+		// A waiting learner polls the queue. A ticket isn't matched without polling
+		// for this many milliseconds, the client is gone.
+		ticketTTL: 30 * 1000,
+
+		// A claim of a ticket by a crashed replica is released after it, in milliseconds
+		claimTimeout: 10 * 1000,
+
+		// Interval of matching the waiting learners & settling the duels in milliseconds
+		sweepInterval: 2 * 1000,
+
+		// Retries of a duel update on concurrent changes
+		maxRetries: 5
+	},
+
+	/**
+	 * Actions
+	 */
+	actions: {
+		/**
+		 * The generic CRUD actions of "moleculer-db" are disabled,
+		 * a duel is played via the actions below.
+		 */
+		create: false,
+		insert: false,
+		update: false,
+		remove: false,
+		list: false,
+		find: false,
+		count: false,
+		get: false,
+
+		/**
+		 * Queue the logged in learner for a duel. The opponent is searched
+		 * right away, then periodically by the widening rating gap.
+		 *
+		 * @param {String} language - Target language
+		 * @param {String} skill
+		 * @returns {Object} The ticket, see `queue`
+		 */
+		join: {
+			rest: "POST /queue",
+			auth: "required",
+			params: {
+				language: "string",
+				skill: "string"
+			},
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				const user = ctx.meta.user._id;
+				const { language, skill } = ctx.params;
+
+				const active = await this.adapter.findOne({ users: user, status: "active" });
+				if (active) {
+					throw new MoleculerClientError("You are already in a duel!", 409, "ALREADY_IN_DUEL", { duel: String(active._id) });
+				}
+
+				const { rating } = await ctx.call("challenges.getRating", { user, language, skill });
+				const items = await ctx.call("challenges.pick", { skill, language, count: 1, rating });
+				if (items.length == 0) {
+					throw new MoleculerClientError("No challenge is available!", 404, "NO_CHALLENGE", { skill, language });
+				}
+
+				const now = Date.now();
+				const ticket = await this.enqueue({
+					_id: user,
+					user,
+					language,
+					skill,
+					rating,
+					status: "waiting",
+					match: null,
+					duel: null,
+					queuedAt: now,
+					seenAt: now,
+					claimedAt: null
+				});
+
+				await this.matchTicket(ctx, ticket);
+				return this.getTicket(user);
+			}
+		},
+
+		/**
+		 * Get the ticket of the logged in learner. The waiting clients poll it,
+		 * it keeps the ticket alive.
+		 *
+		 * @returns {Object} `{ status, language, skill, rating, gap, queuedAt, duel }`.
+		 * 	The status is "waiting", "matching", "matched", "left" or "expired".
+		 */
+		queue: {
+			rest: "GET /queue",
+			auth: "required",
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				const user = ctx.meta.user._id;
+				const queue = await this.getCollection(this.settings.queueCollection);
+				await queue.updateMany({ _id: user, status: "waiting" }, { $set: { seenAt: Date.now() } });
+
+				return this.getTicket(user);
+			}
+		},
+
+		/**
+		 * Leave the queue.
+		 *
+		 * @returns {Object} The ticket
+		 * @throws {MoleculerClientError} 409 if the learner is not waiting, e.g. already matched
+		 */
+		leave: {
+			rest: "DELETE /queue",
+			auth: "required",
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				const user = ctx.meta.user._id;
+				const queue = await this.getCollection(this.settings.queueCollection);
+
+				const count = await queue.updateMany({ _id: user, status: "waiting" }, { $set: { status: "left" } });
+				if (count == 0) {
+					const ticket = await queue.findOne({ _id: user });
+					throw new MoleculerClientError("You are not waiting for a duel!", 409, "NOT_QUEUED", { status: ticket ? ticket.status : null, duel: ticket ? ticket.duel : null });
+				}
+
+				return this.getTicket(user);
+			}
+		},
+
+		/**
+		 * Get a duel of the logged in learner.
+		 *
+		 * @param {String} id - Duel ID
+		 */
+		getDuel: {
+			rest: "GET /duels/:id",
+			auth: "required",
+			params: {
+				id: "string"
+			},
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				const doc = await this.getOwnDuel(ctx, ctx.params.id);
+				return this.transformDocuments(ctx, {}, doc);
+			}
+		},
+
+		/**
+		 * Submit the answer of the current question of the logged in player.
+		 * The answers must be submitted in order, once, until the deadlines
+		 * of the questions. A late answer is wrong. The duel is settled when
+		 * both players are finished.
+		 *
+		 * @param {String} id - Duel ID
+		 * @param {Number} question - Index of the question
+		 * @param {String} answer
+		 * @returns {Object} `{ question, correct, verdict, timedOut, answers, diff, duel }`
+		 */
+		answer: {
+			rest: "POST /duels/:id/answers",
+			auth: "required",
+			params: {
+				id: "string",
+				question: { type: "number", integer: true, min: 0, convert: true },
+				answer: { type: "string", max: 500 }
+			},
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				const { question, answer } = ctx.params;
+				const doc = await this.getOwnDuel(ctx, ctx.params.id);
+				const index = doc.users.indexOf(ctx.meta.user._id);
+
+				const now = Date.now();
+				this.checkSubmission(doc, index, question, now);
+
+				const timedOut = now > Matchmaking.deadlineOf(doc, question);
+				const { verdict, correct, diff } = this.checkAnswer(doc, question, answer, timedOut);
+
+				const player = `players.${index}`;
+				const sets = {
+					[`${player}.answers.${question}`]: { correct, verdict, timedOut, answeredAt: now },
+					[`${player}.current`]: question + 1
+				};
+				if (question == doc.questions.length - 1) {
+					sets[`${player}.status`] = "finished";
+					sets[`${player}.finishedAt`] = now;
+				}
+
+				// The concurrent submissions of the same question are rejected by the condition
+				const event = this.pendingEvent("updated", ctx, ["players"]);
+				const updated = await this.conditionalUpdate(doc._id, { status: "active", [`${player}.current`]: question }, this.markUpdate({
+					$set: sets,
+					$inc: { [`${player}.correctCount`]: correct ? 1 : 0 }
+				}, event));
+				if (!updated) {
+					this.checkSubmission(await this.adapter.findById(doc._id), index, question, now);
+					throw new MoleculerClientError("The duel has been changed in the meantime!", 409, "VERSION_CONFLICT", { id: ctx.params.id });
+				}
+
+				await this.recordAnswerRating(ctx, doc, question, correct);
+
+				let json = await this.transformDocuments(ctx, {}, updated);
+				await this.entityChanged(event, json, ctx);
+
+				const settled = await this.settleDuel(ctx, updated, now);
+				if (settled) json = settled;
+
+				return {
+					question,
+					correct,
+					verdict,
+					timedOut,
+					answers: doc.answerKey[question],
+					diff,
+					duel: json
+				};
+			}
+		},
+
+		/**
+		 * Give up a duel. The opponent wins.
+		 *
+		 * @param {String} id - Duel ID
+		 */
+		forfeit: {
+			rest: "POST /duels/:id/forfeit",
+			auth: "required",
+			params: {
+				id: "string"
+			},
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				let doc = await this.getOwnDuel(ctx, ctx.params.id);
+				const index = doc.users.indexOf(ctx.meta.user._id);
+
+				for (let i = 0; i < this.settings.maxRetries; i++) {
+					if (doc.status != "active") {
+						throw new MoleculerClientError("The duel is already closed!", 409, "DUEL_CLOSED", { id: ctx.params.id, status: doc.status });
+					}
+
+					doc.players[index].status = "forfeited";
+					const json = await this.settleDuel(ctx, doc, Date.now());
+					if (json) return json;
+
+					doc = await this.adapter.findById(doc._id);
+				}
+				throw new MoleculerClientError("The duel has been changed in the meantime!", 409, "VERSION_CONFLICT", { id: ctx.params.id });
+			}
+		}
+	},
+
+	/**
+	 * Methods
+	 */
+	methods: {
+		/**
+		 * Store a new ticket of a learner. The earlier ticket of the learner is
+		 * replaced, unless it's still waiting or being matched.
+		 *
+		 * @param {Object} ticket
+		 * @returns {Promise<Object>} The stored ticket
+		 * @throws {MoleculerClientError} 409 if the learner is already in the queue
+		 */
+		async enqueue(ticket) {
+			const queue = await this.getCollection(this.settings.queueCollection);
+			const rejectQueued = () => {
+				throw new MoleculerClientError("You are already waiting for a duel!", 409, "ALREADY_QUEUED", { language: ticket.language, skill: ticket.skill });
+			};
+
+			const found = await queue.findOne({ _id: ticket._id });
+			if (found) {
+				if (["waiting", "matching"].includes(found.status)) rejectQueued();
+
+				const fields = Object.assign({}, ticket);
+				delete fields._id;
+				const count = await queue.updateMany({ _id: ticket._id, status: found.status, queuedAt: found.queuedAt }, { $set: fields });
+				if (count == 0) rejectQueued();
+				return ticket;
+			}
+
+			try {
+				return await queue.insert(ticket);
+			} catch(err) {
+				if (err.errorType != "uniqueViolated" && err.code != 11000) throw err;
+				rejectQueued();
+			}
+		},
+
+		/**
+		 * Get the ticket of a learner with its current rating gap.
+		 *
+		 * @param {String} user
+		 * @returns {Promise<Object>}
+		 * @throws {EntityNotFoundError} If the learner has never queued
+		 */
+		async getTicket(user) {
+			const queue = await this.getCollection(this.settings.queueCollection);
+			const ticket = await queue.findOne({ _id: user });
+			if (!ticket) {
+				throw new EntityNotFoundError(user);
+			}
+
+			const { status, language, skill, rating, queuedAt, duel } = ticket;
+			const gap = status == "waiting" ? Matchmaking.ratingGap(ticket, Date.now(), this.settings) : null;
+			return { status, language, skill, rating, gap, queuedAt, duel };
+		},
+
+		/**
+		 * Match a waiting ticket with the best opponent, if there's an acceptable one.
+		 *
+		 * @param {Context?} ctx
+		 * @param {Object} ticket
+		 * @returns {Promise<Object?>} The new duel
+		 */
+		async matchTicket(ctx, ticket) {
+			const queue = await this.getCollection(this.settings.queueCollection);
+			const candidates = await queue.find({
+				query: {
+					language: ticket.language,
+					skill: ticket.skill,
+					status: "waiting",
+					seenAt: { $gte: Date.now() - this.settings.ticketTTL }
+				}
+			});
+
+			const opponent = Matchmaking.findOpponent(ticket, candidates, Date.now(), this.settings);
+			return opponent ? this.createDuel(ctx, [ticket, opponent]) : null;
+		},
+
+		/**
+		 * Create a duel of two tickets. Both tickets are claimed first by conditional
+		 * updates, so the replicas can't match a learner twice. The tickets are claimed
+		 * in the order of their users, so of two replicas competing for the same ticket,
+		 * one gets it first & the other backs off.
+		 *
+		 * @param {Context?} ctx
+		 * @param {Array<Object>} tickets
+		 * @returns {Promise<Object?>} The new duel, `null` if a ticket is claimed by another replica
+		 */
+		async createDuel(ctx, tickets) {
+			const queue = await this.getCollection(this.settings.queueCollection);
+			const match = crypto.randomBytes(12).toString("hex");
+			const sorted = tickets.slice().sort((a, b) => String(a.user).localeCompare(String(b.user)));
+
+			const claimed = [];
+			const release = () => Promise.all(claimed.map(ticket => queue.updateMany(
+				{ _id: ticket._id, status: "matching", match },
+				{ $set: { status: "waiting", match: null, claimedAt: null } }
+			)));
+
+			for (const ticket of sorted) {
+				const count = await queue.updateMany({ _id: ticket._id, status: "waiting" }, { $set: { status: "matching", match, claimedAt: Date.now() } });
+				if (count == 0) {
+					await release();
+					return null;
+				}
+				claimed.push(ticket);
+			}
+
+			const event = this.pendingEvent("matched", ctx);
+			let doc;
+			try {
+				const { language, skill } = tickets[0];
+				const rating = (tickets[0].rating + tickets[1].rating) / 2;
+				const items = await (ctx || this.broker).call("challenges.pick", { skill, language, count: this.settings.questionCount, rating });
+				if (items.length == 0) {
+					this.logger.warn(`No challenge is available for a duel in '${language}' '${skill}'.`);
+					await release();
+					return null;
+				}
+
+				doc = await this.adapter.insert(this.markEntity(this.newDuel(match, tickets, items), event));
+			} catch(err) {
+				await release();
+				throw err;
+			}
+
+			await queue.updateMany({ match }, { $set: { status: "matched", duel: String(doc._id) } });
+
+			const json = await this.transformDocuments(ctx, {}, doc);
+			await this.entityChanged(event, json, ctx);
+
+			this.logger.info(`Matched '${tickets[0].user}' & '${tickets[1].user}' in duel '${doc._id}'.`);
+			return json;
+		},
+
+		/**
+		 * Create the document of a new duel.
+		 *
+		 * @param {String} match - Token of the claims of the tickets
+		 * @param {Array<Object>} tickets
+		 * @param {Array<Object>} items - Challenges with their answers
+		 * @returns {Object}
+		 */
+		newDuel(match, tickets, items) {
+			const now = Date.now();
+			const { timeLimit, countdown } = this.settings;
+			const startsAt = now + countdown * 1000;
+
+			return {
+				match,
+				language: tickets[0].language,
+				skill: tickets[0].skill,
+				users: tickets.map(ticket => ticket.user),
+				players: tickets.map(ticket => ({
+					user: ticket.user,
+					rating: ticket.rating,
+					status: "playing",
+					current: 0,
+					correctCount: 0,
+					answers: items.map(() => null),
+					finishedAt: null
+				})),
+				questions: items.map(item => ({ revision: item.revision, prompt: item.prompt })),
+				answerKey: items.map(item => item.answers),
+				itemKey: items.map(item => item._id),
+				status: "active",
+				winner: null,
+				outcome: null,
+				timeLimit,
+				createdAt: now,
+				startsAt,
+				expiresAt: startsAt + items.length * timeLimit * 1000,
+				finishedAt: null
+			};
+		},
+
+		/**
+		 * Get a duel of the logged in learner.
+		 *
+		 * @param {Context} ctx
+		 * @param {String} id
+		 * @returns {Promise<Object>}
+		 * @throws {EntityNotFoundError} The duels of the other learners are not found either
+		 */
+		async getOwnDuel(ctx, id) {
+			const doc = await this.adapter.findById(this.decodeID(id));
+			if (!doc || !doc.users.includes(ctx.meta.user._id)) {
+				throw new EntityNotFoundError(id);
+			}
+			return doc;
+		},
+
+		/**
+		 * Check that a question can be answered by a player.
+		 *
+		 * @param {Object} doc - Duel
+		 * @param {Number} index - Index of the player
+		 * @param {Number} question - Index of the question
+		 * @param {Number} now
+		 * @throws {MoleculerClientError} 409 for a closed or a not started duel, a replayed or an out-of-order answer
+		 */
+		checkSubmission(doc, index, question, now) {
+			const id = String(doc._id);
+			const player = doc.players[index];
+			if (doc.status != "active" || player.status != "playing") {
+				throw new MoleculerClientError("The duel is already closed!", 409, "DUEL_CLOSED", { id, status: doc.status });
+			}
+			if (now < doc.startsAt) {
+				throw new MoleculerClientError("The duel hasn't started yet!", 409, "DUEL_NOT_STARTED", { id, startsAt: doc.startsAt });
+			}
+			if (question < player.current) {
+				throw new MoleculerClientError("The question is already answered!", 409, "ANSWER_REPLAYED", { id, question, current: player.current });
+			}
+			if (question > player.current) {
+				throw new MoleculerClientError("The questions must be answered in order!", 409, "ANSWER_OUT_OF_ORDER", { id, question, current: player.current });
+			}
+		},
+
+		/**
+		 * Close a duel if it's over, by the rules of `Matchmaking.settle`.
+		 *
+		 * @param {Context?} ctx
+		 * @param {Object} doc - Duel, it can have unsaved changes of the players' statuses
+		 * @param {Number} now
+		 * @returns {Promise<Object?>} The completed duel, `null` if it goes on or it's changed in the meantime
+		 */
+		async settleDuel(ctx, doc, now) {
+			const result = Matchmaking.settle(doc, now, this.settings);
+			if (!result) return null;
+
+			const sets = { status: "completed", winner: result.winner, outcome: result.outcome, finishedAt: now };
+			result.players.forEach((status, i) => sets[`players.${i}.status`] = status);
+
+			const event = this.pendingEvent("completed", ctx, ["players", "status", "winner", "outcome", "finishedAt"]);
+			const updated = await this.conditionalUpdate(doc._id, { version: doc.version }, this.markUpdate({ $set: sets }, event));
+			if (!updated) return null;
+
+			const json = await this.transformDocuments(ctx, {}, updated);
+			await this.entityChanged(event, json, ctx);
+
+			return json;
+		},
+
+		/**
+		 * Drop the tickets of the gone clients, release the claims of the crashed
+		 * replicas & match the waiting learners. It runs periodically on every
+		 * replica, the gaps widen by the waiting times between the runs.
+		 *
+		 * @returns {Promise<Number>} Count of the new duels
+		 */
+		async matchWaiting() {
+			const queue = await this.getCollection(this.settings.queueCollection);
+			const now = Date.now();
+
+			await queue.updateMany({ status: "waiting", seenAt: { $lt: now - this.settings.ticketTTL } }, { $set: { status: "expired" } });
+
+			const stale = await queue.find({ query: { status: "matching", claimedAt: { $lt: now - this.settings.claimTimeout } } });
+			for (const ticket of stale) {
+				const duel = await this.adapter.findOne({ match: ticket.match });
+				await queue.updateMany({ _id: ticket._id, status: "matching", match: ticket.match }, duel
+					? { $set: { status: "matched", duel: String(duel._id) } }
+					: { $set: { status: "waiting", match: null, claimedAt: null } });
+			}
+
+			const tickets = await queue.find({ query: { status: "waiting" }, sort: ["queuedAt"] });
+			const matched = new Set();
+
+			let created = 0;
+			for (const ticket of tickets) {
+				if (matched.has(ticket.user)) continue;
+
+				const duel = await this.matchTicket(null, ticket);
+				if (duel) {
+					duel.players.forEach(player => matched.add(player.user));
+					created++;
+				}
+			}
+			return created;
+		},
+
+		/**
+		 * Settle the duels which are over or have a disconnected player.
+		 * It runs periodically on every replica, the conditional update
+		 * guarantees that only one of them succeeds.
+		 *
+		 * @returns {Promise<Number>} Count of the settled duels
+		 */
+		async settleDuels() {
+			const now = Date.now();
+			const docs = await this.adapter.find({ query: { status: "active", startsAt: { $lte: now } } });
+
+			let settled = 0;
+			for (const doc of docs) {
+				if (await this.settleDuel(null, doc, now)) settled++;
+			}
+
+			if (settled > 0) {
+				this.logger.info(`Settled ${settled} duel(s).`);
+			}
+			return settled;
+		}
+	},
+
+	/**
+	 * Service started lifecycle event handler
+	 */
+	async started() {
+		this.sweepTimer = setInterval(() => {
+			this.matchWaiting()
+				.then(() => this.settleDuels())
+				.catch(err => this.logger.error("Unable to match the waiting learners & settle the duels.", err));
+		}, this.settings.sweepInterval);
+	},
+
+	/**
+	 * Service stopped lifecycle event handler
+	 */
+	async stopped() {
+		clearInterval(this.sweepTimer);
+	}
+};
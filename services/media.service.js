@@ -0,0 +1,239 @@
+"use strict";
+
+const path = require("path");
+const crypto = require("crypto");
+const { EntityNotFoundError } = require("moleculer-db/src/errors");
+const DbMixin = require("../mixins/db.mixin");
+const { MediaInspector, parseRange } = require("../lib/media");
+const { createStorage } = require("../lib/media-storage");
+
+/**
+ * @typedef {import('moleculer').Context} Context Moleculer's Context
+ */
+
+/**
+ * Audio clips & pictures of the exercises. The files are kept in the storage,
+ * their metadata in the collection. A file is never changed, a new version is
+ * a new upload, so the downloads are cached by the clients for long.
+ */
+module.exports = {
+	name: "media",
+
+	/**
+	 * Mixins
+	 */
+	mixins: [DbMixin("media")],
+
+	/**
+	 * Settings
+	 */
+	settings: {
+		// Available fields in the responses
+		fields: [
+			"_id",
+			"filename",
+			"mimeType",
+			"kind",
+			"size",
+			"checksum",
+			"owner",
+			"createdAt",
+			"version"
+		],
+
+		// Storage of the files. Only the local storage is implemented.
+		storage: {
+			type: process.env.MEDIA_STORAGE || "local",
+			dir: process.env.MEDIA_DIR || path.resolve("data", "media")
+		},
+
+		// Allowed types of the files by their kinds
+		types: {
+			"audio/mpeg": "audio",
+			"audio/ogg": "audio",
+			"audio/wav": "audio",
+			"audio/webm": "audio",
+			"audio/mp4": "audio",
+			"audio/flac": "audio",
+			"image/png": "image",
+			"image/jpeg": "image",
+			"image/gif": "image",
+			"image/webp": "image"
+		},
+
+		// Max sizes of the files by their kinds in bytes
+		maxSize: {
+			audio: 10 * 1024 * 1024,
+			image: 5 * 1024 * 1024
+		},
+
+		// Lifetime of the downloads in the caches in seconds
+		cacheMaxAge: 365 * 24 * 60 * 60
+	},
+
+	/**
+	 * Action Hooks
+	 */
+	hooks: {
+		after: {
+			/**
+			 * Remove the file of a removed media.
+			 *
+			 * @param {Context} ctx
+			 * @param {Object} res
+			 */
+			async remove(ctx, res) {
+				await this.storage.remove(String(res._id));
+				return res;
+			}
+		}
+	},
+
+	/**
+	 * Actions
+	 */
+	actions: {
+		/**
+		 * The media are created by the uploads & never changed.
+		 */
+		create: false,
+		insert: false,
+		update: false,
+		list: {
+			permissions: ["content.read"]
+		},
+		find: {
+			permissions: ["content.read"]
+		},
+		count: {
+			permissions: ["content.read"]
+		},
+		get: {
+			permissions: ["content.read"]
+		},
+		remove: {
+			permissions: ["content.write"]
+		},
+
+		/**
+		 * Upload a file from a multipart form, one file per request. The type is
+		 * detected by the content, the declared type has to be of the same kind.
+		 * The gateway responds with an array of the created media.
+		 *
+		 * @returns {Object} The created media
+		 */
+		upload: {
+			rest: {
+				method: "POST",
+				path: "/",
+				type: "multipart",
+				busboyConfig: {
+					limits: { files: 1 }
+				}
+			},
+			permissions: ["content.write"],
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				const user = ctx.meta.user;
+				const id = crypto.randomBytes(16).toString("hex");
+				const inspector = new MediaInspector({ types: this.settings.types, maxSize: this.settings.maxSize, declared: ctx.meta.mimetype });
+
+				// The errors of the inspection fail the write, e.g. a too large file
+				await this.storage.write(id, ctx.params, inspector);
+
+				const { mimeType, kind, size, checksum } = inspector.result();
+				const event = this.pendingEvent("created", ctx);
+				const doc = await this.adapter.insert(this.markEntity({
+					_id: id,
+					filename: ctx.meta.filename ? path.basename(ctx.meta.filename) : null,
+					mimeType,
+					kind,
+					size,
+					checksum,
+					owner: user ? user._id : null,
+					createdAt: Date.now()
+				}, event)).catch(async err => {
+					await this.storage.remove(id);
+					throw err;
+				});
+
+				const json = await this.transformDocuments(ctx, {}, doc);
+				await this.entityChanged(event, json, ctx);
+				return json;
+			}
+		},
+
+		/**
+		 * Download a file. It supports a single byte range (e.g. to scrub the audio)
+		 * and the revalidation by the checksum as `ETag`.
+		 * The `range`, `ifRange` & `ifNoneMatch` headers are set in the meta by the gateway.
+		 *
+		 * @param {String} id - Media ID
+		 * @returns {ReadableStream}
+		 */
+		download: {
+			rest: "GET /:id/file",
+			params: {
+				id: "string"
+			},
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				const doc = await this.adapter.findById(ctx.params.id);
+				if (!doc) {
+					throw new EntityNotFoundError(ctx.params.id);
+				}
+
+				const etag = `"${doc.checksum}"`;
+				ctx.meta.$responseType = doc.mimeType;
+				ctx.meta.$responseHeaders = {
+					"ETag": etag,
+					"Cache-Control": `public, max-age=${this.settings.cacheMaxAge}, immutable`,
+					"Accept-Ranges": "bytes",
+					"Last-Modified": new Date(doc.createdAt).toUTCString()
+				};
+
+				if (matchesETag(ctx.meta.ifNoneMatch, etag)) {
+					ctx.meta.$statusCode = 304;
+					return null;
+				}
+
+				// A range of another version is ignored, the whole file is sent
+				const range = !ctx.meta.ifRange || ctx.meta.ifRange == etag ? parseRange(ctx.meta.range, doc.size) : null;
+				if (range) {
+					ctx.meta.$statusCode = 206;
+					ctx.meta.$responseHeaders["Content-Range"] = `bytes ${range.start}-${range.end}/${doc.size}`;
+				}
+				ctx.meta.$responseHeaders["Content-Length"] = range ? range.end - range.start + 1 : doc.size;
+
+				return this.storage.read(String(doc._id), range);
+			}
+		}
+	},
+
+	/**
+	 * Service created lifecycle event handler
+	 */
+	created() {
+		this.storage = createStorage(this.settings.storage);
+	},
+
+	/**
+	 * Service stopped lifecycle event handler
+	 */
+	async stopped() {
+		await this.storage.close();
+	}
+};
+
+/**
+ * Check an entity tag against an `If-None-Match` header.
+ *
+ * @param {String?} header - E.g. `"abc", W/"def"` or `*`
+ * @param {String} etag
+ * @returns {Boolean}
+ */
+function matchesETag(header, etag) {
+	if (!header) return false;
+	if (header.trim() == "*") return true;
+	return header.split(",").some(tag => tag.trim().replace(/^W\//, "") == etag);
+}
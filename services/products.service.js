@@ -1,6 +1,11 @@
 "use strict";
 
+const crypto = require("crypto");
+const { MoleculerClientError } = require("moleculer").Errors;
+const { EntityNotFoundError } = require("moleculer-db/src/errors");
 const DbMixin = require("../mixins/db.mixin");
+const BulkMixin = require("../mixins/bulk.mixin");
+const { normalizeText, escapeRegExp } = require("../lib/text");
 
 /**
  * @typedef {import('moleculer').Context} Context Moleculer's Context
@@ -13,7 +18,14 @@ module.exports = {
 	/**
 	 * Mixins
 	 */
-	mixins: [DbMixin("products")],
+	mixins: [
+		DbMixin("products", { softDelete: true }),
+		BulkMixin({
+			key: "name",
+			types: { price: "number", quantity: "integer" },
+			permissions: ["products.write"]
+		})
+	],
 
 	/**
 	 * Settings
@@ -24,14 +36,31 @@ module.exports = {
 			"_id",
 			"name",
 			"quantity",
-			"price"
+			"price",
+			"version"
 		],
 
-		// Validator for the `create` & `insert` actions.
+		// Validator for the `create`, `insert` & `import` actions.
 		entityValidator: {
 			name: "string|min:3",
-			price: "number|positive"
-		}
+			price: "number|positive",
+			quantity: "number|integer|min:0|optional"
+		},
+
+		// Default lifetime of the stock reservations in seconds
+		reservationTTL: 15 * 60,
+
+		// Interval of releasing the expired reservations in milliseconds
+		reservationSweepInterval: 30 * 1000,
+
+		// Collection of the inventory movement ledger
+		movementsCollection: "product-movements",
+
+		// Fields of the search results which can be sorted by
+		sortableFields: ["name", "price", "quantity"],
+
+		// Boundaries of the price buckets in the search facets
+		priceFacets: [100, 500, 1000]
 	},
 
 	/**
@@ -47,6 +76,48 @@ module.exports = {
 			 */
 			create(ctx) {
 				ctx.params.quantity = 0;
+				this.indexSearchText(ctx.params);
+			},
+
+			/**
+			 * Register a before hook for the `insert` action.
+			 * It sets the search text of the new products.
+			 *
+			 * @param {Context} ctx
+			 */
+			insert(ctx) {
+				if (ctx.params.entity) this.indexSearchText(ctx.params.entity);
+				if (Array.isArray(ctx.params.entities)) ctx.params.entities.forEach(entity => this.indexSearchText(entity));
+			},
+
+			/**
+			 * Register a before hook for the `update` action.
+			 * The quantity can't be overwritten, it's changed only by
+			 * the quantity & reservation actions which record the movements.
+			 *
+			 * @param {Context} ctx
+			 */
+			update(ctx) {
+				if (ctx.params.quantity !== undefined) {
+					throw new MoleculerClientError("The quantity can be changed only by the quantity actions!", 422, "QUANTITY_READONLY", { field: "quantity" });
+				}
+				this.indexSearchText(ctx.params);
+			}
+		},
+		after: {
+			/**
+			 * Register an after hook for the `insert` action.
+			 * It records the initial stock of the inserted products.
+			 *
+			 * @param {Context} ctx
+			 * @param {Object|Array<Object>} res
+			 */
+			async insert(ctx, res) {
+				const docs = Array.isArray(res) ? res : [res];
+				for (const doc of docs.filter(doc => doc.quantity > 0)) {
+					await this.recordMovement(ctx, doc, doc.quantity, "initial");
+				}
+				return res;
 			}
 		}
 	},
@@ -64,23 +135,108 @@ module.exports = {
 		 *  - insert
 		 *  - update
 		 *  - remove
+		 *
+		 * The soft delete of the DB mixin registers the following actions:
+		 *  - restore
+		 *  - listDeleted
+		 *
+		 * The modifying actions require permissions, the reading ones are public.
 		 */
+		create: {
+			permissions: ["products.write"],
+			throttle: {
+				window: 60 * 1000,
+				limit: 30
+			}
+		},
+		insert: {
+			permissions: ["products.write"]
+		},
+		update: {
+			permissions: ["products.write"]
+		},
+		remove: {
+			permissions: ["products.remove"]
+		},
+		restore: {
+			permissions: ["products.remove"]
+		},
 
 		// --- ADDITIONAL ACTIONS ---
 
+		/**
+		 * Search the products with filters, multi-field sorting & facet counts.
+		 * The text is matched case- & accent-insensitively in the name, every word must match.
+		 * The facets are counted with all filters except their own one.
+		 *
+		 * @param {String?} q - Text to search
+		 * @param {Number?} minPrice
+		 * @param {Number?} maxPrice
+		 * @param {Boolean?} inStock - `true` for the available, `false` for the sold out products
+		 * @param {String?} sort - Sorted fields, e.g. `-price,name`
+		 * @param {Number?} page
+		 * @param {Number?} pageSize
+		 */
+		search: {
+			rest: "GET /search",
+			cache: {
+				keys: ["q", "minPrice", "maxPrice", "inStock", "sort", "page", "pageSize"]
+			},
+			params: {
+				q: { type: "string", optional: true },
+				minPrice: { type: "number", min: 0, optional: true, convert: true },
+				maxPrice: { type: "number", min: 0, optional: true, convert: true },
+				inStock: { type: "boolean", optional: true, convert: true },
+				sort: { type: "string", optional: true },
+				page: { type: "number", integer: true, min: 1, optional: true, convert: true },
+				pageSize: { type: "number", integer: true, min: 1, optional: true, convert: true }
+			},
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				const sort = this.parseSearchSort(ctx.params.sort);
+				const page = ctx.params.page || 1;
+				const pageSize = Math.min(ctx.params.pageSize || this.settings.pageSize, this.settings.maxPageSize);
+
+				const filters = this.createSearchFilters(ctx.params);
+				const query = this.combineSearchFilters(filters);
+
+				const [docs, total, facets] = await Promise.all([
+					this.adapter.find({ query, sort, limit: pageSize, offset: (page - 1) * pageSize }),
+					this.adapter.count({ query }),
+					this.countSearchFacets(filters)
+				]);
+
+				return {
+					rows: await this.transformDocuments(ctx, {}, docs),
+					total,
+					page,
+					pageSize,
+					totalPages: Math.floor((total + pageSize - 1) / pageSize),
+					facets
+				};
+			}
+		},
+
 		/**
 		 * Increase the quantity of the product item.
 		 */
 		increaseQuantity: {
 			rest: "PUT /:id/quantity/increase",
+			permissions: ["products.write"],
 			params: {
 				id: "string",
-				value: "number|integer|positive"
+				value: "number|integer|positive",
+				reason: { type: "string", optional: true }
 			},
+			/** @param {Context} ctx  */
 			async handler(ctx) {
-				const doc = await this.adapter.updateById(ctx.params.id, { $inc: { quantity: ctx.params.value } });
+				const event = this.pendingEvent("updated", ctx, ["quantity"]);
+				const doc = await this.adapter.updateById(this.decodeID(ctx.params.id), this.markUpdate({ $inc: { quantity: ctx.params.value } }, event));
+				if (doc) {
+					await this.recordMovement(ctx, doc, ctx.params.value, ctx.params.reason || "manual");
+				}
 				const json = await this.transformDocuments(ctx, ctx.params, doc);
-				await this.entityChanged("updated", json, ctx);
+				await this.entityChanged(event, json, ctx);
 
 				return json;
 			}
@@ -88,21 +244,218 @@ module.exports = {
 
 		/**
 		 * Decrease the quantity of the product item.
+		 * It fails with a conflict error if the stock is insufficient.
 		 */
 		decreaseQuantity: {
 			rest: "PUT /:id/quantity/decrease",
+			permissions: ["products.write"],
 			params: {
 				id: "string",
-				value: "number|integer|positive"
+				value: "number|integer|positive",
+				reason: { type: "string", optional: true }
 			},
 			/** @param {Context} ctx  */
 			async handler(ctx) {
-				const doc = await this.adapter.updateById(ctx.params.id, { $inc: { quantity: -ctx.params.value } });
+				const { id, value } = ctx.params;
+
+				const event = this.pendingEvent("updated", ctx, ["quantity"]);
+				const doc = await this.conditionalUpdate(this.decodeID(id), { quantity: { $gte: value } }, this.markUpdate({ $inc: { quantity: -value } }, event));
+				if (!doc) {
+					await this.rejectInsufficientStock(id, value);
+				}
+				await this.recordMovement(ctx, doc, -value, ctx.params.reason || "manual");
+
 				const json = await this.transformDocuments(ctx, ctx.params, doc);
-				await this.entityChanged("updated", json, ctx);
+				await this.entityChanged(event, json, ctx);
 
 				return json;
 			}
+		},
+
+		/**
+		 * Reserve stock for a checkout. The reserved quantity is taken from
+		 * the stock immediately and returned to it if the reservation is
+		 * released or expires before it's committed.
+		 *
+		 * @param {String} id - Product ID
+		 * @param {Number} value - Reserved quantity
+		 * @param {Number?} ttl - Lifetime of the reservation in seconds
+		 */
+		reserve: {
+			rest: "POST /:id/reservations",
+			permissions: ["products.write"],
+			params: {
+				id: "string",
+				value: "number|integer|positive",
+				ttl: { type: "number", integer: true, positive: true, optional: true, convert: true }
+			},
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				const { id, value } = ctx.params;
+				const reservation = {
+					id: crypto.randomBytes(12).toString("hex"),
+					quantity: value,
+					expiresAt: Date.now() + (ctx.params.ttl || this.settings.reservationTTL) * 1000
+				};
+
+				const event = this.pendingEvent("updated", ctx, ["quantity"]);
+				const doc = await this.conditionalUpdate(this.decodeID(id), { quantity: { $gte: value } }, this.markUpdate({
+					$inc: { quantity: -value },
+					$push: { reservations: reservation }
+				}, event));
+				if (!doc) {
+					await this.rejectInsufficientStock(id, value);
+				}
+				await this.recordMovement(ctx, doc, -value, "reservation");
+
+				const json = await this.transformDocuments(ctx, {}, doc);
+				await this.entityChanged(event, json, ctx);
+
+				return Object.assign({ product: id }, reservation);
+			}
+		},
+
+		/**
+		 * Commit a reservation. The reserved quantity is sold, it won't return to the stock.
+		 *
+		 * @param {String} id - Product ID
+		 * @param {String} reservation - Reservation ID
+		 */
+		commit: {
+			rest: "POST /:id/reservations/:reservation/commit",
+			permissions: ["products.write"],
+			params: {
+				id: "string",
+				reservation: "string"
+			},
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				const { id, reservation } = ctx.params;
+
+				const doc = await this.conditionalUpdate(id,
+					{ reservations: { $elemMatch: { id: reservation, expiresAt: { $gt: Date.now() } } } },
+					{ $pull: { reservations: { id: reservation } } }
+				);
+				if (!doc) {
+					throw new MoleculerClientError("Reservation not found or expired!", 404, "RESERVATION_NOT_FOUND", { id, reservation });
+				}
+
+				return this.transformDocuments(ctx, {}, doc);
+			}
+		},
+
+		/**
+		 * Release a reservation. The reserved quantity returns to the stock.
+		 *
+		 * @param {String} id - Product ID
+		 * @param {String} reservation - Reservation ID
+		 */
+		release: {
+			rest: "DELETE /:id/reservations/:reservation",
+			permissions: ["products.write"],
+			params: {
+				id: "string",
+				reservation: "string"
+			},
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				const { id, reservation } = ctx.params;
+
+				const found = await this.adapter.findById(id);
+				const item = found && (found.reservations || []).find(r => r.id == reservation);
+				const event = this.pendingEvent("updated", ctx, ["quantity"]);
+				const doc = item && await this.releaseReservation(found._id, item, event);
+				if (!doc) {
+					throw new MoleculerClientError("Reservation not found!", 404, "RESERVATION_NOT_FOUND", { id, reservation });
+				}
+				await this.recordMovement(ctx, doc, item.quantity, "reservation-released");
+
+				const json = await this.transformDocuments(ctx, {}, doc);
+				await this.entityChanged(event, json, ctx);
+
+				return json;
+			}
+		},
+
+		/**
+		 * List the inventory movements of the product item, newest first.
+		 *
+		 * @param {String} id - Product ID
+		 * @param {Date?} from - Movements at or after this time
+		 * @param {Date?} to - Movements before this time
+		 * @param {Number?} page
+		 * @param {Number?} pageSize
+		 */
+		movements: {
+			rest: "GET /:id/movements",
+			permissions: ["products.write"],
+			params: {
+				id: "string",
+				from: { type: "date", optional: true, convert: true },
+				to: { type: "date", optional: true, convert: true },
+				page: { type: "number", integer: true, min: 1, optional: true, convert: true },
+				pageSize: { type: "number", integer: true, min: 1, optional: true, convert: true }
+			},
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				const { id, from, to } = ctx.params;
+				const page = ctx.params.page || 1;
+				const pageSize = Math.min(ctx.params.pageSize || this.settings.pageSize, this.settings.maxPageSize);
+
+				const query = { product: id };
+				if (from || to) {
+					query.createdAt = {};
+					if (from) query.createdAt.$gte = from.getTime();
+					if (to) query.createdAt.$lt = to.getTime();
+				}
+
+				const adapter = await this.getCollection(this.settings.movementsCollection);
+				const [rows, total] = await Promise.all([
+					adapter.find({ query, sort: ["-createdAt"], limit: pageSize, offset: (page - 1) * pageSize }),
+					adapter.count({ query })
+				]);
+
+				return {
+					rows: rows.map(row => adapter.entityToObject(row)),
+					total,
+					page,
+					pageSize,
+					totalPages: Math.floor((total + pageSize - 1) / pageSize)
+				};
+			}
+		},
+
+		/**
+		 * Recompute the quantity of the product item from its ledger and report the drift
+		 * between the stored quantity and the sum of the movements.
+		 *
+		 * @param {String} id - Product ID
+		 */
+		reconcile: {
+			rest: "GET /:id/reconcile",
+			permissions: ["products.write"],
+			params: {
+				id: "string"
+			},
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				const doc = await this.adapter.findById(ctx.params.id);
+				if (!doc) {
+					throw new EntityNotFoundError(ctx.params.id);
+				}
+
+				const adapter = await this.getCollection(this.settings.movementsCollection);
+				const movements = await adapter.find({ query: { product: ctx.params.id } });
+				const ledger = movements.reduce((sum, movement) => sum + movement.delta, 0);
+
+				return {
+					product: ctx.params.id,
+					quantity: doc.quantity,
+					ledger,
+					drift: doc.quantity - ledger,
+					movements: movements.length
+				};
+			}
 		}
 	},
 
@@ -110,24 +463,291 @@ module.exports = {
 	 * Methods
 	 */
 	methods: {
+		/**
+		 * Set the normalized search text of a product from its name.
+		 *
+		 * @param {Object} entity
+		 * @returns {Object} The entity
+		 */
+		indexSearchText(entity) {
+			if (entity.name !== undefined) {
+				entity.searchText = normalizeText(entity.name);
+			}
+			return entity;
+		},
+
+		/**
+		 * Set the search text of the products which were stored without it.
+		 *
+		 * @returns {Promise<Number>} Count of the updated products
+		 */
+		async indexMissingSearchTexts() {
+			const docs = await this.adapter.find({ query: { searchText: { $exists: false } } });
+			for (const doc of docs) {
+				await this.adapter.updateById(doc._id, { $set: { searchText: normalizeText(doc.name) } });
+			}
+			return docs.length;
+		},
+
+		/**
+		 * Parse the `sort` parameter of the search. The name is sorted by its
+		 * normalized text and the ID is always the last key for a stable paging.
+		 *
+		 * @param {String?} sort - Comma or space separated fields, `-` prefix for descending
+		 * @returns {Array<String>}
+		 * @throws {MoleculerClientError} If a field is not sortable
+		 */
+		parseSearchSort(sort) {
+			const fields = (sort || "name").split(/[\s,]+/).filter(Boolean);
+
+			return fields.map(field => {
+				const desc = field.startsWith("-");
+				const name = desc ? field.slice(1) : field;
+				if (this.settings.sortableFields.indexOf(name) === -1) {
+					throw new MoleculerClientError(`The search can't be sorted by '${name}'!`, 422, "INVALID_SORT", { field: name, sortable: this.settings.sortableFields });
+				}
+				return (desc ? "-" : "") + (name == "name" ? "searchText" : name);
+			}).concat([this.settings.idField]);
+		},
+
+		/**
+		 * Create the query clauses of the search filters.
+		 * They're kept apart, the facets are counted without their own filter.
+		 *
+		 * @param {Object} params - Search parameters
+		 * @returns {Object} `{ text, price, stock }` clauses, `null` if not filtered
+		 */
+		createSearchFilters(params) {
+			const words = normalizeText(params.q).split(" ").filter(Boolean);
+
+			return {
+				text: words.length > 0
+					? { $and: words.map(word => ({ searchText: { $regex: new RegExp(escapeRegExp(word)) } })) }
+					: null,
+				price: this.createPriceRange(params.minPrice, params.maxPrice),
+				stock: params.inStock != null
+					? { quantity: params.inStock ? { $gt: 0 } : { $lte: 0 } }
+					: null
+			};
+		},
+
+		/**
+		 * Create a price range query clause.
+		 *
+		 * @param {Number?} from - Inclusive lower bound
+		 * @param {Number?} to - Inclusive upper bound
+		 * @param {Boolean?} exclusive - Exclude the upper bound
+		 * @returns {Object?}
+		 */
+		createPriceRange(from, to, exclusive) {
+			if (from == null && to == null) return null;
+
+			const price = {};
+			if (from != null) price.$gte = from;
+			if (to != null) price[exclusive ? "$lt" : "$lte"] = to;
+			return { price };
+		},
+
+		/**
+		 * Combine the search filter clauses into one query.
+		 * The clauses are combined with `$and`, it's supported by both NeDB & Mongo.
+		 *
+		 * @param {Object} filters
+		 * @param {...Object} extra - Additional clauses
+		 * @returns {Object}
+		 */
+		combineSearchFilters(filters, ...extra) {
+			const clauses = Object.values(filters).concat(extra).filter(Boolean);
+			if (clauses.length == 0) return {};
+			if (clauses.length == 1) return clauses[0];
+			return { $and: clauses };
+		},
+
+		/**
+		 * Count the facets of the search: the products in the price buckets
+		 * and the in-stock & out-of-stock products.
+		 *
+		 * @param {Object} filters - Search filter clauses
+		 * @returns {Promise<Object>}
+		 */
+		async countSearchFacets(filters) {
+			const withoutPrice = Object.assign({}, filters, { price: null });
+			const withoutStock = Object.assign({}, filters, { stock: null });
+
+			const bounds = this.settings.priceFacets;
+			const buckets = [null].concat(bounds).map((from, i) => ({
+				key: `${from != null ? from : "*"}-${bounds[i] != null ? bounds[i] : "*"}`,
+				from,
+				to: bounds[i] != null ? bounds[i] : null
+			}));
+
+			const count = query => this.adapter.count({ query });
+			const [priceCounts, inStock, outOfStock] = await Promise.all([
+				Promise.all(buckets.map(bucket => count(this.combineSearchFilters(withoutPrice, this.createPriceRange(bucket.from, bucket.to, true))))),
+				count(this.combineSearchFilters(withoutStock, { quantity: { $gt: 0 } })),
+				count(this.combineSearchFilters(withoutStock, { quantity: { $lte: 0 } }))
+			]);
+
+			return {
+				price: buckets.map((bucket, i) => Object.assign(bucket, { count: priceCounts[i] })),
+				stock: { inStock, outOfStock }
+			};
+		},
+
+		/**
+		 * Throw the proper error for a stock decrease which didn't match.
+		 *
+		 * @param {String} id - Encoded ID of the product
+		 * @param {Number} value - Requested quantity
+		 * @throws {EntityNotFoundError|MoleculerClientError}
+		 */
+		async rejectInsufficientStock(id, value) {
+			const doc = await this.adapter.findById(this.decodeID(id));
+			if (!doc) {
+				throw new EntityNotFoundError(id);
+			}
+			throw new MoleculerClientError("Insufficient stock!", 409, "INSUFFICIENT_STOCK", { id, requested: value, available: doc.quantity });
+		},
+
+		/**
+		 * Record a quantity change in the inventory movement ledger.
+		 *
+		 * @param {Context?} ctx - Missing if the change isn't made by an action
+		 * @param {Object} doc - Product after the change
+		 * @param {Number} delta - Quantity change
+		 * @param {String} reason
+		 */
+		async recordMovement(ctx, doc, delta, reason) {
+			const user = ctx && ctx.meta.user;
+			const adapter = await this.getCollection(this.settings.movementsCollection);
+
+			await adapter.insert({
+				product: String(doc._id),
+				delta,
+				quantity: doc.quantity,
+				reason,
+				actor: user ? user._id : null,
+				createdAt: Date.now()
+			});
+		},
+
+		/**
+		 * Create an imported product and record its initial stock.
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} entity
+		 */
+		async importCreate(ctx, entity) {
+			const event = this.pendingEvent("created", ctx);
+			const doc = await this.adapter.insert(this.markEntity(this.indexSearchText(Object.assign({ quantity: 0 }, entity)), event));
+			if (doc.quantity > 0) {
+				await this.recordMovement(ctx, doc, doc.quantity, "import");
+			}
+			const json = await this.transformDocuments(ctx, {}, doc);
+			await this.entityChanged(event, json, ctx);
+		},
+
+		/**
+		 * Update a product by an imported one. A changed quantity is applied
+		 * as a movement, and only if the stock didn't change in the meantime.
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} doc - Existing product
+		 * @param {Object} entity - Imported product
+		 */
+		async importUpdate(ctx, doc, entity) {
+			const sets = this.indexSearchText(Object.assign({}, entity));
+			delete sets.quantity;
+			const delta = entity.quantity !== undefined ? entity.quantity - doc.quantity : 0;
+
+			const update = { $set: sets };
+			if (delta != 0) update.$inc = { quantity: delta };
+
+			const event = this.pendingEvent("updated", ctx, Object.keys(entity).filter(field => field != "quantity" || delta != 0));
+			const updated = await this.conditionalUpdate(doc._id, { quantity: doc.quantity }, this.markUpdate(update, event));
+			if (!updated) {
+				throw new MoleculerClientError("The stock changed during the import!", 409, "STOCK_CHANGED", { id: String(doc._id) });
+			}
+			if (delta != 0) {
+				await this.recordMovement(ctx, updated, delta, "import");
+			}
+
+			const json = await this.transformDocuments(ctx, {}, updated);
+			await this.entityChanged(event, json, ctx);
+		},
+
+		/**
+		 * Return the quantity of a reservation to the stock.
+		 * It is atomic, a reservation can't be released twice.
+		 *
+		 * @param {any} id - Product ID
+		 * @param {Object} reservation
+		 * @param {Object} event - Pending event of the change
+		 * @returns {Promise<Object?>} The updated product or `null` if the reservation is not open
+		 */
+		releaseReservation(id, reservation, event) {
+			return this.conditionalUpdate(id, { "reservations.id": reservation.id }, this.markUpdate({
+				$inc: { quantity: reservation.quantity },
+				$pull: { reservations: { id: reservation.id } }
+			}, event));
+		},
+
+		/**
+		 * Release the expired reservations. It runs periodically on every
+		 * replica, the atomic release guarantees that only one of them succeeds.
+		 */
+		async releaseExpiredReservations() {
+			const now = Date.now();
+			const docs = await this.adapter.find({ query: { "reservations.expiresAt": { $lte: now } } });
+
+			let released = 0;
+			for (const doc of docs) {
+				for (const reservation of doc.reservations.filter(r => r.expiresAt <= now)) {
+					const event = this.pendingEvent("updated", null, ["quantity"]);
+					const updated = await this.releaseReservation(doc._id, reservation, event);
+					if (updated) {
+						await this.recordMovement(null, updated, reservation.quantity, "reservation-expired");
+						await this.entityChanged(event, await this.transformDocuments(null, {}, updated), null);
+						released++;
+					}
+				}
+			}
+
+			if (released > 0) {
+				this.logger.info(`Released ${released} expired reservation(s).`);
+			}
+			return released;
+		},
+
 		/**
 		 * Loading sample data to the collection.
-		 * It is called in the DB.mixin after the database
-		 * connection establishing & the collection is empty.
+		 * It is called by the `001-seed` migration if the collection is empty.
 		 */
 		async seedDB() {
-			await this.adapter.insertMany([
+			const docs = await this.adapter.insertMany([
 				{ name: "Samsung Galaxy S10 Plus", quantity: 10, price: 704 },
 				{ name: "iPhone 11 Pro", quantity: 25, price: 999 },
 				{ name: "Huawei P30 Pro", quantity: 15, price: 679 },
-			]);
+			].map(entity => this.indexSearchText(entity)));
+			for (const doc of docs) {
+				await this.recordMovement(null, doc, doc.quantity, "initial");
+			}
 		}
 	},
 
 	/**
-	 * Fired after database connection establishing.
+	 * Service started lifecycle event handler
+	 */
+	async started() {
+		this.reservationTimer = setInterval(() => {
+			this.releaseExpiredReservations().catch(err => this.logger.error("Unable to release the expired reservations.", err));
+		}, this.settings.reservationSweepInterval);
+	},
+
+	/**
+	 * Service stopped lifecycle event handler
 	 */
-	async afterConnected() {
-		// await this.adapter.collection.createIndex({ name: 1 });
+	async stopped() {
+		clearInterval(this.reservationTimer);
 	}
 };
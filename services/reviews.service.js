@@ -0,0 +1,233 @@
+"use strict";
+
+const { MoleculerClientError } = require("moleculer").Errors;
+const DbMixin = require("../mixins/db.mixin");
+const SM2 = require("../lib/sm2");
+const { localDate, addDays } = require("../lib/dates");
+
+/**
+ * @typedef {import('moleculer').Context} Context Moleculer's Context
+ */
+
+module.exports = {
+	name: "reviews",
+
+	/**
+	 * Mixins
+	 */
+	mixins: [DbMixin("reviews")],
+
+	/**
+	 * Settings
+	 */
+	settings: {
+		// Available fields in the responses
+		fields: [
+			"_id",
+			"user",
+			"item",
+			"repetitions",
+			"interval",
+			"ease",
+			"lapses",
+			"dueDate",
+			"lastGrade",
+			"reviewedAt",
+			"createdAt",
+			"version"
+		],
+
+		// Max count of the cards in the queue of a day
+		maxQueueSize: 100,
+
+		// Retries of a grade on concurrent reviews of the same card
+		maxRetries: 5
+	},
+
+	/**
+	 * Actions
+	 */
+	actions: {
+		/**
+		 * The generic CRUD actions of "moleculer-db" are disabled,
+		 * the cards of a learner are managed by the actions below.
+		 */
+		create: false,
+		insert: false,
+		update: false,
+		remove: false,
+		list: false,
+		find: false,
+		count: false,
+		get: false,
+
+		/**
+		 * Get the review queue of the logged in learner for today in their time zone.
+		 * The overdue cards are the first ones.
+		 *
+		 * @param {Number?} limit - Max count of the cards
+		 * @returns {Object} `{ date, total, rows }`
+		 */
+		due: {
+			rest: "GET /due",
+			auth: "required",
+			params: {
+				limit: { type: "number", integer: true, min: 1, optional: true, convert: true }
+			},
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				const date = localDate(Date.now(), await this.getTimeZone(ctx));
+				const query = { user: ctx.meta.user._id, dueDate: { $lte: date } };
+				const limit = Math.min(ctx.params.limit || this.settings.maxQueueSize, this.settings.maxQueueSize);
+
+				const [docs, total] = await Promise.all([
+					this.adapter.find({ query, sort: ["dueDate", "createdAt"], limit }),
+					this.adapter.count({ query })
+				]);
+
+				return {
+					date,
+					total,
+					rows: await this.transformDocuments(ctx, {}, docs)
+				};
+			}
+		},
+
+		/**
+		 * Record the recall grade of a vocabulary item & schedule its next review.
+		 * The card is created by the first grade of the item, if the item exists.
+		 *
+		 * @param {String} item - Vocabulary item ID
+		 * @param {Number} grade - 0 (blackout) - 5 (perfect recall)
+		 * @returns {Object} The scheduled card
+		 */
+		grade: {
+			rest: "POST /grade",
+			auth: "required",
+			params: {
+				item: "string",
+				grade: { type: "number", integer: true, min: 0, max: 5, convert: true }
+			},
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				const { item, grade } = ctx.params;
+				const user = ctx.meta.user._id;
+				const today = localDate(Date.now(), await this.getTimeZone(ctx));
+
+				for (let i = 0; i < this.settings.maxRetries; i++) {
+					const doc = await this.adapter.findOne({ user, item });
+					const card = SM2.schedule(doc || SM2.createCard(), grade);
+					const fields = Object.assign(card, {
+						dueDate: addDays(today, card.interval),
+						lastGrade: grade,
+						reviewedAt: Date.now()
+					});
+
+					if (!doc) {
+						await this.checkItem(ctx, item);
+
+						const event = this.pendingEvent("created", ctx);
+						const created = await this.insertCard(this.markEntity(Object.assign({ user, item, createdAt: Date.now() }, fields), event));
+						if (!created) continue;
+
+						const json = await this.transformDocuments(ctx, {}, created);
+						await this.entityChanged(event, json, ctx);
+						return json;
+					}
+
+					const event = this.pendingEvent("updated", ctx, Object.keys(fields));
+					const updated = await this.conditionalUpdate(doc._id, { version: doc.version }, this.markUpdate({ $set: fields }, event));
+					if (updated) {
+						const json = await this.transformDocuments(ctx, {}, updated);
+						await this.entityChanged(event, json, ctx);
+						return json;
+					}
+				}
+				throw new MoleculerClientError("The card has been reviewed in the meantime!", 409, "REVIEW_CONFLICT", { item });
+			}
+		},
+
+		/**
+		 * Forecast the count of the reviews of the logged in learner by day.
+		 * The overdue cards are counted today.
+		 *
+		 * @param {Number?} days - Count of the days, 7 by default
+		 * @returns {Array<Object>} `{ date, count }` items from today
+		 */
+		forecast: {
+			rest: "GET /forecast",
+			auth: "required",
+			params: {
+				days: { type: "number", integer: true, min: 1, max: 365, optional: true, convert: true }
+			},
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				const today = localDate(Date.now(), await this.getTimeZone(ctx));
+				const days = ctx.params.days || 7;
+				const last = addDays(today, days - 1);
+
+				const forecast = [];
+				for (let i = 0; i < days; i++) {
+					forecast.push({ date: addDays(today, i), count: 0 });
+				}
+
+				const docs = await this.adapter.find({ query: { user: ctx.meta.user._id, dueDate: { $lte: last } } });
+				docs.forEach(doc => {
+					const day = forecast.find(day => day.date == doc.dueDate) || forecast[0];
+					day.count++;
+				});
+
+				return forecast;
+			}
+		}
+	},
+
+	/**
+	 * Methods
+	 */
+	methods: {
+		/**
+		 * Get the time zone of the logged in learner's profile, UTC without profile.
+		 *
+		 * @param {Context} ctx
+		 * @returns {Promise<String>}
+		 */
+		async getTimeZone(ctx) {
+			const profile = await ctx.call("learners.findByUser", { user: ctx.meta.user._id });
+			return profile ? profile.timezone : "UTC";
+		},
+
+		/**
+		 * Check that a vocabulary item exists.
+		 *
+		 * @param {Context} ctx
+		 * @param {String} item - Vocabulary item ID
+		 * @throws {MoleculerClientError} 404 if the item is not found
+		 */
+		async checkItem(ctx, item) {
+			const found = await ctx.call("content.get", { id: item, fields: ["_id"] }).catch(err => {
+				if (err.code == 404) return null;
+				throw err;
+			});
+			if (!found) {
+				throw new MoleculerClientError("Vocabulary item not found!", 404, "ITEM_NOT_FOUND", { item });
+			}
+		},
+
+		/**
+		 * Insert a new card.
+		 *
+		 * @param {Object} card
+		 * @returns {Promise<Object?>} `null` if the card is created by a concurrent grade.
+		 */
+		async insertCard(card) {
+			try {
+				return await this.adapter.insert(card);
+			} catch(err) {
+				// Only the Mongo adapter has the unique index
+				if (err.code != 11000) throw err;
+				return null;
+			}
+		}
+	}
+};
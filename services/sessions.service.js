@@ -0,0 +1,393 @@
+"use strict";
+
+const { MoleculerClientError } = require("moleculer").Errors;
+const { EntityNotFoundError } = require("moleculer-db/src/errors");
+const DbMixin = require("../mixins/db.mixin");
+const QuizMixin = require("../mixins/quiz.mixin");
+
+/**
+ * @typedef {import('moleculer').Context} Context Moleculer's Context
+ */
+
+module.exports = {
+	name: "sessions",
+
+	/**
+	 * Mixins
+	 */
+	mixins: [DbMixin("sessions"), QuizMixin()],
+
+	/**
+	 * Settings
+	 */
+	settings: {
+		// Available fields in the responses. The answer key & the item key never leave the service, see the quiz mixin.
+		fields: [
+			"_id",
+			"user",
+			"skill",
+			"language",
+			"status",
+			"questions",
+			"current",
+			"score",
+			"correctCount",
+			"xp",
+			"timeLimit",
+			"startedAt",
+			"finishedAt",
+			"expiresAt",
+			"version"
+		],
+
+		// Count of the questions of a round
+		questionCount: 10,
+
+		// Time limit of a question in seconds. A later answer is scored as wrong.
+		timeLimit: 20,
+
+		// Points of a correct answer
+		pointsPerCorrect: 10,
+
+		// Points of an almost correct answer, e.g. a typo or a missing accent
+		pointsPerAlmost: 5,
+
+		// Max bonus points of a fast answer. It decreases linearly by the elapsed time.
+		speedBonus: 5,
+
+		// Bonus XP of a round without mistakes
+		perfectBonus: 20,
+
+		// Extra time of a round in seconds before it expires
+		expiryGrace: 5 * 60,
+
+		// Interval of expiring the abandoned rounds in milliseconds
+		expirySweepInterval: 60 * 1000
+	},
+
+	/**
+	 * Actions
+	 */
+	actions: {
+		/**
+		 * The generic CRUD actions of "moleculer-db" are disabled,
+		 * a round is played via the actions below.
+		 */
+		create: false,
+		insert: false,
+		update: false,
+		remove: false,
+		list: false,
+		find: false,
+		count: false,
+
+		/**
+		 * Get a round of the logged in learner.
+		 *
+		 * @param {String} id - Session ID
+		 */
+		get: {
+			rest: "GET /:id",
+			auth: "required",
+			params: {
+				id: "string"
+			},
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				const doc = await this.getOwnSession(ctx, ctx.params.id);
+				return this.transformDocuments(ctx, {}, doc);
+			}
+		},
+
+		/**
+		 * Start a round of the logged in learner. The exercises are picked
+		 * by the adaptive difficulty of the `challenges` service and
+		 * they're returned without their answers.
+		 *
+		 * @param {String} skill
+		 * @param {String} language - Target language
+		 * @param {Number?} count - Count of the questions
+		 */
+		start: {
+			rest: "POST /",
+			auth: "required",
+			params: {
+				skill: "string",
+				language: "string",
+				count: { type: "number", integer: true, min: 1, max: 50, optional: true, convert: true }
+			},
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				const { skill, language } = ctx.params;
+				const items = await ctx.call("challenges.pick", { skill, language, count: ctx.params.count || this.settings.questionCount });
+				if (items.length == 0) {
+					throw new MoleculerClientError("No challenge is available!", 404, "NO_CHALLENGE", { skill, language });
+				}
+
+				const now = Date.now();
+				const { timeLimit, expiryGrace } = this.settings;
+				const event = this.pendingEvent("created", ctx);
+				const doc = await this.adapter.insert(this.markEntity({
+					user: ctx.meta.user._id,
+					skill,
+					language,
+					status: "active",
+					questions: items.map((item, i) => ({
+						revision: item.revision,
+						prompt: item.prompt,
+						askedAt: i == 0 ? now : null
+					})),
+					answerKey: items.map(item => item.answers),
+					itemKey: items.map(item => item._id),
+					current: 0,
+					score: 0,
+					correctCount: 0,
+					xp: 0,
+					timeLimit,
+					startedAt: now,
+					finishedAt: null,
+					expiresAt: now + (items.length * timeLimit + expiryGrace) * 1000
+				}, event));
+
+				const json = await this.transformDocuments(ctx, {}, doc);
+				await this.entityChanged(event, json, ctx);
+
+				return json;
+			}
+		},
+
+		/**
+		 * Submit the answer of the current question. The answers must be
+		 * submitted in order, once. The answer is checked by the server &
+		 * it's scored by the elapsed time since the question was asked.
+		 * An "almost" correct answer gets less points without speed bonus.
+		 * The round is completed by the answer of the last question.
+		 *
+		 * @param {String} id - Session ID
+		 * @param {Number} question - Index of the question
+		 * @param {String} answer
+		 * @returns {Object} `{ question, correct, verdict, timedOut, points, answers, diff, session }`
+		 */
+		answer: {
+			rest: "POST /:id/answers",
+			auth: "required",
+			params: {
+				id: "string",
+				question: { type: "number", integer: true, min: 0, convert: true },
+				answer: { type: "string", max: 500 }
+			},
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				const { question, answer } = ctx.params;
+				const doc = await this.getOwnSession(ctx, ctx.params.id);
+				this.checkSubmission(doc, question);
+
+				const now = Date.now();
+				const elapsed = now - doc.questions[question].askedAt;
+				const timedOut = elapsed > doc.timeLimit * 1000;
+				const { verdict, correct, diff } = this.checkAnswer(doc, question, answer, timedOut);
+				const points = this.scoreAnswer(verdict, elapsed, doc.timeLimit);
+
+				const last = question == doc.questions.length - 1;
+				const sets = {
+					[`questions.${question}.answer`]: answer,
+					[`questions.${question}.answeredAt`]: now,
+					[`questions.${question}.correct`]: correct,
+					[`questions.${question}.verdict`]: verdict,
+					[`questions.${question}.timedOut`]: timedOut,
+					[`questions.${question}.points`]: points,
+					current: question + 1
+				};
+				if (last) {
+					Object.assign(sets, this.completion(doc, points, verdict, now));
+				} else {
+					sets[`questions.${question + 1}.askedAt`] = now;
+				}
+
+				const events = [this.pendingEvent("updated", ctx, ["questions", "current", "score", "correctCount"])];
+				if (last) {
+					events.push(this.pendingEvent("completed", ctx, ["status", "xp", "finishedAt"]));
+				}
+
+				// The concurrent submissions of the same question are rejected by the condition
+				const updated = await this.conditionalUpdate(doc._id, { status: "active", current: question }, this.markUpdate({
+					$set: sets,
+					$inc: { score: points, correctCount: correct ? 1 : 0 }
+				}, events));
+				if (!updated) {
+					this.checkSubmission(await this.adapter.findById(doc._id), question);
+					throw new MoleculerClientError("The session has been changed in the meantime!", 409, "VERSION_CONFLICT", { id: ctx.params.id });
+				}
+
+				await this.recordAnswerRating(ctx, doc, question, correct);
+
+				const json = await this.transformDocuments(ctx, {}, updated);
+				for (const event of events) {
+					await this.entityChanged(event, json, ctx);
+				}
+
+				return {
+					question,
+					correct,
+					verdict,
+					timedOut,
+					points,
+					answers: doc.answerKey[question],
+					diff,
+					session: json
+				};
+			}
+		},
+
+		/**
+		 * Finish a round before the last question. The unanswered questions are missed.
+		 *
+		 * @param {String} id - Session ID
+		 */
+		finish: {
+			rest: "POST /:id/finish",
+			auth: "required",
+			params: {
+				id: "string"
+			},
+			/** @param {Context} ctx  */
+			async handler(ctx) {
+				const doc = await this.getOwnSession(ctx, ctx.params.id);
+				if (doc.status != "active") {
+					throw new MoleculerClientError("The session is already closed!", 409, "SESSION_CLOSED", { id: ctx.params.id, status: doc.status });
+				}
+
+				const event = this.pendingEvent("completed", ctx, ["status", "xp", "finishedAt"]);
+				const updated = await this.conditionalUpdate(doc._id, { version: doc.version }, this.markUpdate({ $set: this.completion(doc, 0, null, Date.now()) }, event));
+				if (!updated) {
+					throw new MoleculerClientError("The session has been changed in the meantime!", 409, "VERSION_CONFLICT", { id: ctx.params.id });
+				}
+
+				const json = await this.transformDocuments(ctx, {}, updated);
+				await this.entityChanged(event, json, ctx);
+
+				return json;
+			}
+		}
+	},
+
+	/**
+	 * Methods
+	 */
+	methods: {
+		/**
+		 * Get a session of the logged in learner.
+		 *
+		 * @param {Context} ctx
+		 * @param {String} id
+		 * @returns {Promise<Object>}
+		 * @throws {EntityNotFoundError} The sessions of the other learners are not found either
+		 */
+		async getOwnSession(ctx, id) {
+			const doc = await this.adapter.findById(this.decodeID(id));
+			if (!doc || doc.user != ctx.meta.user._id) {
+				throw new EntityNotFoundError(id);
+			}
+			return doc;
+		},
+
+		/**
+		 * Check that a question can be answered.
+		 *
+		 * @param {Object} doc - Session
+		 * @param {Number} question - Index of the question
+		 * @throws {MoleculerClientError} 409 for a closed session, a replayed or an out-of-order answer
+		 */
+		checkSubmission(doc, question) {
+			const id = String(doc._id);
+			if (doc.status != "active") {
+				throw new MoleculerClientError("The session is already closed!", 409, "SESSION_CLOSED", { id, status: doc.status });
+			}
+			if (question < doc.current) {
+				throw new MoleculerClientError("The question is already answered!", 409, "ANSWER_REPLAYED", { id, question, current: doc.current });
+			}
+			if (question > doc.current) {
+				throw new MoleculerClientError("The questions must be answered in order!", 409, "ANSWER_OUT_OF_ORDER", { id, question, current: doc.current });
+			}
+		},
+
+		/**
+		 * Score an answer. A correct one is scored by the elapsed time,
+		 * an "almost" correct one is accepted with less points.
+		 *
+		 * @param {String} verdict - "correct", "almost" or "wrong"
+		 * @param {Number} elapsed - Elapsed time since the question was asked in milliseconds
+		 * @param {Number} timeLimit - Time limit in seconds
+		 * @returns {Number}
+		 */
+		scoreAnswer(verdict, elapsed, timeLimit) {
+			if (verdict == "almost") return this.settings.pointsPerAlmost;
+			if (verdict != "correct") return 0;
+
+			const remaining = Math.max(0, 1 - elapsed / (timeLimit * 1000));
+			return this.settings.pointsPerCorrect + Math.round(this.settings.speedBonus * remaining);
+		},
+
+		/**
+		 * Get the fields of a completed session. The XP is the score,
+		 * with a bonus if every question is answered correctly.
+		 * An "almost" correct answer doesn't earn the bonus.
+		 *
+		 * @param {Object} doc - Session before the last change
+		 * @param {Number} points - Points of the last answer
+		 * @param {String?} verdict - Verdict of the last answer
+		 * @param {Number} now
+		 * @returns {Object}
+		 */
+		completion(doc, points, verdict, now) {
+			const perfect = verdict == "correct" && doc.questions.slice(0, -1).every(question => question.verdict == "correct");
+			return {
+				status: "completed",
+				finishedAt: now,
+				xp: doc.score + points + (perfect ? this.settings.perfectBonus : 0)
+			};
+		},
+
+		/**
+		 * Expire the abandoned sessions. It runs periodically on every
+		 * replica, the conditional update guarantees that only one of them succeeds.
+		 *
+		 * @returns {Promise<Number>} Count of the expired sessions
+		 */
+		async expireSessions() {
+			const now = Date.now();
+			const docs = await this.adapter.find({ query: { status: "active", expiresAt: { $lte: now } } });
+
+			let expired = 0;
+			for (const doc of docs) {
+				const event = this.pendingEvent("expired", null, ["status", "finishedAt"]);
+				const updated = await this.conditionalUpdate(doc._id, { status: "active" }, this.markUpdate({ $set: { status: "expired", finishedAt: now } }, event));
+				if (updated) {
+					await this.entityChanged(event, await this.transformDocuments(null, {}, updated), null);
+					expired++;
+				}
+			}
+
+			if (expired > 0) {
+				this.logger.info(`Expired ${expired} abandoned session(s).`);
+			}
+			return expired;
+		}
+	},
+
+	/**
+	 * Service started lifecycle event handler
+	 */
+	async started() {
+		this.expiryTimer = setInterval(() => {
+			this.expireSessions().catch(err => this.logger.error("Unable to expire the abandoned sessions.", err));
+		}, this.settings.expirySweepInterval);
+	},
+
+	/**
+	 * Service stopped lifecycle event handler
+	 */
+	async stopped() {
+		clearInterval(this.expiryTimer);
+	}
+};
@@ -1,5 +1,6 @@
 "use strict";
 
+const { PassThrough } = require("stream");
 const { ServiceBroker, Context } = require("moleculer");
 const { ValidationError } = require("moleculer").Errors;
 const TestService = require("../../services/products.service");
@@ -19,6 +20,7 @@ describe("Test 'products' service", () => {
 			price: 999
 		};
 		let newID;
+		let removedVersion;
 
 		it("should contains the seeded items", async () => {
 			const res = await broker.call("products.list");
@@ -31,7 +33,8 @@ describe("Test 'products' service", () => {
 				_id: expect.any(String),
 				name: "Awesome item",
 				price: 999,
-				quantity: 0
+				quantity: 0,
+				version: 1
 			});
 			newID = res._id;
 
@@ -45,14 +48,15 @@ describe("Test 'products' service", () => {
 				_id: expect.any(String),
 				name: "Awesome item",
 				price: 999,
-				quantity: 0
+				quantity: 0,
+				version: 1
 			});
 
 			const res2 = await broker.call("products.list");
 			expect(res2).toEqual({
 				page: 1,
 				pageSize: 10,
-				rows: [{ _id: newID, name: "Awesome item", price: 999, quantity: 0 }],
+				rows: [{ _id: newID, name: "Awesome item", price: 999, quantity: 0, version: 1 }],
 				total: 1,
 				totalPages: 1
 			});
@@ -64,7 +68,8 @@ describe("Test 'products' service", () => {
 				_id: expect.any(String),
 				name: "Awesome item",
 				price: 499,
-				quantity: 0
+				quantity: 0,
+				version: 2
 			});
 		});
 
@@ -74,7 +79,8 @@ describe("Test 'products' service", () => {
 				_id: expect.any(String),
 				name: "Awesome item",
 				price: 499,
-				quantity: 0
+				quantity: 0,
+				version: 2
 			});
 		});
 
@@ -84,7 +90,8 @@ describe("Test 'products' service", () => {
 				_id: expect.any(String),
 				name: "Awesome item",
 				price: 499,
-				quantity: 5
+				quantity: 5,
+				version: 3
 			});
 		});
 
@@ -94,22 +101,290 @@ describe("Test 'products' service", () => {
 				_id: expect.any(String),
 				name: "Awesome item",
 				price: 499,
-				quantity: 3
+				quantity: 3,
+				version: 4
 			});
 		});
 
+		it("should not decrease the quantity below zero", async () => {
+			const results = await Promise.all([
+				broker.call("products.decreaseQuantity", { id: newID, value: 2 }).catch(err => err),
+				broker.call("products.decreaseQuantity", { id: newID, value: 2 }).catch(err => err)
+			]);
+			expect(results.filter(res => res.code == 409).length).toBe(1);
+
+			const res = await broker.call("products.get", { id: newID });
+			expect(res.quantity).toBe(1);
+		});
+
+		it("should reserve & commit stock", async () => {
+			await broker.call("products.increaseQuantity", { id: newID, value: 4 });
+
+			const reservation = await broker.call("products.reserve", { id: newID, value: 3 });
+			expect(reservation).toEqual({
+				id: expect.any(String),
+				product: newID,
+				quantity: 3,
+				expiresAt: expect.any(Number)
+			});
+			expect((await broker.call("products.get", { id: newID })).quantity).toBe(2);
+
+			await expect(broker.call("products.reserve", { id: newID, value: 3 })).rejects.toThrow("Insufficient stock!");
+
+			await broker.call("products.commit", { id: newID, reservation: reservation.id });
+			expect((await broker.call("products.get", { id: newID })).quantity).toBe(2);
+
+			await expect(broker.call("products.release", { id: newID, reservation: reservation.id })).rejects.toThrow("Reservation not found!");
+		});
+
+		it("should release stock", async () => {
+			const reservation = await broker.call("products.reserve", { id: newID, value: 2 });
+			expect((await broker.call("products.get", { id: newID })).quantity).toBe(0);
+
+			await broker.call("products.release", { id: newID, reservation: reservation.id });
+			expect((await broker.call("products.get", { id: newID })).quantity).toBe(2);
+		});
+
+		it("should release the expired reservations", async () => {
+			const reservation = await broker.call("products.reserve", { id: newID, value: 1, ttl: 1 });
+			expect((await broker.call("products.get", { id: newID })).quantity).toBe(1);
+
+			const now = Date.now();
+			jest.spyOn(Date, "now").mockImplementation(() => now + 2000);
+
+			await expect(broker.call("products.commit", { id: newID, reservation: reservation.id })).rejects.toThrow("Reservation not found or expired!");
+			expect(await service.releaseExpiredReservations()).toBe(1);
+			expect(await service.releaseExpiredReservations()).toBe(0);
+
+			Date.now.mockRestore();
+			expect((await broker.call("products.get", { id: newID })).quantity).toBe(2);
+		});
+
+		it("should not overwrite the quantity by update", async () => {
+			await expect(broker.call("products.update", { id: newID, quantity: 100 })).rejects.toThrow("The quantity can be changed only by the quantity actions!");
+		});
+
+		it("should record the movements", async () => {
+			const res = await broker.call("products.movements", { id: newID, pageSize: 3 }, { meta: { user: { _id: "admin" } } });
+			expect(res).toEqual({
+				rows: expect.any(Array),
+				total: 9,
+				page: 1,
+				pageSize: 3,
+				totalPages: 3
+			});
+			expect(res.rows[0]).toEqual({
+				_id: expect.any(String),
+				product: newID,
+				delta: 1,
+				quantity: 2,
+				reason: "reservation-expired",
+				actor: null,
+				createdAt: expect.any(Number)
+			});
+
+			const all = await broker.call("products.movements", { id: newID, pageSize: 20 });
+			expect(all.rows.map(row => row.reason).sort()).toEqual([
+				"manual", "manual", "manual", "manual",
+				"reservation", "reservation", "reservation",
+				"reservation-expired", "reservation-released"
+			]);
+			expect(all.rows.reduce((sum, row) => sum + row.delta, 0)).toBe(2);
+
+			const none = await broker.call("products.movements", { id: newID, from: new Date(Date.now() + 60 * 1000) });
+			expect(none.total).toBe(0);
+		});
+
+		it("should reconcile the quantity from the ledger", async () => {
+			await expect(broker.call("products.reconcile", { id: newID })).resolves.toEqual({
+				product: newID,
+				quantity: 2,
+				ledger: 2,
+				drift: 0,
+				movements: 9
+			});
+
+			// Change the quantity without a movement
+			await service.adapter.updateById(newID, { $inc: { quantity: 3 } });
+
+			await expect(broker.call("products.reconcile", { id: newID })).resolves.toEqual({
+				product: newID,
+				quantity: 5,
+				ledger: 2,
+				drift: 3,
+				movements: 9
+			});
+		});
+
+		it("should import products with their stock", async () => {
+			const file = new PassThrough();
+			file.end("name,price,quantity\nAwesome item,450,4\nNew item,10,7\nBroken,-1,1\n");
+
+			const res = await broker.call("products.import", file, { meta: { $params: {} } });
+			expect(res).toEqual(expect.objectContaining({ total: 3, created: 1, updated: 1, failed: 1 }));
+
+			const item = await broker.call("products.get", { id: newID });
+			expect(item).toEqual({ _id: newID, name: "Awesome item", price: 450, quantity: 4, version: expect.any(Number) });
+
+			const reconciled = await broker.call("products.reconcile", { id: newID });
+			expect(reconciled).toEqual(expect.objectContaining({ quantity: 4, ledger: 1, drift: 3 }));
+
+			const created = await service.adapter.findOne({ name: "New item" });
+			await expect(broker.call("products.reconcile", { id: created._id })).resolves.toEqual(expect.objectContaining({ quantity: 7, drift: 0 }));
+			await broker.call("products.remove", { id: created._id });
+		});
+
 		it("should remove the updated item", async () => {
-			const res = await broker.call("products.remove", { id: newID });
-			expect(res).toBe(1);
+			const res = await broker.call("products.remove", { id: newID }, { meta: { user: { _id: "admin-1", roles: ["admin"] } } });
+			expect(res).toEqual({ _id: newID, name: "Awesome item", price: 450, quantity: 4, version: expect.any(Number) });
+			removedVersion = res.version;
 
 			const res2 = await broker.call("products.count");
 			expect(res2).toBe(0);
 
 			const res3 = await broker.call("products.list");
 			expect(res3).toEqual({ page: 1, pageSize: 10, rows: [], total: 0, totalPages: 0 });
+
+			await expect(broker.call("products.get", { id: newID })).rejects.toThrow("Entity not found");
+			await expect(broker.call("products.remove", { id: newID })).rejects.toThrow("Entity not found");
+		});
+
+		it("should list the deleted items", async () => {
+			const res = await broker.call("products.listDeleted", { pageSize: 1 });
+			expect(res).toEqual({
+				rows: [{ _id: newID, name: "Awesome item", price: 450, quantity: 4, version: removedVersion, deletedAt: expect.any(Number), deletedBy: "admin-1" }],
+				total: 2, page: 1, pageSize: 1, totalPages: 2
+			});
+		});
+
+		it("should restore the deleted item", async () => {
+			const res = await broker.call("products.restore", { id: newID });
+			expect(res).toEqual({ _id: newID, name: "Awesome item", price: 450, quantity: 4, version: removedVersion + 1 });
+
+			expect(await broker.call("products.get", { id: newID })).toEqual(res);
+			expect((await broker.call("products.listDeleted")).total).toBe(1);
+			await expect(broker.call("products.restore", { id: newID })).rejects.toThrow("Entity not found");
+		});
+
+		it("should purge the deleted items after the retention period", async () => {
+			await broker.call("products.remove", { id: newID });
+			expect(await service.purgeDeleted()).toBe(0);
+
+			const now = Date.now();
+			jest.spyOn(Date, "now").mockImplementation(() => now + service.settings.softDelete.retention * 1000);
+			try {
+				expect(await service.purgeDeleted()).toBe(2);
+			} finally {
+				Date.now.mockRestore();
+			}
+
+			await expect(broker.call("products.restore", { id: newID })).rejects.toThrow("Entity not found");
+		});
+
+		it("should replay the domain events of the item", async () => {
+			const events = (await broker.call("products.events", { limit: 1000 })).filter(event => event.id == newID);
+
+			expect(events.map(event => event.type)).toEqual(expect.arrayContaining(["created", "updated", "removed", "restored"]));
+			expect(events.map(event => event.offset)).toEqual(events.map(event => event.offset).sort((a, b) => a - b));
+			expect(events.find(event => event.event == "products.updated" && event.changes.includes("price"))).toEqual(expect.objectContaining({
+				changes: ["price"],
+				entity: expect.objectContaining({ _id: newID, price: 499 })
+			}));
+			expect(events.filter(event => event.type == "updated").every(event => event.changes.length > 0)).toBe(true);
 		});
 
 	});
 
-});
+	describe("Test 'products.search' action", () => {
+		const broker = new ServiceBroker({ logger: false });
+		const service = broker.createService(TestService);
+		service.seedDB = null; // Disable seeding
+
+		beforeAll(async () => {
+			await broker.start();
+			await broker.call("products.insert", { entities: [
+				{ name: "Café Crème", price: 5, quantity: 3 },
+				{ name: "CAFE noir", price: 50, quantity: 0 },
+				{ name: "Crème brûlée", price: 150, quantity: 2 },
+				{ name: "Thé vert", price: 700, quantity: 10 }
+			] });
+		});
+		afterAll(() => broker.stop());
+
+		const names = res => res.rows.map(row => row.name);
+
+		it("should match the text case- & accent-insensitively", async () => {
+			const res = await broker.call("products.search", { q: "cafe" });
+			expect(names(res)).toEqual(["Café Crème", "CAFE noir"]);
+			expect(res.rows[0]).toEqual({ _id: expect.any(String), name: "Café Crème", price: 5, quantity: 3, version: 1 });
+
+			expect(names(await broker.call("products.search", { q: "CRÈME" }))).toEqual(["Café Crème", "Crème brûlée"]);
+			expect(names(await broker.call("products.search", { q: "creme  cafe" }))).toEqual(["Café Crème"]);
+			expect(names(await broker.call("products.search", { q: "caf.*" }))).toEqual([]);
+		});
+
+		it("should filter by price range & stock", async () => {
+			const res = await broker.call("products.search", { minPrice: "10", maxPrice: "150" });
+			expect(names(res)).toEqual(["CAFE noir", "Crème brûlée"]);
+
+			const res2 = await broker.call("products.search", { inStock: "true", sort: "-price" });
+			expect(names(res2)).toEqual(["Thé vert", "Crème brûlée", "Café Crème"]);
+
+			const res3 = await broker.call("products.search", { inStock: false });
+			expect(names(res3)).toEqual(["CAFE noir"]);
+		});
+
+		it("should sort by multiple fields & page", async () => {
+			await broker.call("products.insert", { entity: { name: "Thé noir", price: 50, quantity: 1 } });
+
+			const res = await broker.call("products.search", { sort: "price,-name", page: 2, pageSize: 2 });
+			expect(names(res)).toEqual(["CAFE noir", "Crème brûlée"]);
+			expect(res).toEqual(expect.objectContaining({ total: 5, page: 2, pageSize: 2, totalPages: 3 }));
+
+			const page1 = await broker.call("products.search", { sort: "price,-name", pageSize: 2 });
+			expect(names(page1)).toEqual(["Café Crème", "Thé noir"]);
+		});
+
+		it("should count the facets without their own filter", async () => {
+			const res = await broker.call("products.search", { q: "noir", inStock: true, minPrice: 0, maxPrice: 60 });
+			expect(names(res)).toEqual(["Thé noir"]);
+			expect(res.facets).toEqual({
+				price: [
+					{ key: "*-100", from: null, to: 100, count: 1 },
+					{ key: "100-500", from: 100, to: 500, count: 0 },
+					{ key: "500-1000", from: 500, to: 1000, count: 0 },
+					{ key: "1000-*", from: 1000, to: null, count: 0 }
+				],
+				stock: { inStock: 1, outOfStock: 1 }
+			});
+		});
+
+		it("should reject an unknown sort field", async () => {
+			expect.assertions(2);
+			try {
+				await broker.call("products.search", { sort: "-searchText" });
+			} catch(err) {
+				expect(err.code).toBe(422);
+				expect(err.type).toBe("INVALID_SORT");
+			}
+		});
+
+		it("should keep the search text up to date by the hooks & the migration", async () => {
+			const item = await service.adapter.findOne({ name: "Thé noir" });
+			await broker.call("products.update", { id: item._id, name: "Thé Darjeeling" });
+			expect(names(await broker.call("products.search", { q: "darjeeling" }))).toEqual(["Thé Darjeeling"]);
+
+			// Stored without search text, e.g. by an earlier version
+			await service.adapter.insert({ name: "Água", price: 1, quantity: 1 });
+			expect(names(await broker.call("products.search", { q: "agua" }))).toEqual([]);
+
+			expect(await broker.call("products.rollbackMigrations", { to: 1 })).toEqual(["004-versions", "003-indexes", "002-search-text"]);
+			expect(await service.adapter.count({ query: { searchText: { $exists: true } } })).toBe(0);
 
+			expect(await broker.call("products.migrate")).toEqual(["002-search-text", "003-indexes", "004-versions"]);
+			expect(names(await broker.call("products.search", { q: "agua" }))).toEqual(["Água"]);
+		});
+
+	});
+
+});
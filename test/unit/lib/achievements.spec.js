@@ -0,0 +1,51 @@
+"use strict";
+
+const Achievements = require("../../../lib/achievements");
+
+describe("Test achievements", () => {
+	const badges = [
+		{ id: "first-session", metric: "sessions", threshold: 1 },
+		{ id: "streak-3", metric: "streak", threshold: 3 }
+	];
+	const opts = { freezeEvery: 3, maxFreezes: 1 };
+
+	const session = (date, xp = 10) => ({ kind: "session", date, time: Date.parse(date), data: { xp } });
+
+	it("should award the reached badges once", () => {
+		const state = Achievements.createState();
+		expect(Achievements.applyActivity(state, session("2026-01-01"), badges, opts)).toEqual([{ id: "first-session", awardedAt: Date.parse("2026-01-01") }]);
+		expect(Achievements.applyActivity(state, session("2026-01-01"), badges, opts)).toEqual([]);
+		expect(state.stats).toEqual(expect.objectContaining({ sessions: 2, xp: 20 }));
+		expect(state.streak).toEqual({ current: 1, longest: 1, lastDate: "2026-01-01", freezes: 0 });
+	});
+
+	it("should bridge the missed days by the freezes", () => {
+		const state = Achievements.createState();
+		["2026-01-01", "2026-01-02", "2026-01-03"].forEach(date => Achievements.applyActivity(state, session(date), badges, opts));
+		expect(state.streak).toEqual({ current: 3, longest: 3, lastDate: "2026-01-03", freezes: 1 });
+		expect(state.badges.map(badge => badge.id)).toEqual(["first-session", "streak-3"]);
+
+		// One missed day is bridged by the earned freeze
+		expect(Achievements.currentStreak(state.streak, "2026-01-05")).toBe(3);
+		Achievements.applyActivity(state, session("2026-01-05"), badges, opts);
+		expect(state.streak).toEqual({ current: 4, longest: 4, lastDate: "2026-01-05", freezes: 0 });
+
+		// Two missed days break it
+		expect(Achievements.currentStreak(state.streak, "2026-01-08")).toBe(0);
+		Achievements.applyActivity(state, session("2026-01-08"), badges, opts);
+		expect(state.streak).toEqual({ current: 1, longest: 4, lastDate: "2026-01-08", freezes: 0 });
+	});
+
+	it("should grant freezes up to the max", () => {
+		const state = Achievements.createState();
+		Achievements.applyActivity(state, { kind: "freeze", date: "2026-01-01", time: 1, data: { count: 5 } }, badges, opts);
+		expect(state.streak.freezes).toBe(1);
+	});
+
+	it("should return the progress toward a badge", () => {
+		const state = Achievements.createState();
+		state.stats.mastered = 25;
+		expect(Achievements.badgeProgress(state, { id: "words-100", metric: "mastered", threshold: 100 })).toEqual({ current: 25, threshold: 100, progress: 0.25 });
+	});
+
+});
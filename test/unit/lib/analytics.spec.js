@@ -0,0 +1,94 @@
+"use strict";
+
+const Analytics = require("../../../lib/analytics");
+
+describe("Test analytics", () => {
+	const session = (date, skill, results, startedAt = 0) => ({
+		kind: "session",
+		date,
+		time: startedAt + 60000,
+		entity: { skill, startedAt, questions: results.map((correct, i) => ({ correct, answeredAt: startedAt + (i + 1) * 10000 })) }
+	});
+	const review = (date, item, interval) => ({ kind: "review", date, time: Date.parse(date), entity: { item, interval } });
+	const rating = (date, time, value) => ({ kind: "rating", date, time, entity: { language: "de", skill: "vocabulary", rating: value, deviation: 100, attempts: time / 1000 } });
+
+	it("should aggregate the events into days", () => {
+		const days = Analytics.replay([
+			session("2026-01-05", "vocabulary", [true, false, true]),
+			session("2026-01-05", "grammar", [true, false]),
+			review("2026-01-05", "w1", 1),
+			review("2026-01-06", "w1", 25),
+			review("2026-01-07", "w1", 60),
+			review("2026-01-07", "w2", 6),
+			rating("2026-01-07", 2000, 1550),
+			rating("2026-01-07", 1000, 1520)
+		]);
+
+		expect(days["2026-01-05"]).toEqual({
+			skills: { vocabulary: { answered: 3, correct: 2 }, grammar: { answered: 2, correct: 1 } },
+			timeSpent: 50000,
+			seen: 1,
+			mastered: 0,
+			ratings: {}
+		});
+		expect(days["2026-01-06"]).toEqual(expect.objectContaining({ seen: 0, mastered: 1 }));
+		// Out of order, the later rating is kept
+		expect(days["2026-01-07"]).toEqual(expect.objectContaining({ seen: 1, mastered: 0, ratings: { "de:vocabulary": { rating: 1550, deviation: 100, time: 2000, attempts: 2 } } }));
+	});
+
+	it("should skip the unanswered questions", () => {
+		const event = session("2026-01-05", "vocabulary", [true]);
+		event.entity.questions.push({ correct: false, answeredAt: null });
+		expect(Analytics.applyEvent(Analytics.createDay(), event).skills).toEqual({ vocabulary: { answered: 1, correct: 1 } });
+	});
+
+	it("should get the buckets of the dates", () => {
+		expect(Analytics.bucketOf("2026-01-10", "day")).toBe("2026-01-10");
+		expect(Analytics.bucketOf("2026-01-01", "week")).toBe("2026-W01");
+		expect(Analytics.bucketOf("2025-12-29", "week")).toBe("2026-W01");
+		expect(Analytics.bucketOf("2026-01-05", "week")).toBe("2026-W02");
+		expect(Analytics.bucketOf("2026-01-31", "month")).toBe("2026-01");
+	});
+
+	describe("Test series", () => {
+		const days = Object.entries(Analytics.replay([
+			review("2025-12-20", "w0", 30),
+			rating("2025-12-20", 1000, 1500),
+			session("2026-01-02", "vocabulary", [true, false]),
+			session("2026-01-05", "vocabulary", [true, true, true, false]),
+			review("2026-01-05", "w1", 1),
+			rating("2026-01-05", 2000, 1560)
+		])).map(([date, day]) => Object.assign({ date }, day));
+
+		it("should fill the empty days", () => {
+			const points = Analytics.buildSeries(days, "accuracy", { from: "2026-01-01", to: "2026-01-05", bucket: "day" });
+			expect(points.map(point => point.period)).toEqual(["2026-01-01", "2026-01-02", "2026-01-03", "2026-01-04", "2026-01-05"]);
+			expect(points[0]).toEqual({ period: "2026-01-01", answered: 0, correct: 0, accuracy: null, skills: {} });
+			expect(points[1]).toEqual({
+				period: "2026-01-02",
+				answered: 2,
+				correct: 1,
+				accuracy: 0.5,
+				skills: { vocabulary: { answered: 2, correct: 1, accuracy: 0.5 } }
+			});
+		});
+
+		it("should aggregate the weeks & the months", () => {
+			expect(Analytics.buildSeries(days, "accuracy", { from: "2026-01-01", to: "2026-01-11", bucket: "week" }).map(point => [point.period, point.answered, point.accuracy]))
+				.toEqual([["2026-W01", 2, 0.5], ["2026-W02", 4, 0.75]]);
+			expect(Analytics.buildSeries(days, "time", { from: "2025-12-15", to: "2026-01-31", bucket: "month" }))
+				.toEqual([{ period: "2025-12", timeSpent: 0 }, { period: "2026-01", timeSpent: 60 }]);
+		});
+
+		it("should carry the cumulative values over", () => {
+			expect(Analytics.buildSeries(days, "words", { from: "2026-01-04", to: "2026-01-05", bucket: "day" })).toEqual([
+				{ period: "2026-01-04", seen: 0, mastered: 0, totalSeen: 1, totalMastered: 1 },
+				{ period: "2026-01-05", seen: 1, mastered: 0, totalSeen: 2, totalMastered: 1 }
+			]);
+			expect(Analytics.buildSeries(days, "rating", { from: "2026-01-04", to: "2026-01-05", bucket: "day" })).toEqual([
+				{ period: "2026-01-04", ratings: { "de:vocabulary": { rating: 1500, deviation: 100 } } },
+				{ period: "2026-01-05", ratings: { "de:vocabulary": { rating: 1560, deviation: 100 } } }
+			]);
+		});
+	});
+});
@@ -0,0 +1,81 @@
+"use strict";
+
+const { isCorrectAnswer, evaluateAnswer, editDistance, registerLanguageRules, LANGUAGE_RULES } = require("../../../lib/answers");
+
+describe("Test answer checking", () => {
+
+	it("should accept any of the accepted answers", () => {
+		expect(isCorrectAnswer(["der Hund", "Hund"], "Hund")).toBe(true);
+		expect(isCorrectAnswer(["der Hund", "Hund"], "die Katze")).toBe(false);
+	});
+
+	it("should ignore the case & the extra whitespaces", () => {
+		expect(isCorrectAnswer(["der Hund"], "  DER   hund ")).toBe(true);
+	});
+
+	it("should accept the optional parts", () => {
+		expect(isCorrectAnswer(["(to) sound"], "sound")).toBe(true);
+		expect(isCorrectAnswer(["(to) sound"], "to sound")).toBe(true);
+	});
+
+});
+
+describe("Test evaluating the answers", () => {
+	const evaluate = (accepted, answer, opts) => {
+		const { verdict, notes } = evaluateAnswer(accepted, answer, opts);
+		return { verdict, notes };
+	};
+
+	it("should accept an omitted article", () => {
+		expect(evaluate(["der Hund"], "Hund", { language: "de" })).toEqual({ verdict: "correct", notes: ["article-omitted"] });
+		expect(evaluate(["der Hund"], "Hund", { language: "de", requireArticle: true })).toEqual({ verdict: "almost", notes: ["article-missing"] });
+		expect(evaluate(["der Hund"], "die Hund", { language: "de" })).toEqual({ verdict: "almost", notes: ["article"] });
+	});
+
+	it("should grade the near-misses as almost", () => {
+		expect(evaluate(["der Hund"], "der Hnud", { language: "de" })).toEqual({ verdict: "almost", notes: ["typo"] });
+		expect(evaluate(["der Hund"], "der hund", { language: "de" })).toEqual({ verdict: "almost", notes: ["capitalization"] });
+		expect(evaluate(["die Katze"], "die Hund", { language: "de" })).toEqual({ verdict: "wrong", notes: [] });
+	});
+
+	it("should handle the diacritics by the language", () => {
+		expect(evaluate(["die Straße"], "die Strasse", { language: "de" })).toEqual({ verdict: "correct", notes: [] });
+		expect(evaluate(["die Brücke"], "die Bruecke", { language: "de" })).toEqual({ verdict: "correct", notes: [] });
+		expect(evaluate(["die Brücke"], "die Brucke", { language: "de" })).toEqual({ verdict: "almost", notes: ["diacritics"] });
+		expect(evaluate(["el niño"], "el nino", { language: "es" })).toEqual({ verdict: "almost", notes: ["diacritics"] });
+		expect(evaluate(["el niño"], "el nino", { language: "es", ignoreDiacritics: true })).toEqual({ verdict: "correct", notes: [] });
+	});
+
+	it("should handle the French elision", () => {
+		expect(evaluate(["l’arbre"], "l' arbre", { language: "fr" })).toEqual({ verdict: "correct", notes: [] });
+		expect(evaluate(["l'arbre"], "le arbre", { language: "fr" })).toEqual({ verdict: "almost", notes: ["elision"] });
+		expect(evaluate(["la une"], "la une", { language: "fr" })).toEqual({ verdict: "correct", notes: [] });
+	});
+
+	it("should return the diff to the closest accepted answer", () => {
+		expect(evaluateAnswer(["der See", "der Hund"], "der Hnud", { language: "de" })).toEqual({
+			verdict: "almost",
+			correct: true,
+			expected: "der Hund",
+			distance: 1,
+			notes: ["typo"],
+			diff: [
+				{ type: "equal", text: "der H" },
+				{ type: "wrong", expected: "un", actual: "nu" },
+				{ type: "equal", text: "d" }
+			]
+		});
+	});
+
+	it("should count a transposition as one edit", () => {
+		expect(editDistance("hund", "hnud")).toBe(1);
+		expect(editDistance("", "abc")).toBe(3);
+	});
+
+	it("should register the rules of a new language", () => {
+		registerLanguageRules("nl", { articles: ["de", "het", "een"] });
+		expect(evaluate(["de hond"], "hond", { language: "nl" })).toEqual({ verdict: "correct", notes: ["article-omitted"] });
+		delete LANGUAGE_RULES.nl;
+	});
+
+});
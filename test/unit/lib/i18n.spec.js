@@ -0,0 +1,135 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { MoleculerClientError, ValidationError } = require("moleculer").Errors;
+const { EntityNotFoundError } = require("moleculer-db/src/errors");
+const { CATALOGS, DEFAULT_LOCALE, fallbackChain, parseAcceptLanguage, matchLocale, negotiateLocale, normalizeLocale, translate, localizeError } = require("../../../lib/i18n");
+
+describe("Test locale negotiation", () => {
+
+	it("should normalize the language tags", () => {
+		expect(normalizeLocale("pt_br")).toBe("pt-BR");
+		expect(normalizeLocale("zh-Hant-TW")).toBe("zh-TW");
+		expect(normalizeLocale("DE")).toBe("de");
+		expect(normalizeLocale("*")).toBeNull();
+	});
+
+	it("should build the fallback chain", () => {
+		expect(fallbackChain("pt-BR")).toEqual(["pt-BR", "pt", "en"]);
+		expect(fallbackChain("en-GB")).toEqual(["en-GB", "en"]);
+		expect(fallbackChain("invalid tag")).toEqual(["en"]);
+	});
+
+	it("should parse the Accept-Language header by the quality", () => {
+		expect(parseAcceptLanguage("fr;q=0.5, de-AT, de;q=0.9, *;q=0.1, es;q=0")).toEqual(["de-AT", "de", "fr"]);
+		expect(parseAcceptLanguage(undefined)).toEqual([]);
+	});
+
+	it("should select the first supported locale", () => {
+		expect(negotiateLocale(["ja", "de-AT", "fr"])).toBe("de");
+		expect(negotiateLocale(["en-US", "de"])).toBe("en");
+		expect(negotiateLocale(["ja"])).toBe(DEFAULT_LOCALE);
+		expect(matchLocale(["ja", "de-AT"])).toBe("de");
+		expect(matchLocale(["ja"])).toBeNull();
+	});
+
+});
+
+describe("Test translations", () => {
+
+	it("should translate with the parameters & the fallback chain", () => {
+		expect(translate("pt-BR", "greeter.welcome", { name: "João" })).toBe("Bem-vindo, João");
+		expect(translate("ja", "greeter.welcome", { name: "Kenji" })).toBe("Welcome, Kenji");
+		expect(translate("de", "unknown.key")).toBe("unknown.key");
+		expect(translate("de", "unknown.key", {}, "Fallback")).toBe("Fallback");
+	});
+
+	it("should select the plural form by the rules of the language", () => {
+		expect(translate("en", "validation.arrayMin", { field: "tags", count: 1 })).toBe("The 'tags' field must contain at least 1 item.");
+		expect(translate("en", "validation.arrayMin", { field: "tags", count: 0 })).toBe("The 'tags' field must contain at least 0 items.");
+		// 0 is singular in French
+		expect(translate("fr", "validation.arrayMin", { field: "tags", count: 0 })).toBe("Le champ 'tags' doit contenir au moins 0 élément.");
+	});
+
+	it("should translate the errors by their types", () => {
+		const err = localizeError(new MoleculerClientError("Content pack 'x' not found!", 404, "PACK_NOT_FOUND", { name: "x" }), "es");
+		expect(err.message).toBe("No se encontró el paquete de contenido 'x'.");
+		expect(localizeError(new EntityNotFoundError("1"), "hu").message).toBe("Nem található.");
+		expect(localizeError(new MoleculerClientError("Unknown!", 400, "UNKNOWN_ERROR"), "de").message).toBe("Unknown!");
+
+		const invalid = localizeError(new ValidationError("Entity validation error!", null, [
+			{ type: "enumValue", field: "level", expected: ["A1", "A2"], actual: "D1", message: "The 'level' field value 'A1, A2' does not match any of the allowed values." },
+			{ type: "luhn", field: "card", message: "The 'card' field must be a valid checksum luhn." }
+		]), "it");
+		expect(invalid.message).toBe("Alcuni dati non sono validi.");
+		expect(invalid.data.map(item => item.message)).toEqual([
+			"Il campo 'level' deve essere uno dei seguenti valori: A1, A2.",
+			"The 'card' field must be a valid checksum luhn."
+		]);
+	});
+
+});
+
+describe("Test the catalogs", () => {
+	const reference = CATALOGS[DEFAULT_LOCALE];
+	const locales = Object.keys(CATALOGS).filter(locale => locale != DEFAULT_LOCALE);
+
+	/**
+	 * Get the plural categories of a language used by the small numbers.
+	 */
+	function pluralCategories(locale) {
+		const rules = new Intl.PluralRules(locale);
+		return Array.from(new Set(Array.from({ length: 101 }, (v, n) => rules.select(n))));
+	}
+
+	/**
+	 * Get the types of the client errors thrown by the sources.
+	 */
+	function thrownErrorTypes() {
+		const root = path.resolve(__dirname, "..", "..", "..");
+		const pattern = /new \w+Error\(\s*(?:`[^`]*`|"[^"]*"),\s*4\d\d,\s*"([A-Z_]+)"/g;
+		const types = new Set();
+		["services", "mixins", "middlewares", "lib"].forEach(dir => {
+			fs.readdirSync(path.join(root, dir)).filter(file => file.endsWith(".js")).forEach(file => {
+				const source = fs.readFileSync(path.join(root, dir, file), "utf8");
+				let match;
+				while ((match = pattern.exec(source))) types.add(match[1]);
+			});
+		});
+		return Array.from(types);
+	}
+
+	it("should translate every client error", () => {
+		const missing = thrownErrorTypes().filter(type => reference[`errors.${type}`] == null);
+		expect(missing).toEqual([]);
+	});
+
+	it.each(locales)("should have every message in '%s'", locale => {
+		const missing = Object.keys(reference).filter(key => CATALOGS[locale][key] == null);
+		const unknown = Object.keys(CATALOGS[locale]).filter(key => reference[key] == null);
+		expect({ missing, unknown }).toEqual({ missing: [], unknown: [] });
+	});
+
+	it.each(Object.keys(CATALOGS))("should have the plural forms & the placeholders in '%s'", locale => {
+		const categories = pluralCategories(locale);
+		const problems = [];
+		Object.keys(reference).forEach(key => {
+			const message = CATALOGS[locale][key];
+			if (message == null) return;
+
+			const forms = typeof message == "string" ? [message] : categories.map(category => message[category]);
+			if (typeof reference[key] != "string" && typeof message == "string") problems.push(`${key}: not plural`);
+			if (forms.some(form => form == null)) problems.push(`${key}: missing plural forms of ${categories.join(", ")}`);
+
+			const placeholders = [].concat(...Object.values(typeof reference[key] == "string" ? [reference[key]] : reference[key])
+				.map(form => form.match(/\{\w+\}/g) || []));
+			forms.filter(Boolean).forEach(form => {
+				placeholders.filter(placeholder => !form.includes(placeholder) && placeholder != "{count}")
+					.forEach(placeholder => problems.push(`${key}: missing ${placeholder}`));
+			});
+		});
+		expect(problems).toEqual([]);
+	});
+
+});
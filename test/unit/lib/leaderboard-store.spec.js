@@ -0,0 +1,53 @@
+"use strict";
+
+const { MemoryStore } = require("../../../lib/leaderboard-store");
+
+describe("Test the memory store of the leaderboards", () => {
+	const store = new MemoryStore();
+
+	afterEach(() => jest.restoreAllMocks());
+
+	it("should rank the members by descending score like Redis", async () => {
+		await store.increment("board", "a", 10);
+		await store.increment("board", "b", 30);
+		await store.increment("board", "c", 10);
+		expect(await store.increment("board", "a", 5)).toBe(15);
+		await store.increment("board", "d", 15);
+
+		expect(await store.range("board", 0, -1)).toEqual([
+			{ member: "b", score: 30 },
+			{ member: "d", score: 15 },
+			{ member: "a", score: 15 },
+			{ member: "c", score: 10 }
+		]);
+		expect(await store.range("board", 1, 2)).toEqual([{ member: "d", score: 15 }, { member: "a", score: 15 }]);
+		expect(await store.rank("board", "a")).toEqual({ rank: 2, score: 15 });
+		expect(await store.rank("board", "x")).toBeNull();
+		expect(await store.scores("board", ["c", "x"])).toEqual([10, null]);
+	});
+
+	it("should expire the keys by their TTL", async () => {
+		const now = Date.now();
+		jest.spyOn(Date, "now").mockImplementation(() => now);
+		await store.addMember("set", "a", 10);
+		expect(await store.claim("job", 10)).toBe(true);
+		expect(await store.claim("job", 10)).toBe(false);
+
+		jest.spyOn(Date, "now").mockImplementation(() => now + 10 * 1000);
+		expect(await store.members("set")).toEqual([]);
+		expect(await store.claim("job", 10)).toBe(true);
+	});
+
+	it("should release a claim", async () => {
+		expect(await store.claim("released", 10)).toBe(true);
+		await store.release("released");
+		expect(await store.claim("released", 10)).toBe(true);
+	});
+
+	it("should increment a score only once by a claim", async () => {
+		expect(await store.incrementOnce("once", "a", 10, null, "once:s1", 10)).toBe(10);
+		expect(await store.incrementOnce("once", "a", 10, null, "once:s1", 10)).toBeNull();
+		expect(await store.incrementOnce("once", "a", 5, null, "once:s2", 10)).toBe(15);
+	});
+
+});
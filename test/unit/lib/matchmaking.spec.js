@@ -0,0 +1,67 @@
+"use strict";
+
+const Matchmaking = require("../../../lib/matchmaking");
+
+describe("Test matchmaking", () => {
+	const now = 100000;
+	const opts = { initialGap: 100, gapPerSecond: 10, maxGap: 300, maxMissed: 2 };
+	const ticket = (user, rating, waited = 0) => ({ user, rating, queuedAt: now - waited * 1000 });
+
+	it("should widen the rating gap by the waiting time", () => {
+		expect(Matchmaking.ratingGap(ticket("u1", 1000), now, opts)).toBe(100);
+		expect(Matchmaking.ratingGap(ticket("u1", 1000, 5), now, opts)).toBe(150);
+		expect(Matchmaking.ratingGap(ticket("u1", 1000, 60), now, opts)).toBe(300);
+	});
+
+	it("should find the closest acceptable opponent", () => {
+		const adam = ticket("u1", 1000);
+		expect(Matchmaking.findOpponent(adam, [adam, ticket("u2", 1200)], now, opts)).toBeNull();
+		// The long waiting learner's gap is wide enough
+		expect(Matchmaking.findOpponent(adam, [adam, ticket("u2", 1200, 10)], now, opts)).toEqual(expect.objectContaining({ user: "u2" }));
+
+		const candidates = [ticket("u2", 1050, 1), ticket("u3", 950, 5), ticket("u4", 1020)];
+		expect(Matchmaking.findOpponent(adam, candidates, now, opts).user).toBe("u4");
+		// The ties are broken by the longer waiting
+		expect(Matchmaking.findOpponent(adam, candidates.slice(0, 2), now, opts).user).toBe("u3");
+	});
+
+	describe("Test settling a duel", () => {
+		const player = (user, fields) => Object.assign({ user, status: "playing", current: 0, correctCount: 0, finishedAt: null }, fields);
+		const duel = (a, b) => ({ status: "active", startsAt: 0, timeLimit: 10, questions: [{}, {}, {}, {}], players: [a, b] });
+
+		it("should go on until the players are finished", () => {
+			expect(Matchmaking.deadlineOf(duel(), 1)).toBe(20000);
+			expect(Matchmaking.settle(duel(player("u1", { current: 2 }), player("u2", { current: 1 })), 25000, opts)).toBeNull();
+			expect(Matchmaking.settle(Object.assign(duel(player("u1"), player("u2")), { status: "completed" }), 50000, opts)).toBeNull();
+		});
+
+		it("should decide by the correct answers, then by the finish time", () => {
+			const finished = (user, correctCount, finishedAt) => player(user, { status: "finished", current: 4, correctCount, finishedAt });
+
+			expect(Matchmaking.settle(duel(finished("u1", 3, 30000), finished("u2", 4, 35000)), 35000, opts))
+				.toEqual({ winner: "u2", outcome: "score", players: ["finished", "finished"] });
+			expect(Matchmaking.settle(duel(finished("u1", 3, 30000), finished("u2", 3, 35000)), 35000, opts))
+				.toEqual({ winner: "u1", outcome: "time", players: ["finished", "finished"] });
+			expect(Matchmaking.settle(duel(finished("u1", 3, 30000), finished("u2", 3, 30000)), 35000, opts))
+				.toEqual({ winner: null, outcome: "draw", players: ["finished", "finished"] });
+		});
+
+		it("should decide at the last deadline", () => {
+			const res = Matchmaking.settle(duel(player("u1", { status: "finished", current: 4, correctCount: 2, finishedAt: 38000 }), player("u2", { current: 3, correctCount: 2 })), 40001, opts);
+			expect(res).toEqual({ winner: "u1", outcome: "time", players: ["finished", "finished"] });
+		});
+
+		it("should decide by a forfeit or a disconnect", () => {
+			expect(Matchmaking.settle(duel(player("u1", { status: "forfeited", correctCount: 3 }), player("u2")), 5000, opts))
+				.toEqual({ winner: "u2", outcome: "forfeit", players: ["forfeited", "finished"] });
+
+			const idle = player("u1");
+			expect(Matchmaking.isDisconnected(duel(), idle, 19999, opts)).toBe(false);
+			expect(Matchmaking.isDisconnected(duel(), idle, 20000, opts)).toBe(true);
+			expect(Matchmaking.settle(duel(idle, player("u2", { current: 2 })), 20000, opts))
+				.toEqual({ winner: "u2", outcome: "disconnect", players: ["disconnected", "finished"] });
+			expect(Matchmaking.settle(duel(idle, player("u2")), 20000, opts))
+				.toEqual({ winner: null, outcome: "abandoned", players: ["disconnected", "disconnected"] });
+		});
+	});
+});
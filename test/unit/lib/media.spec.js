@@ -0,0 +1,62 @@
+"use strict";
+
+const crypto = require("crypto");
+const { Readable } = require("stream");
+const { detectType, MediaInspector, parseRange } = require("../../../lib/media");
+
+describe("Test media validation", () => {
+	const png = Buffer.concat([Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]), Buffer.alloc(100, 1)]);
+	const opts = { types: { "image/png": "image", "audio/mpeg": "audio" }, maxSize: { image: 200, audio: 1000 } };
+
+	function inspect(chunks, declared) {
+		const inspector = new MediaInspector(Object.assign({ declared }, opts));
+		return new Promise((resolve, reject) => {
+			Readable.from(chunks).pipe(inspector)
+				.on("error", reject)
+				.on("data", () => {})
+				.on("end", () => resolve(inspector.result()));
+		});
+	}
+
+	it("should detect the types by the signatures", () => {
+		expect(detectType(png)).toBe("image/png");
+		expect(detectType(Buffer.from("ID3\u0004\u0000\u0000\u0000\u0000\u0000\u0000\u0000\u0000", "latin1"))).toBe("audio/mpeg");
+		expect(detectType(Buffer.from("RIFF\u0000\u0000\u0000\u0000WAVEfmt ", "latin1"))).toBe("audio/wav");
+		expect(detectType(Buffer.from("RIFF\u0000\u0000\u0000\u0000WEBPVP8 ", "latin1"))).toBe("image/webp");
+		expect(detectType(Buffer.from("<svg onload=alert(1)>", "latin1"))).toBeNull();
+	});
+
+	it("should inspect a file split into small chunks", async () => {
+		const chunks = [png.slice(0, 3), png.slice(3, 10), png.slice(10)];
+		expect(await inspect(chunks, "image/png")).toEqual({
+			mimeType: "image/png",
+			kind: "image",
+			size: 108,
+			checksum: crypto.createHash("sha256").update(png).digest("hex")
+		});
+		expect((await inspect([png], "application/octet-stream")).mimeType).toBe("image/png");
+	});
+
+	it("should reject an unknown type & a type mismatch", async () => {
+		await expect(inspect([Buffer.from("#!/bin/sh\nrm -rf /\n")], "image/png")).rejects.toMatchObject({ code: 415, type: "UNSUPPORTED_MEDIA_TYPE" });
+		await expect(inspect([png], "audio/mpeg")).rejects.toMatchObject({ code: 415, data: { type: "image/png" } });
+		await expect(inspect([Buffer.alloc(0)])).rejects.toMatchObject({ code: 415, data: { type: null } });
+	});
+
+	it("should reject a file over the limit of its kind", async () => {
+		await expect(inspect([png, Buffer.alloc(100)], "image/png")).rejects.toMatchObject({ code: 413, data: { maxSize: 200 } });
+	});
+
+	it("should parse the byte ranges", () => {
+		expect(parseRange("bytes=0-99", 1000)).toEqual({ start: 0, end: 99 });
+		expect(parseRange("bytes=900-", 1000)).toEqual({ start: 900, end: 999 });
+		expect(parseRange("bytes=-100", 1000)).toEqual({ start: 900, end: 999 });
+		expect(parseRange("bytes=500-5000", 1000)).toEqual({ start: 500, end: 999 });
+		// Multiple ranges are served as the whole file
+		expect(parseRange("bytes=0-1,5-6", 1000)).toBeNull();
+		expect(parseRange(undefined, 1000)).toBeNull();
+		expect(() => parseRange("bytes=1000-", 1000)).toThrow("The range is not satisfiable!");
+		expect(() => parseRange("bytes=5-1", 1000)).toThrow("The range is not satisfiable!");
+	});
+
+});
@@ -0,0 +1,31 @@
+"use strict";
+
+const { MemoryStore, RedisStore } = require("../../../lib/rate-limit-store");
+
+describe("Test the stores of the rate limits", () => {
+	const now = Date.UTC(2026, 0, 10, 12, 0, 30);
+
+	afterEach(() => jest.restoreAllMocks());
+
+	it("should count the requests in fixed windows", async () => {
+		const store = new MemoryStore();
+		jest.spyOn(Date, "now").mockImplementation(() => now);
+
+		expect(await store.hit("a", 60 * 1000)).toEqual({ count: 1, reset: Date.UTC(2026, 0, 10, 12, 1) });
+		expect(await store.hit("a", 60 * 1000)).toEqual({ count: 2, reset: Date.UTC(2026, 0, 10, 12, 1) });
+		expect(await store.hit("b", 60 * 1000)).toEqual({ count: 1, reset: Date.UTC(2026, 0, 10, 12, 1) });
+
+		Date.now.mockImplementation(() => now + 30 * 1000);
+		expect(await store.hit("a", 60 * 1000)).toEqual({ count: 1, reset: Date.UTC(2026, 0, 10, 12, 2) });
+		expect(store.counters.has("b")).toBe(false);
+	});
+
+	it("should fall back to the memory while Redis is unavailable", async () => {
+		const store = new RedisStore("redis://127.0.0.1:1", { lazyConnect: true, retryStrategy: () => null });
+
+		expect((await store.hit("a", 60 * 1000)).count).toBe(1);
+		expect((await store.hit("a", 60 * 1000)).count).toBe(2);
+		store.client.disconnect();
+	});
+
+});
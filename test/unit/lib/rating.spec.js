@@ -0,0 +1,41 @@
+"use strict";
+
+const { DEFAULTS, expectedScore, rate } = require("../../../lib/rating");
+
+describe("Test rating", () => {
+
+	const player = { rating: 1500, deviation: 200 };
+
+	it("should predict an even game between equal ratings", () => {
+		expect(expectedScore(player, { rating: 1500, deviation: 30 })).toBeCloseTo(0.5);
+		expect(expectedScore(player, { rating: 1400, deviation: 30 })).toBeCloseTo(0.639, 3);
+		expect(expectedScore(player, { rating: 1700, deviation: 30 })).toBeCloseTo(0.241, 3);
+	});
+
+	it("should weight an uncertain opponent less", () => {
+		const certain = expectedScore(player, { rating: 1400, deviation: 30 });
+		const uncertain = expectedScore(player, { rating: 1400, deviation: 350 });
+		expect(uncertain).toBeGreaterThan(0.5);
+		expect(uncertain).toBeLessThan(certain);
+	});
+
+	it("should rate a won game by the Glicko formulas", () => {
+		// The first game of the example of the Glicko paper as a single rating period
+		const res = rate(player, { rating: 1400, deviation: 30 }, 1);
+		expect(res.rating).toBeCloseTo(1563.43, 2);
+		expect(res.deviation).toBeCloseTo(175.22, 2);
+	});
+
+	it("should lose rating by a lost game & keep the min deviation", () => {
+		const res = rate({ rating: 1500, deviation: DEFAULTS.minDeviation }, { rating: 1500, deviation: 50 }, 0);
+		expect(res.rating).toBeLessThan(1500);
+		expect(res.deviation).toBe(DEFAULTS.minDeviation);
+	});
+
+	it("should be deterministic", () => {
+		const games = [[1400, 1], [1550, 0], [1700, 0], [1450, 1]];
+		const play = () => games.reduce((res, [rating, score]) => rate(res, { rating, deviation: 80 }, score), player);
+		expect(play()).toEqual(play());
+	});
+
+});
@@ -0,0 +1,27 @@
+"use strict";
+
+const { createCard, schedule } = require("../../../lib/sm2");
+
+describe("Test SM-2 scheduling", () => {
+
+	it("should grow the intervals by the successful reviews", () => {
+		let card = createCard();
+		const intervals = [5, 5, 5, 4].map(grade => (card = schedule(card, grade)).interval);
+
+		expect(intervals).toEqual([1, 6, 16, 45]);
+		expect(card).toEqual({ repetitions: 4, interval: 45, ease: expect.any(Number), lapses: 0 });
+		expect(card.ease).toBeCloseTo(2.8);
+	});
+
+	it("should change the ease by the grade", () => {
+		expect(schedule(createCard(), 5).ease).toBeCloseTo(2.6);
+		expect(schedule(createCard(), 4).ease).toBeCloseTo(2.5);
+		expect(schedule(createCard(), 3).ease).toBeCloseTo(2.36);
+	});
+
+	it("should restart a forgotten card & count the lapse", () => {
+		const card = schedule({ repetitions: 3, interval: 15, ease: 1.4, lapses: 1 }, 1);
+		expect(card).toEqual({ repetitions: 0, interval: 1, ease: 1.3, lapses: 2 });
+	});
+
+});
@@ -0,0 +1,83 @@
+"use strict";
+
+const { ServiceBroker } = require("moleculer");
+const { MoleculerClientError } = require("moleculer").Errors;
+const AuthorizationMiddleware = require("../../../middlewares/authorization.middleware");
+
+describe("Test 'Authorization' middleware", () => {
+	const broker = new ServiceBroker({ logger: false, cacher: "Memory", middlewares: [AuthorizationMiddleware] });
+	const handler = jest.fn(ctx => ({ learner: ctx.params.learner }));
+
+	broker.createService({
+		name: "progress",
+		actions: {
+			open: {
+				handler: () => "open"
+			},
+			stats: {
+				roles: ["teacher", "admin"],
+				handler: () => "stats"
+			},
+			get: {
+				permissions: ["progress.read"],
+				owner: "learner",
+				cache: { keys: ["learner"] },
+				params: {
+					learner: "string"
+				},
+				handler
+			}
+		}
+	});
+
+	beforeAll(() => broker.start());
+	afterAll(() => broker.stop());
+
+	const learner = { _id: "l1", roles: ["learner"] };
+	const teacher = { _id: "t1", roles: ["teacher"] };
+
+	it("should not check actions without rules", async () => {
+		await expect(broker.call("progress.open", {}, { meta: { user: null } })).resolves.toBe("open");
+	});
+
+	it("should trust internal calls without user", async () => {
+		await expect(broker.call("progress.stats")).resolves.toBe("stats");
+	});
+
+	it("should reject anonymous calls", async () => {
+		const err = await broker.call("progress.stats", {}, { meta: { user: null } }).catch(err => err);
+		expect(err).toBeInstanceOf(MoleculerClientError);
+		expect(err.code).toBe(401);
+	});
+
+	it("should check the roles", async () => {
+		await expect(broker.call("progress.stats", {}, { meta: { user: teacher } })).resolves.toBe("stats");
+
+		const err = await broker.call("progress.stats", {}, { meta: { user: learner } }).catch(err => err);
+		expect(err.code).toBe(403);
+		expect(err.type).toBe("MISSING_ROLE");
+		expect(err.data).toEqual({ roles: ["teacher", "admin"] });
+	});
+
+	it("should check the permissions & the ownership", async () => {
+		await expect(broker.call("progress.get", { learner: "l1" }, { meta: { user: learner } })).resolves.toEqual({ learner: "l1" });
+		await expect(broker.call("progress.get", { learner: "l2" }, { meta: { user: teacher } })).resolves.toEqual({ learner: "l2" });
+
+		const err = await broker.call("progress.get", { learner: "l2" }, { meta: { user: learner } }).catch(err => err);
+		expect(err.code).toBe(403);
+		expect(err.type).toBe("MISSING_PERMISSION");
+		expect(err.data).toEqual({ permission: "progress.read" });
+	});
+
+	it("should not serve a cached response to another user", async () => {
+		handler.mockClear();
+
+		await broker.call("progress.get", { learner: "l3" }, { meta: { user: teacher } });
+		await broker.call("progress.get", { learner: "l3" }, { meta: { user: teacher } });
+		expect(handler).toBeCalledTimes(1);
+
+		const err = await broker.call("progress.get", { learner: "l3" }, { meta: { user: learner } }).catch(err => err);
+		expect(err.code).toBe(403);
+	});
+
+});
@@ -0,0 +1,106 @@
+"use strict";
+
+const { PassThrough } = require("stream");
+const { ServiceBroker } = require("moleculer");
+const DbMixin = require("../../../mixins/db.mixin");
+const BulkMixin = require("../../../mixins/bulk.mixin");
+
+function toStream(content) {
+	const stream = new PassThrough();
+	stream.end(content);
+	return stream;
+}
+
+function readStream(stream) {
+	return new Promise((resolve, reject) => {
+		let data = "";
+		stream.on("data", chunk => data += chunk);
+		stream.on("end", () => resolve(data));
+		stream.on("error", reject);
+	});
+}
+
+describe("Test Bulk mixin", () => {
+	const broker = new ServiceBroker({ logger: false });
+	const service = broker.createService({
+		name: "words",
+		mixins: [DbMixin("words"), BulkMixin({ key: "lemma", types: { level: "integer" } })],
+		settings: {
+			fields: ["_id", "lemma", "level"],
+			entityValidator: {
+				lemma: "string|min:2",
+				level: "number|integer|min:1|max:6"
+			}
+		}
+	});
+
+	beforeAll(() => broker.start());
+	afterAll(() => broker.stop());
+
+	function importFile(content, $params) {
+		return broker.call("words.import", toStream(content), { meta: { $params } });
+	}
+
+	it("should validate without writing in dry-run mode", async () => {
+		const res = await importFile("lemma,level\nhaus,1\nbaum,9\nhaus,2\n", { dryRun: "true" });
+		expect(res).toEqual({
+			dryRun: true,
+			total: 3,
+			created: 1,
+			updated: 1,
+			failed: 1,
+			errors: [{
+				row: 2,
+				key: "baum",
+				message: "Entity validation error!",
+				data: [expect.objectContaining({ field: "level", type: "numberMax" })]
+			}]
+		});
+		expect(await service.adapter.count()).toBe(0);
+	});
+
+	it("should upsert the CSV rows by the natural key", async () => {
+		const res = await importFile("lemma,level,unknown\nhaus,1,x\nbaum,2,y\n\"a\"\n");
+		expect(res).toEqual(expect.objectContaining({ total: 3, created: 2, updated: 0, failed: 1 }));
+		expect(res.errors[0]).toEqual(expect.objectContaining({ row: 3, key: "a" }));
+
+		const res2 = await importFile("lemma\tlevel\nhaus\t3\n", { format: "tsv" });
+		expect(res2).toEqual(expect.objectContaining({ total: 1, created: 0, updated: 1, failed: 0 }));
+
+		const doc = await service.adapter.findOne({ lemma: "haus" });
+		expect(doc).toEqual({ _id: expect.any(String), lemma: "haus", level: 3, version: 2 });
+		expect(await service.adapter.count()).toBe(2);
+	});
+
+	it("should import NDJSON & report the broken lines", async () => {
+		const res = await importFile("{\"lemma\":\"katze\",\"level\":2}\n{broken\n\n{\"level\":2}\n", { format: "ndjson" });
+		expect(res).toEqual(expect.objectContaining({ total: 3, created: 1, failed: 2 }));
+		expect(res.errors.map(err => err.row)).toEqual([2, 3]);
+		expect(res.errors[1].message).toBe("The 'lemma' field is required!");
+	});
+
+	it("should report an unparsable CSV", async () => {
+		const res = await importFile("lemma,level\n\"unclosed,1\n");
+		expect(res.aborted).toBe(true);
+		expect(res.failed).toBe(1);
+	});
+
+	it("should export CSV", async () => {
+		const stream = await broker.call("words.export");
+		const csv = await readStream(stream);
+
+		const lines = csv.trim().split("\n");
+		expect(lines[0]).toBe("_id,lemma,level");
+		expect(lines.slice(1).map(line => line.split(",").slice(1).join(",")).sort()).toEqual(["baum,2", "haus,3", "katze,2"]);
+	});
+
+	it("should export the filtered NDJSON in batches", async () => {
+		service.settings.maxPageSize = 1;
+		const stream = await broker.call("words.export", { format: "ndjson", query: JSON.stringify({ level: 2 }) });
+		const lines = (await readStream(stream)).trim().split("\n").map(line => JSON.parse(line));
+		service.settings.maxPageSize = 100;
+
+		expect(lines.map(line => line.lemma).sort()).toEqual(["baum", "katze"]);
+	});
+
+});
@@ -1,5 +1,6 @@
 "use strict";
 
+const path = require("path");
 const { ServiceBroker } = require("moleculer");
 const DbService = require("moleculer-db");
 const DbMixin = require("../../../mixins/db.mixin");
@@ -18,9 +19,40 @@ describe("Test DB mixin", () => {
 			expect(schema.mixins).toEqual([DbService]);
 			expect(schema.adapter).toBeInstanceOf(DbService.MemoryAdapter);
 			expect(schema.started).toBeDefined();
+			expect(schema.settings.migrations.dir).toBe(path.resolve(__dirname, "..", "..", "..", "migrations", "my-collection"));
 			expect(schema.events["cache.clean.my-collection"]).toBeInstanceOf(Function);
 		});
 
+		it("check soft delete schema properties", async () => {
+			const schema = DbMixin("my-collection", { softDelete: true });
+
+			expect(schema.mixins).toEqual([expect.any(Object), DbService]);
+			expect(schema.mixins[0].actions).toEqual({ restore: expect.any(Object), listDeleted: expect.any(Object) });
+			expect(schema.mixins[0].methods._remove).toBeInstanceOf(Function);
+		});
+
+		it("should protect the restore by the access rules of the remove", () => {
+			const other = new ServiceBroker({ logger: false });
+			const service = other.createService({
+				name: "my-protected",
+				mixins: [DbMixin("my-protected", { softDelete: true })],
+				actions: {
+					remove: { roles: ["admin"], permissions: ["items.remove"] }
+				}
+			});
+			const open = other.createService({
+				name: "my-restorable",
+				mixins: [DbMixin("my-restorable", { softDelete: true })],
+				actions: {
+					remove: { permissions: ["items.remove"] },
+					restore: { permissions: ["items.restore"] }
+				}
+			});
+
+			expect(service.schema.actions.restore).toEqual(expect.objectContaining({ roles: ["admin"], permissions: ["items.remove"] }));
+			expect(open.schema.actions.restore.permissions).toEqual(["items.restore"]);
+		});
+
 		it("check cache event handler", async () => {
 			jest.spyOn(broker.cacher, "clean");
 
@@ -32,51 +64,320 @@ describe("Test DB mixin", () => {
 			expect(broker.cacher.clean).toBeCalledWith("my-service.*");
 		});
 
-		describe("Check service started handler", () => {
+		it("should broadcast a cache clear event", async () => {
+			const schema = DbMixin("my-collection");
+
+			const ctx = {
+				broadcast: jest.fn()
+			};
+
+			await schema.methods.entityChanged(null, null, ctx);
+
+			expect(ctx.broadcast).toBeCalledTimes(1);
+			expect(ctx.broadcast).toBeCalledWith("cache.clean.my-collection");
+		});
+	});
+
+	describe("Test methods", () => {
+		const broker = new ServiceBroker({ logger: false });
+		const service = broker.createService({
+			name: "my-service",
+			mixins: [DbMixin("my-collection")]
+		});
+
+		beforeAll(() => broker.start());
+		afterAll(() => broker.stop());
+
+		it("should update only the matching entity", async () => {
+			const doc = await service.adapter.insert({ name: "item", quantity: 2 });
+
+			const res = await service.conditionalUpdate(doc._id, { quantity: { $gte: 2 } }, { $inc: { quantity: -2 } });
+			expect(res).toEqual({ _id: doc._id, name: "item", quantity: 0, version: 2 });
+
+			const res2 = await service.conditionalUpdate(doc._id, { quantity: { $gte: 2 } }, { $inc: { quantity: -2 } });
+			expect(res2).toBeNull();
+		});
+
+		it("should match a no-op update on Mongo", async () => {
+			// Mongo's `updateMany` counts only the modified documents, so the entity is updated & returned at once
+			const findOneAndUpdate = jest.fn(async () => ({ value: { _id: "oid-5", quantity: 0, version: 3 } }));
+			const adapter = { stringToObjectID: id => `oid-${id}`, collection: { findOneAndUpdate } };
+			const { conditionalUpdate } = DbMixin("my-collection").methods;
+
+			const res = await conditionalUpdate.call({ adapter }, "5", { quantity: { $gte: 0 } }, { $set: { quantity: 0 } });
+			expect(res).toEqual({ _id: "oid-5", quantity: 0, version: 3 });
+			expect(findOneAndUpdate).toBeCalledWith(
+				{ quantity: { $gte: 0 }, _id: "oid-5" },
+				{ $set: { quantity: 0 }, $inc: { version: 1 } },
+				{ returnOriginal: false }
+			);
+
+			findOneAndUpdate.mockImplementationOnce(async () => ({ value: null }));
+			expect(await conditionalUpdate.call({ adapter }, "5", { quantity: { $gte: 2 } }, { $inc: { quantity: -2 } })).toBeNull();
+		});
+
+		it("should increment the version by every write", async () => {
+			const doc = await service.adapter.insert({ name: "versioned" });
+			expect(doc.version).toBe(1);
+
+			expect((await service.adapter.updateById(doc._id, { $set: { name: "renamed" } })).version).toBe(2);
+			expect(await service.adapter.updateMany({ name: "renamed" }, { $inc: { count: 1 } })).toBe(1);
+			expect((await service.adapter.findById(doc._id)).version).toBe(3);
+		});
+
+		it("should update only the expected version", async () => {
+			const doc = await service.adapter.insert({ name: "edited" });
+
+			const res = await broker.call("my-service.update", { id: doc._id, name: "first edit", version: 1 });
+			expect(res).toEqual({ _id: doc._id, name: "first edit", version: 2 });
+
+			expect.assertions(5);
+			try {
+				await broker.call("my-service.update", { id: doc._id, name: "second edit", version: "1" });
+			} catch(err) {
+				expect(err.code).toBe(409);
+				expect(err.type).toBe("VERSION_CONFLICT");
+				expect(err.data).toEqual({ id: doc._id, expected: "1", actual: 2 });
+			}
+			expect((await service.adapter.findById(doc._id)).name).toBe("first edit");
+		});
+
+		it("should connect an additional collection once", async () => {
+			const adapter = await service.getCollection("my-history");
+			expect(adapter).toBeInstanceOf(DbService.MemoryAdapter);
+			expect(adapter).not.toBe(service.adapter);
+			expect(await service.getCollection("my-history")).toBe(adapter);
 
-			it("should not call seedDB method", async () => {
-				const schema = DbMixin("my-collection");
+			await adapter.insert({ a: 1 });
+			expect(await adapter.count()).toBe(1);
+			expect(await service.adapter.count({ query: { a: 1 } })).toBe(0);
+		});
+	});
 
-				schema.adapter.count = jest.fn(async () => 10);
-				const seedDBFn = jest.fn();
+	describe("Test migrations", () => {
+		const broker = new ServiceBroker({ logger: false });
+		const service = broker.createService({
+			name: "my-migrated",
+			mixins: [DbMixin("my-migrated")],
+			settings: {
+				migrations: {
+					dir: path.join(__dirname, "migrations"),
+					lockTimeout: 100,
+					lockRetryInterval: 10
+				}
+			}
+		});
 
-				await schema.started.call({ broker, logger: broker.logger, adapter: schema.adapter, seedDB: seedDBFn });
+		beforeAll(() => broker.start());
+		afterAll(() => broker.stop());
+
+		const status = async () => (await broker.call("my-migrated.migrations")).map(item => `${item.name}:${item.status}`);
+
+		it("should apply the migrations at start", async () => {
+			expect(await status()).toEqual(["001-first:applied", "002-irreversible:applied", "003-third:applied"]);
+			expect(await service.adapter.find({ sort: ["name"] })).toEqual([
+				{ _id: expect.any(String), name: "first", migrated: true, version: 2 },
+				{ _id: expect.any(String), name: "third", version: 1 }
+			]);
+		});
+
+		it("should roll back the last migration & apply it again", async () => {
+			expect(await broker.call("my-migrated.rollbackMigrations")).toEqual(["003-third"]);
+			expect(await status()).toEqual(["001-first:applied", "002-irreversible:applied", "003-third:pending"]);
+			expect(await service.adapter.count({ query: { name: "third" } })).toBe(0);
 
-				expect(schema.adapter.count).toBeCalledTimes(1);
-				expect(schema.adapter.count).toBeCalledWith();
+			expect(await broker.call("my-migrated.migrate", { to: 2 })).toEqual([]);
+			expect(await broker.call("my-migrated.migrate")).toEqual(["003-third"]);
+			expect(await service.adapter.count({ query: { name: "third" } })).toBe(1);
+		});
 
-				expect(seedDBFn).toBeCalledTimes(0);
+		it("should not roll back anything through an irreversible migration", async () => {
+			expect.assertions(3);
+			try {
+				await broker.call("my-migrated.rollbackMigrations", { to: 0 });
+			} catch(err) {
+				expect(err.type).toBe("IRREVERSIBLE_MIGRATION");
+				expect(err.data).toEqual({ collection: "my-migrated", version: 2 });
+			}
+			expect(await status()).toEqual(["001-first:applied", "002-irreversible:applied", "003-third:applied"]);
+		});
+
+		it("should apply a migration only once on concurrent runs", async () => {
+			await service.revertMigrations(2);
+
+			const res = await Promise.all([service.applyMigrations(), service.applyMigrations()]);
+			expect(res).toEqual(expect.arrayContaining([["003-third"], []]));
+			expect(await service.adapter.count({ query: { name: "third" } })).toBe(1);
+		});
+
+		it("should wait for the lock of another replica & take it over when expired", async () => {
+			const adapter = await service.getCollection("my-migrated-migrations");
+			await adapter.insert({ _id: "lock", owner: "other-node", expiresAt: Date.now() + 60 * 1000 });
+
+			await expect(service.applyMigrations()).rejects.toThrow("The migrations of the 'my-migrated' collection are locked by another process!");
+
+			await adapter.updateMany({ _id: "lock" }, { $set: { expiresAt: Date.now() - 1 } });
+			await expect(service.applyMigrations()).resolves.toEqual([]);
+			expect(await adapter.count({ query: { _id: "lock" } })).toBe(0);
+		});
+
+		it("should extend the lock during a long migration", async () => {
+			const settings = Object.assign({}, service.settings.migrations);
+			Object.assign(service.settings.migrations, { lockTTL: 50, lockRefreshInterval: 10 });
+			const adapter = await service.getCollection("my-migrated-migrations");
+
+			const { lock, now } = await service.withMigrationLock(async () => {
+				await service.Promise.delay(200);
+				return { lock: await adapter.findById("lock"), now: Date.now() };
 			});
+			service.settings.migrations = settings;
+
+			expect(lock.expiresAt).toBeGreaterThan(now);
+			expect(await adapter.count({ query: { _id: "lock" } })).toBe(0);
+		});
+	});
 
-			it("should call seedDB method", async () => {
-				const schema = DbMixin("my-collection");
+	describe("Test domain events", () => {
+		const broker = new ServiceBroker({ logger: false });
+		const received = [];
+		broker.createService({
+			name: "listener",
+			events: {
+				"my-events.*"(ctx) {
+					received.push(ctx.params);
+				}
+			}
+		});
+		const service = broker.createService({
+			name: "my-events",
+			mixins: [DbMixin("my-events")],
+			settings: {
+				outbox: { relayDelay: 0 }
+			}
+		});
 
-				schema.adapter.count = jest.fn(async () => 0);
-				const seedDBFn = jest.fn();
+		beforeAll(() => broker.start());
+		afterAll(() => broker.stop());
 
-				await schema.started.call({ broker, logger: broker.logger, adapter: schema.adapter, seedDB: seedDBFn });
+		let id;
 
-				expect(schema.adapter.count).toBeCalledTimes(2);
-				expect(schema.adapter.count).toBeCalledWith();
+		it("should publish the created & updated events with the changes & the actor", async () => {
+			const created = await broker.call("my-events.create", { name: "first" });
+			id = created._id;
+			await broker.call("my-events.update", { id, name: "renamed" }, { meta: { user: { _id: "u1" } } });
 
-				expect(seedDBFn).toBeCalledTimes(1);
-				expect(seedDBFn).toBeCalledWith();
+			expect(received).toEqual([
+				{ offset: 1, event: "my-events.created", type: "created", id, entity: created, changes: null, actor: null, createdAt: expect.any(Number) },
+				{ offset: 2, event: "my-events.updated", type: "updated", id, entity: { _id: id, name: "renamed", version: 2 }, changes: ["name"], actor: "u1", createdAt: expect.any(Number) }
+			]);
+		});
+
+		it("should replay the events from an offset", async () => {
+			expect(await broker.call("my-events.events", { after: 1 })).toEqual([received[1]]);
+			expect(await broker.call("my-events.events", { limit: 1 })).toEqual([received[0]]);
+		});
+
+		it("should keep an unpublished event in the outbox & relay it", async () => {
+			const original = broker.broadcast;
+			const broadcast = jest.spyOn(broker, "broadcast").mockImplementation(function(event, ...args) {
+				if (event == "my-events.removed") return Promise.reject(new Error("Transporter is down"));
+				return original.call(this, event, ...args);
 			});
+
+			await broker.call("my-events.remove", { id });
+			expect(received.length).toBe(2);
+			expect(await service.relayEvents()).toBe(0);
+
+			broadcast.mockRestore();
+			expect(await service.relayEvents()).toBe(1);
+			expect(received[2]).toEqual(expect.objectContaining({ offset: 3, event: "my-events.removed", id }));
+			expect(await service.relayEvents()).toBe(0);
 		});
 
-		it("should broadcast a cache clear event", async () => {
-			const schema = DbMixin("my-collection");
+		it("should keep the event in the entity if the writer stops before the outbox", async () => {
+			const { _id } = await broker.call("my-events.create", { name: "second" });
+			received.length = 0;
 
-			const ctx = {
-				broadcast: jest.fn()
-			};
+			const recordEvent = jest.spyOn(service, "recordEvent").mockImplementationOnce(() => Promise.reject(new Error("Stopped")));
+			await expect(broker.call("my-events.update", { id: _id, name: "renamed" })).rejects.toThrow("Stopped");
+			recordEvent.mockRestore();
 
-			await schema.methods.entityChanged(null, null, ctx);
+			const doc = await service.adapter.findById(_id);
+			expect(doc.pendingEvents).toEqual([expect.objectContaining({ type: "updated", changes: ["name"] })]);
+			expect(await broker.call("my-events.get", { id: _id })).toEqual({ _id, name: "renamed", version: 2 });
 
-			expect(ctx.broadcast).toBeCalledTimes(1);
-			expect(ctx.broadcast).toBeCalledWith("cache.clean.my-collection");
+			await service.relayEvents();
+			expect(received).toEqual([expect.objectContaining({ event: "my-events.updated", id: _id, entity: { _id, name: "renamed", version: 2 }, changes: ["name"] })]);
+			expect(await service.adapter.findById(_id)).toEqual({ _id, name: "renamed", version: 2 });
+
+			await service.relayEvents();
+			expect(received.length).toBe(1);
+		});
+
+		it("should publish the removal of a stopped writer only if the entity is removed", async () => {
+			const kept = await broker.call("my-events.create", { name: "kept" });
+			const removed = await broker.call("my-events.create", { name: "removed" });
+			received.length = 0;
+
+			const last = (await broker.call("my-events.events", { limit: 1000 })).pop().offset;
+
+			// Stopped before the removal of the first one & after the removal of the second one
+			const removeMany = jest.spyOn(service.adapter, "removeMany").mockImplementation(() => Promise.reject(new Error("Stopped")));
+			await expect(broker.call("my-events.remove", { id: kept._id })).rejects.toThrow("Stopped");
+			await expect(broker.call("my-events.remove", { id: removed._id })).rejects.toThrow("Stopped");
+			removeMany.mockRestore();
+			await service.adapter.removeMany({ _id: removed._id });
+
+			// The replay waits for the check of the removals
+			expect(await broker.call("my-events.events", { after: last })).toEqual([]);
+
+			expect(await service.relayEvents()).toBe(1);
+			expect(received).toEqual([expect.objectContaining({ event: "my-events.removed", id: removed._id })]);
+			expect(await broker.call("my-events.events", { after: last })).toEqual(received);
+			expect(await broker.call("my-events.get", { id: kept._id })).toEqual(kept);
+		});
+
+		it("should not skip an offset stored out of order", async () => {
+			const outbox = await service.getCollection("my-events-outbox");
+			const last = (await broker.call("my-events.events", { limit: 1000 })).pop().offset;
+			service.settings.outbox.relayDelay = 60 * 1000;
+
+			// The first writer takes its offset, but the second one stores its record first
+			let store;
+			const recordEvent = jest.spyOn(service, "recordEvent").mockImplementationOnce(async event => {
+				const { value } = await outbox.updateById("offset", { $inc: { value: 1 } });
+				store = () => outbox.insert(Object.assign({ offset: value }, event, { createdAt: Date.now(), publishedAt: null }));
+				return null;
+			});
+			await broker.call("my-events.create", { name: "slow" });
+			recordEvent.mockRestore();
+			await broker.call("my-events.create", { name: "fast" });
+
+			expect(await broker.call("my-events.events", { after: last })).toEqual([]);
+			await store();
+			expect((await broker.call("my-events.events", { after: last })).map(event => event.offset)).toEqual([last + 1, last + 2]);
+
+			// The offset of a stopped writer is skipped after the relay delay
+			await outbox.updateById("offset", { $inc: { value: 1 } });
+			const { _id } = await broker.call("my-events.create", { name: "next" });
+			expect(await broker.call("my-events.events", { after: last + 2 })).toEqual([]);
+
+			await outbox.updateMany({ id: _id }, { $set: { createdAt: Date.now() - 60 * 1000 } });
+			expect((await broker.call("my-events.events", { after: last + 2 })).map(event => event.offset)).toEqual([last + 4]);
+
+			service.settings.outbox.relayDelay = 0;
+		});
+
+		it("should update the nested fields by dot notation", async () => {
+			service.settings.useDotNotation = true;
+			const { _id } = await broker.call("my-events.create", { name: "nested", address: { city: "Budapest", zip: "1011" } });
+
+			const res = await broker.call("my-events.update", { id: _id, address: { city: "Szeged" } });
+			service.settings.useDotNotation = false;
+
+			expect(res.address).toEqual({ city: "Szeged", zip: "1011" });
+			expect(received[received.length - 1].changes).toEqual(["address"]);
 		});
 	});
 
 });
-
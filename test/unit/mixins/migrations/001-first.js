@@ -0,0 +1,11 @@
+"use strict";
+
+module.exports = {
+	async up({ adapter }) {
+		await adapter.insert({ name: "first" });
+	},
+
+	async down({ adapter }) {
+		await adapter.removeMany({ name: "first" });
+	}
+};
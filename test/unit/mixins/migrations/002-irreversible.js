@@ -0,0 +1,7 @@
+"use strict";
+
+module.exports = {
+	async up({ adapter }) {
+		await adapter.updateMany({ name: "first" }, { $set: { migrated: true } });
+	}
+};
@@ -0,0 +1,42 @@
+"use strict";
+
+const { ServiceBroker } = require("moleculer");
+const { MoleculerClientError } = require("moleculer").Errors;
+const QuizMixin = require("../../../mixins/quiz.mixin");
+
+describe("Test Quiz mixin", () => {
+	const broker = new ServiceBroker({ logger: false });
+	const service = broker.createService({
+		name: "games",
+		mixins: [QuizMixin()]
+	});
+
+	const recordAnswer = jest.fn(ctx => {
+		if (ctx.params.id == "gone") throw new MoleculerClientError("Entity not found", 404, "NOT_FOUND");
+		return { rating: 1500 };
+	});
+	broker.createService({
+		name: "challenges",
+		actions: { recordAnswer }
+	});
+
+	const game = { language: "de", answerKey: [["der Hund"], ["klingen"]], itemKey: ["i1", "gone"] };
+
+	beforeAll(() => broker.start());
+	afterAll(() => broker.stop());
+
+	it("should accept an almost correct answer & reject a timed out one", () => {
+		expect(service.checkAnswer(game, 0, "Der Hund", false)).toEqual({ verdict: "correct", correct: true, diff: expect.any(Array) });
+		expect(service.checkAnswer(game, 0, "der Hunt", false)).toEqual(expect.objectContaining({ verdict: "almost", correct: true }));
+		expect(service.checkAnswer(game, 1, "klang", false)).toEqual(expect.objectContaining({ verdict: "wrong", correct: false }));
+		expect(service.checkAnswer(game, 1, "klingen", true)).toEqual(expect.objectContaining({ verdict: "wrong", correct: false }));
+	});
+
+	it("should update the ratings by the item key without failing the answer", async () => {
+		await service.recordAnswerRating(broker, game, 0, true);
+		await expect(service.recordAnswerRating(broker, game, 1, false)).resolves.toBeUndefined();
+
+		expect(recordAnswer.mock.calls.map(([ctx]) => ctx.params)).toEqual([{ id: "i1", correct: true }, { id: "gone", correct: false }]);
+	});
+
+});
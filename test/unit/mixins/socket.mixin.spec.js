@@ -0,0 +1,126 @@
+"use strict";
+
+const WebSocket = require("ws");
+const { ServiceBroker } = require("moleculer");
+const { MoleculerClientError } = require("moleculer").Errors;
+const ApiGateway = require("moleculer-web");
+const SocketMixin = require("../../../mixins/socket.mixin");
+
+/**
+ * Connect a client & queue its messages.
+ */
+function connect(port, token) {
+	return new Promise((resolve, reject) => {
+		const ws = new WebSocket(`ws://127.0.0.1:${port}/ws${token ? `?token=${token}` : ""}`);
+		const messages = [];
+		const waiting = [];
+		ws.on("message", data => {
+			const msg = JSON.parse(data);
+			if (waiting.length > 0) waiting.shift()(msg);
+			else messages.push(msg);
+		});
+		ws.next = () => messages.length > 0 ? Promise.resolve(messages.shift()) : new Promise(resolve => waiting.push(resolve));
+		ws.request = msg => {
+			ws.send(JSON.stringify(msg));
+			return ws.next();
+		};
+		ws.on("open", () => resolve(ws));
+		ws.on("error", reject);
+	});
+}
+
+describe("Test Socket mixin", () => {
+	// The gateway & the emitting service run on different nodes
+	const transporter = "Fake";
+	const apiBroker = new ServiceBroker({ logger: false, nodeID: "api-node", namespace: "socket-test", transporter });
+	const gameBroker = new ServiceBroker({ logger: false, nodeID: "game-node", namespace: "socket-test", transporter });
+
+	const service = apiBroker.createService({
+		name: "api",
+		mixins: [ApiGateway, SocketMixin({
+			topics: {
+				game: {
+					events: ["games.moved"],
+					ids: event => [event.game],
+					authorize(ctx, id) {
+						if (id == "secret" && ctx.meta.user._id != "u1") {
+							throw new MoleculerClientError("Forbidden", 403, "FORBIDDEN_TOPIC");
+						}
+					}
+				}
+			}
+		})],
+		settings: { port: 0, routes: [] }
+	});
+	gameBroker.createService({
+		name: "accounts",
+		actions: {
+			resolveToken: ctx => ({ adam: { _id: "u1" }, eve: { _id: "u2" } })[ctx.params.token] || null
+		}
+	});
+
+	let port;
+	const clients = [];
+	const open = async token => {
+		const ws = await connect(port, token);
+		clients.push(ws);
+		return ws;
+	};
+	const move = (game, move) => gameBroker.broadcast("games.moved", { game, move });
+
+	beforeAll(async () => {
+		await Promise.all([apiBroker.start(), gameBroker.start()]);
+		await Promise.all([apiBroker.waitForServices("accounts"), gameBroker.waitForServices("api")]);
+		port = service.server.address().port;
+	});
+	afterAll(async () => {
+		clients.forEach(ws => ws.terminate());
+		await Promise.all([apiBroker.stop(), gameBroker.stop()]);
+	});
+
+	it("should reject the connections without valid token", async () => {
+		await expect(connect(port)).rejects.toThrow("Unexpected server response: 401");
+		await expect(connect(port, "invalid")).rejects.toThrow("Unexpected server response: 401");
+	});
+
+	it("should push the events of the subscribed topics from other nodes", async () => {
+		const ws = await open("adam");
+		expect(await ws.request({ type: "subscribe", topic: "game:g1" })).toEqual({ type: "subscribed", topic: "game:g1", cursor: expect.stringMatching(/\.0$/) });
+
+		move("g2", "e4");
+		move("g1", "d4");
+		expect(await ws.next()).toEqual({ type: "event", topic: "game:g1", cursor: expect.stringMatching(/\.1$/), event: "games.moved", data: { game: "g1", move: "d4" } });
+
+		expect(await ws.request({ type: "unsubscribe", topic: "game:g1" })).toEqual({ type: "unsubscribed", topic: "game:g1" });
+		move("g1", "c4");
+		expect(await ws.request({ type: "ping" })).toEqual({ type: "pong" });
+	});
+
+	it("should authorize the subscriptions by the user of the connection", async () => {
+		const ws = await open("eve");
+		expect(await ws.request({ type: "subscribe", topic: "game:secret" })).toEqual({ type: "error", code: 403, message: "Forbidden", topic: "game:secret" });
+		expect(await ws.request({ type: "subscribe", topic: "chess:g1" })).toEqual({ type: "error", code: 404, message: "Unknown topic", topic: "chess:g1" });
+		expect(await ws.request({ type: "dance" })).toEqual({ type: "error", code: 400, message: "Unknown message type" });
+	});
+
+	it("should resume the missed messages after reconnecting", async () => {
+		let ws = await open("adam");
+		await ws.request({ type: "subscribe", topic: "game:g3" });
+		move("g3", "e4");
+		const { cursor } = await ws.next();
+		ws.close();
+
+		move("g3", "e5");
+		move("g3", "Nf3");
+
+		ws = await open("adam");
+		await ws.request({ type: "subscribe", topic: "game:g3", after: cursor });
+		expect((await ws.next()).data.move).toBe("e5");
+		expect((await ws.next()).data.move).toBe("Nf3");
+
+		// The cursor of another node or of a restarted one
+		expect(await ws.request({ type: "subscribe", topic: "game:g3", after: "other-node.2" })).toEqual(expect.objectContaining({ type: "subscribed" }));
+		expect(await ws.next()).toEqual({ type: "reset", topic: "game:g3" });
+	});
+
+});
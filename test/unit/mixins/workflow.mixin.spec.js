@@ -0,0 +1,127 @@
+"use strict";
+
+const { ServiceBroker } = require("moleculer");
+const DbMixin = require("../../../mixins/db.mixin");
+const WorkflowMixin = require("../../../mixins/workflow.mixin");
+
+describe("Test Workflow mixin", () => {
+
+	it("check schema properties", async () => {
+		const schema = WorkflowMixin("my-collection", { permissions: ["a.write"], reviewPermissions: ["a.review"], readPermissions: ["a.read"] });
+
+		expect(Object.keys(schema.actions)).toEqual(["submit", "publish", "reject", "archive", "revisions", "getRevision"]);
+		expect(schema.actions.publish.permissions).toEqual(["a.review"]);
+		expect(schema.methods._create).toBeInstanceOf(Function);
+		expect(schema.methods._update).toBeInstanceOf(Function);
+	});
+
+	describe("Test content workflow", () => {
+		const broker = new ServiceBroker({ logger: false });
+		const received = [];
+		broker.createService({
+			name: "listener",
+			events: {
+				"my-articles.*"(ctx) {
+					received.push(ctx.params.type);
+				}
+			}
+		});
+		broker.createService({
+			name: "my-articles",
+			mixins: [WorkflowMixin("my-articles", {}), DbMixin("my-articles")],
+			settings: {
+				outbox: { relayDelay: 0 },
+				workflow: { fields: ["title", "body"] },
+				entityValidator: {
+					title: "string|min:1",
+					body: "string"
+				}
+			}
+		});
+
+		const editor = { meta: { user: { _id: "e1" } } };
+		const reviewer = { meta: { user: { _id: "r1" } } };
+		const flush = () => new Promise(resolve => setTimeout(resolve, 20));
+
+		beforeAll(() => broker.start());
+		afterAll(() => broker.stop());
+
+		let id;
+
+		it("should create a draft with its first revision", async () => {
+			const created = await broker.call("my-articles.create", { title: "Hello", body: "First" }, editor);
+			id = created._id;
+
+			expect(created).toEqual(expect.objectContaining({ title: "Hello", body: "First", status: "draft", live: false, revision: null, latestRevision: 1 }));
+			expect(await broker.call("my-articles.revisions", { id })).toEqual([expect.objectContaining({
+				revision: 1,
+				status: "draft",
+				live: false,
+				author: "e1",
+				diff: [{ field: "title", from: null, to: "Hello" }, { field: "body", from: null, to: "First" }]
+			})]);
+		});
+
+		it("should change the draft in place & validate it", async () => {
+			const updated = await broker.call("my-articles.update", { id, body: "Second" }, editor);
+
+			expect(updated).toEqual(expect.objectContaining({ body: "Second", status: "draft", latestRevision: 1 }));
+			await expect(broker.call("my-articles.update", { id, title: "" }, editor)).rejects.toThrow("Entity validation error!");
+			expect((await broker.call("my-articles.getRevision", { id, revision: 1 })).data).toEqual({ title: "Hello", body: "Second" });
+		});
+
+		it("should send back a rejected draft & publish the approved one", async () => {
+			await broker.call("my-articles.submit", { id }, editor);
+			await expect(broker.call("my-articles.update", { id, body: "Third" }, editor)).rejects.toThrow("The 'update' action is not allowed in the 'review' status!");
+			await expect(broker.call("my-articles.publish", { id, version: 1 }, reviewer)).rejects.toThrow("The entity has been changed in the meantime!");
+			await expect(broker.call("my-articles.publish", { id }, editor)).rejects.toThrow("The revision can't be reviewed by its author!");
+			await expect(broker.call("my-articles.reject", { id }, editor)).rejects.toMatchObject({ code: 403, type: "SELF_REVIEW" });
+
+			const rejected = await broker.call("my-articles.reject", { id, comment: "Too short" }, reviewer);
+			expect(rejected.status).toBe("draft");
+			await expect(broker.call("my-articles.publish", { id }, reviewer)).rejects.toThrow("The 'publish' action is not allowed in the 'draft' status!");
+
+			await broker.call("my-articles.submit", { id }, editor);
+			const published = await broker.call("my-articles.publish", { id }, reviewer);
+			expect(published).toEqual(expect.objectContaining({ body: "Second", status: "published", live: true, revision: 1, publishedAt: expect.any(Number) }));
+			expect(await broker.call("my-articles.getRevision", { id, revision: 1 })).toEqual(expect.objectContaining({
+				status: "published",
+				live: true,
+				reviewer: "r1",
+				comment: "Too short"
+			}));
+		});
+
+		it("should start a new draft from a published entity & keep the live content", async () => {
+			const updated = await broker.call("my-articles.update", { id, title: "Hello world" }, editor);
+			expect(updated).toEqual(expect.objectContaining({ title: "Hello", body: "Second", status: "draft", live: true, revision: 1, latestRevision: 2 }));
+
+			await broker.call("my-articles.update", { id, body: "Third" }, editor);
+			expect((await broker.call("my-articles.getRevision", { id, revision: 1 })).data).toEqual({ title: "Hello", body: "Second" });
+			expect(await broker.call("my-articles.getRevision", { id, revision: 2 })).toEqual(expect.objectContaining({
+				status: "draft",
+				data: { title: "Hello world", body: "Third" },
+				diff: [{ field: "title", from: "Hello", to: "Hello world" }, { field: "body", from: "Second", to: "Third" }]
+			}));
+
+			await broker.call("my-articles.submit", { id }, editor);
+			const published = await broker.call("my-articles.publish", { id }, reviewer);
+			expect(published).toEqual(expect.objectContaining({ title: "Hello world", body: "Third", revision: 2, latestRevision: 2 }));
+			expect((await broker.call("my-articles.revisions", { id })).map(item => [item.revision, item.status, item.live])).toEqual([[1, "published", false], [2, "published", true]]);
+		});
+
+		it("should archive an entity", async () => {
+			const archived = await broker.call("my-articles.archive", { id }, reviewer);
+
+			expect(archived).toEqual(expect.objectContaining({ status: "archived", live: false, revision: 2 }));
+			await expect(broker.call("my-articles.update", { id, body: "Fourth" }, editor)).rejects.toThrow("The 'update' action is not allowed in the 'archived' status!");
+			await expect(broker.call("my-articles.getRevision", { id, revision: 3 })).rejects.toThrow("Entity not found");
+		});
+
+		it("should publish the domain events of the transitions", async () => {
+			await flush();
+			expect(received.filter(type => type != "updated")).toEqual(["created", "submitted", "rejected", "submitted", "published", "submitted", "published", "archived"]);
+		});
+	});
+
+});
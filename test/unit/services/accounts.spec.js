@@ -0,0 +1,206 @@
+"use strict";
+
+const { ServiceBroker } = require("moleculer");
+const { ValidationError, MoleculerClientError } = require("moleculer").Errors;
+const TestService = require("../../../services/accounts.service");
+const EmailMigration = require("../../../migrations/accounts/002-normalize-emails");
+
+describe("Test 'accounts' service", () => {
+	const broker = new ServiceBroker({ logger: false });
+	const service = broker.createService(TestService);
+
+	beforeAll(() => broker.start());
+	afterAll(() => broker.stop());
+
+	const account = {
+		username: "adam",
+		email: "adam@alphabox.io",
+		password: "secret-pass"
+	};
+	let tokens;
+
+	describe("Test 'accounts.register' action", () => {
+
+		it("should create the account without password", async () => {
+			const res = await broker.call("accounts.register", account);
+			expect(res).toEqual({
+				_id: expect.any(String),
+				username: "adam",
+				email: "adam@alphabox.io",
+				roles: ["learner"],
+				createdAt: expect.any(Number)
+			});
+
+			const doc = await service.adapter.findById(res._id);
+			expect(doc.password).toMatch(/^scrypt\$[0-9a-f]+\$[0-9a-f]+$/);
+			expect(doc.password).not.toContain("secret-pass");
+		});
+
+		it("should reject a taken username", async () => {
+			expect.assertions(2);
+			try {
+				await broker.call("accounts.register", Object.assign({}, account, { email: "other@alphabox.io" }));
+			} catch(err) {
+				expect(err).toBeInstanceOf(MoleculerClientError);
+				expect(err.type).toBe("USERNAME_EXISTS");
+			}
+		});
+
+		it("should register the same username only once concurrently", async () => {
+			const results = await Promise.allSettled([
+				broker.call("accounts.register", { username: "eve", email: "eve@alphabox.io", password: "secret-pass" }),
+				broker.call("accounts.register", { username: "eve", email: "eve2@alphabox.io", password: "secret-pass" })
+			]);
+
+			expect(results.map(res => res.status).sort()).toEqual(["fulfilled", "rejected"]);
+			expect(results.find(res => res.status == "rejected").reason.type).toBe("USERNAME_EXISTS");
+			expect(await service.adapter.count({ query: { username: "eve" } })).toBe(1);
+		});
+
+		it("should reject an email registered in another case", async () => {
+			const err = await broker.call("accounts.register", { username: "adam2", email: " Adam@AlphaBox.io", password: "secret-pass" }).catch(err => err);
+			expect(err.type).toBe("EMAIL_EXISTS");
+
+			const res = await broker.call("accounts.register", { username: "bob", email: "Bob@AlphaBox.io ", password: "secret-pass" });
+			expect(res.email).toBe("bob@alphabox.io");
+		});
+
+		it("should reject a short password", async () => {
+			expect.assertions(1);
+			try {
+				await broker.call("accounts.register", { username: "eve", email: "eve@alphabox.io", password: "123" });
+			} catch(err) {
+				expect(err).toBeInstanceOf(ValidationError);
+			}
+		});
+
+	});
+
+	describe("Test 'accounts.login' & 'accounts.resolveToken' actions", () => {
+
+		it("should reject a wrong password", async () => {
+			expect.assertions(1);
+			try {
+				await broker.call("accounts.login", { username: "adam", password: "wrong-pass" });
+			} catch(err) {
+				expect(err.type).toBe("INVALID_CREDENTIALS");
+			}
+		});
+
+		it("should login by email", async () => {
+			await expect(broker.call("accounts.login", { username: "ADAM@alphabox.io", password: "secret-pass" })).resolves.toEqual(expect.objectContaining({ accessToken: expect.any(String) }));
+
+			tokens = await broker.call("accounts.login", { username: "adam@alphabox.io", password: "secret-pass" });
+			expect(tokens).toEqual({
+				accessToken: expect.any(String),
+				refreshToken: expect.any(String),
+				expiresIn: 900
+			});
+		});
+
+		it("should get the same login key by the username & the email", async () => {
+			const { _id } = await service.adapter.findOne({ username: "adam" });
+			expect(await broker.call("accounts.loginKey", { username: "adam" })).toBe(`account:${_id}`);
+			expect(await broker.call("accounts.loginKey", { username: " Adam@AlphaBox.io" })).toBe(`account:${_id}`);
+			expect(await broker.call("accounts.loginKey", { username: " Nobody " })).toBe("login:nobody");
+		});
+
+		it("should resolve the user by the access token", async () => {
+			const user = await broker.call("accounts.resolveToken", { token: tokens.accessToken });
+			expect(user).toEqual({
+				_id: expect.any(String),
+				username: "adam",
+				roles: ["learner"],
+				sid: expect.any(String)
+			});
+		});
+
+		it("should not resolve by a refresh token or a forged token", async () => {
+			expect(await broker.call("accounts.resolveToken", { token: tokens.refreshToken })).toBeNull();
+			expect(await broker.call("accounts.resolveToken", { token: tokens.accessToken + "x" })).toBeNull();
+		});
+
+	});
+
+	describe("Test 'accounts.refresh' action", () => {
+
+		it("should rotate the tokens", async () => {
+			const res = await broker.call("accounts.refresh", { refreshToken: tokens.refreshToken });
+			expect(res.accessToken).toEqual(expect.any(String));
+
+			// The old session is closed
+			expect(await broker.call("accounts.resolveToken", { token: tokens.accessToken })).toBeNull();
+			expect(await broker.call("accounts.resolveToken", { token: res.accessToken })).not.toBeNull();
+
+			await expect(broker.call("accounts.refresh", { refreshToken: tokens.refreshToken })).rejects.toThrow("Invalid refresh token!");
+
+			tokens = res;
+		});
+
+	});
+
+	describe("Test 'accounts.logout' & 'accounts.changePassword' actions", () => {
+
+		it("should revoke only the current session on logout", async () => {
+			const other = await broker.call("accounts.login", { username: "adam", password: "secret-pass" });
+			const user = await broker.call("accounts.resolveToken", { token: tokens.accessToken });
+
+			await broker.call("accounts.logout", {}, { meta: { user } });
+
+			expect(await broker.call("accounts.resolveToken", { token: tokens.accessToken })).toBeNull();
+			expect(await broker.call("accounts.resolveToken", { token: other.accessToken })).not.toBeNull();
+
+			tokens = other;
+		});
+
+		it("should revoke all sessions on password change", async () => {
+			const user = await broker.call("accounts.resolveToken", { token: tokens.accessToken });
+
+			await broker.call("accounts.changePassword", { oldPassword: "secret-pass", newPassword: "new-secret-pass" }, { meta: { user } });
+
+			expect(await broker.call("accounts.resolveToken", { token: tokens.accessToken })).toBeNull();
+			await expect(broker.call("accounts.login", { username: "adam", password: "secret-pass" })).rejects.toThrow("Invalid username or password!");
+			await expect(broker.call("accounts.login", { username: "adam", password: "new-secret-pass" })).resolves.toBeDefined();
+		});
+
+	});
+
+	describe("Test 'accounts.setRoles' action", () => {
+
+		it("should change the roles of the account", async () => {
+			const { _id } = await service.adapter.findOne({ username: "adam" });
+			const res = await broker.call("accounts.setRoles", { id: _id, roles: ["learner", "teacher"] });
+			expect(res.roles).toEqual(["learner", "teacher"]);
+		});
+
+		it("should reject an unknown role", async () => {
+			const { _id } = await service.adapter.findOne({ username: "adam" });
+			await expect(broker.call("accounts.setRoles", { id: _id, roles: ["superuser"] })).rejects.toBeInstanceOf(ValidationError);
+		});
+
+	});
+
+	describe("Test the migrations", () => {
+
+		it("should normalize the stored emails & keep the duplicates", async () => {
+			const carol = await service.adapter.insert({ username: "carol", email: " Carol@AlphaBox.io", roles: ["learner"], sessions: [] });
+			const twin = await service.adapter.insert({ username: "adam-twin", email: "ADAM@alphabox.io", roles: ["learner"], sessions: [] });
+
+			await EmailMigration.up({ service, adapter: service.adapter });
+
+			expect((await service.adapter.findById(carol._id)).email).toBe("carol@alphabox.io");
+			expect((await service.adapter.findById(twin._id)).email).toBe("ADAM@alphabox.io");
+		});
+
+	});
+
+	describe("Test the configuration", () => {
+
+		it("should not start without the secret of the tokens", () => {
+			const other = new ServiceBroker({ logger: false });
+			expect(() => other.createService(TestService, { settings: { jwtSecret: null } })).toThrow("The JWT_SECRET environment variable is required to sign the tokens!");
+		});
+
+	});
+
+});
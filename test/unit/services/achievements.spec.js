@@ -0,0 +1,112 @@
+"use strict";
+
+const { ServiceBroker } = require("moleculer");
+const AuthorizationMiddleware = require("../../../middlewares/authorization.middleware");
+const TestService = require("../../../services/achievements.service");
+const LearnersService = require("../../../services/learners.service");
+
+describe("Test 'achievements' service", () => {
+	const broker = new ServiceBroker({ logger: false, middlewares: [AuthorizationMiddleware] });
+	const service = broker.createService(TestService);
+	broker.createService(LearnersService);
+
+	const awarded = jest.fn();
+	broker.createService({ name: "listener", events: { "achievements.awarded": ctx => awarded(ctx.params) } });
+
+	// 2026-01-11 03:00 UTC is still 2026-01-10 in New York
+	const now = Date.UTC(2026, 0, 11, 3);
+	const DAY = 24 * 60 * 60 * 1000;
+	const adam = { _id: "u1", username: "adam", roles: ["learner"] };
+	const eve = { _id: "u2", username: "eve", roles: ["learner"] };
+	const teacher = { _id: "t1", roles: ["teacher"] };
+	const admin = { _id: "a1", roles: ["admin"] };
+
+	const flush = () => new Promise(resolve => setTimeout(resolve, 20));
+	const complete = (id, finishedAt, xp, verdicts = ["correct", "almost"]) => broker.broadcast("sessions.completed", {
+		type: "completed",
+		id,
+		entity: { _id: id, user: "u1", xp, correctCount: 2, questions: verdicts.map(verdict => ({ verdict })), finishedAt }
+	});
+	const review = (id, item, version, interval) => broker.broadcast("reviews.updated", {
+		type: "updated",
+		id,
+		entity: { _id: id, user: "u1", item, version, interval, lastGrade: 5, reviewedAt: now }
+	});
+
+	beforeAll(async () => {
+		await broker.start();
+		jest.spyOn(Date, "now").mockImplementation(() => now);
+		await broker.call("learners.updateMe", { nativeLanguage: "en", targetLanguages: ["de"], timezone: "America/New_York" }, { meta: { user: adam } });
+	});
+	afterAll(async () => {
+		Date.now.mockRestore();
+		await broker.stop();
+	});
+
+	describe("Test recording the activities", () => {
+
+		it("should update the stats, the streak & the badges by the sessions", async () => {
+			complete("s1", now - DAY, 30);
+			await flush();
+			complete("s2", now, 40, ["correct", "correct"]);
+			// Redelivered
+			complete("s2", now, 40, ["correct", "correct"]);
+			await flush();
+
+			const res = await broker.call("achievements.me", {}, { meta: { user: adam } });
+			expect(res).toEqual(expect.objectContaining({
+				user: "u1",
+				stats: { sessions: 2, xp: 70, perfectSessions: 1, reviews: 0, mastered: 0 },
+				streak: { current: 2, longest: 2, lastDate: "2026-01-10", freezes: 0 },
+				badges: [{ id: "first-session", name: "First steps", description: "Complete a game session", awardedAt: now - DAY }]
+			}));
+			expect(res.locked).toContainEqual({ id: "xp-1000", name: "Rising star", description: "Earn 1000 XP", current: 70, threshold: 1000, progress: 0.07 });
+			expect(res.locked).toContainEqual(expect.objectContaining({ id: "streak-7", current: 2, progress: 2 / 7 }));
+
+			expect(awarded).toBeCalledTimes(1);
+			expect(awarded.mock.calls[0][0]).toEqual(expect.objectContaining({ type: "awarded", changes: ["badges"] }));
+		});
+
+		it("should count a mastered word once", async () => {
+			review("c1", "w1", 5, 25);
+			await flush();
+			review("c1", "w1", 6, 60);
+			review("c2", "w2", 3, 6);
+			await flush();
+
+			const res = await broker.call("achievements.me", {}, { meta: { user: adam } });
+			expect(res.stats).toEqual(expect.objectContaining({ reviews: 3, mastered: 1 }));
+		});
+
+		it("should grant the freezes once by reference", async () => {
+			const res = await broker.call("achievements.grantFreezes", { user: "u1", count: 1, reference: "order-1" });
+			expect(res.streak.freezes).toBe(1);
+			await expect(broker.call("achievements.grantFreezes", { user: "u1", count: 1, reference: "order-1" })).rejects.toThrow("The freezes are already granted!");
+		});
+
+	});
+
+	describe("Test reading & re-evaluating the achievements", () => {
+
+		it("should allow reading the achievements of others only for the teachers", async () => {
+			expect(await broker.call("achievements.getByUser", { user: "u1" }, { meta: { user: teacher } })).toEqual(expect.objectContaining({ user: "u1" }));
+			await expect(broker.call("achievements.getByUser", { user: "u1" }, { meta: { user: eve } })).rejects.toThrow("Forbidden, missing permission: progress.read");
+			await expect(broker.call("achievements.me", {}, { meta: { user: eve } })).rejects.toThrow("Entity not found");
+		});
+
+		it("should award a new badge by the history", async () => {
+			service.settings.badges.push({ id: "xp-50", name: "Warming up", description: "Earn 50 XP", metric: "xp", threshold: 50 });
+
+			await expect(broker.call("achievements.reevaluate", {}, { meta: { user: adam } })).rejects.toThrow("Forbidden, missing permission: achievements.write");
+			expect(await broker.call("achievements.reevaluate", {}, { meta: { user: admin } })).toEqual({ learners: 1, awarded: 1 });
+			expect(await broker.call("achievements.reevaluate", {}, { meta: { user: admin } })).toEqual({ learners: 1, awarded: 0 });
+
+			const res = await broker.call("achievements.me", {}, { meta: { user: adam } });
+			expect(res.badges.map(badge => [badge.id, badge.awardedAt])).toEqual([["first-session", now - DAY], ["xp-50", now]]);
+			expect(res.stats).toEqual({ sessions: 2, xp: 70, perfectSessions: 1, reviews: 3, mastered: 1 });
+			expect(res.streak).toEqual({ current: 2, longest: 2, lastDate: "2026-01-10", freezes: 1 });
+		});
+
+	});
+
+});
@@ -0,0 +1,197 @@
+"use strict";
+
+const { ServiceBroker } = require("moleculer");
+const { ValidationError } = require("moleculer").Errors;
+const AuthorizationMiddleware = require("../../../middlewares/authorization.middleware");
+const TestService = require("../../../services/analytics.service");
+const LearnersService = require("../../../services/learners.service");
+
+describe("Test 'analytics' service", () => {
+	const broker = new ServiceBroker({ logger: false, middlewares: [AuthorizationMiddleware] });
+	const service = broker.createService(TestService);
+	broker.createService(LearnersService);
+
+	// 2026-01-11 03:00 UTC is still 2026-01-10 in New York
+	const now = Date.UTC(2026, 0, 11, 3);
+	const DAY = 24 * 60 * 60 * 1000;
+	const adam = { _id: "u1", username: "adam", roles: ["learner"] };
+	const eve = { _id: "u2", username: "eve", roles: ["learner"] };
+	const teacher = { _id: "t1", roles: ["teacher"] };
+	const admin = { _id: "a1", roles: ["admin"] };
+
+	const flush = () => new Promise(resolve => setTimeout(resolve, 20));
+	const complete = (id, finishedAt, results) => broker.broadcast("sessions.completed", {
+		type: "completed",
+		id,
+		entity: {
+			_id: id,
+			user: "u1",
+			skill: "vocabulary",
+			startedAt: finishedAt - results.length * 10000,
+			questions: results.map((correct, i) => ({ correct, answeredAt: finishedAt - (results.length - i - 1) * 10000 })),
+			finishedAt
+		}
+	});
+	const review = (id, item, version, interval) => broker.broadcast("reviews.updated", {
+		type: "updated",
+		id,
+		entity: { _id: id, user: "u1", item, version, interval, reviewedAt: now }
+	});
+	const rate = (attempts, rating) => broker.broadcast("challenges.rated", {
+		type: "rated",
+		id: "r1",
+		entity: { _id: "r1", user: "u1", language: "de", skill: "vocabulary", rating, deviation: 120, attempts, ratedAt: now }
+	});
+
+	beforeAll(async () => {
+		await broker.start();
+		jest.spyOn(Date, "now").mockImplementation(() => now);
+		await broker.call("learners.updateMe", { nativeLanguage: "en", targetLanguages: ["de"], timezone: "America/New_York" }, { meta: { user: adam } });
+	});
+	afterAll(async () => {
+		Date.now.mockRestore();
+		await broker.stop();
+	});
+
+	describe("Test recording the activities", () => {
+
+		it("should aggregate the sessions by the learner's days", async () => {
+			complete("s1", now - DAY, [true, false]);
+			complete("s2", now, [true, true, true, false]);
+			// Redelivered
+			complete("s2", now, [true, true, true, false]);
+			await flush();
+
+			const res = await broker.call("analytics.me", { metric: "accuracy", from: "2026-01-08" }, { meta: { user: adam } });
+			expect(res).toEqual({
+				user: "u1",
+				metric: "accuracy",
+				bucket: "day",
+				from: "2026-01-08",
+				to: "2026-01-10",
+				points: [
+					{ period: "2026-01-08", answered: 0, correct: 0, accuracy: null, skills: {} },
+					{ period: "2026-01-09", answered: 2, correct: 1, accuracy: 0.5, skills: { vocabulary: { answered: 2, correct: 1, accuracy: 0.5 } } },
+					{ period: "2026-01-10", answered: 4, correct: 3, accuracy: 0.75, skills: { vocabulary: { answered: 4, correct: 3, accuracy: 0.75 } } }
+				]
+			});
+
+			const time = await broker.call("analytics.me", { metric: "time", bucket: "week", from: "2026-01-05" }, { meta: { user: adam } });
+			expect(time.points).toEqual([{ period: "2026-W02", timeSpent: 60 }]);
+		});
+
+		it("should count the seen & the mastered words once", async () => {
+			review("c1", "w1", 1, 1);
+			await flush();
+			review("c1", "w1", 5, 25);
+			review("c2", "w2", 1, 1);
+			await flush();
+			review("c1", "w1", 6, 60);
+			// Redelivered
+			review("c1", "w1", 6, 60);
+			await flush();
+
+			const res = await broker.call("analytics.me", { metric: "words", from: "2026-01-10" }, { meta: { user: adam } });
+			expect(res.points).toEqual([{ period: "2026-01-10", seen: 2, mastered: 1, totalSeen: 2, totalMastered: 1 }]);
+		});
+
+		it("should apply a redelivered event once if the update of its day failed", async () => {
+			jest.spyOn(service, "conditionalUpdate").mockRejectedValueOnce(new Error("Connection lost"));
+			review("c3", "w3", 1, 1);
+			await flush();
+			expect(service.conditionalUpdate).toBeCalledTimes(1);
+			service.conditionalUpdate.mockRestore();
+
+			// Redelivered after the failure, then once more
+			review("c3", "w3", 1, 1);
+			await flush();
+			review("c3", "w3", 1, 1);
+			await flush();
+
+			const res = await broker.call("analytics.me", { metric: "words", from: "2026-01-10" }, { meta: { user: adam } });
+			expect(res.points).toEqual([{ period: "2026-01-10", seen: 3, mastered: 1, totalSeen: 3, totalMastered: 1 }]);
+		});
+
+		it("should keep the last rating of the day", async () => {
+			rate(2, 1540);
+			rate(1, 1520);
+			await flush();
+
+			const res = await broker.call("analytics.me", { metric: "rating", bucket: "month", from: "2026-01-01" }, { meta: { user: adam } });
+			expect(res.points).toEqual([{ period: "2026-01", ratings: { "de:vocabulary": { rating: 1540, deviation: 120 } } }]);
+		});
+	});
+
+	describe("Test reading the series", () => {
+
+		it("should allow a teacher to read the series of a learner", async () => {
+			const res = await broker.call("analytics.getByUser", { user: "u1", metric: "time", from: "2026-01-10" }, { meta: { user: teacher } });
+			expect(res.points).toEqual([{ period: "2026-01-10", timeSpent: 40 }]);
+		});
+
+		it("should allow a learner to read only their own series", async () => {
+			await expect(broker.call("analytics.getByUser", { user: "u1", metric: "time" }, { meta: { user: adam } })).resolves.toEqual(expect.objectContaining({ user: "u1" }));
+			await expect(broker.call("analytics.getByUser", { user: "u1", metric: "time" }, { meta: { user: eve } })).rejects.toThrow("Forbidden, missing permission: progress.read");
+		});
+
+		it("should return an empty series without activities", async () => {
+			const res = await broker.call("analytics.me", { metric: "words", to: "2026-01-02", from: "2026-01-01" }, { meta: { user: eve } });
+			expect(res.points).toEqual([
+				{ period: "2026-01-01", seen: 0, mastered: 0, totalSeen: 0, totalMastered: 0 },
+				{ period: "2026-01-02", seen: 0, mastered: 0, totalSeen: 0, totalMastered: 0 }
+			]);
+		});
+
+		it("should reject an invalid range", async () => {
+			await expect(broker.call("analytics.me", { metric: "time", from: "2026-01-10", to: "2026-01-01" }, { meta: { user: adam } })).rejects.toThrow(expect.objectContaining({ code: 422, type: "INVALID_RANGE" }));
+			await expect(broker.call("analytics.me", { metric: "time", from: "2024-01-01" }, { meta: { user: adam } })).rejects.toThrow(expect.objectContaining({ data: { from: "2024-01-01", to: "2026-01-10", maxDays: 366 } }));
+			await expect(broker.call("analytics.me", { metric: "streak" }, { meta: { user: adam } })).rejects.toBeInstanceOf(ValidationError);
+		});
+	});
+
+	describe("Test rebuilding the aggregates", () => {
+
+		it("should allow only an admin to rebuild", async () => {
+			await expect(broker.call("analytics.rebuild", {}, { meta: { user: teacher } })).rejects.toThrow("Forbidden, missing permission: analytics.write");
+		});
+
+		it("should rebuild the same aggregates by the events", async () => {
+			const params = { from: "2026-01-01", to: "2026-01-10" };
+			const before = await Promise.all(["accuracy", "words", "time", "rating"].map(metric => broker.call("analytics.me", Object.assign({ metric }, params), { meta: { user: adam } })));
+
+			await expect(broker.call("analytics.rebuild", {}, { meta: { user: admin } })).resolves.toEqual({ learners: 1, days: 2 });
+
+			const after = await Promise.all(["accuracy", "words", "time", "rating"].map(metric => broker.call("analytics.me", Object.assign({ metric }, params), { meta: { user: adam } })));
+			expect(after).toEqual(before);
+		});
+
+		it("should keep the days readable during the rebuild", async () => {
+			const counts = [];
+			const updateById = service.adapter.updateById.bind(service.adapter);
+			jest.spyOn(service.adapter, "updateById").mockImplementation(async (id, update) => {
+				counts.push(await service.adapter.count({ query: { user: "u1" } }));
+				return updateById(id, update);
+			});
+
+			await expect(broker.call("analytics.rebuild", { user: "u1" }, { meta: { user: admin } })).resolves.toEqual({ learners: 1, days: 2 });
+			service.adapter.updateById.mockRestore();
+
+			expect(counts).toEqual([2, 2]);
+		});
+
+		it("should recalculate the days by the current time zone", async () => {
+			await broker.call("learners.updateMe", { timezone: "Europe/Budapest" }, { meta: { user: adam } });
+			await expect(broker.call("analytics.rebuild", { user: "u1" }, { meta: { user: admin } })).resolves.toEqual({ learners: 1, days: 2 });
+
+			const res = await broker.call("analytics.me", { metric: "accuracy", from: "2026-01-10" }, { meta: { user: adam } });
+			expect(res.to).toBe("2026-01-11");
+			expect(res.points.map(point => [point.period, point.answered])).toEqual([["2026-01-10", 2], ["2026-01-11", 4]]);
+
+			// The rebuilt days keep the applied events
+			complete("s2", now, [true, true, true, false]);
+			await flush();
+			const again = await broker.call("analytics.me", { metric: "accuracy", from: "2026-01-10" }, { meta: { user: adam } });
+			expect(again.points).toEqual(res.points);
+		});
+	});
+});
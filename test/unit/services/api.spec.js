@@ -0,0 +1,309 @@
+"use strict";
+
+const http = require("http");
+const { ServiceBroker, Context } = require("moleculer");
+const ApiGateway = require("moleculer-web");
+const { ValidationError } = require("moleculer").Errors;
+const TestService = require("../../../services/api.service");
+const GreeterService = require("../../../services/greeter.service");
+
+describe("Test 'api' service", () => {
+	const broker = new ServiceBroker({ logger: false });
+	const service = broker.createService(TestService, { settings: { port: 0 } });
+
+	broker.createService(GreeterService);
+
+	const users = { valid: { _id: "u1", roles: ["learner"] }, eve: { _id: "u2", roles: ["learner"] }, kenji: { _id: "u3", roles: ["learner"] } };
+	const resolveToken = jest.fn(async ctx => users[ctx.params.token] || null);
+	const logins = { adam: "account:u1", "adam@alphabox.io": "account:u1" };
+	broker.createService({
+		name: "accounts",
+		actions: {
+			resolveToken,
+			loginKey: ctx => logins[ctx.params.username.trim().toLowerCase()] || `login:${ctx.params.username}`
+		}
+	});
+
+	broker.createService({
+		name: "classrooms",
+		actions: {
+			manage: {
+				rest: "GET /manage",
+				permissions: ["classroom.manage"],
+				handler: () => "managed"
+			}
+		}
+	});
+
+	const profiles = {
+		u1: { user: "u1", name: "Ádám", nativeLanguage: "hu" },
+		u3: { user: "u3", name: "Kenji", nativeLanguage: "ja", locale: "it" }
+	};
+	broker.createService({
+		name: "learners",
+		actions: {
+			getLocale(ctx) {
+				if (ctx.params.user == "u3") throw new Error("Temporarily unavailable");
+				const profile = profiles[ctx.params.user];
+				return profile ? profile.locale || profile.nativeLanguage : null;
+			},
+			findByUser: ctx => profiles[ctx.params.user] || null
+		}
+	});
+
+	beforeAll(async () => {
+		await broker.start();
+		// Don't wait for the debounced regeneration of the aliases
+		service.routes.forEach(route => service.regenerateAutoAliases(route));
+	});
+	afterAll(() => broker.stop());
+
+	describe("Test 'authenticate' method", () => {
+
+		it("should resolve the user by the token", async () => {
+			const ctx = Context.create(broker);
+			const user = await service.authenticate(ctx, {}, { headers: { authorization: "Bearer valid" } });
+
+			expect(user).toEqual({ _id: "u1", roles: ["learner"] });
+			expect(resolveToken).toBeCalledTimes(1);
+		});
+
+		it("should reject an invalid token", async () => {
+			const ctx = Context.create(broker);
+			await expect(service.authenticate(ctx, {}, { headers: { authorization: "Bearer 123456" } }))
+				.rejects.toBeInstanceOf(ApiGateway.Errors.UnAuthorizedError);
+		});
+
+		it("should return null without token", async () => {
+			const ctx = Context.create(broker);
+			await expect(service.authenticate(ctx, {}, { headers: {} })).resolves.toBeNull();
+		});
+
+	});
+
+	describe("Test 'authorize' method", () => {
+
+		function authorize(user, action, params = {}) {
+			const ctx = Context.create(broker, null, {}, { meta: { user } });
+			return service.authorize(ctx, {}, { $action: action, $params: params, query: {}, headers: {} });
+		}
+
+		it("should reject anonymous user if auth is required", async () => {
+			await expect(authorize(null, { auth: "required" })).rejects.toBeInstanceOf(ApiGateway.Errors.UnAuthorizedError);
+			await expect(authorize({ _id: "u1" }, { auth: "required" })).resolves.toBeUndefined();
+		});
+
+		it("should reject with 403 & the missing permission", async () => {
+			const err = await authorize({ _id: "u1", roles: ["learner"] }, { permissions: ["products.remove"] }).catch(err => err);
+			expect(err.code).toBe(403);
+			expect(err.data).toEqual({ permission: "products.remove" });
+
+			await expect(authorize({ _id: "u2", roles: ["admin"] }, { permissions: ["products.remove"] })).resolves.toBeUndefined();
+		});
+
+		it("should check the ownership", async () => {
+			const action = { permissions: ["profile.read"], owner: "id" };
+			await expect(authorize({ _id: "u1", roles: ["learner"] }, action, { id: "u1" })).resolves.toBeUndefined();
+			await expect(authorize({ _id: "u1", roles: ["learner"] }, action, { id: "u2" })).rejects.toThrow("Forbidden, missing permission: profile.read");
+		});
+
+	});
+
+	describe("Test conditional requests", () => {
+		const route = service.settings.routes[0];
+
+		async function beforeCall(method, headers) {
+			const ctx = Context.create(broker);
+			const req = { method, headers, $params: { id: "p1" } };
+			await route.onBeforeCall.call(service, ctx, route, req);
+			return req.$params;
+		}
+
+		it("should pass the version of the If-Match header to the writes", async () => {
+			expect(await beforeCall("PUT", { "if-match": "\"3\"" })).toEqual({ id: "p1", version: "3" });
+			expect(await beforeCall("DELETE", { "if-match": "W/\"4\", \"5\"" })).toEqual({ id: "p1", version: "4" });
+			expect(await beforeCall("PUT", { "if-match": "*" })).toEqual({ id: "p1" });
+			expect(await beforeCall("GET", { "if-match": "\"3\"" })).toEqual({ id: "p1" });
+		});
+
+		it("should expose the version of an entity as ETag", async () => {
+			const ctx = Context.create(broker);
+			const data = { _id: "p1", version: 7 };
+			expect(route.onAfterCall.call(service, ctx, route, {}, {}, data)).toBe(data);
+			expect(ctx.meta.$responseHeaders).toEqual({ ETag: "\"7\"" });
+
+			const ctx2 = Context.create(broker);
+			route.onAfterCall.call(service, ctx2, route, {}, {}, { rows: [data] });
+			expect(ctx2.meta.$responseHeaders).toBeUndefined();
+		});
+
+	});
+
+	describe("Test rate limiting", () => {
+		const route = { path: "/api", opts: { throttle: { window: 60 * 1000, limit: 3 } } };
+		const login = { name: "accounts.login", throttle: { window: 15 * 60 * 1000, limit: 2 } };
+		const now = Date.UTC(2026, 0, 10, 12, 0, 30);
+
+		beforeAll(() => {
+			jest.spyOn(Date, "now").mockImplementation(() => now);
+			// Behind a load balancer
+			service.settings.throttling.trustProxy = 1;
+		});
+		afterAll(() => {
+			Date.now.mockRestore();
+			service.settings.throttling.trustProxy = false;
+		});
+
+		async function throttle(user, action, ip = "10.0.0.1", params = {}) {
+			const ctx = Context.create(broker, null, {}, { meta: { user } });
+			const res = { headers: {}, setHeader(name, value) { this.headers[name] = value; } };
+			// The first address is sent by the client, the load balancer appends the real one
+			const req = { $action: action, $params: params, headers: { "x-forwarded-for": `192.0.2.1, ${ip}` }, socket: { remoteAddress: "172.18.0.2" } };
+			const err = await service.throttle(ctx, route, req, res).catch(err => err);
+			return { err, headers: res.headers };
+		}
+
+		it("should count the requests of a client by the limit of the route", async () => {
+			const adam = { _id: "u1", roles: ["learner"] };
+			expect((await throttle(adam, null)).headers).toEqual({ "RateLimit-Limit": 3, "RateLimit-Remaining": 2, "RateLimit-Reset": 30 });
+			await throttle(adam, null);
+			await throttle(adam, null);
+
+			const { err, headers } = await throttle(adam, null);
+			expect(err).toBeInstanceOf(ApiGateway.Errors.RateLimitExceeded);
+			expect(err.data).toEqual({ retryAfter: 30 });
+			expect(headers).toEqual(expect.objectContaining({ "RateLimit-Remaining": 0, "Retry-After": 30 }));
+
+			// Other users & the anonymous clients by their IP
+			expect((await throttle({ _id: "u2" }, null)).err).toBeUndefined();
+			expect((await throttle(null, null, "10.0.0.2")).headers["RateLimit-Remaining"]).toBe(2);
+		});
+
+		it("should apply the stricter limit of an action", async () => {
+			expect((await throttle(null, login, "10.0.0.3")).headers).toEqual({ "RateLimit-Limit": 2, "RateLimit-Remaining": 1, "RateLimit-Reset": 870 });
+			await throttle(null, login, "10.0.0.3");
+
+			const { err, headers } = await throttle(null, login, "10.0.0.3");
+			expect(err.code).toBe(429);
+			expect(err.type).toBe("RATE_LIMIT_EXCEEDED");
+			expect(headers["Retry-After"]).toBe(870);
+			// The attempts of the other clients
+			expect((await throttle(null, login, "10.0.0.4")).err).toBeUndefined();
+		});
+
+		it("should limit the attempts of a username from many addresses", async () => {
+			const attempts = [
+				{ window: 15 * 60 * 1000, limit: 2 },
+				{ window: 15 * 60 * 1000, limit: 3, by: "username" }
+			];
+			const guess = (ip, username) => throttle(null, { name: "accounts.attempt", throttle: attempts }, ip, { username, password: "guess" });
+
+			for (let i = 0; i < 3; i++) {
+				expect((await guess(`10.1.0.${i}`, "adam")).err).toBeUndefined();
+			}
+			const { err, headers } = await guess("10.1.0.9", "adam");
+			expect(err.code).toBe(429);
+			expect(headers["RateLimit-Limit"]).toBe(3);
+			// The other users
+			expect((await guess("10.1.0.9", "eve")).err).toBeUndefined();
+		});
+
+		it("should limit the attempts of an account by its username & email together", async () => {
+			const attempts = [{ window: 15 * 60 * 1000, limit: 3, by: "username", resolve: "accounts.loginKey" }];
+			const guess = (ip, username) => throttle(null, { name: "accounts.login", throttle: attempts }, ip, { username, password: "guess" });
+
+			expect((await guess("10.2.0.1", "adam")).err).toBeUndefined();
+			expect((await guess("10.2.0.2", " ADAM@alphabox.io")).err).toBeUndefined();
+			expect((await guess("10.2.0.3", "adam@AlphaBox.io")).err).toBeUndefined();
+			expect((await guess("10.2.0.4", "adam")).err.code).toBe(429);
+			// The other accounts
+			expect((await guess("10.2.0.4", "eve")).err).toBeUndefined();
+		});
+
+		it("should read the client address by the count of the trusted proxies", () => {
+			const req = { headers: { "x-forwarded-for": "192.0.2.1, 10.0.0.1, 10.0.0.254" }, socket: { remoteAddress: "172.18.0.2" } };
+			const address = trustProxy => {
+				service.settings.throttling.trustProxy = trustProxy;
+				return service.clientAddress(req);
+			};
+
+			expect(address(false)).toBe("172.18.0.2");
+			expect(address(1)).toBe("10.0.0.254");
+			expect(address(2)).toBe("10.0.0.1");
+			expect(address(5)).toBe("192.0.2.1");
+			service.settings.throttling.trustProxy = 1;
+		});
+
+	});
+
+	describe("Test localization", () => {
+
+		function request(url, { token, headers } = {}) {
+			return new Promise((resolve, reject) => {
+				const req = http.request({
+					port: service.server.address().port,
+					path: url,
+					headers: Object.assign(token ? { Authorization: `Bearer ${token}` } : {}, headers)
+				}, res => {
+					const chunks = [];
+					res.on("data", chunk => chunks.push(chunk));
+					res.on("end", () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString() }));
+				});
+				req.on("error", reject);
+				req.end();
+			});
+		}
+
+		it("should resolve the language by the query, the profile of the authenticated user & the header", async () => {
+			const greet = async (url, token, language) => {
+				const res = await request(url, { token, headers: language ? { "Accept-Language": language } : {} });
+				return [JSON.parse(res.body), res.headers["content-language"]];
+			};
+
+			expect(await greet("/api/greeter/hello?lang=fr", "valid", "de")).toEqual(["Bonjour Moleculer", "fr"]);
+			expect(await greet("/api/greeter/hello", "valid", "de")).toEqual(["Helló Moleculer", "hu"]);
+			expect(await greet("/api/greeter/hello", "eve", "ja, de-AT;q=0.8, en;q=0.5")).toEqual(["Hallo Moleculer", "de"]);
+			expect(await greet("/api/greeter/hello?lang=xx", null, "ja")).toEqual(["Hello Moleculer", undefined]);
+		});
+
+		it("should leave the fallback to the services without a resolved language", async () => {
+			// The profile language is unavailable, the greeter falls back to the profile by itself
+			const res = await request("/api/greeter/welcome", { token: "kenji" });
+			expect(res.status).toBe(200);
+			expect(JSON.parse(res.body)).toBe("Benvenuto, Kenji");
+			expect(res.headers["content-language"]).toBeUndefined();
+		});
+
+		it("should translate the errors of the authentication by the header", async () => {
+			const res = await request("/api/greeter/welcome", { token: "invalid", headers: { "Accept-Language": "de" } });
+			expect(res.status).toBe(401);
+			expect(res.headers["content-language"]).toBe("de");
+		});
+
+		it("should name the missing permission in the translated error", async () => {
+			const res = await request("/api/classrooms/manage", { token: "eve", headers: { "Accept-Language": "de" } });
+			expect(res.status).toBe(403);
+			expect(JSON.parse(res.body)).toEqual(expect.objectContaining({
+				type: "MISSING_PERMISSION",
+				message: "Dir fehlt die Berechtigung 'classroom.manage' dafür."
+			}));
+		});
+
+		it("should translate the errors", async () => {
+			const res = { headersSent: false, setHeader: jest.fn(), writeHead: jest.fn(), end: jest.fn() };
+			const err = new ValidationError("Parameters validation error!", null, [
+				{ type: "stringMin", field: "name", expected: 3, actual: "a", message: "The 'name' field length must be greater than or equal to 3 characters long." }
+			]);
+			service.sendError({ headers: { "accept-language": "de" }, query: {} }, res, err);
+
+			expect(res.setHeader).toBeCalledWith("Content-Language", "de");
+			expect(res.writeHead).toBeCalledWith(422);
+			expect(JSON.parse(res.end.mock.calls[0][0])).toEqual(expect.objectContaining({
+				message: "Einige Angaben sind ungültig.",
+				data: [expect.objectContaining({ type: "stringMin", message: "Das Feld 'name' muss mindestens 3 Zeichen lang sein." })]
+			}));
+		});
+
+	});
+
+});
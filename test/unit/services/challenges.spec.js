@@ -0,0 +1,183 @@
+"use strict";
+
+const { ServiceBroker } = require("moleculer");
+const AuthorizationMiddleware = require("../../../middlewares/authorization.middleware");
+const TestService = require("../../../services/challenges.service");
+const LearnersService = require("../../../services/learners.service");
+const WorkflowMigration = require("../../../migrations/challenges/002-workflow");
+
+describe("Test 'challenges' service", () => {
+	const broker = new ServiceBroker({ logger: false, middlewares: [AuthorizationMiddleware] });
+	const service = broker.createService(TestService);
+	broker.createService(LearnersService);
+
+	const editor = { _id: "e1", roles: ["content-editor"] };
+	const reviewer = { _id: "r1", roles: ["reviewer"] };
+	const adam = { _id: "u1", username: "adam", roles: ["learner"] };
+	const eve = { _id: "u2", username: "eve", roles: ["learner"] };
+
+	const items = {};
+
+	beforeAll(async () => {
+		await broker.start();
+
+		await broker.call("learners.updateMe", { nativeLanguage: "hu", targetLanguages: ["de"], level: "B1" }, { meta: { user: adam } });
+
+		const create = async (prompt, level, answers) => {
+			const item = await broker.call("challenges.create", { skill: "vocabulary", language: "de", level, prompt, answers }, { meta: { user: editor } });
+			await broker.call("challenges.submit", { id: item._id }, { meta: { user: editor } });
+			return broker.call("challenges.publish", { id: item._id }, { meta: { user: reviewer } });
+		};
+		items.easy = await create("dog", "A1", ["der Hund", "Hund"]);
+		items.medium = await create("lake", "A2", ["der See"]);
+		items.hard = await create("to sound", "B2", ["klingen"]);
+		items.expert = await create("willingness", "C2", ["die Bereitschaft"]);
+	});
+	afterAll(() => broker.stop());
+
+	describe("Test managing the items", () => {
+
+		it("should set the initial rating by the level", async () => {
+			expect(items.medium).toEqual(expect.objectContaining({ rating: 1200, deviation: 350, attempts: 0, answers: ["der See"] }));
+		});
+
+		it("should allow the item actions only for the content editors", async () => {
+			await expect(broker.call("challenges.get", { id: items.easy._id }, { meta: { user: adam } })).rejects.toThrow("Forbidden, missing permission: content.write");
+			await expect(broker.call("challenges.update", { id: items.easy._id, rating: 100 }, { meta: { user: editor } })).rejects.toThrow("The 'rating' field is read-only!");
+		});
+
+		it("should publish the items by the reviewers & serve only the published ones", async () => {
+			const learner = { _id: "u3", roles: ["learner"] };
+			const draft = await broker.call("challenges.create", { skill: "grammar", language: "de", level: "B1", prompt: "?", answers: ["a"] }, { meta: { user: editor } });
+			await broker.call("challenges.submit", { id: draft._id }, { meta: { user: editor } });
+
+			await expect(broker.call("challenges.publish", { id: draft._id }, { meta: { user: editor } })).rejects.toThrow("Forbidden, missing permission: content.review");
+			await expect(broker.call("challenges.create", { skill: "grammar", language: "de", prompt: "?", answers: ["a"] }, { meta: { user: reviewer } })).rejects.toThrow("Forbidden, missing permission: content.write");
+			await expect(broker.call("challenges.next", { skill: "grammar", language: "de" }, { meta: { user: learner } })).rejects.toThrow("No challenge is available!");
+			await expect(broker.call("challenges.answer", { id: draft._id, answer: "a" }, { meta: { user: learner } })).rejects.toThrow("Entity not found");
+			expect(await broker.call("challenges.revisions", { id: draft._id }, { meta: { user: reviewer } })).toEqual([expect.objectContaining({ revision: 1, status: "review", author: "e1" })]);
+		});
+
+		it("should publish the items stored before the workflow by a re-runnable migration", async () => {
+			const legacy = await service.adapter.insert({ skill: "listening", language: "de", level: "A1", prompt: "cat", answers: ["die Katze"], rating: 1000, deviation: 350, attempts: 0 });
+			// The revision of an interrupted run
+			const revisions = await service.getCollection("challenges-revisions");
+			await revisions.insert({ _id: `${legacy._id}:1`, entity: legacy._id, revision: 1, status: "published", data: {} });
+
+			await WorkflowMigration.up({ service, adapter: service.adapter });
+			await WorkflowMigration.up({ service, adapter: service.adapter });
+
+			expect(await service.adapter.findById(legacy._id)).toEqual(expect.objectContaining({ status: "published", live: true, revision: 1, latestRevision: 1 }));
+			expect(await broker.call("challenges.revisions", { id: legacy._id }, { meta: { user: reviewer } })).toEqual([expect.objectContaining({ revision: 1, status: "published", live: true })]);
+		});
+
+	});
+
+	describe("Test 'challenges.next' & 'challenges.answer' actions", () => {
+
+		const next = user => broker.call("challenges.next", { skill: "vocabulary", language: "de" }, { meta: { user } });
+		const answer = (user, item, text) => broker.call("challenges.answer", { id: item._id, answer: text }, { meta: { user } });
+
+		it("should pick the item in the target band without the answers", async () => {
+			// B1 learner (1400): the new A1 item (1000) is the closest to the 77.5% target
+			const res = await next(adam);
+			expect(res).toEqual({
+				item: { _id: items.easy._id, skill: "vocabulary", language: "de", level: "A1", prompt: "dog" },
+				probability: expect.any(Number),
+				inBand: true
+			});
+			expect(res.probability).toBeGreaterThanOrEqual(0.7);
+			expect(res.probability).toBeLessThanOrEqual(0.85);
+		});
+
+		it("should start a learner without profile from the default rating", async () => {
+			const res = await next(eve);
+			expect(res.item._id).toBe(items.medium._id);
+			expect(await broker.call("challenges.ratings", {}, { meta: { user: eve } })).toEqual([
+				{ language: "de", skill: "vocabulary", rating: 1500, deviation: 350, attempts: 0 }
+			]);
+		});
+
+		it("should update both ratings by a correct answer", async () => {
+			const res = await answer(adam, items.medium, " Der  See.");
+			expect(res).toEqual({
+				correct: true,
+				verdict: "correct",
+				expected: "der See",
+				notes: [],
+				diff: [{ type: "wrong", expected: "d", actual: "D" }, { type: "equal", text: "er See" }],
+				probability: expect.any(Number),
+				rating: { rating: expect.any(Number), deviation: expect.any(Number) }
+			});
+			expect(res.rating.rating).toBeGreaterThan(1400);
+			expect(res.rating.deviation).toBeLessThan(350);
+
+			const item = await broker.call("challenges.get", { id: items.medium._id }, { meta: { user: editor } });
+			expect(item.rating).toBeLessThan(1200);
+			expect(item.attempts).toBe(1);
+			expect(item.version).toBe(items.medium.version + 1);
+		});
+
+		it("should update both ratings by a wrong answer", async () => {
+			const res = await answer(adam, items.hard, "klang");
+			expect(res).toEqual(expect.objectContaining({ correct: false, verdict: "wrong", expected: null, notes: [], diff: [] }));
+
+			const [rating] = await broker.call("challenges.ratings", {}, { meta: { user: adam } });
+			expect(rating.rating).toBe(res.rating.rating);
+			expect(rating.attempts).toBe(2);
+
+			const item = await broker.call("challenges.get", { id: items.hard._id }, { meta: { user: editor } });
+			expect(item.rating).toBeGreaterThan(1600);
+		});
+
+		it("should not serve the recently answered items", async () => {
+			const res = await next(adam);
+			expect([items.medium._id, items.hard._id]).not.toContain(res.item._id);
+		});
+
+		it("should give the same ratings for the same answers", async () => {
+			const play = async () => {
+				const broker = new ServiceBroker({ logger: false });
+				broker.createService(TestService);
+				broker.createService(LearnersService);
+				await broker.start();
+
+				const user = { _id: "u9" };
+				const item = await broker.call("challenges.create", { skill: "grammar", language: "de", level: "B1", prompt: "?", answers: ["a"] });
+				await broker.call("challenges.submit", { id: item._id });
+				await broker.call("challenges.publish", { id: item._id });
+				const res = [];
+				for (const text of ["a", "b", "a", "a"]) {
+					res.push((await broker.call("challenges.answer", { id: item._id, answer: text }, { meta: { user } })).rating);
+				}
+				await broker.stop();
+				return res;
+			};
+
+			expect(await play()).toEqual(await play());
+		});
+
+		it("should reject an unknown skill", async () => {
+			await expect(broker.call("challenges.next", { skill: "dancing", language: "de" }, { meta: { user: adam } })).rejects.toThrow("Parameters validation error!");
+			await expect(broker.call("challenges.next", { skill: "grammar", language: "de" }, { meta: { user: adam } })).rejects.toThrow("No challenge is available!");
+		});
+
+	});
+
+	describe("Test 'challenges.pick' & 'challenges.getRating' actions", () => {
+
+		it("should pick the items for a given rating", async () => {
+			// E.g. the mean rating of the players of a duel, without their recent items
+			const res = await broker.call("challenges.pick", { skill: "vocabulary", language: "de", count: 2, rating: 2400 });
+			expect(res.map(item => item._id)).toEqual([items.expert._id, items.hard._id]);
+			expect(res[0].answers).toEqual(["die Bereitschaft"]);
+		});
+
+		it("should get the rating of a learner", async () => {
+			await expect(broker.call("challenges.getRating", { user: "u3", skill: "grammar", language: "de" })).resolves.toEqual({ rating: 1500, deviation: 350, attempts: 0 });
+			await expect(broker.call("challenges.getRating", { user: "u1", skill: "grammar", language: "de" })).resolves.toEqual({ rating: 1400, deviation: 350, attempts: 0 });
+		});
+
+	});
+
+});
@@ -0,0 +1,122 @@
+"use strict";
+
+const { PassThrough } = require("stream");
+const { ServiceBroker } = require("moleculer");
+const TestService = require("../../../services/content.service");
+
+function toStream(content) {
+	const stream = new PassThrough();
+	stream.end(content);
+	return stream;
+}
+
+describe("Test 'content' service", () => {
+	const broker = new ServiceBroker({ logger: false });
+	const service = broker.createService(TestService);
+
+	beforeAll(() => broker.start());
+	afterAll(() => broker.stop());
+
+	function importFile(content, $params) {
+		return broker.call("content.import", toStream(content), { meta: { $params } });
+	}
+
+	describe("Test the content packs", () => {
+
+		it("should load the packs at start", async () => {
+			expect(await broker.call("content.count", { query: { pack: "de-en" } })).toBe(10);
+			expect(await broker.call("content.count", { query: { pack: "es-en" } })).toBe(7);
+
+			const res = await broker.call("content.find", { query: { lemma: "das Haus" } });
+			expect(res).toEqual([{
+				_id: expect.any(String),
+				language: "de",
+				lemma: "das Haus",
+				partOfSpeech: "noun",
+				translations: { en: ["house", "home"] },
+				examples: [{ text: "Das Haus ist groß.", translations: { en: "The house is big." } }],
+				tags: ["home"],
+				difficulty: "A1",
+				pack: "de-en",
+				version: 1
+			}]);
+		});
+
+		it("should list the packs with the loaded versions", async () => {
+			const res = await broker.call("content.packs");
+			expect(res).toEqual(expect.arrayContaining([
+				expect.objectContaining({ name: "de-en", language: "de", translation: "en", version: 1, loadedVersion: 1, loadedAt: expect.any(Number) })
+			]));
+		});
+
+		it("should not load a pack again at start & upsert the entries by reload", async () => {
+			expect(await service.autoloadPacks()).toEqual([]);
+
+			const res = await broker.call("content.loadPack", { name: "es-en" });
+			expect(res).toEqual(expect.objectContaining({ total: 7, created: 0, updated: 7, failed: 0 }));
+			expect(await broker.call("content.count", { query: { language: "es" } })).toBe(7);
+
+			await expect(broker.call("content.loadPack", { name: "xx-yy" })).rejects.toThrow("Content pack 'xx-yy' not found!");
+		});
+
+	});
+
+	describe("Test importing word lists", () => {
+
+		it("should require the language pair", async () => {
+			await expect(importFile("lemma,translation\nder Hund,kutya\n", { language: "de" })).rejects.toThrow("The 'translation' language code is required!");
+		});
+
+		it("should add the translations of another language", async () => {
+			const res = await importFile("lemma,translation,partOfSpeech,tags\nder Hund,kutya,noun,\"animals, pets\"\nder Vogel,madár,noun,\n,hiányzik,,\n", { language: "de", translation: "hu" });
+			expect(res).toEqual({
+				dryRun: false,
+				total: 3,
+				created: 1,
+				updated: 1,
+				failed: 1,
+				errors: [{ row: 3, key: undefined, message: "The 'lemma' field is required!", data: { field: "lemma" } }]
+			});
+
+			const [dog] = await broker.call("content.find", { query: { lemma: "der Hund" } });
+			expect(dog.translations).toEqual({ en: ["dog"], hu: ["kutya"] });
+			expect(dog.tags).toEqual(["animals", "pets"]);
+			expect(dog.examples).toEqual([{ text: "Der Hund schläft.", translations: { en: "The dog is sleeping." } }]);
+		});
+
+		it("should import an Anki export", async () => {
+			const file = [
+				"#separator:tab",
+				"#html:true",
+				"#tags column:3",
+				"la <b>mesa</b>\ttable, desk [sound:mesa.mp3]\tfurniture home",
+				"\"el &quot;libro&quot;\"\tbook\t"
+			].join("\n");
+
+			const res = await importFile(file, { format: "anki", language: "es", translation: "en" });
+			expect(res).toEqual(expect.objectContaining({ total: 2, created: 2, failed: 0 }));
+
+			const [table] = await broker.call("content.find", { query: { lemma: "la mesa" } });
+			expect(table).toEqual(expect.objectContaining({ translations: { en: ["table", "desk"] }, tags: ["furniture", "home"], audio: "mesa.mp3" }));
+			expect(await broker.call("content.count", { query: { lemma: "el \"libro\"" } })).toBe(1);
+		});
+
+	});
+
+	describe("Test the entries", () => {
+
+		it("should keep the natural key of an entry", async () => {
+			const res = await broker.call("content.create", { language: "de", lemma: "laufen", partOfSpeech: "verb", translations: { en: ["to run"] } });
+			expect((await service.adapter.findById(res._id)).key).toBe("de:laufen:verb");
+
+			await broker.call("content.update", { id: res._id, lemma: "Laufen", partOfSpeech: "noun" });
+			expect((await service.adapter.findById(res._id)).key).toBe("de:laufen:noun");
+		});
+
+		it("should reject invalid translations", async () => {
+			await expect(broker.call("content.create", { language: "de", lemma: "Ball", translations: { en: "ball" } })).rejects.toThrow("Invalid translations of the 'en' language!");
+		});
+
+	});
+
+});
@@ -1,13 +1,27 @@
 "use strict";
 
 const { ServiceBroker } = require("moleculer");
-const { ValidationError } = require("moleculer").Errors;
+const { MoleculerClientError } = require("moleculer").Errors;
 const TestService = require("../../../services/greeter.service");
 
 describe("Test 'greeter' service", () => {
 	let broker = new ServiceBroker({ logger: false });
 	broker.createService(TestService);
 
+	const profiles = {
+		u1: { user: "u1", name: "Ádám", nativeLanguage: "hu" },
+		u2: { user: "u2", name: "João", nativeLanguage: "pt-BR" },
+		u3: { user: "u3", name: "Kenji", nativeLanguage: "ja" }
+	};
+	broker.createService({
+		name: "learners",
+		actions: {
+			findByUser(ctx) {
+				return profiles[ctx.params.user] || null;
+			}
+		}
+	});
+
 	beforeAll(() => broker.start());
 	afterAll(() => broker.stop());
 
@@ -18,25 +32,44 @@ describe("Test 'greeter' service", () => {
 			expect(res).toBe("Hello Moleculer");
 		});
 
+		it("should say 'Hello' in the language of the request", async () => {
+			expect(await broker.call("greeter.hello", {}, { meta: { locale: "de" } })).toBe("Hallo Moleculer");
+		});
+
 	});
 
 	describe("Test 'greeter.welcome' action", () => {
 
-		it("should return with 'Welcome'", async () => {
-			const res = await broker.call("greeter.welcome", { name: "Adam" });
-			expect(res).toBe("Welcome, Adam");
+		const welcome = user => broker.call("greeter.welcome", {}, { meta: { user } });
+
+		it("should welcome by the profile name in the native language", async () => {
+			expect(await welcome({ _id: "u1", username: "adam" })).toBe("Üdvözlünk, Ádám");
 		});
 
-		it("should reject an ValidationError", async () => {
-			expect.assertions(1);
+		it("should fall back to the base language, then to English", async () => {
+			expect(await welcome({ _id: "u2", username: "joao" })).toBe("Bem-vindo, João");
+			expect(await welcome({ _id: "u3", username: "kenji" })).toBe("Welcome, Kenji");
+		});
+
+		it("should welcome by the username without profile", async () => {
+			expect(await welcome({ _id: "u4", username: "eve" })).toBe("Welcome, eve");
+		});
+
+		it("should welcome in the language of the request", async () => {
+			const res = await broker.call("greeter.welcome", {}, { meta: { user: { _id: "u1", username: "adam" }, locale: "fr" } });
+			expect(res).toBe("Bienvenue, Ádám");
+		});
+
+		it("should reject an anonymous call", async () => {
+			expect.assertions(2);
 			try {
 				await broker.call("greeter.welcome");
 			} catch(err) {
-				expect(err).toBeInstanceOf(ValidationError);
+				expect(err).toBeInstanceOf(MoleculerClientError);
+				expect(err.code).toBe(401);
 			}
 		});
 
 	});
 
 });
-
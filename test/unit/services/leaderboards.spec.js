@@ -0,0 +1,202 @@
+"use strict";
+
+const { ServiceBroker } = require("moleculer");
+const AuthorizationMiddleware = require("../../../middlewares/authorization.middleware");
+const TestService = require("../../../services/leaderboards.service");
+const LearnersService = require("../../../services/learners.service");
+
+describe("Test 'leaderboards' service", () => {
+	const broker = new ServiceBroker({ logger: false, middlewares: [AuthorizationMiddleware] });
+	const service = broker.createService(TestService);
+	broker.createService(LearnersService);
+
+	const changed = jest.fn();
+	broker.createService({ name: "listener", events: { "leaderboards.changed": ctx => changed(ctx.params) } });
+
+	// Saturday of the 2nd ISO week
+	let now = Date.UTC(2026, 0, 10, 12);
+	const adam = { _id: "u1", username: "adam", roles: ["learner"] };
+	const eve = { _id: "u2", username: "eve", roles: ["learner"] };
+	const bob = { _id: "u3", username: "bob", roles: ["learner"] };
+	const teacher = { _id: "t1", roles: ["teacher"] };
+
+	const call = (action, params, user = adam) => broker.call(`leaderboards.${action}`, params, { meta: { user } });
+	const flush = () => new Promise(resolve => setTimeout(resolve, 20));
+	const complete = (id, user, language, xp) => broker.broadcast("sessions.completed", {
+		type: "completed",
+		id,
+		entity: { _id: id, user, language, xp, status: "completed", finishedAt: now }
+	});
+
+	beforeAll(async () => {
+		await broker.start();
+		jest.spyOn(Date, "now").mockImplementation(() => now);
+
+		const profile = (user, params) => broker.call("learners.updateMe", Object.assign({ nativeLanguage: "en", targetLanguages: ["de", "es"] }, params), { meta: { user } });
+		await profile(adam);
+		await profile(eve);
+		await profile(bob);
+		await broker.call("learners.setClassroom", { user: "u1", classroom: "7b" }, { meta: { user: teacher } });
+		await broker.call("learners.setClassroom", { user: "u2", classroom: "7b" }, { meta: { user: teacher } });
+		await broker.call("learners.addFriend", { user: "u3" }, { meta: { user: adam } });
+		await broker.call("learners.addFriend", { user: "u1" }, { meta: { user: bob } });
+
+		complete("s1", "u1", "de", 30);
+		complete("s2", "u2", "de", 50);
+		complete("s3", "u3", "es", 20);
+		complete("s4", "u1", "es", 10);
+		// Redelivered
+		complete("s1", "u1", "de", 30);
+		await flush();
+	});
+	afterAll(async () => {
+		Date.now.mockRestore();
+		await broker.stop();
+	});
+
+	describe("Test the boards", () => {
+
+		it("should return the top of the global board", async () => {
+			expect(await call("top", { period: "daily" })).toEqual({
+				period: "daily",
+				key: "2026-01-10",
+				scope: "global",
+				rows: [
+					{ rank: 1, user: "u2", xp: 50 },
+					{ rank: 2, user: "u1", xp: 40 },
+					{ rank: 3, user: "u3", xp: 20 }
+				]
+			});
+
+			const weekly = await call("top", { period: "weekly", limit: 1 });
+			expect(weekly).toEqual(expect.objectContaining({ key: "2026-W02", rows: [{ rank: 1, user: "u2", xp: 50 }] }));
+		});
+
+		it("should return the board of a language", async () => {
+			const res = await call("top", { period: "alltime", language: "de" });
+			expect(res).toEqual(expect.objectContaining({ key: "all", scope: "language:de" }));
+			expect(res.rows).toEqual([{ rank: 1, user: "u2", xp: 50 }, { rank: 2, user: "u1", xp: 30 }]);
+		});
+
+		it("should return the rank with the neighbours", async () => {
+			expect(await call("me", { period: "daily", neighbours: 1 }, bob)).toEqual(expect.objectContaining({
+				rank: 3,
+				xp: 20,
+				rows: [{ rank: 2, user: "u1", xp: 40 }, { rank: 3, user: "u3", xp: 20 }]
+			}));
+			expect(await call("me", { period: "daily", language: "es" }, eve)).toEqual(expect.objectContaining({ rank: null, xp: 0, rows: [] }));
+		});
+
+		it("should return the friends board", async () => {
+			const res = await call("friends", { period: "weekly" });
+			expect(res.rows).toEqual([{ rank: 1, user: "u1", xp: 40 }, { rank: 2, user: "u3", xp: 20 }]);
+		});
+
+		it("should allow the classroom board only for its learners & the teachers", async () => {
+			const res = await call("top", { period: "daily", classroom: "7b" });
+			expect(res).toEqual(expect.objectContaining({ scope: "classroom:7b" }));
+			expect(res.rows.map(row => row.user)).toEqual(["u2", "u1"]);
+
+			expect((await call("top", { period: "daily", classroom: "7b" }, teacher)).rows).toHaveLength(2);
+			await expect(call("top", { period: "daily", classroom: "7b" }, bob)).rejects.toThrow("Forbidden, the board of other classrooms is not available!");
+		});
+
+	});
+
+	describe("Test the notifications", () => {
+
+		it("should broadcast the changes once per session", () => {
+			expect(changed).toBeCalledTimes(4);
+			expect(changed).toBeCalledWith({ user: "u1", xp: 30, language: "de", classroom: "7b", scopes: ["global", "language:de", "classroom:7b"] });
+			expect(changed).toBeCalledWith({ user: "u3", xp: 20, language: "es", classroom: null, scopes: ["global", "language:es"] });
+		});
+
+	});
+
+	describe("Test rolling over the periods", () => {
+
+		it("should archive the winners of the past day once", async () => {
+			expect(await service.rollover()).toBe(0);
+
+			now += 24 * 60 * 60 * 1000;
+			expect(await service.rollover()).toBe(4);
+			expect(await service.rollover()).toBe(0);
+
+			expect(await call("archive", { period: "daily" })).toEqual([{
+				_id: expect.any(String),
+				period: "daily",
+				key: "2026-01-10",
+				scope: "global",
+				winners: [
+					{ rank: 1, user: "u2", xp: 50 },
+					{ rank: 2, user: "u1", xp: 40 },
+					{ rank: 3, user: "u3", xp: 20 }
+				],
+				archivedAt: now
+			}]);
+			expect(await call("archive", { period: "weekly" })).toEqual([]);
+		});
+
+		it("should start the new day with an empty board", async () => {
+			expect((await call("top", { period: "daily" })).rows).toEqual([]);
+			expect((await call("top", { period: "weekly" })).rows).toHaveLength(3);
+		});
+
+		it("should archive the periods missed during a downtime", async () => {
+			complete("s5", "u2", "de", 10);
+			await flush();
+
+			// Tuesday of the next week
+			now += 2 * 24 * 60 * 60 * 1000;
+			expect(await service.rollover()).toBe(7);
+			expect(await service.rollover()).toBe(0);
+
+			expect((await call("archive", { period: "daily" })).map(doc => doc.key)).toEqual(["2026-01-11", "2026-01-10"]);
+			expect((await call("archive", { period: "weekly" })).map(doc => doc.key)).toEqual(["2026-W02"]);
+		});
+
+		it("should retry the archive of a period if it fails", async () => {
+			complete("s6", "u1", "de", 10);
+			await flush();
+
+			now += 24 * 60 * 60 * 1000;
+			const insert = service.adapter.insert.bind(service.adapter);
+			jest.spyOn(service.adapter, "insert")
+				.mockImplementationOnce(insert)
+				.mockImplementationOnce(() => Promise.reject(new Error("Database is down")));
+			await expect(service.rollover()).rejects.toThrow("Database is down");
+			service.adapter.insert.mockRestore();
+
+			expect(await service.rollover()).toBe(2);
+			expect(await service.rollover()).toBe(0);
+
+			const keys = params => call("archive", Object.assign({ period: "daily" }, params)).then(docs => docs.map(doc => doc.key));
+			expect(await keys({})).toEqual(["2026-01-13", "2026-01-11", "2026-01-10"]);
+			expect(await keys({ language: "de" })).toEqual(["2026-01-13", "2026-01-11", "2026-01-10"]);
+			expect(await keys({ classroom: "7b" })).toEqual(["2026-01-13", "2026-01-11", "2026-01-10"]);
+		});
+
+	});
+
+	describe("Test the redelivery", () => {
+
+		it("should add the XP of a failed session to the missing boards only", async () => {
+			const incrementOnce = service.store.incrementOnce.bind(service.store);
+			let calls = 0;
+			jest.spyOn(service.store, "incrementOnce").mockImplementation((...args) => ++calls == 2 ? Promise.reject(new Error("Redis is down")) : incrementOnce(...args));
+
+			complete("s6", "u3", "es", 15);
+			await flush();
+			service.store.incrementOnce.mockRestore();
+			expect((await call("top", { period: "daily", language: "es" })).rows).toEqual([]);
+
+			complete("s6", "u3", "es", 15);
+			await flush();
+			expect((await call("top", { period: "daily" })).rows).toEqual([{ rank: 1, user: "u3", xp: 15 }]);
+			expect((await call("top", { period: "daily", language: "es" })).rows).toEqual([{ rank: 1, user: "u3", xp: 15 }]);
+			expect((await call("top", { period: "alltime", language: "es" })).rows).toEqual([{ rank: 1, user: "u3", xp: 35 }, { rank: 2, user: "u1", xp: 10 }]);
+		});
+
+	});
+
+});
@@ -0,0 +1,132 @@
+"use strict";
+
+const { ServiceBroker } = require("moleculer");
+const { ValidationError } = require("moleculer").Errors;
+const AuthorizationMiddleware = require("../../../middlewares/authorization.middleware");
+const TestService = require("../../../services/learners.service");
+
+describe("Test 'learners' service", () => {
+	const broker = new ServiceBroker({ logger: false, middlewares: [AuthorizationMiddleware] });
+	broker.createService(TestService);
+
+	beforeAll(() => broker.start());
+	afterAll(() => broker.stop());
+
+	const adam = { _id: "u1", username: "adam", roles: ["learner"] };
+	const eve = { _id: "u2", username: "eve", roles: ["learner"] };
+	const teacher = { _id: "u3", username: "tom", roles: ["teacher"] };
+	const editor = { _id: "u4", username: "ed", roles: ["content-editor"] };
+
+	describe("Test 'learners.updateMe' action", () => {
+
+		it("should require the languages for a new profile", async () => {
+			expect.assertions(2);
+			try {
+				await broker.call("learners.updateMe", { nativeLanguage: "hu" }, { meta: { user: adam } });
+			} catch(err) {
+				expect(err.type).toBe("INCOMPLETE_PROFILE");
+				expect(err.data).toEqual({ fields: ["targetLanguages"] });
+			}
+		});
+
+		it("should create the profile with the defaults", async () => {
+			const res = await broker.call("learners.updateMe", { nativeLanguage: "hu", targetLanguages: ["en", "de"] }, { meta: { user: adam } });
+			expect(res).toEqual({
+				_id: expect.any(String),
+				user: "u1",
+				name: "adam",
+				nativeLanguage: "hu",
+				locale: null,
+				targetLanguages: ["en", "de"],
+				level: "A1",
+				dailyGoal: 10,
+				timezone: "UTC",
+				classroom: null,
+				friends: [],
+				friendRequests: [],
+				createdAt: expect.any(Number),
+				version: 1
+			});
+		});
+
+		it("should update the own profile", async () => {
+			const res = await broker.call("learners.updateMe", { name: "Ádám", level: "B2", timezone: "Europe/Budapest" }, { meta: { user: adam } });
+			expect(res).toEqual(expect.objectContaining({ user: "u1", name: "Ádám", level: "B2", timezone: "Europe/Budapest", targetLanguages: ["en", "de"], version: 2 }));
+		});
+
+		it("should reject a stale version", async () => {
+			await expect(broker.call("learners.updateMe", { dailyGoal: 20, version: "1" }, { meta: { user: adam } })).rejects.toThrow("The entity has been changed in the meantime!");
+		});
+
+		it("should reject invalid fields", async () => {
+			const call = params => broker.call("learners.updateMe", params, { meta: { user: adam } });
+
+			await expect(call({ level: "D1" })).rejects.toBeInstanceOf(ValidationError);
+			await expect(call({ nativeLanguage: "Hungarian" })).rejects.toBeInstanceOf(ValidationError);
+			await expect(call({ timezone: "Mars/Olympus" })).rejects.toThrow("Unknown time zone 'Mars/Olympus'!");
+			await expect(call({ targetLanguages: ["hu"] })).rejects.toThrow("The native language can't be a target language!");
+		});
+
+	});
+
+	describe("Test 'learners.me', 'learners.getByUser' & 'learners.findByUser' actions", () => {
+
+		it("should get the own profile", async () => {
+			const res = await broker.call("learners.me", {}, { meta: { user: adam } });
+			expect(res.name).toBe("Ádám");
+
+			await expect(broker.call("learners.me", {}, { meta: { user: eve } })).rejects.toThrow("Entity not found");
+		});
+
+		it("should get a profile only by the owner or a teacher", async () => {
+			await expect(broker.call("learners.getByUser", { user: "u1" }, { meta: { user: adam } })).resolves.toEqual(expect.objectContaining({ user: "u1" }));
+			await expect(broker.call("learners.getByUser", { user: "u1" }, { meta: { user: teacher } })).resolves.toEqual(expect.objectContaining({ user: "u1" }));
+			await expect(broker.call("learners.getByUser", { user: "u1" }, { meta: { user: eve } })).rejects.toThrow("Forbidden, missing permission: profile.read");
+		});
+
+		it("should find a profile for the other services, whatever the caller's roles", async () => {
+			await expect(broker.call("learners.findByUser", { user: "u1" }, { meta: { user: editor } })).resolves.toEqual(expect.objectContaining({ user: "u1", name: "Ádám" }));
+			await expect(broker.call("learners.findByUser", { user: "u4" }, { meta: { user: editor } })).resolves.toBeNull();
+		});
+
+		it("should get the interface language, the native language by default", async () => {
+			expect(await broker.call("learners.getLocale", { user: "u1" })).toBe("hu");
+			await broker.call("learners.updateMe", { locale: "de" }, { meta: { user: adam } });
+			expect(await broker.call("learners.getLocale", { user: "u1" })).toBe("de");
+			expect(await broker.call("learners.getLocale", { user: "u2" })).toBeNull();
+		});
+
+	});
+
+	describe("Test the classrooms & the friends", () => {
+
+		it("should assign the classroom only by a teacher", async () => {
+			expect((await broker.call("learners.updateMe", { classroom: "7b" }, { meta: { user: adam } })).classroom).toBeNull();
+			await expect(broker.call("learners.setClassroom", { user: "u1", classroom: "7b" }, { meta: { user: adam } })).rejects.toThrow("Forbidden, missing permission: classroom.manage");
+
+			const res = await broker.call("learners.setClassroom", { user: "u1", classroom: "7b" }, { meta: { user: teacher } });
+			expect(res).toEqual(expect.objectContaining({ user: "u1", classroom: "7b" }));
+			await expect(broker.call("learners.setClassroom", { user: "u2", classroom: "7b" }, { meta: { user: teacher } })).rejects.toThrow("Entity not found");
+		});
+
+		it("should make friends only by the consent of both learners", async () => {
+			await broker.call("learners.updateMe", { nativeLanguage: "en", targetLanguages: ["de"] }, { meta: { user: eve } });
+			expect((await broker.call("learners.updateMe", { friends: ["u2"] }, { meta: { user: adam } })).friends).toEqual([]);
+			await expect(broker.call("learners.addFriend", { user: "u1" }, { meta: { user: adam } })).rejects.toThrow("You can't be your own friend!");
+
+			const requested = await broker.call("learners.addFriend", { user: "u2" }, { meta: { user: adam } });
+			expect(requested).toEqual(expect.objectContaining({ friends: [], friendRequests: [] }));
+			expect(await broker.call("learners.findByUser", { user: "u2" })).toEqual(expect.objectContaining({ friends: [], friendRequests: ["u1"] }));
+
+			const accepted = await broker.call("learners.addFriend", { user: "u1" }, { meta: { user: eve } });
+			expect(accepted).toEqual(expect.objectContaining({ friends: ["u1"], friendRequests: [] }));
+			expect(await broker.call("learners.findByUser", { user: "u1" })).toEqual(expect.objectContaining({ friends: ["u2"], friendRequests: [] }));
+
+			const removed = await broker.call("learners.removeFriend", { user: "u2" }, { meta: { user: adam } });
+			expect(removed).toEqual(expect.objectContaining({ friends: [], friendRequests: [] }));
+			expect(await broker.call("learners.findByUser", { user: "u2" })).toEqual(expect.objectContaining({ friends: [], friendRequests: [] }));
+		});
+
+	});
+
+});
@@ -0,0 +1,298 @@
+"use strict";
+
+const { ServiceBroker } = require("moleculer");
+const AuthorizationMiddleware = require("../../../middlewares/authorization.middleware");
+const TestService = require("../../../services/matchmaking.service");
+const ChallengesService = require("../../../services/challenges.service");
+const LearnersService = require("../../../services/learners.service");
+
+describe("Test 'matchmaking' service", () => {
+	const broker = new ServiceBroker({ logger: false, middlewares: [AuthorizationMiddleware] });
+	const service = broker.createService(TestService);
+	broker.createService(ChallengesService);
+	broker.createService(LearnersService);
+
+	const matched = jest.fn();
+	const completed = jest.fn();
+	broker.createService({
+		name: "listener",
+		events: {
+			"matchmaking.matched": ctx => matched(ctx.params),
+			"matchmaking.completed": ctx => completed(ctx.params)
+		}
+	});
+
+	let now = Date.UTC(2026, 0, 10, 12);
+	const editor = { _id: "e1", roles: ["content-editor"] };
+	const reviewer = { _id: "r1", roles: ["reviewer"] };
+	const adam = { _id: "u1", username: "adam", roles: ["learner"] };
+	const eve = { _id: "u2", username: "eve", roles: ["learner"] };
+	const bob = { _id: "u3", username: "bob", roles: ["learner"] };
+
+	const answers = { dog: "der Hund", lake: "der See", cat: "die Katze" };
+
+	const call = (action, params, user) => broker.call(`matchmaking.${action}`, params, { meta: { user } });
+	const join = user => call("join", { language: "de", skill: "vocabulary" }, user);
+	const answer = (duel, question, text, user) => call("answer", { id: duel._id, question, answer: text }, user);
+	const correctAnswer = (duel, question, user) => answer(duel, question, answers[duel.questions[question].prompt], user);
+
+	// Match adam & eve. Their gap is 200, it's acceptable after 10 seconds.
+	const matchPair = async () => {
+		await join(adam);
+		await join(eve);
+		now += 10 * 1000;
+		await service.matchWaiting();
+
+		const ticket = await call("queue", {}, adam);
+		return call("getDuel", { id: ticket.duel }, adam);
+	};
+	const startDuel = duel => now = duel.startsAt;
+
+	beforeAll(async () => {
+		// The sweeps are run by the tests
+		service.settings.sweepInterval = 60 * 60 * 1000;
+		service.settings.maxMissed = 2;
+
+		await broker.start();
+		jest.spyOn(Date, "now").mockImplementation(() => now);
+
+		const create = async (prompt, level) => {
+			const item = await broker.call("challenges.create", { skill: "vocabulary", language: "de", level, prompt, answers: [answers[prompt]] }, { meta: { user: editor } });
+			await broker.call("challenges.submit", { id: item._id }, { meta: { user: editor } });
+			await broker.call("challenges.publish", { id: item._id }, { meta: { user: reviewer } });
+		};
+		await create("dog", "A1");
+		await create("lake", "A2");
+		await create("cat", "A1");
+
+		const profile = (user, level) => broker.call("learners.updateMe", { nativeLanguage: "en", targetLanguages: ["de"], level }, { meta: { user } });
+		await profile(adam, "A1");
+		await profile(eve, "A2");
+		await profile(bob, "C2");
+	});
+	afterAll(async () => {
+		Date.now.mockRestore();
+		await broker.stop();
+	});
+
+	describe("Test the queue", () => {
+
+		it("should queue a learner by their rating", async () => {
+			await expect(join(adam)).resolves.toEqual({ status: "waiting", language: "de", skill: "vocabulary", rating: 1000, gap: 100, queuedAt: now, duel: null });
+			await expect(join(adam)).rejects.toThrow(expect.objectContaining({ code: 409, type: "ALREADY_QUEUED" }));
+
+			// Too far for now
+			await expect(join(eve)).resolves.toEqual(expect.objectContaining({ status: "waiting", rating: 1200 }));
+			now += 5 * 1000;
+			await expect(call("queue", {}, adam)).resolves.toEqual(expect.objectContaining({ status: "waiting", gap: 150 }));
+		});
+
+		it("should leave the queue", async () => {
+			await expect(call("leave", {}, eve)).resolves.toEqual(expect.objectContaining({ status: "left" }));
+			await expect(call("leave", {}, eve)).rejects.toThrow(expect.objectContaining({ code: 409, type: "NOT_QUEUED", data: { status: "left", duel: null } }));
+			await expect(call("queue", {}, bob)).rejects.toThrow(expect.objectContaining({ code: 404 }));
+		});
+
+		it("should drop the tickets which aren't polled", async () => {
+			now += 31 * 1000;
+			await service.matchWaiting();
+			await expect(call("queue", {}, adam)).resolves.toEqual(expect.objectContaining({ status: "expired" }));
+		});
+
+		it("should reject without available challenges", async () => {
+			await expect(call("join", { language: "fr", skill: "vocabulary" }, adam)).rejects.toThrow(expect.objectContaining({ code: 404, type: "NO_CHALLENGE" }));
+		});
+	});
+
+	describe("Test matching", () => {
+
+		it("should match the learners when the gap is wide enough", async () => {
+			await join(adam);
+			await join(bob);
+			await join(eve);
+			now += 5 * 1000;
+			await expect(service.matchWaiting()).resolves.toBe(0);
+
+			now += 5 * 1000;
+			await expect(service.matchWaiting()).resolves.toBe(1);
+
+			const ticket = await call("queue", {}, eve);
+			expect(ticket).toEqual(expect.objectContaining({ status: "matched", duel: expect.any(String), gap: null }));
+			await expect(call("queue", {}, bob)).resolves.toEqual(expect.objectContaining({ status: "waiting" }));
+
+			const duel = await call("getDuel", { id: ticket.duel }, eve);
+			expect(duel).toEqual({
+				_id: ticket.duel,
+				language: "de",
+				skill: "vocabulary",
+				players: [
+					{ user: "u1", rating: 1000, status: "playing", current: 0, correctCount: 0, answers: [null, null, null], finishedAt: null },
+					{ user: "u2", rating: 1200, status: "playing", current: 0, correctCount: 0, answers: [null, null, null], finishedAt: null }
+				],
+				questions: [
+					{ revision: 1, prompt: expect.any(String) },
+					{ revision: 1, prompt: expect.any(String) },
+					{ revision: 1, prompt: expect.any(String) }
+				],
+				status: "active",
+				winner: null,
+				outcome: null,
+				timeLimit: 15,
+				createdAt: now,
+				startsAt: now + 3000,
+				finishedAt: null,
+				version: 1
+			});
+
+			expect(matched).toBeCalledTimes(1);
+			expect(matched.mock.calls[0][0]).toEqual(expect.objectContaining({ type: "matched", id: ticket.duel }));
+			// The item IDs would reveal the answers by `challenges.answer` before the start
+			expect(matched.mock.calls[0][0].entity.questions).toEqual(duel.questions);
+
+			await expect(call("getDuel", { id: ticket.duel }, bob)).rejects.toThrow(expect.objectContaining({ code: 404 }));
+			await expect(join(adam)).rejects.toThrow(expect.objectContaining({ code: 409, type: "ALREADY_IN_DUEL", data: { duel: ticket.duel } }));
+			await expect(call("leave", {}, adam)).rejects.toThrow(expect.objectContaining({ type: "NOT_QUEUED", data: { status: "matched", duel: ticket.duel } }));
+
+			await call("forfeit", { id: ticket.duel }, adam);
+			await call("leave", {}, bob);
+		});
+
+		it("should not match a learner twice by concurrent sweeps", async () => {
+			const queue = await service.getCollection(service.settings.queueCollection);
+			for (const user of ["u4", "u5", "u6"]) {
+				await queue.insert({ _id: user, user, language: "de", skill: "vocabulary", rating: 1500, status: "waiting", match: null, duel: null, queuedAt: now, seenAt: now, claimedAt: null });
+			}
+
+			const created = await Promise.all([service.matchWaiting(), service.matchWaiting(), service.matchWaiting()]);
+			expect(created.reduce((sum, count) => sum + count, 0)).toBe(1);
+
+			const duels = await service.adapter.find({ query: { status: "active" } });
+			expect(duels.length).toBe(1);
+
+			const tickets = await queue.find({ query: { user: { $in: ["u4", "u5", "u6"] } } });
+			expect(tickets.filter(ticket => ticket.status == "matched").map(ticket => ticket.duel)).toEqual([String(duels[0]._id), String(duels[0]._id)]);
+			expect(tickets.filter(ticket => ticket.status == "waiting").length).toBe(1);
+
+			await service.adapter.removeMany({ status: "active" });
+			await queue.removeMany({ user: { $in: ["u4", "u5", "u6"] } });
+		});
+
+		it("should release the claims of a crashed replica", async () => {
+			const queue = await service.getCollection(service.settings.queueCollection);
+			await queue.insert({ _id: "u7", user: "u7", language: "de", skill: "vocabulary", rating: 1500, status: "matching", match: "lost", duel: null, queuedAt: now, seenAt: now, claimedAt: now });
+
+			await service.matchWaiting();
+			await expect(queue.findOne({ _id: "u7" })).resolves.toEqual(expect.objectContaining({ status: "matching" }));
+
+			now += 11 * 1000;
+			await service.matchWaiting();
+			await expect(queue.findOne({ _id: "u7" })).resolves.toEqual(expect.objectContaining({ status: "waiting", match: null }));
+
+			await queue.removeMany({ user: "u7" });
+		});
+	});
+
+	describe("Test playing a duel", () => {
+
+		it("should decide the winner by the correct answers", async () => {
+			const duel = await matchPair();
+			await expect(correctAnswer(duel, 0, adam)).rejects.toThrow(expect.objectContaining({ code: 409, type: "DUEL_NOT_STARTED" }));
+
+			startDuel(duel);
+			now += 2000;
+			const res = await correctAnswer(duel, 0, adam);
+			expect(res).toEqual(expect.objectContaining({ question: 0, correct: true, verdict: "correct", timedOut: false }));
+			expect(res.duel.players[0]).toEqual(expect.objectContaining({ current: 1, correctCount: 1, answers: [{ correct: true, verdict: "correct", timedOut: false, answeredAt: now }, null, null] }));
+			expect(res.duel.answerKey).toBeUndefined();
+			expect(res.duel.itemKey).toBeUndefined();
+
+			// The ratings are updated by the item key
+			const { itemKey } = await service.adapter.findById(duel._id);
+			await expect(broker.call("challenges.get", { id: itemKey[0] }, { meta: { user: editor } })).resolves.toEqual(expect.objectContaining({ attempts: 1 }));
+
+			await expect(correctAnswer(duel, 0, adam)).rejects.toThrow(expect.objectContaining({ type: "ANSWER_REPLAYED" }));
+			await expect(correctAnswer(duel, 2, eve)).rejects.toThrow(expect.objectContaining({ type: "ANSWER_OUT_OF_ORDER" }));
+
+			await answer(duel, 0, "wrong", eve);
+			await correctAnswer(duel, 1, adam);
+			await correctAnswer(duel, 1, eve);
+			now += 1000;
+			await correctAnswer(duel, 2, eve);
+			await expect(call("getDuel", { id: duel._id }, adam)).resolves.toEqual(expect.objectContaining({ status: "active" }));
+
+			completed.mockClear();
+			now += 1000;
+			const last = await correctAnswer(duel, 2, adam);
+			expect(last.duel).toEqual(expect.objectContaining({ status: "completed", winner: "u1", outcome: "score", finishedAt: now }));
+			expect(last.duel.players.map(player => [player.status, player.correctCount])).toEqual([["finished", 3], ["finished", 2]]);
+
+			expect(completed).toBeCalledTimes(1);
+			expect(completed.mock.calls[0][0]).toEqual(expect.objectContaining({ type: "completed", id: duel._id }));
+		});
+
+		it("should break the tie by the earlier finish", async () => {
+			const duel = await matchPair();
+			startDuel(duel);
+
+			for (let i = 0; i < 3; i++) {
+				now += 1000;
+				await correctAnswer(duel, i, eve);
+			}
+			now += 1000;
+			for (let i = 0; i < 3; i++) {
+				await correctAnswer(duel, i, adam);
+			}
+
+			await expect(call("getDuel", { id: duel._id }, eve)).resolves.toEqual(expect.objectContaining({ status: "completed", winner: "u2", outcome: "time" }));
+		});
+
+		it("should score a late answer as wrong", async () => {
+			const duel = await matchPair();
+			startDuel(duel);
+
+			now += 16 * 1000;
+			await expect(correctAnswer(duel, 0, adam)).resolves.toEqual(expect.objectContaining({ correct: false, verdict: "wrong", timedOut: true }));
+			await call("forfeit", { id: duel._id }, adam);
+		});
+
+		it("should let the opponent win by a forfeit", async () => {
+			const duel = await matchPair();
+			startDuel(duel);
+			await correctAnswer(duel, 0, eve);
+
+			await expect(call("forfeit", { id: duel._id }, eve)).resolves.toEqual(expect.objectContaining({ status: "completed", winner: "u1", outcome: "forfeit" }));
+			await expect(call("forfeit", { id: duel._id }, adam)).rejects.toThrow(expect.objectContaining({ code: 409, type: "DUEL_CLOSED" }));
+			await expect(correctAnswer(duel, 0, adam)).rejects.toThrow(expect.objectContaining({ code: 409, type: "DUEL_CLOSED" }));
+		});
+
+		it("should let the opponent win by a disconnect", async () => {
+			const duel = await matchPair();
+			startDuel(duel);
+			await correctAnswer(duel, 0, adam);
+
+			now += 30 * 1000 - 1;
+			await expect(service.settleDuels()).resolves.toBe(0);
+
+			now += 1;
+			await expect(service.settleDuels()).resolves.toBe(1);
+			await expect(call("getDuel", { id: duel._id }, adam)).resolves.toEqual(expect.objectContaining({
+				status: "completed",
+				winner: "u1",
+				outcome: "disconnect",
+				players: [expect.objectContaining({ status: "finished" }), expect.objectContaining({ status: "disconnected" })]
+			}));
+		});
+
+		it("should settle a duel at the last deadline", async () => {
+			const duel = await matchPair();
+			startDuel(duel);
+			await correctAnswer(duel, 0, adam);
+			await correctAnswer(duel, 0, eve);
+			await correctAnswer(duel, 1, eve);
+
+			now += 45 * 1000 + 1;
+			await service.settleDuels();
+			await expect(call("getDuel", { id: duel._id }, adam)).resolves.toEqual(expect.objectContaining({ status: "completed", winner: "u2", outcome: "score" }));
+		});
+	});
+});
@@ -0,0 +1,161 @@
+"use strict";
+
+const fs = require("fs");
+const crypto = require("crypto");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+const { Readable } = require("stream");
+const { ServiceBroker } = require("moleculer");
+const AuthorizationMiddleware = require("../../../middlewares/authorization.middleware");
+const TestService = require("../../../services/media.service");
+const ApiService = require("../../../services/api.service");
+
+describe("Test 'media' service", () => {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), "media-"));
+	const broker = new ServiceBroker({ logger: false, middlewares: [AuthorizationMiddleware] });
+	broker.createService(TestService, { settings: { storage: { type: "local", dir }, maxSize: { audio: 1000, image: 500 } } });
+	const api = broker.createService(ApiService, { settings: { port: 0 } });
+
+	const editor = { _id: "e1", roles: ["content-editor"] };
+	const adam = { _id: "u1", roles: ["learner"] };
+	const users = { editor, adam };
+	broker.createService({
+		name: "accounts",
+		actions: { resolveToken: ctx => users[ctx.params.token] || null }
+	});
+	broker.createService({
+		name: "learners",
+		actions: { getLocale: () => null }
+	});
+
+	// A tiny PNG, only its signature matters
+	const png = Buffer.concat([Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]), Buffer.from("0123456789abcdefghij")]);
+
+	const filePath = id => path.join(dir, id.slice(0, 2), id);
+
+	function request(method, url, { token, headers, body } = {}) {
+		return new Promise((resolve, reject) => {
+			const req = http.request({
+				port: api.server.address().port,
+				method,
+				path: url,
+				headers: Object.assign(token ? { Authorization: `Bearer ${token}` } : {}, headers)
+			}, res => {
+				const chunks = [];
+				res.on("data", chunk => chunks.push(chunk));
+				res.on("end", () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+			});
+			req.on("error", reject);
+			req.end(body);
+		});
+	}
+
+	function upload(content, type, token = "editor") {
+		const boundary = "----media-boundary";
+		const body = Buffer.concat([
+			Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="dir/word.png"\r\nContent-Type: ${type}\r\n\r\n`),
+			content,
+			Buffer.from(`\r\n--${boundary}--\r\n`)
+		]);
+		return request("POST", "/api/media", { token, body, headers: { "Content-Type": `multipart/form-data; boundary=${boundary}` } });
+	}
+
+	beforeAll(async () => {
+		await broker.start();
+		// Don't wait for the debounced regeneration of the aliases
+		api.routes.forEach(route => api.regenerateAutoAliases(route));
+	});
+	afterAll(async () => {
+		await broker.stop();
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	describe("Test uploads & downloads through the gateway", () => {
+		let media;
+
+		it("should upload a file with its metadata & checksum", async () => {
+			const res = await upload(png, "image/png");
+			expect(res.status).toBe(200);
+
+			[media] = JSON.parse(res.body);
+			expect(media).toEqual({
+				_id: expect.any(String),
+				filename: "word.png",
+				mimeType: "image/png",
+				kind: "image",
+				size: 28,
+				checksum: crypto.createHash("sha256").update(png).digest("hex"),
+				owner: "e1",
+				createdAt: expect.any(Number),
+				version: 1
+			});
+			expect(fs.readFileSync(filePath(media._id))).toEqual(png);
+		});
+
+		it("should serve a file with the cache headers", async () => {
+			const res = await request("GET", `/api/media/${media._id}/file`);
+
+			expect(res.status).toBe(200);
+			expect(res.body).toEqual(png);
+			expect(res.headers).toEqual(expect.objectContaining({
+				"content-type": "image/png",
+				"content-length": "28",
+				"etag": `"${media.checksum}"`,
+				"cache-control": "public, max-age=31536000, immutable",
+				"accept-ranges": "bytes"
+			}));
+		});
+
+		it("should serve a byte range & revalidate by the checksum", async () => {
+			const partial = await request("GET", `/api/media/${media._id}/file`, { headers: { Range: "bytes=8-17" } });
+			expect(partial.status).toBe(206);
+			expect(partial.body.toString()).toBe("0123456789");
+			expect(partial.headers).toEqual(expect.objectContaining({ "content-range": "bytes 8-17/28", "content-length": "10" }));
+
+			const stale = await request("GET", `/api/media/${media._id}/file`, { headers: { "Range": "bytes=8-17", "If-Range": "\"other\"" } });
+			expect(stale.status).toBe(200);
+			expect(stale.body).toEqual(png);
+
+			const cached = await request("GET", `/api/media/${media._id}/file`, { headers: { "If-None-Match": `"${media.checksum}"` } });
+			expect(cached.status).toBe(304);
+			expect(cached.body.length).toBe(0);
+
+			const invalid = await request("GET", `/api/media/${media._id}/file`, { headers: { Range: "bytes=100-" } });
+			expect(invalid.status).toBe(416);
+		});
+
+		it("should reject an unsupported type & a learner's upload", async () => {
+			const unsupported = await upload(Buffer.from("<svg onload=\"alert(1)\"></svg>"), "image/svg+xml");
+			expect(unsupported.status).toBe(415);
+			expect(JSON.parse(unsupported.body)).toEqual(expect.objectContaining({ type: "UNSUPPORTED_MEDIA_TYPE" }));
+
+			expect((await upload(png, "image/png", "adam")).status).toBe(403);
+			expect(await broker.call("media.count", {}, { meta: { user: editor } })).toBe(1);
+		});
+	});
+
+	describe("Test managing the files", () => {
+
+		it("should not keep a file over the size limit", async () => {
+			const content = Buffer.concat([png, Buffer.alloc(600)]);
+			const call = broker.call("media.upload", Readable.from([content]), { meta: { user: editor, mimetype: "image/png", filename: "big.png" } });
+
+			await expect(call).rejects.toMatchObject({ code: 413, type: "MEDIA_TOO_LARGE" });
+			expect(await broker.call("media.count", {}, { meta: { user: editor } })).toBe(1);
+			expect(fs.readdirSync(dir).flatMap(shard => fs.readdirSync(path.join(dir, shard)))).toHaveLength(1);
+		});
+
+		it("should remove the file of a removed media", async () => {
+			const media = await broker.call("media.upload", Readable.from([png]), { meta: { user: editor, mimetype: "image/png" } });
+			expect(fs.existsSync(filePath(media._id))).toBe(true);
+
+			await expect(broker.call("media.remove", { id: media._id }, { meta: { user: adam } })).rejects.toThrow("Forbidden, missing permission: content.write");
+			await broker.call("media.remove", { id: media._id }, { meta: { user: editor } });
+			expect(fs.existsSync(filePath(media._id))).toBe(false);
+			await expect(broker.call("media.download", { id: media._id })).rejects.toThrow("Entity not found");
+		});
+
+	});
+
+});
@@ -1,7 +1,7 @@
 "use strict";
 
 const { ServiceBroker, Context } = require("moleculer");
-const { ValidationError } = require("moleculer").Errors;
+const { ValidationError, MoleculerClientError } = require("moleculer").Errors;
 const TestService = require("../../../services/products.service");
 
 describe("Test 'products' service", () => {
@@ -44,21 +44,21 @@ describe("Test 'products' service", () => {
 				});
 
 				expect(service.adapter.updateById).toBeCalledTimes(1);
-				expect(service.adapter.updateById).toBeCalledWith("123", { $inc: { quantity: 10 } } );
+				expect(service.adapter.updateById).toBeCalledWith("123", { $inc: { quantity: 10 }, $push: { pendingEvents: { $each: [expect.objectContaining({ type: "updated", changes: ["quantity"] })] } } });
 
 				expect(service.transformDocuments).toBeCalledTimes(1);
 				expect(service.transformDocuments).toBeCalledWith(expect.any(Context), { id: "123", value: 10 }, record);
 
 				expect(service.entityChanged).toBeCalledTimes(1);
-				expect(service.entityChanged).toBeCalledWith("updated", { _id: "123", name: "Awesome thing", price: 999, quantity: 25 }, expect.any(Context));
+				expect(service.entityChanged).toBeCalledWith(expect.objectContaining({ type: "updated", changes: ["quantity"] }), { _id: "123", name: "Awesome thing", price: 999, quantity: 25 }, expect.any(Context));
 			});
 
 		});
 
 		describe("Test 'products.decreaseQuantity'", () => {
 
-			it("should call the adapter updateById method & transform result", async () => {
-				service.adapter.updateById.mockClear();
+			it("should call the conditional update method & transform result", async () => {
+				jest.spyOn(service, "conditionalUpdate").mockImplementation(async () => record);
 				service.transformDocuments.mockClear();
 				service.entityChanged.mockClear();
 
@@ -73,14 +73,38 @@ describe("Test 'products' service", () => {
 					quantity: 25,
 				});
 
-				expect(service.adapter.updateById).toBeCalledTimes(1);
-				expect(service.adapter.updateById).toBeCalledWith("123", { $inc: { quantity: -10 } } );
+				expect(service.conditionalUpdate).toBeCalledTimes(1);
+				expect(service.conditionalUpdate).toBeCalledWith("123", { quantity: { $gte: 10 } }, { $inc: { quantity: -10 }, $push: { pendingEvents: { $each: [expect.objectContaining({ type: "updated", changes: ["quantity"] })] } } });
 
 				expect(service.transformDocuments).toBeCalledTimes(1);
 				expect(service.transformDocuments).toBeCalledWith(expect.any(Context), { id: "123", value: 10 }, record);
 
 				expect(service.entityChanged).toBeCalledTimes(1);
-				expect(service.entityChanged).toBeCalledWith("updated", { _id: "123", name: "Awesome thing", price: 999, quantity: 25 }, expect.any(Context));
+				expect(service.entityChanged).toBeCalledWith(expect.objectContaining({ type: "updated", changes: ["quantity"] }), { _id: "123", name: "Awesome thing", price: 999, quantity: 25 }, expect.any(Context));
+
+				service.conditionalUpdate.mockRestore();
+			});
+
+			it("should throw a conflict error if the stock is insufficient", async () => {
+				jest.spyOn(service, "conditionalUpdate").mockImplementation(async () => null);
+				jest.spyOn(service.adapter, "findById").mockImplementation(async () => record);
+				service.entityChanged.mockClear();
+
+				expect.assertions(4);
+				try {
+					await broker.call("products.decreaseQuantity", {
+						id: "123",
+						value: 30
+					});
+				} catch(err) {
+					expect(err).toBeInstanceOf(MoleculerClientError);
+					expect(err.code).toBe(409);
+					expect(err.data).toEqual({ id: "123", requested: 30, available: 25 });
+				}
+				expect(service.entityChanged).toBeCalledTimes(0);
+
+				service.conditionalUpdate.mockRestore();
+				service.adapter.findById.mockRestore();
 			});
 
 			it("should throw error if params is not valid", async () => {
@@ -131,9 +155,9 @@ describe("Test 'products' service", () => {
 			it("should insert 3 documents", async () => {
 				expect(service.adapter.insertMany).toBeCalledTimes(1);
 				expect(service.adapter.insertMany).toBeCalledWith([
-					{ name: "Samsung Galaxy S10 Plus", quantity: 10, price: 704 },
-					{ name: "iPhone 11 Pro", quantity: 25, price: 999 },
-					{ name: "Huawei P30 Pro", quantity: 15, price: 679 },
+					{ name: "Samsung Galaxy S10 Plus", quantity: 10, price: 704, searchText: "samsung galaxy s10 plus" },
+					{ name: "iPhone 11 Pro", quantity: 25, price: 999, searchText: "iphone 11 pro" },
+					{ name: "Huawei P30 Pro", quantity: 15, price: 679, searchText: "huawei p30 pro" },
 				]);
 			});
 
@@ -169,7 +193,8 @@ describe("Test 'products' service", () => {
 					id: "111",
 					name: "Test product",
 					price: 100,
-					quantity: 0
+					quantity: 0,
+					searchText: "test product"
 				});
 			});
 
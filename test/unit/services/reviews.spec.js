@@ -0,0 +1,122 @@
+"use strict";
+
+const { ServiceBroker } = require("moleculer");
+const { ValidationError } = require("moleculer").Errors;
+const { EntityNotFoundError } = require("moleculer-db/src/errors");
+const AuthorizationMiddleware = require("../../../middlewares/authorization.middleware");
+const TestService = require("../../../services/reviews.service");
+const LearnersService = require("../../../services/learners.service");
+
+describe("Test 'reviews' service", () => {
+	const broker = new ServiceBroker({ logger: false, middlewares: [AuthorizationMiddleware] });
+	broker.createService(TestService);
+	broker.createService(LearnersService);
+
+	const items = ["w1", "w2", "w3"];
+	broker.createService({
+		name: "content",
+		actions: {
+			get(ctx) {
+				if (!items.includes(ctx.params.id)) throw new EntityNotFoundError(ctx.params.id);
+				return { _id: ctx.params.id };
+			}
+		}
+	});
+
+	// 2026-01-10 12:00 UTC is already 2026-01-11 in Auckland
+	let now = Date.UTC(2026, 0, 10, 12);
+	const adam = { _id: "u1", username: "adam", roles: ["learner"] };
+	// Without the permission to read the profiles
+	const eve = { _id: "u2", username: "eve", roles: ["content-editor"] };
+
+	const call = (action, params, user = adam) => broker.call(`reviews.${action}`, params, { meta: { user } });
+
+	beforeAll(async () => {
+		await broker.start();
+		await broker.call("learners.updateMe", { nativeLanguage: "en", targetLanguages: ["de"], timezone: "Pacific/Auckland" }, { meta: { user: adam } });
+		jest.spyOn(Date, "now").mockImplementation(() => now);
+	});
+	afterAll(async () => {
+		Date.now.mockRestore();
+		await broker.stop();
+	});
+
+	describe("Test 'reviews.grade' action", () => {
+
+		it("should create the card by the first grade", async () => {
+			const res = await call("grade", { item: "w1", grade: 5 });
+			expect(res).toEqual({
+				_id: expect.any(String),
+				user: "u1",
+				item: "w1",
+				repetitions: 1,
+				interval: 1,
+				ease: expect.any(Number),
+				lapses: 0,
+				dueDate: "2026-01-12",
+				lastGrade: 5,
+				reviewedAt: now,
+				createdAt: now,
+				version: 1
+			});
+		});
+
+		it("should schedule by the next grades", async () => {
+			await call("grade", { item: "w2", grade: 4 });
+			const res = await call("grade", { item: "w2", grade: 4 });
+			expect(res).toEqual(expect.objectContaining({ item: "w2", repetitions: 2, interval: 6, dueDate: "2026-01-17", version: 2 }));
+
+			const lapsed = await call("grade", { item: "w3", grade: 1 });
+			expect(lapsed).toEqual(expect.objectContaining({ item: "w3", repetitions: 0, interval: 1, lapses: 1, dueDate: "2026-01-12" }));
+		});
+
+		it("should use the UTC date without profile", async () => {
+			const res = await call("grade", { item: "w1", grade: 3 }, eve);
+			expect(res).toEqual(expect.objectContaining({ user: "u2", dueDate: "2026-01-11" }));
+		});
+
+		it("should reject an invalid grade", async () => {
+			await expect(call("grade", { item: "w1", grade: 6 })).rejects.toBeInstanceOf(ValidationError);
+		});
+
+		it("should reject an unknown item", async () => {
+			await expect(call("grade", { item: "w9", grade: 5 })).rejects.toMatchObject({ code: 404, type: "ITEM_NOT_FOUND", data: { item: "w9" } });
+			expect(await broker.getLocalService("reviews").adapter.count({ query: { item: "w9" } })).toBe(0);
+		});
+
+	});
+
+	describe("Test 'reviews.due' & 'reviews.forecast' actions", () => {
+
+		it("should return the queue of today in the learner's time zone", async () => {
+			expect(await call("due", {})).toEqual({ date: "2026-01-11", total: 0, rows: [] });
+
+			// 2026-01-12 11:00 in Auckland
+			now += 24 * 60 * 60 * 1000 - 60 * 60 * 1000;
+			const res = await call("due", {});
+			expect(res.date).toBe("2026-01-12");
+			expect(res.total).toBe(2);
+			expect(res.rows.map(card => card.item).sort()).toEqual(["w1", "w3"]);
+
+			expect((await call("due", { limit: 1 })).rows.length).toBe(1);
+		});
+
+		it("should forecast the reviews by day with the overdue ones today", async () => {
+			const res = await call("forecast", { days: 3 }, eve);
+			expect(res).toEqual([
+				{ date: "2026-01-11", count: 1 },
+				{ date: "2026-01-12", count: 0 },
+				{ date: "2026-01-13", count: 0 }
+			]);
+
+			const forecast = await call("forecast", {});
+			expect(forecast.length).toBe(7);
+			expect(forecast.filter(day => day.count > 0)).toEqual([
+				{ date: "2026-01-12", count: 2 },
+				{ date: "2026-01-17", count: 1 }
+			]);
+		});
+
+	});
+
+});
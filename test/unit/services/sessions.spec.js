@@ -0,0 +1,193 @@
+"use strict";
+
+const { ServiceBroker } = require("moleculer");
+const AuthorizationMiddleware = require("../../../middlewares/authorization.middleware");
+const TestService = require("../../../services/sessions.service");
+const ChallengesService = require("../../../services/challenges.service");
+const LearnersService = require("../../../services/learners.service");
+
+describe("Test 'sessions' service", () => {
+	const broker = new ServiceBroker({ logger: false, middlewares: [AuthorizationMiddleware] });
+	const service = broker.createService(TestService);
+	broker.createService(ChallengesService);
+	broker.createService(LearnersService);
+
+	let now = Date.UTC(2026, 0, 10, 12);
+	const editor = { _id: "e1", roles: ["content-editor"] };
+	const reviewer = { _id: "r1", roles: ["reviewer"] };
+	const adam = { _id: "u1", username: "adam", roles: ["learner"] };
+	const eve = { _id: "u2", username: "eve", roles: ["learner"] };
+
+	const answers = { dog: "der Hund", lake: "der See", cat: "die Katze" };
+
+	const call = (action, params, user = adam) => broker.call(`sessions.${action}`, params, { meta: { user } });
+	const start = (user = adam, count = 2) => call("start", { skill: "vocabulary", language: "de", count }, user);
+	const answer = (session, question, text, user = adam) => call("answer", { id: session._id, question, answer: text }, user);
+	const correctAnswer = (session, question) => answer(session, question, answers[session.questions[question].prompt]);
+
+	beforeAll(async () => {
+		await broker.start();
+		jest.spyOn(Date, "now").mockImplementation(() => now);
+
+		const create = async (prompt, level) => {
+			const item = await broker.call("challenges.create", { skill: "vocabulary", language: "de", level, prompt, answers: [answers[prompt]] }, { meta: { user: editor } });
+			await broker.call("challenges.submit", { id: item._id }, { meta: { user: editor } });
+			await broker.call("challenges.publish", { id: item._id }, { meta: { user: reviewer } });
+		};
+		await create("dog", "A1");
+		await create("lake", "A2");
+		await create("cat", "A1");
+	});
+	afterAll(async () => {
+		Date.now.mockRestore();
+		await broker.stop();
+	});
+
+	describe("Test 'sessions.start' action", () => {
+
+		it("should start a round without the answers", async () => {
+			const res = await start();
+			expect(res).toEqual({
+				_id: expect.any(String),
+				user: "u1",
+				skill: "vocabulary",
+				language: "de",
+				status: "active",
+				questions: [
+					{ revision: 1, prompt: expect.any(String), askedAt: now },
+					{ revision: 1, prompt: expect.any(String), askedAt: null }
+				],
+				current: 0,
+				score: 0,
+				correctCount: 0,
+				xp: 0,
+				timeLimit: 20,
+				startedAt: now,
+				finishedAt: null,
+				expiresAt: now + (2 * 20 + 300) * 1000,
+				version: 1
+			});
+			expect(res.answerKey).toBeUndefined();
+			expect(res.itemKey).toBeUndefined();
+		});
+
+		it("should reject without user", async () => {
+			await expect(broker.call("sessions.start", { skill: "vocabulary", language: "de" })).rejects.toThrow();
+		});
+
+		it("should throw 404 without challenges", async () => {
+			await expect(call("start", { skill: "vocabulary", language: "fr" })).rejects.toThrow("No challenge is available!");
+		});
+
+	});
+
+	describe("Test 'sessions.answer' action", () => {
+
+		it("should score the answers by the server time & complete the round", async () => {
+			const session = await start();
+			const completed = jest.fn();
+			broker.createService({ name: "sessions-listener", events: { "sessions.completed": completed } });
+
+			await expect(answer(session, 1, "x")).rejects.toThrow("The questions must be answered in order!");
+
+			now += 4000;
+			const first = await correctAnswer(session, 0);
+			expect(first).toEqual({
+				question: 0,
+				correct: true,
+				verdict: "correct",
+				timedOut: false,
+				points: 14,
+				answers: [answers[session.questions[0].prompt]],
+				diff: [{ type: "equal", text: answers[session.questions[0].prompt] }],
+				session: expect.objectContaining({ status: "active", current: 1, score: 14, correctCount: 1 })
+			});
+			expect(first.session.questions[1].askedAt).toBe(now);
+
+			await expect(correctAnswer(session, 0)).rejects.toThrow("The question is already answered!");
+
+			// The correct answer is late
+			now += 21000;
+			const second = await correctAnswer(session, 1);
+			expect(second).toEqual(expect.objectContaining({ question: 1, correct: false, timedOut: true, points: 0 }));
+			expect(second.session).toEqual(expect.objectContaining({ status: "completed", current: 2, score: 14, xp: 14, finishedAt: now }));
+
+			await expect(correctAnswer(session, 1)).rejects.toThrow("The session is already closed!");
+			expect(completed).toBeCalledTimes(1);
+			expect(completed.mock.calls[0][0]).toEqual(expect.objectContaining({ type: "completed", id: session._id, changes: ["status", "xp", "finishedAt"] }));
+		});
+
+		it("should give the bonus XP of a perfect round", async () => {
+			const session = await start(adam, 1);
+			const res = await correctAnswer(session, 0);
+			expect(res.session).toEqual(expect.objectContaining({ status: "completed", score: 15, xp: 35 }));
+		});
+
+		it("should accept an almost correct answer with less points", async () => {
+			const session = await start(adam, 1);
+			// The German nouns are capitalized
+			const res = await answer(session, 0, answers[session.questions[0].prompt].toLowerCase());
+			expect(res).toEqual(expect.objectContaining({ correct: true, verdict: "almost", points: 5 }));
+			expect(res.session).toEqual(expect.objectContaining({ status: "completed", score: 5, xp: 5, correctCount: 1 }));
+			expect(res.session.questions[0].verdict).toBe("almost");
+		});
+
+		it("should accept only one of the concurrent answers", async () => {
+			const session = await start();
+			const results = await Promise.allSettled([answer(session, 0, "a"), answer(session, 0, "b")]);
+			expect(results.map(res => res.status).sort()).toEqual(["fulfilled", "rejected"]);
+			expect(results.find(res => res.status == "rejected").reason.type).toBe("ANSWER_REPLAYED");
+		});
+
+		it("should keep the revision of the items in a running round", async () => {
+			const revise = async (id, answers) => {
+				await broker.call("challenges.update", { id, answers }, { meta: { user: editor } });
+				await broker.call("challenges.submit", { id }, { meta: { user: editor } });
+				await broker.call("challenges.publish", { id }, { meta: { user: reviewer } });
+			};
+
+			const session = await start(adam, 1);
+			const { prompt } = session.questions[0];
+			const [item] = (await service.adapter.findById(session._id)).itemKey;
+			await revise(item, ["etwas"]);
+
+			const res = await correctAnswer(session, 0);
+			expect(res).toEqual(expect.objectContaining({ correct: true }));
+			expect(res.session.questions[0].revision).toBe(1);
+
+			await revise(item, [answers[prompt]]);
+		});
+
+		it("should hide the sessions of other learners", async () => {
+			const session = await start();
+			await expect(answer(session, 0, "x", eve)).rejects.toThrow("Entity not found");
+			await expect(call("get", { id: session._id }, eve)).rejects.toThrow("Entity not found");
+			expect(await call("get", { id: session._id })).toEqual(expect.objectContaining({ _id: session._id }));
+		});
+
+	});
+
+	describe("Test finishing & expiring the rounds", () => {
+
+		it("should finish a round early", async () => {
+			const session = await start();
+			await correctAnswer(session, 0);
+			const res = await call("finish", { id: session._id });
+			expect(res).toEqual(expect.objectContaining({ status: "completed", current: 1, score: 15, xp: 15, finishedAt: now }));
+
+			await expect(call("finish", { id: session._id })).rejects.toThrow("The session is already closed!");
+		});
+
+		it("should expire the abandoned rounds", async () => {
+			const session = await start();
+			expect(await service.expireSessions()).toBe(0);
+
+			now += (2 * 20 + 300) * 1000;
+			expect(await service.expireSessions()).toBeGreaterThanOrEqual(1);
+			expect(await call("get", { id: session._id })).toEqual(expect.objectContaining({ status: "expired", finishedAt: now }));
+			await expect(answer(session, 0, "x")).rejects.toThrow("The session is already closed!");
+		});
+
+	});
+
+});